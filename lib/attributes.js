@@ -0,0 +1,168 @@
+/**
+ * MDD Attribute Blocks
+ * Parses pandoc-style attribute blocks such as `{#intro .wide align=center logo="./a b.svg"}`
+ */
+
+/** Attribute keys become `data-*` attributes, so they follow the same rules. */
+const ATTRIBUTE_KEY = /^[a-z][a-z0-9-]*$/u
+
+/**
+ * One attribute token: `#id`, `.class`, `key=value` (value bare, "double" or
+ * 'single' quoted), or anything else (captured so it can be reported).
+ */
+const ATTRIBUTE_TOKEN =
+  /\s*(?:#([^\s"'=#.{}]+)|\.([^\s"'=#.{}]+)|([^\s"'=#.{}]+)=(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|([^\s"'{}]+))|(\S+))/gu
+
+/**
+ * Parse the body of an attribute block. The surrounding braces are optional.
+ *
+ * Malformed tokens do not abort parsing: every well-formed token is kept and
+ * each problem is listed in `errors` so callers can render what they can and
+ * the validator can report the rest.
+ *
+ * @param {string} source
+ * @returns {{ id: string | null, classes: string[], attributes: Record<string, string>, errors: string[] }}
+ */
+export function parseAttributeBlock(source) {
+  const result = { id: null, classes: [], attributes: {}, errors: [] }
+  const body = source.trim().replace(/^\{/u, '').replace(/\}$/u, '')
+
+  for (const match of body.matchAll(ATTRIBUTE_TOKEN)) {
+    const [, id, className, key, doubleQuoted, singleQuoted, bare, invalid] = match
+    if (invalid !== undefined) {
+      result.errors.push(`Unrecognized attribute "${invalid}"`)
+    } else if (id !== undefined) {
+      if (result.id !== null) {
+        result.errors.push(`Duplicate id "#${id}" (already "#${result.id}")`)
+      } else {
+        result.id = id
+      }
+    } else if (className !== undefined) {
+      if (!result.classes.includes(className)) {
+        result.classes.push(className)
+      }
+    } else if (!ATTRIBUTE_KEY.test(key)) {
+      result.errors.push(`Invalid attribute name "${key}" (use lowercase kebab-case)`)
+    } else if (key === 'id' || key === 'class') {
+      result.errors.push(key === 'id' ? 'Use #name instead of id=' : 'Use .name instead of class=')
+    } else if (Object.hasOwn(result.attributes, key)) {
+      result.errors.push(`Duplicate attribute "${key}"`)
+    } else {
+      result.attributes[key] = doubleQuoted?.replace(/\\(.)/gu, '$1') ?? singleQuoted ?? bare
+    }
+  }
+
+  return result
+}
+
+/**
+ * Map parsed attributes onto hast properties: `#id` → `id`, `.class` → extra
+ * class names, `key=value` → `data-key`.
+ *
+ * @param {{ id: string | null, classes: string[], attributes: Record<string, string> }} parsed
+ * @param {string[]} [baseClasses] class names that come first (e.g. the directive class)
+ * @returns {Record<string, unknown>}
+ */
+export function attributesToProperties(parsed, baseClasses = []) {
+  const properties = {}
+  if (parsed.id) {
+    properties.id = parsed.id
+  }
+  const className = [...baseClasses]
+  for (const name of parsed.classes) {
+    if (!className.includes(name)) {
+      className.push(name)
+    }
+  }
+  if (className.length > 0) {
+    properties.className = className
+  }
+  for (const [key, value] of Object.entries(parsed.attributes)) {
+    properties[`data-${key}`] = value
+  }
+  return properties
+}
+
+/**
+ * Flatten parsed attributes into the record stored on `mddDirective` nodes:
+ * `id`, `class` (space-separated) and the `key=value` pairs.
+ *
+ * @param {{ id: string | null, classes: string[], attributes: Record<string, string> }} parsed
+ * @returns {Record<string, string>}
+ */
+export function attributesToRecord(parsed) {
+  const record = {}
+  if (parsed.id) {
+    record.id = parsed.id
+  }
+  if (parsed.classes.length > 0) {
+    record.class = parsed.classes.join(' ')
+  }
+  return Object.assign(record, parsed.attributes)
+}
+
+/** Bare attribute values need no quotes; anything else is double-quoted. */
+const BARE_VALUE = /^[^\s"'{}]+$/u
+
+/**
+ * Serialize an attribute record (see {@link attributesToRecord}) back to an
+ * attribute block, or `''` when there is nothing to write.
+ *
+ * @param {Record<string, string> | undefined} record
+ * @returns {string}
+ */
+export function stringifyAttributeBlock(record = {}) {
+  const tokens = []
+  for (const [key, value] of Object.entries(record)) {
+    if (key === 'id') {
+      tokens.push(`#${value}`)
+    } else if (key === 'class') {
+      tokens.push(
+        ...value
+          .split(/\s+/u)
+          .filter(Boolean)
+          .map((name) => `.${name}`),
+      )
+    } else if (BARE_VALUE.test(value)) {
+      tokens.push(`${key}=${value}`)
+    } else {
+      tokens.push(`${key}="${value.replace(/["\\]/gu, '\\$&')}"`)
+    }
+  }
+  return tokens.length > 0 ? `{${tokens.join(' ')}}` : ''
+}
+
+/**
+ * Move the class annotation of a heading or paragraph onto the node: the
+ * `mddAttributes` node the MDD syntax parses from a trailing `{#id .class}`
+ * is removed from its children and kept in `data.mddClassAnnotation` (so the
+ * node serializes back to it), and its id, classes and `key=value` pairs
+ * become `hProperties`. Safe to call again on the same node.
+ *
+ * @param {import('mdast').Heading | import('mdast').Paragraph} node
+ * @returns {ReturnType<typeof parseAttributeBlock> | null} the parsed block
+ */
+export function takeTrailingAttributes(node) {
+  if (node.data?.mddClassAnnotation) {
+    return parseAttributeBlock(node.data.mddClassAnnotation)
+  }
+
+  const block = node.children?.at(-1)
+  const parsed = block?.type === 'mddAttributes' ? parseAttributeBlock(block.value) : null
+  if (!parsed || (!parsed.id && parsed.classes.length === 0)) {
+    return null
+  }
+
+  node.children.pop()
+  const previous = node.children.at(-1)
+  if (previous?.type === 'text') {
+    previous.value = previous.value.trimEnd()
+    if (!previous.value) {
+      node.children.pop()
+    }
+  }
+  node.data ??= {}
+  node.data.mddClassAnnotation = block.value
+  node.data.hProperties = { ...node.data.hProperties, ...attributesToProperties(parsed) }
+  return parsed
+}
@@ -0,0 +1,136 @@
+/**
+ * MDD Block Lines
+ * Line-oriented helpers for directives whose content is written one field per
+ * line (signature blocks, letterheads, contact details): split a paragraph
+ * into lines, wrap parts of a line in `mddSpan` nodes, and join the lines
+ * back without changing the text, so the block still serializes to its source.
+ */
+
+import { toString } from 'mdast-util-to-string'
+
+/**
+ * Split a paragraph into lines of inline nodes, cutting text nodes at line
+ * endings. Each line after the first keeps its separator: the original hard
+ * break, or a new `\n` text node. `raw` is the line's plain text, `text` the
+ * same trimmed, and `line` its 1-indexed source line when the paragraph has a
+ * position.
+ *
+ * @returns {Array<{nodes: Array<object>, raw: string, text: string, line?: number, separator?: object}>}
+ */
+export function paragraphLines(paragraph) {
+  const lines = [{ nodes: [] }]
+  for (const child of paragraph.children) {
+    if (child.type === 'break') {
+      lines.push({ nodes: [], separator: child })
+      continue
+    }
+    if (child.type !== 'text' || !child.value.includes('\n')) {
+      lines.at(-1).nodes.push(child)
+      continue
+    }
+    child.value.split('\n').forEach((value, index) => {
+      if (index > 0) {
+        lines.push({ nodes: [], separator: { type: 'text', value: '\n' } })
+      }
+      if (value) {
+        lines.at(-1).nodes.push({ ...child, value, position: undefined })
+      }
+    })
+  }
+
+  const start = paragraph.position?.start.line
+  lines.forEach((line, index) => {
+    line.raw = line.nodes.map((node) => toString(node)).join('')
+    line.text = line.raw.trim()
+    line.line = start === undefined ? undefined : start + index
+  })
+  return lines
+}
+
+/**
+ * Create an `mddSpan`: a transparent phrasing wrapper that renders as a
+ * `<span>` with `properties`.
+ *
+ * @param {Array<object>} children
+ * @param {Record<string, unknown>} properties
+ */
+export function createSpan(children, properties) {
+  return { type: 'mddSpan', children, data: { hName: 'span', hProperties: properties } }
+}
+
+/**
+ * Wrap parts of a line in `mddSpan` nodes. `ranges` are non-overlapping
+ * `[start, end)` offsets into `line.raw` with the properties of their span.
+ * Text nodes are cut at range edges; other inline nodes join the range they
+ * start in.
+ *
+ * @param {{nodes: Array<object>}} line
+ * @param {Array<{start: number, end: number, properties: Record<string, unknown>}>} ranges
+ * @returns {Array<object>} the new inline nodes of the line
+ */
+export function wrapLineRanges(line, ranges) {
+  const pieces = []
+  let offset = 0
+
+  const rangeAt = (position) =>
+    ranges.find((range) => position >= range.start && position < range.end)
+
+  for (const node of line.nodes) {
+    const { length } = toString(node)
+    if (node.type !== 'text') {
+      pieces.push({ node, range: rangeAt(offset) })
+      offset += length
+      continue
+    }
+
+    const cuts = new Set([0, length])
+    for (const range of ranges) {
+      for (const edge of [range.start - offset, range.end - offset]) {
+        if (edge > 0 && edge < length) {
+          cuts.add(edge)
+        }
+      }
+    }
+    const sorted = [...cuts].sort((a, b) => a - b)
+    for (let index = 0; index < sorted.length - 1; index++) {
+      const value = node.value.slice(sorted[index], sorted[index + 1])
+      pieces.push({
+        node: sorted.length === 2 ? node : { ...node, value, position: undefined },
+        range: rangeAt(offset + sorted[index]),
+      })
+    }
+    offset += length
+  }
+
+  const nodes = []
+  let open = null
+  for (const piece of pieces) {
+    if (!piece.range) {
+      open = null
+      nodes.push(piece.node)
+    } else if (open?.range === piece.range) {
+      open.span.children.push(piece.node)
+    } else {
+      open = { range: piece.range, span: createSpan([piece.node], piece.range.properties) }
+      nodes.push(open.span)
+    }
+  }
+  return nodes
+}
+
+/**
+ * Join lines back into paragraph children, putting each line's separator
+ * before it.
+ *
+ * @param {Array<{nodes: Array<object>, separator?: object}>} lines
+ */
+export function joinLines(lines) {
+  const children = []
+  for (const line of lines) {
+    if (line.separator) {
+      children.push(line.separator)
+    }
+    children.push(...line.nodes)
+  }
+  return children
+}
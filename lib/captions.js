@@ -0,0 +1,173 @@
+/**
+ * MDD Table and Figure Captions
+ * Numbered captions, shared by the text-formatting plugin (which renders them
+ * and resolves `@table-N` / `@figure-N` references) and the validator (which
+ * checks those references).
+ *
+ * A table caption is a paragraph starting with `Table:`, right before or
+ * after its table (pandoc syntax); it belongs to the table before it unless
+ * that one already has a caption. A figure is an image with alt text alone in
+ * a paragraph; the alt text is its caption. Images in letterheads, signature
+ * blocks, headers and footers are logos and signatures, not figures. Tables and figures are counted
+ * separately in document order and get the ids `table-N` and `figure-N`.
+ */
+
+import { toString } from 'mdast-util-to-string'
+import { visit } from 'unist-util-visit'
+
+import { createSpan } from './block-lines.js'
+
+/** Reference types of captioned elements, with their label. */
+export const CAPTION_KINDS = {
+  table: { label: 'Table' },
+  figure: { label: 'Figure' },
+}
+
+const TABLE_CAPTION = /^table:\s+/iu
+
+/** Directives whose images are logos and signatures rather than figures. */
+const FIGURELESS_DIRECTIVES = new Set(['letterhead', 'signature-block', 'header', 'footer'])
+
+/** The images of a tree inside `FIGURELESS_DIRECTIVES`. */
+function imagesOutsideFigures(tree) {
+  const images = new Set()
+  visit(tree, 'mddDirective', (node) => {
+    if (FIGURELESS_DIRECTIVES.has(node.name)) {
+      visit(node, 'image', (image) => {
+        images.add(image)
+      })
+    }
+  })
+  return images
+}
+
+/** The image of a paragraph that holds nothing else. */
+function figureImage(paragraph) {
+  const children = paragraph.children.filter(
+    (child) => !(child.type === 'text' && child.value.trim() === ''),
+  )
+  const [image] = children
+  return children.length === 1 && image.type === 'image' && image.alt?.trim() ? image : null
+}
+
+/**
+ * Find the table captions and figures of a tree without changing it. Each
+ * entry has the caption's `kind`, `number`, `id` and `caption` text, the
+ * caption paragraph (`node`) and, for tables, the captioned `table` node
+ * when the tree has one (tables need GFM parsing).
+ *
+ * @param {import('mdast').Root} tree
+ * @returns {Array<import('../types/mdd').CaptionRecord>}
+ */
+export function findCaptions(tree) {
+  const captions = []
+  const counters = { table: 0, figure: 0 }
+  const captioned = new Set()
+  const outsideFigures = imagesOutsideFigures(tree)
+
+  visit(tree, 'paragraph', (node, index, parent) => {
+    const first = node.children[0]
+    const prefix = first?.type === 'text' ? first.value.match(TABLE_CAPTION) : null
+    if (prefix) {
+      const previous = parent?.children[index - 1]
+      const next = parent?.children[index + 1]
+      const table =
+        (previous?.type === 'table' && !captioned.has(previous) && previous) ||
+        (next?.type === 'table' && next) ||
+        null
+      if (table) {
+        captioned.add(table)
+      }
+      const number = ++counters.table
+      captions.push({
+        kind: 'table',
+        number,
+        id: `table-${number}`,
+        caption: toString(node).slice(prefix[0].length).trim(),
+        node,
+        table,
+      })
+      return
+    }
+
+    const image = figureImage(node)
+    if (image && !outsideFigures.has(image)) {
+      const number = ++counters.figure
+      captions.push({
+        kind: 'figure',
+        number,
+        id: `figure-${number}`,
+        caption: image.alt.trim(),
+        node,
+      })
+    }
+  })
+
+  return captions
+}
+
+/**
+ * `Table 2: Caption`
+ *
+ * @param {import('../types/mdd').CaptionRecord} record
+ * @param {Record<string, string>} [words] label of each kind, defaulting to `CAPTION_KINDS`
+ */
+export function captionLabel(record, words = {}) {
+  return `${words[record.kind] ?? CAPTION_KINDS[record.kind].label} ${record.number}: ${record.caption}`
+}
+
+function addProperties(node, properties) {
+  node.data ??= {}
+  node.data.hProperties ??= {}
+  const { className, ...rest } = properties
+  Object.assign(node.data.hProperties, rest)
+  if (className) {
+    node.data.hProperties.className = [...(node.data.hProperties.className ?? []), ...className]
+  }
+}
+
+/**
+ * Number the captions of a tree. A table caption's `Table:` becomes
+ * `Table 2:` (keeping `Table:` as its source) and the paragraph gets the
+ * `table-caption` class; the table gets the id, or the caption when there is
+ * no table node. A figure paragraph renders as `<figure>` with the id and a
+ * generated `<figcaption>`, which is left out when the tree is serialized.
+ * `words` translates the `Table` and `Figure` labels (see `referenceLocale`).
+ *
+ * @param {import('mdast').Root} tree
+ * @param {Record<string, string>} [words]
+ * @returns {Array<import('../types/mdd').CaptionRecord>}
+ */
+export function annotateCaptions(tree, words = {}) {
+  const captions = findCaptions(tree)
+
+  for (const record of captions) {
+    if (record.kind === 'table') {
+      const [first, ...rest] = record.node.children
+      const [prefix] = first.value.match(TABLE_CAPTION)
+      const label = {
+        type: 'text',
+        value: `${words.table ?? CAPTION_KINDS.table.label} ${record.number}: `,
+        data: { mddSource: prefix },
+      }
+      const remainder = first.value.slice(prefix.length)
+      record.node.children = [
+        label,
+        ...(remainder ? [{ ...first, value: remainder, position: undefined }] : []),
+        ...rest,
+      ]
+      addProperties(record.node, { className: ['table-caption'] })
+      addProperties(record.table ?? record.node, { id: record.id })
+      continue
+    }
+
+    record.node.data = { ...record.node.data, hName: 'figure' }
+    addProperties(record.node, { id: record.id, className: ['figure'] })
+    const figcaption = createSpan([{ type: 'text', value: captionLabel(record, words) }], {})
+    figcaption.data.hName = 'figcaption'
+    figcaption.data.mddGenerated = true
+    record.node.children.push(figcaption)
+  }
+
+  return captions
+}
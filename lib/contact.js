@@ -0,0 +1,366 @@
+/**
+ * MDD Contact Blocks
+ * Parses `::letterhead` and `::contact-info` into an organization record
+ * (name, postal address, telephone, fax, email, website), shared by the
+ * document-structure plugin (which renders it as an h-card with schema.org
+ * `Organization` microdata) and the validator (which checks the values).
+ *
+ * Content is read line by line; ` | `, ` · ` and ` • ` split a line into
+ * several items. `Phone:`/`Tel:`, `Fax:`, `Email:` and `Web:`/`Website:`
+ * labels name an item, otherwise it is recognized by its shape (an address
+ * with `@`, a URL starting with `http` or `www.`, a run of digits). The first
+ * other line is the organization name and the lines after it its address; a
+ * `City, ST 12345`, `12345 City` or UK postcode line gives the locality, and a
+ * line after it the country.
+ */
+
+import { toString } from 'mdast-util-to-string'
+
+import { createSpan, joinLines, paragraphLines, wrapLineRanges } from './block-lines.js'
+
+/** Directives parsed as contact blocks. */
+export const CONTACT_DIRECTIVES = ['letterhead', 'contact-info']
+
+const ORGANIZATION_TYPE = 'https://schema.org/Organization'
+const POSTAL_ADDRESS_TYPE = 'https://schema.org/PostalAddress'
+
+/** h-card class and schema.org property of each field. */
+export const CONTACT_FIELD_MARKUP = {
+  organization: { className: ['p-name', 'p-org'], itemProp: 'name' },
+  streetAddress: { className: ['p-street-address'], itemProp: 'streetAddress' },
+  locality: { className: ['p-locality'], itemProp: 'addressLocality' },
+  region: { className: ['p-region'], itemProp: 'addressRegion' },
+  postalCode: { className: ['p-postal-code'], itemProp: 'postalCode' },
+  country: { className: ['p-country-name'], itemProp: 'addressCountry' },
+  telephone: { className: ['p-tel'], itemProp: 'telephone' },
+  faxNumber: { className: ['p-tel-fax'], itemProp: 'faxNumber' },
+  email: { className: ['u-email'], itemProp: 'email' },
+  url: { className: ['u-url'], itemProp: 'url' },
+}
+
+const ITEM_SEPARATOR = /\s+[|·•]\s+/gu
+const LABELED_ITEM =
+  /^(?<label>phone|tel|telephone|mobile|fax|e-?mail|web|website|url)\s*[:.]\s*(?<value>.*)$/iu
+const LABELS = {
+  phone: 'telephone',
+  tel: 'telephone',
+  telephone: 'telephone',
+  mobile: 'telephone',
+  fax: 'faxNumber',
+  email: 'email',
+  'e-mail': 'email',
+  web: 'url',
+  website: 'url',
+  url: 'url',
+}
+
+const EMAIL = /^[^\s@]+@[^\s@.]+(?:\.[^\s@.]+)*\.\p{L}{2,}$/u
+const PHONE = /^\+?[\d\s().\-/]+(?:\s*(?:ext\.?|x)\s*\d+)?$/iu
+const PHONE_LIKE = /^\+?[\d\s().\-/]{7,}$/u
+const URL_LIKE = /^(?:https?:\/\/|www\.)/iu
+
+const LOCALITY_LINES = [
+  // San Francisco, CA 94102
+  /^(?<locality>\p{L}[\p{L} .'-]*),\s*(?<region>\p{Lu}{2})\s+(?<postalCode>\d{5}(?:-\d{4})?)$/du,
+  // 10115 Berlin, D-10115 Berlin
+  /^(?<postalCode>(?:\p{Lu}{1,2}-)?\d{4,5})\s+(?<locality>\p{L}[\p{L} .'-]*)$/du,
+  // London EC1A 1BB
+  /^(?<locality>\p{L}[\p{L} .'-]*?),?\s+(?<postalCode>\p{Lu}{1,2}\d[\p{Lu}\d]?\s?\d\p{Lu}{2})$/du,
+]
+
+/** Whether `value` is a well-formed email address. */
+export function isValidEmail(value) {
+  return EMAIL.test(value)
+}
+
+/** Whether `value` is a phone number: digits and separators, 7 to 15 digits. */
+export function isValidPhone(value) {
+  const digits = value.replace(/\D/gu, '').length
+  return PHONE.test(value) && digits >= 7 && digits <= 15
+}
+
+/** Whether `value` is an absolute `http(s)` URL or a `www.` host. */
+export function isValidUrl(value) {
+  try {
+    const url = new URL(/^www\./iu.test(value) ? `https://${value}` : value)
+    return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.')
+  } catch {
+    return false
+  }
+}
+
+const VALIDATORS = {
+  telephone: isValidPhone,
+  faxNumber: isValidPhone,
+  email: isValidEmail,
+  url: isValidUrl,
+}
+
+/**
+ * Split a line into items at item separators.
+ *
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function lineItems(raw) {
+  const items = []
+  let start = 0
+  for (const match of [...raw.matchAll(ITEM_SEPARATOR), { index: raw.length, 0: '' }]) {
+    const text = raw.slice(start, match.index)
+    const leading = text.length - text.trimStart().length
+    if (text.trim()) {
+      items.push({ start: start + leading, end: start + text.trimEnd().length, text: text.trim() })
+    }
+    start = match.index + match[0].length
+  }
+  return items
+}
+
+/**
+ * Classify an item as a contact field: labeled, a `mailto:`/`tel:`/web link,
+ * or recognized by shape. Returns `null` for plain text.
+ */
+function contactField(item, link) {
+  const labeled = item.text.match(LABELED_ITEM)
+  if (labeled) {
+    const value = labeled.groups.value.trim()
+    return {
+      field: LABELS[labeled.groups.label.toLowerCase()],
+      value,
+      start: item.end - value.length,
+      end: item.end,
+    }
+  }
+
+  if (link) {
+    const [, scheme, rest] = link.url.match(/^(mailto|tel):(.*)$/iu) ?? []
+    const field = scheme ? (scheme.toLowerCase() === 'mailto' ? 'email' : 'telephone') : 'url'
+    return { field, value: rest ?? link.url, start: item.start, end: item.end }
+  }
+
+  const { text } = item
+  const field =
+    (text.includes('@') && !/\s/u.test(text) && 'email') ||
+    (URL_LIKE.test(text) && 'url') ||
+    (PHONE_LIKE.test(text) && /\d/u.test(text) && 'telephone') ||
+    null
+  return field && { field, value: text, start: item.start, end: item.end }
+}
+
+function localityParts(line) {
+  for (const pattern of LOCALITY_LINES) {
+    const match = pattern.exec(line.text)
+    if (match) {
+      const leading = line.raw.length - line.raw.trimStart().length
+      return Object.entries(match.indices.groups).map(([field, [start, end]]) => ({
+        field,
+        value: match.groups[field],
+        start: leading + start,
+        end: leading + end,
+      }))
+    }
+  }
+  return null
+}
+
+function createContact() {
+  return {
+    organization: null,
+    address: null,
+    telephone: [],
+    faxNumber: [],
+    email: [],
+    url: [],
+    invalid: [],
+  }
+}
+
+/**
+ * Read the fields of every line. Each line gets `parts` (field, value and
+ * offsets into `line.raw`) and, for address lines, `address: true`.
+ */
+function readContact(lines) {
+  const contact = createContact()
+  const addressLines = []
+
+  for (const line of lines) {
+    line.parts = []
+    const items = lineItems(line.raw)
+    const plain = []
+
+    for (const item of items) {
+      const part = contactField(item, singleLink(line, item))
+      if (!part) {
+        plain.push(item)
+        continue
+      }
+      line.parts.push(part)
+      contact[part.field].push(part.value)
+      if (!VALIDATORS[part.field](part.value)) {
+        contact.invalid.push({ field: part.field, value: part.value, line: line.line })
+      }
+    }
+
+    if (plain.length === 0) {
+      continue
+    }
+    if (contact.organization === null) {
+      contact.organization = plain.map((item) => item.text).join(' ')
+      line.parts.push(...plain.map((item) => ({ field: 'organization', ...item })))
+    } else {
+      addressLines.push({ line, items: plain })
+    }
+  }
+
+  if (addressLines.length > 0) {
+    contact.address = readAddress(addressLines)
+  }
+  return contact
+}
+
+/**
+ * Sort address lines into street, locality and country parts. Lines before
+ * the locality line are the street address, the line after it the country.
+ */
+function readAddress(addressLines) {
+  const address = {
+    streetAddress: null,
+    locality: null,
+    region: null,
+    postalCode: null,
+    country: null,
+  }
+  const street = []
+  let localityFound = false
+
+  for (const { line, items } of addressLines) {
+    line.address = line.parts.length === 0
+    const locality = localityFound ? null : localityParts(line)
+    if (locality && items.length === 1) {
+      localityFound = true
+      line.parts.push(...locality)
+      for (const part of locality) {
+        address[part.field] = part.value
+      }
+      continue
+    }
+    const field = localityFound && address.country === null ? 'country' : 'streetAddress'
+    for (const item of items) {
+      line.parts.push({ field, value: item.text, start: item.start, end: item.end })
+    }
+    const value = items.map((item) => item.text).join(', ')
+    if (field === 'country') {
+      address.country = value
+    } else {
+      street.push(value)
+    }
+  }
+
+  address.streetAddress = street.length > 0 ? street.join(', ') : null
+  return address
+}
+
+/** The link node an item consists of, when it is exactly one link. */
+function singleLink(line, item) {
+  let offset = 0
+  for (const node of line.nodes) {
+    const { length } = toString(node)
+    if (node.type === 'link' && offset === item.start && offset + length === item.end) {
+      return node
+    }
+    offset += length
+  }
+  return null
+}
+
+function blockParagraphLines(node) {
+  return (node.children ?? [])
+    .filter((child) => child.type === 'paragraph')
+    .map((paragraph) => ({ paragraph, lines: paragraphLines(paragraph) }))
+}
+
+/**
+ * Parse a `letterhead` or `contact-info` directive node without changing it.
+ * `invalid` lists the emails, phone and fax numbers and URLs that are
+ * malformed, with their source line.
+ *
+ * @param {import('../types/mdd').MDDDirective} node
+ * @returns {import('../types/mdd').ContactRecord}
+ */
+export function parseContactBlock(node) {
+  return readContact(blockParagraphLines(node).flatMap((entry) => entry.lines))
+}
+
+function fieldProperties(field) {
+  const { className, itemProp } = CONTACT_FIELD_MARKUP[field]
+  return { className: [...className], itemProp }
+}
+
+/**
+ * Parse a contact block, store the record in `node.data.contact` and mark it
+ * up: the container becomes an h-card and schema.org `Organization`, each
+ * field a `<span>` with its h-card class and `itemprop`, and each run of
+ * address lines a nested `h-adr` / `PostalAddress`. Text is not changed, so
+ * the block serializes back to the same source.
+ *
+ * @param {import('../types/mdd').MDDDirective} node
+ * @returns {import('../types/mdd').ContactRecord}
+ */
+export function annotateContactBlock(node) {
+  const paragraphs = blockParagraphLines(node)
+  const contact = readContact(paragraphs.flatMap((entry) => entry.lines))
+
+  for (const { paragraph, lines } of paragraphs) {
+    for (const line of lines) {
+      for (const part of line.parts) {
+        part.properties = fieldProperties(part.field)
+      }
+      line.nodes = wrapLineRanges(line, line.parts)
+    }
+    paragraph.children = joinAddressRuns(lines)
+  }
+
+  node.data ??= {}
+  node.data.contact = contact
+  node.data.hProperties ??= {}
+  const className = node.data.hProperties.className ?? []
+  node.data.hProperties.className = [...className, 'h-card']
+  node.data.hProperties.itemScope = true
+  node.data.hProperties.itemType = ORGANIZATION_TYPE
+  return contact
+}
+
+/** Join lines into paragraph children, wrapping runs of address lines. */
+function joinAddressRuns(lines) {
+  const children = []
+  let run = []
+
+  const flush = () => {
+    if (run.length === 0) {
+      return
+    }
+    const [first, ...rest] = run
+    if (first.separator) {
+      children.push(first.separator)
+    }
+    children.push(
+      createSpan(joinLines([{ nodes: first.nodes }, ...rest]), {
+        className: ['p-adr', 'h-adr'],
+        itemProp: 'address',
+        itemScope: true,
+        itemType: POSTAL_ADDRESS_TYPE,
+      }),
+    )
+    run = []
+  }
+
+  for (const line of lines) {
+    if (line.address) {
+      run.push(line)
+      continue
+    }
+    flush()
+    children.push(...joinLines([line]))
+  }
+  flush()
+  return children
+}
@@ -0,0 +1,430 @@
+/**
+ * MDD Defined Terms
+ * Terms a contract defines, shared by the text-formatting plugin (which marks
+ * definitions, links their uses and fills `::definitions` glossaries) and the
+ * validator (which reports unused, undefined and twice-defined terms). Both
+ * see the same uses: every one in the document, before or after the
+ * definition.
+ *
+ * A definition is a quoted, capitalized term either in parentheses after
+ * what it names (`Acme Corp. (the "Company")`, `(each a "Party")`) or
+ * followed by `means` (`"Effective Date" means ...`). The quotes may be
+ * straight or typographic, and the quoted term may be bold
+ * (`(the **"Company"**)`). A use is the exact term outside quotes.
+ */
+
+import { toString } from 'mdast-util-to-string'
+import { SKIP, visit } from 'unist-util-visit'
+
+import { headingSlug } from './references.js'
+
+const OPEN_QUOTE = '"“„«'
+const CLOSE_QUOTE = '"”“»'
+
+/** A quoted term: capitalized, at most six words, on one line. */
+const QUOTED_TERM = new RegExp(
+  `[${OPEN_QUOTE}](\\p{Lu}[^${OPEN_QUOTE}${CLOSE_QUOTE}()\\n]{0,60}?)[${CLOSE_QUOTE}]`,
+  'gu',
+)
+
+/** Verbs that turn the quoted term before them into a definition. */
+const MEANS =
+  /^\s+(?:means|shall mean|has the meaning|shall have the meaning|refers to|is defined as)\b/u
+
+/** Parentheses that hold nothing but quoted terms and a few words. */
+const PARENTHESES = /\(([^()\n]*)\)/gu
+
+/** Words allowed around the terms of a defining parenthesis (`hereinafter the`). */
+const MAX_LEAD_WORDS = 6
+
+/**
+ * Capitalized words after a determiner (`the Supplier`, `this Agreement`,
+ * `such Confidential Information`): how contracts use their terms.
+ */
+const DETERMINED_PHRASE =
+  /(?<![\p{L}\p{N}])(?:[Tt]he|[Tt]his|[Ss]uch|[Ee]ach|[Ee]ither|[Aa]ny|[Ss]aid)\s+(\p{Lu}[\p{L}\p{N}-]*(?:[ \t]+\p{Lu}[\p{L}\p{N}-]*)*)/gu
+
+function isDefiningParenthesis(content) {
+  const lead = content.replaceAll(QUOTED_TERM, '\u0000')
+  return (
+    lead !== content &&
+    lead
+      .split('\u0000')
+      .every((segment) => segment.split(/\s+/u).filter(Boolean).length <= MAX_LEAD_WORDS)
+  )
+}
+
+/** The terms defined in one text value, with their offsets. */
+function definitionsInText(value) {
+  const found = new Map()
+
+  for (const parenthesis of value.matchAll(PARENTHESES)) {
+    if (!isDefiningParenthesis(parenthesis[1])) {
+      continue
+    }
+    for (const quoted of parenthesis[1].matchAll(QUOTED_TERM)) {
+      const start = parenthesis.index + 1 + quoted.index
+      found.set(start, { term: quoted[1].trim(), start, end: start + quoted[0].length })
+    }
+  }
+  for (const quoted of value.matchAll(QUOTED_TERM)) {
+    if (MEANS.test(value.slice(quoted.index + quoted[0].length))) {
+      const start = quoted.index
+      found.set(start, { term: quoted[1].trim(), start, end: start + quoted[0].length })
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.start - b.start)
+}
+
+/** A bold or emphasized `"Term"` that the text around it makes a definition. */
+function emphasizedDefinition(children, index) {
+  const node = children[index]
+  if ((node.type !== 'strong' && node.type !== 'emphasis') || node.children.length !== 1) {
+    return null
+  }
+  const quoted = [...toString(node).matchAll(QUOTED_TERM)][0]
+  if (!quoted || quoted[0] !== toString(node)) {
+    return null
+  }
+  const before = children[index - 1]?.type === 'text' ? children[index - 1].value : ''
+  const after = children[index + 1]?.type === 'text' ? children[index + 1].value : ''
+  const opening = before.match(/\(([^()\n]*)$/u)
+  const closing = after.match(/^([^()\n]*)\)/u)
+  const parenthesized = opening && closing && isDefiningParenthesis(`${opening[1]}"X"${closing[1]}`)
+  return parenthesized || MEANS.test(after) ? quoted[1].trim() : null
+}
+
+/** Line of `offset` in a text node. */
+function lineAt(node, offset) {
+  const start = node.position?.start.line
+  return start === undefined
+    ? undefined
+    : start + (node.value.slice(0, offset).match(/\n/gu)?.length ?? 0)
+}
+
+/**
+ * Find the definitions of a tree without changing it, in document order.
+ * Each has its `term`, anchor `id` (`term-<slug>`), `line`, the text or
+ * emphasis `node` holding it with the `start`/`end` of the quoted term in a
+ * text node, and the enclosing block (`paragraph`). Headings define nothing.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {{ skipUntilLine?: number }} [options] `skipUntilLine` leaves the
+ *   frontmatter alone when it was parsed as Markdown
+ * @returns {Array<import('../types/mdd').DefinedTerm>}
+ */
+export function findDefinitions(tree, { skipUntilLine = 0 } = {}) {
+  const definitions = []
+
+  visit(tree, (node) => {
+    if (node.type === 'heading' || node.type === 'code' || isBefore(node, skipUntilLine)) {
+      return SKIP
+    }
+    if (node.type !== 'paragraph' && node.type !== 'tableCell') {
+      return undefined
+    }
+
+    node.children.forEach((child, index) => {
+      const add = (term, fields) =>
+        definitions.push({ term, id: `term-${headingSlug(term)}`, paragraph: node, ...fields })
+      if (child.type === 'text') {
+        for (const { term, start, end } of definitionsInText(child.value)) {
+          add(term, { node: child, start, end, line: lineAt(child, start) })
+        }
+        return
+      }
+      const term = emphasizedDefinition(node.children, index)
+      if (term) {
+        add(term, { node: child, line: child.position?.start.line })
+      }
+    })
+    return SKIP
+  })
+
+  return definitions
+}
+
+/**
+ * Build the pattern of uses of `terms`: the exact term, not inside a word and
+ * not quoted. Longer terms win over shorter ones they contain.
+ */
+function termPattern(terms) {
+  const alternatives = [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/gu, '\\$&'))
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}${OPEN_QUOTE}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}${CLOSE_QUOTE}])`,
+    'gu',
+  )
+}
+
+/** Whether a node ends on or before `line`, in a frontmatter parsed as Markdown. */
+function isBefore(node, line) {
+  return (node.position?.end.line ?? Infinity) <= line
+}
+
+/** Whether a node marks a definition (see `markDefinitions`) or should not be searched. */
+function isOpaque(node) {
+  return (
+    node.type === 'heading' ||
+    node.type === 'link' ||
+    node.type === 'code' ||
+    node.data?.mddGenerated === true ||
+    (node.type === 'mddDirective' && (node.name === 'definitions' || node.name === 'toc')) ||
+    node.data?.hProperties?.className?.includes?.('defined-term') === true
+  )
+}
+
+/**
+ * Call `callback(node, match, index, parent)` for every use of `terms` in a
+ * text node, outside headings, links, definitions and source tokens. The
+ * callback may replace the node and return the index to continue at. Nodes
+ * up to `skipUntilLine` are left out.
+ */
+function visitTermUses(tree, terms, callback, skipUntilLine = 0) {
+  if (terms.length === 0) {
+    return
+  }
+  const pattern = termPattern(terms)
+  visit(tree, (node, index, parent) => {
+    if (isOpaque(node) || isBefore(node, skipUntilLine)) {
+      return SKIP
+    }
+    if (node.type !== 'text' || node.data?.mddSource || !parent) {
+      return undefined
+    }
+    const matches = [...node.value.matchAll(pattern)]
+    return matches.length > 0 ? callback(node, matches, index, parent) : undefined
+  })
+}
+
+/**
+ * Count the uses of each defined term (definitions themselves excluded),
+ * wherever they are: the uses `linkDefinedTerms` links.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {Array<{ term: string }>} definitions from `findDefinitions`
+ * @returns {Map<string, number>}
+ */
+export function countTermUses(tree, definitions) {
+  const counts = new Map(definitions.map((definition) => [definition.term, 0]))
+  visitTermUses(tree, [...counts.keys()], (_, matches) => {
+    for (const match of matches) {
+      counts.set(match[0], counts.get(match[0]) + 1)
+    }
+  })
+  return counts
+}
+
+/**
+ * Find capitalized phrases used like terms (`the Supplier`) that match no
+ * definition, each once with the line of its first use. Headings are left
+ * out: their words are capitalized anyway.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {Array<{ term: string }>} definitions from `findDefinitions`
+ * @returns {Array<{ phrase: string, line: number | undefined }>}
+ */
+export function findUndefinedTerms(tree, definitions) {
+  const terms = new Set(definitions.map((definition) => definition.term))
+  const undefinedTerms = new Map()
+
+  visit(tree, (node) => {
+    if (isOpaque(node)) {
+      return SKIP
+    }
+    if (node.type !== 'text') {
+      return undefined
+    }
+    for (const match of node.value.matchAll(DETERMINED_PHRASE)) {
+      const phrase = match[1].replace(/['’]s$/u, '')
+      if (!terms.has(phrase) && !undefinedTerms.has(phrase)) {
+        undefinedTerms.set(phrase, { phrase, line: lineAt(node, match.index) })
+      }
+    }
+    return undefined
+  })
+
+  return [...undefinedTerms.values()]
+}
+
+/**
+ * Mark the definitions of a tree: a quoted term in text becomes a
+ * `<dfn class="defined-term">` span around it (keeping its quotes, so they
+ * are typeset with the text), a bold one gets the class. The first
+ * definition of each term carries its anchor id.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {{ skipUntilLine?: number }} [options] see `findDefinitions`
+ * @returns {Array<import('../types/mdd').DefinedTerm>} the definitions found
+ */
+export function markDefinitions(tree, options = {}) {
+  const definitions = findDefinitions(tree, options)
+  const anchored = new Set()
+  const byNode = new Map()
+
+  for (const definition of definitions) {
+    const properties = { className: ['defined-term'] }
+    if (!anchored.has(definition.term)) {
+      anchored.add(definition.term)
+      properties.id = definition.id
+    }
+    if (definition.node.type !== 'text') {
+      definition.node.data = {
+        ...definition.node.data,
+        hProperties: { ...definition.node.data?.hProperties, ...properties },
+      }
+      continue
+    }
+    const entries = byNode.get(definition.node) ?? []
+    entries.push({ ...definition, properties })
+    byNode.set(definition.node, entries)
+  }
+
+  for (const [node, entries] of byNode) {
+    const { paragraph } = entries[0]
+    const pieces = []
+    let cursor = 0
+    for (const { start, end, properties } of entries) {
+      if (start > cursor) {
+        pieces.push({ type: 'text', value: node.value.slice(cursor, start) })
+      }
+      const source = node.value.slice(start, end)
+      pieces.push({
+        type: 'mddSpan',
+        children: [{ type: 'text', value: source }],
+        data: { hName: 'dfn', hProperties: properties, mddSource: source },
+      })
+      cursor = end
+    }
+    if (cursor < node.value.length) {
+      pieces.push({ type: 'text', value: node.value.slice(cursor) })
+    }
+    paragraph.children.splice(paragraph.children.indexOf(node), 1, ...pieces)
+  }
+
+  return definitions
+}
+
+/**
+ * Link every use of a defined term to its definition, including uses before
+ * it. The links keep the term as their source, so the tree stringifies back
+ * to plain text.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {Array<{ term: string, id: string }>} definitions from `markDefinitions`
+ * @param {{ skipUntilLine?: number }} [options] see `findDefinitions`
+ */
+export function linkDefinedTerms(tree, definitions, { skipUntilLine = 0 } = {}) {
+  const anchors = new Map()
+  for (const { term, id } of definitions) {
+    if (!anchors.has(term)) {
+      anchors.set(term, id)
+    }
+  }
+
+  visitTermUses(
+    tree,
+    [...anchors.keys()],
+    (node, matches, index, parent) => {
+      const pieces = []
+      let cursor = 0
+      for (const match of matches) {
+        if (match.index > cursor) {
+          pieces.push({ type: 'text', value: node.value.slice(cursor, match.index) })
+        }
+        pieces.push({
+          type: 'link',
+          url: `#${anchors.get(match[0])}`,
+          title: null,
+          children: [{ type: 'text', value: match[0] }],
+          data: { mddSource: match[0], hProperties: { className: ['term'] } },
+        })
+        cursor = match.index + match[0].length
+      }
+      if (cursor < node.value.length) {
+        pieces.push({ type: 'text', value: node.value.slice(cursor) })
+      }
+      parent.children.splice(index, 1, ...pieces)
+      return [SKIP, index + pieces.length]
+    },
+    skipUntilLine,
+  )
+}
+
+/** Where the party or thing a parenthesis names starts, after `between` or an earlier parenthesis. */
+const CLAUSE_START =
+  /(?:^|[;:]|\)[,\s]*(?:(?:and|or)\s+)?|\bbetween\s+)(?!.*(?:[;:)]|\bbetween\s))/su
+
+/**
+ * The clause of a paragraph that defines `term`: what a defining parenthesis
+ * follows, with the parenthesis (`Acme Corp. (the "Company")`), or the
+ * sentence from the quoted term (`"Effective Date" means ...`).
+ */
+function definingClause(definition) {
+  const text = toString(definition.paragraph).replace(/\s+/gu, ' ').trim()
+  const quoted = new RegExp(
+    `[${OPEN_QUOTE}‘]${definition.term.replace(/[.*+?^${}()|[\]\\]/gu, '\\$&')}[${CLOSE_QUOTE}’]`,
+    'u',
+  )
+  const sentences = text.split(new RegExp(`(?<=[.;!?])\\s+(?=[\\p{Lu}${OPEN_QUOTE}])`, 'u'))
+  const sentence = sentences.find((candidate) => quoted.test(candidate))
+  if (!sentence) {
+    return text
+  }
+  const { index } = sentence.match(quoted)
+  const open = sentence.lastIndexOf('(', index)
+  if (open === -1 || open < sentence.lastIndexOf(')', index)) {
+    return sentence.slice(index)
+  }
+  const close = sentence.indexOf(')', index)
+  const lead = sentence.slice(0, open)
+  const start = lead.match(CLAUSE_START)
+  return sentence.slice(start.index + start[0].length, close === -1 ? undefined : close + 1).trim()
+}
+
+/**
+ * Fill every `::definitions` directive with a glossary: each defined term,
+ * alphabetically, linked to its definition and followed by the clause that
+ * defines it. The entries are generated, so the directive stringifies back to
+ * `::definitions ::`.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {Array<import('../types/mdd').DefinedTerm>} definitions from `markDefinitions`
+ */
+export function renderGlossaries(tree, definitions) {
+  const first = new Map()
+  for (const definition of definitions) {
+    if (!first.has(definition.term)) {
+      first.set(definition.term, definition)
+    }
+  }
+  const entries = [...first.values()].sort((a, b) => a.term.localeCompare(b.term))
+
+  visit(tree, 'mddDirective', (node) => {
+    if (node.name !== 'definitions') {
+      return undefined
+    }
+    node.children = entries.flatMap((definition) => [
+      {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'link',
+            url: `#${definition.id}`,
+            title: null,
+            children: [{ type: 'text', value: definition.term }],
+          },
+        ],
+        data: { hName: 'dt', mddGenerated: true },
+      },
+      {
+        type: 'paragraph',
+        children: [{ type: 'text', value: definingClause(definition) }],
+        data: { hName: 'dd', mddGenerated: true },
+      },
+    ])
+    return SKIP
+  })
+}
@@ -0,0 +1,89 @@
+/**
+ * MDD Detection
+ * Decides whether a file is an MDD document, so the plugins can run on
+ * in-memory files, `.mdd.md` files and database content, not only on paths
+ * ending in `.mdd`.
+ */
+
+import { readFrontmatter } from './frontmatter.js'
+
+export const DETECTION_MODES = ['auto', 'always', 'never']
+
+/** File extensions treated as MDD in `auto` mode. */
+export const DEFAULT_MDD_EXTENSIONS = ['.mdd', '.mdd.md']
+
+/**
+ * Lowercase a list of file extensions and give each a leading dot.
+ *
+ * @param {string[]} extensions
+ * @param {string} option option name, for the error message
+ * @returns {string[]}
+ * @throws {TypeError} when the list is malformed
+ */
+export function normalizeExtensions(extensions, option) {
+  if (!Array.isArray(extensions) || extensions.some((ext) => typeof ext !== 'string' || !ext)) {
+    throw new TypeError(`${option} must be an array of file extensions such as ".mdd"`)
+  }
+  return extensions.map((ext) => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase())
+}
+
+/**
+ * Whether `path` ends in one of `extensions` (case-insensitive).
+ *
+ * @param {string | undefined} path
+ * @param {string[]} extensions normalized extensions
+ */
+export function hasExtension(path, extensions) {
+  const lowerPath = path?.toLowerCase()
+  return Boolean(lowerPath) && extensions.some((ext) => lowerPath.endsWith(ext))
+}
+
+/**
+ * Decide from frontmatter alone: `mdd: false` opts a document out, any other
+ * `mdd:` value or a `document-type` key opts it in, otherwise undecided.
+ *
+ * @returns {boolean | null}
+ */
+export function detectFromFrontmatter(frontmatter) {
+  if (!frontmatter) {
+    return null
+  }
+  if (Object.hasOwn(frontmatter, 'mdd')) {
+    return frontmatter.mdd !== false
+  }
+  return Object.hasOwn(frontmatter, 'document-type') ? true : null
+}
+
+/**
+ * Build the MDD detector shared by the plugins.
+ *
+ * - `mode: 'always'` / `'never'` forces the answer.
+ * - `mode: 'auto'` (default) is true when the file path ends in one of
+ *   `extensions` (default {@link DEFAULT_MDD_EXTENSIONS}) or the frontmatter
+ *   has an `mdd:` or `document-type` key; `mdd: false` in the frontmatter wins
+ *   over the extension.
+ *
+ * @param {import('../types/mdd').MDDDetectionOptions} [options]
+ * @returns {(tree: object | undefined, file: import('vfile').VFile) => boolean}
+ * @throws {TypeError} for an unknown mode or malformed extension list
+ */
+export function createMddDetector(options = {}) {
+  const mode = options.mode ?? 'auto'
+  if (!DETECTION_MODES.includes(mode)) {
+    throw new TypeError(
+      `Invalid MDD detection mode ${JSON.stringify(mode)}: use one of ${DETECTION_MODES.join(', ')}`,
+    )
+  }
+  const extensions = normalizeExtensions(
+    options.extensions ?? DEFAULT_MDD_EXTENSIONS,
+    'MDD extensions',
+  )
+
+  return function isMdd(tree, file) {
+    if (mode !== 'auto') {
+      return mode === 'always'
+    }
+    const fromFrontmatter = detectFromFrontmatter(readFrontmatter(tree, file))
+    return fromFrontmatter ?? hasExtension(file?.path, extensions)
+  }
+}
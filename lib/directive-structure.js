@@ -0,0 +1,525 @@
+/**
+ * MDD Directive Structure
+ * Recognizes directive markers in an mdast tree and groups the blocks between
+ * them into semantic containers. The document-structure plugin keeps the
+ * transformed tree; the validator runs the same scan and keeps the report, so
+ * both always agree on what is a directive.
+ */
+
+import { attributesToProperties, attributesToRecord, parseAttributeBlock } from './attributes.js'
+import { DIRECTIVE_OPENER, SECTION_BREAK_OPENER } from './directives.js'
+
+/**
+ * Block containers whose children are scanned for directives.
+ *
+ * - A directive opens and closes inside one container: the `::` end marker
+ *   must be a sibling of the opener (in the same blockquote, list item, MDX
+ *   element or footnote definition).
+ * - A directive inside a container that is itself inside a directive is nested
+ *   in that directive and follows the registry's `allowedChildren` rules; when
+ *   it is not allowed there it stays literal and is reported.
+ * - Markers are whole lines. A paragraph is split around the marker lines it
+ *   contains, so `::letterhead`, its content and `::` may share one paragraph.
+ */
+export const BLOCK_CONTAINER_TYPES = new Set([
+  'root',
+  'blockquote',
+  'list',
+  'listItem',
+  'footnoteDefinition',
+  'mdxJsxFlowElement',
+])
+
+/** Directive-shaped lines, registered or not: `::name`, `::: name`, with attributes. */
+const DIRECTIVE_SHAPED_LINE =
+  /^(?:::([a-z][a-z0-9-]*)\s*(?:\{[^{}]*\})?(?:\s*::)?|:::\s*([a-z][a-z0-9-]*)\s*(?:\{[^{}]*\})?(?:\s*:::)?)$/u
+
+/**
+ * Classify one trimmed line of paragraph text.
+ *
+ * @returns {{ kind: 'opener', definition: object, attributes: object, inline: boolean }
+ *   | { kind: 'end', marker: string }
+ *   | { kind: 'unknown', name: string }
+ *   | null}
+ */
+function classifyLine(line, registry) {
+  if (line === '::' || line === ':::') {
+    return { kind: 'end', marker: line }
+  }
+
+  const sectionBreak = line.match(SECTION_BREAK_OPENER)
+  if (sectionBreak && registry.has('section-break')) {
+    return {
+      kind: 'opener',
+      definition: registry.get('section-break'),
+      attributes: parseAttributeBlock(sectionBreak[1] ?? ''),
+      inline: Boolean(sectionBreak[2]),
+    }
+  }
+
+  const opener = line.match(DIRECTIVE_OPENER)
+  const definition = opener && opener[1] !== 'section-break' ? registry.get(opener[1]) : null
+  if (definition) {
+    return {
+      kind: 'opener',
+      definition,
+      attributes: parseAttributeBlock(opener[2] ?? ''),
+      inline: Boolean(opener[3]),
+    }
+  }
+
+  const shaped = line.match(DIRECTIVE_SHAPED_LINE)
+  return shaped ? { kind: 'unknown', name: shaped[1] ?? shaped[2] } : null
+}
+
+/**
+ * Approximate position of line `lineIndex` of a text node. Continuation lines
+ * are assumed to start at the paragraph's column, which holds for every block
+ * container except lazy blockquote continuations.
+ */
+function linePosition(text, paragraph, lineIndex, value) {
+  const start = text.position?.start
+  if (!start) {
+    return undefined
+  }
+  const column = lineIndex === 0 ? start.column : (paragraph.position?.start.column ?? 1)
+  return {
+    start: { line: start.line + lineIndex, column },
+    end: { line: start.line + lineIndex, column: column + value.length },
+  }
+}
+
+function paragraphFrom(children) {
+  const first = children[0]?.position
+  const last = children.at(-1)?.position
+  const paragraph = { type: 'paragraph', children }
+  if (first && last) {
+    paragraph.position = { start: first.start, end: last.end }
+  }
+  return paragraph
+}
+
+function textPiece(text, paragraph, lines, firstIndex) {
+  const value = lines.join('\n')
+  const piece = { type: 'text', value }
+  const start = linePosition(text, paragraph, firstIndex, '')
+  const end = linePosition(text, paragraph, firstIndex + lines.length - 1, lines.at(-1))
+  if (start && end) {
+    piece.position = { start: start.start, end: end.end }
+  }
+  return piece
+}
+
+/**
+ * The MDD syntax reads a `{...}` ending a paragraph as its class annotation
+ * (an `mddAttributes` node), but ending a marker line (`::letterhead{#main}`)
+ * it is the opener's attribute block: put it back into the line's text.
+ */
+function foldMarkerAttributes(children, registry) {
+  const [text, attributes] = children.slice(-2)
+  if (attributes?.type !== 'mddAttributes' || text?.type !== 'text') {
+    return children
+  }
+  const lineStart = text.value.lastIndexOf('\n') + 1
+  const wholeLine = lineStart > 0 || children.length === 2 || children.at(-3).type === 'break'
+  if (
+    !wholeLine ||
+    !classifyLine((text.value.slice(lineStart) + attributes.value).trim(), registry)
+  ) {
+    return children
+  }
+  const folded = { type: 'text', value: text.value + attributes.value }
+  if (text.position && attributes.position) {
+    folded.position = { start: text.position.start, end: attributes.position.end }
+  }
+  return [...children.slice(0, -2), folded]
+}
+
+/**
+ * Split a paragraph around its directive marker lines. Returns the paragraph
+ * itself when it has none; otherwise one paragraph per marker line and per run
+ * of content between markers.
+ */
+function splitParagraph(paragraph, context) {
+  const pieces = []
+  let inline = []
+  let atLineStart = true
+  let hasMarker = false
+
+  const flush = () => {
+    const content = inline.filter((node) => node.type !== 'text' || node.value !== '')
+    if (content.length > 0) {
+      pieces.push(paragraphFrom(content))
+    }
+    inline = []
+  }
+
+  const children = foldMarkerAttributes(paragraph.children, context.registry)
+  for (const [childIndex, child] of children.entries()) {
+    if (child.type !== 'text') {
+      // A hard break right after a marker line belongs to the marker.
+      if (child.type !== 'break' || inline.length > 0 || !hasMarker) {
+        inline.push(child)
+      }
+      atLineStart = child.type === 'break'
+      continue
+    }
+
+    const next = children[childIndex + 1]
+    const lineEndsAfter = next === undefined || next.type === 'break'
+    const lines = child.value.split('\n')
+    let pending = []
+    let pendingStart = 0
+
+    for (const [lineIndex, line] of lines.entries()) {
+      const whole =
+        (lineIndex > 0 || atLineStart) && (lineIndex < lines.length - 1 || lineEndsAfter)
+      const marker = whole ? classifyLine(line.trim(), context.registry) : null
+      if (marker?.kind === 'unknown') {
+        context.report.unknownDirectives.push({
+          name: marker.name,
+          position: linePosition(child, paragraph, lineIndex, line),
+        })
+      }
+      if (marker?.kind !== 'opener' && marker?.kind !== 'end') {
+        if (pending.length === 0) {
+          pendingStart = lineIndex
+        }
+        pending.push(line)
+        continue
+      }
+
+      if (pending.length > 0) {
+        inline.push(textPiece(child, paragraph, pending, pendingStart))
+        pending = []
+      }
+      flush()
+      const value = line.trim()
+      const markerNode = {
+        type: 'paragraph',
+        children: [{ type: 'text', value }],
+        position: linePosition(child, paragraph, lineIndex, value),
+      }
+      context.markers.set(markerNode, marker)
+      pieces.push(markerNode)
+      hasMarker = true
+    }
+
+    if (pending.length > 0) {
+      inline.push(textPiece(child, paragraph, pending, pendingStart))
+    }
+    atLineStart = lines.length > 1 && lines.at(-1) === ''
+  }
+  flush()
+
+  if (!hasMarker) {
+    return [paragraph]
+  }
+  for (const [index, piece] of pieces.entries()) {
+    context.pieces.set(piece, { origin: paragraph, index, total: pieces.length })
+  }
+  return pieces
+}
+
+/**
+ * Join a run of consecutive, unconsumed pieces of one paragraph back together;
+ * a complete run restores the original paragraph node.
+ */
+function joinPieces(run, context) {
+  const { origin, total } = context.pieces.get(run[0])
+  if (run.length === total) {
+    return origin
+  }
+  if (run.length === 1) {
+    return run[0]
+  }
+
+  const children = []
+  for (const [index, piece] of run.entries()) {
+    if (index > 0) {
+      children.push({ type: 'text', value: '\n' })
+    }
+    for (const child of piece.children) {
+      const previous = children.at(-1)
+      if (child.type === 'text' && previous?.type === 'text') {
+        children[children.length - 1] = { ...previous, value: previous.value + child.value }
+      } else {
+        children.push(child)
+      }
+    }
+  }
+  return paragraphFrom(children)
+}
+
+function restoreParagraphs(nodes, context) {
+  const result = []
+  let index = 0
+  while (index < nodes.length) {
+    const piece = context.pieces.get(nodes[index])
+    if (!piece) {
+      result.push(nodes[index])
+      index++
+      continue
+    }
+
+    let end = index + 1
+    while (end < nodes.length) {
+      const next = context.pieces.get(nodes[end])
+      if (
+        next?.origin !== piece.origin ||
+        next.index !== context.pieces.get(nodes[end - 1]).index + 1
+      ) {
+        break
+      }
+      end++
+    }
+    result.push(joinPieces(nodes.slice(index, end), context))
+    index = end
+  }
+  return result
+}
+
+/**
+ * hast properties of a directive container: its class and marker attribute,
+ * plus whatever the opener's attribute block adds (`#id`, `.class`, `data-*`).
+ */
+function directiveProperties(opener) {
+  const { className } = opener.definition
+  return {
+    ...attributesToProperties(opener.attributes, [className]),
+    'data-mdd-directive': className,
+  }
+}
+
+/** Elements of the directives that do not render as a `<div>`. */
+const DIRECTIVE_ELEMENTS = {
+  'section-break': 'hr',
+  toc: 'nav',
+  definitions: 'dl',
+  endnotes: 'section',
+}
+
+/**
+ * Build an `mddDirective` node. `data.hName`/`data.hProperties` let
+ * `mdast-util-to-hast` render it even without the MDD handlers: a `<div>`, an
+ * `<hr>` for section breaks, a `<nav>` for tables of contents, a `<dl>` for
+ * glossaries or a `<section>` for endnotes.
+ */
+function directiveNode(opener, children = []) {
+  const { name } = opener.definition
+  return {
+    type: 'mddDirective',
+    name,
+    attributes: attributesToRecord(opener.attributes),
+    children,
+    data: {
+      hName: DIRECTIVE_ELEMENTS[name] ?? 'div',
+      hProperties: directiveProperties(opener),
+    },
+  }
+}
+
+function createReport() {
+  return { directives: [], orphanedEndMarkers: [], nestingViolations: [], unknownDirectives: [] }
+}
+
+function mergeReport(target, source) {
+  for (const [key, entries] of Object.entries(source)) {
+    target[key].push(...entries)
+  }
+}
+
+function occurrence(opener, markerNode, node, closed) {
+  return {
+    name: opener.definition.name,
+    attributes: opener.attributes,
+    position: markerNode.position,
+    closed,
+    node,
+  }
+}
+
+/**
+ * Record a directive whose end marker was not found. `blockedBy` is the opener
+ * that ended the search because the registry does not allow it inside.
+ */
+function recordUnclosed(report, opener, markerNode, blockedBy) {
+  report.directives.push(occurrence(opener, markerNode, null, false))
+  if (blockedBy) {
+    report.nestingViolations.push({
+      inner: blockedBy.name,
+      outer: opener.definition.name,
+      position: blockedBy.position,
+    })
+  }
+}
+
+/**
+ * Consume a self-closing directive at `index`, together with a `::` (or `:::`
+ * for section breaks) terminator in the following block unless it is inline.
+ */
+function collectSelfClosing(input, index, opener, context) {
+  const terminator = opener.definition.name === 'section-break' ? ':::' : '::'
+  const next = context.markers.get(input[index + 1])
+  const terminated = !opener.inline && next?.kind === 'end' && next.marker === terminator
+  const node = directiveNode(opener)
+  const report = createReport()
+  report.directives.push(occurrence(opener, input[index], node, opener.inline || terminated))
+  return { node, end: terminated ? index + 1 : index, report }
+}
+
+/**
+ * Collect the container directive opened at `index`.
+ *
+ * The first `::` closes the innermost open directive, so nesting behaves like
+ * a stack. A directive opened inside one the registry does not allow it in
+ * leaves the outer directive unclosed.
+ *
+ * @returns {{ node: object | null, end: number, report?: object, blockedBy?: object }}
+ *   the container (null when unclosed), the index of the last consumed block,
+ *   what was found inside it, and the opener that blocked it
+ */
+function collectDirective(input, index, opener, context) {
+  const report = createReport()
+  if (opener.inline) {
+    const node = directiveNode(opener)
+    report.directives.push(occurrence(opener, input[index], node, true))
+    return { node, end: index, report }
+  }
+
+  const { registry } = context
+  const children = []
+  for (let cursor = index + 1; cursor < input.length; cursor++) {
+    const contentNode = input[cursor]
+    const marker = context.markers.get(contentNode)
+
+    if (marker?.kind === 'opener') {
+      const inner = marker.definition.name
+      if (!registry.canContain(opener.definition.name, inner)) {
+        return {
+          node: null,
+          end: index,
+          blockedBy: { name: inner, position: contentNode.position },
+        }
+      }
+      const collected = collectNode(input, cursor, marker, context)
+      if (collected.node) {
+        children.push(collected.node)
+        mergeReport(report, collected.report)
+        cursor = collected.end
+      } else {
+        recordUnclosed(report, marker, contentNode, collected.blockedBy)
+        children.push(contentNode)
+      }
+      continue
+    }
+
+    if (marker?.kind === 'end' && marker.marker === '::') {
+      const node = directiveNode(opener, restoreParagraphs(children, context))
+      context.directiveNodes.set(node, opener.definition.name)
+      report.directives.unshift(occurrence(opener, input[index], node, true))
+      return { node, end: cursor, report }
+    }
+    if (marker?.kind === 'end') {
+      report.orphanedEndMarkers.push({ marker: marker.marker, position: contentNode.position })
+    }
+    children.push(contentNode)
+  }
+
+  return { node: null, end: index }
+}
+
+function collectNode(input, index, opener, context) {
+  if (opener.definition.selfClosing) {
+    return collectSelfClosing(input, index, opener, context)
+  }
+  return collectDirective(input, index, opener, context)
+}
+
+/**
+ * Scan the children of one block container, then the containers below it.
+ * `enclosing` is the name of the directive the container sits in, if any.
+ */
+function scanContainer(parent, enclosing, context) {
+  if (!Array.isArray(parent.children)) {
+    return
+  }
+
+  const input = parent.children.flatMap((node) =>
+    node.type === 'paragraph' ? splitParagraph(node, context) : [node],
+  )
+  const output = []
+
+  for (let index = 0; index < input.length; index++) {
+    const node = input[index]
+    const marker = context.markers.get(node)
+    if (marker?.kind === 'end') {
+      context.report.orphanedEndMarkers.push({ marker: marker.marker, position: node.position })
+    }
+    if (marker?.kind !== 'opener') {
+      output.push(node)
+      continue
+    }
+
+    const collected = collectNode(input, index, marker, context)
+    if (!collected.node) {
+      // Reported as unclosed. Keep the original source AST visible rather than
+      // consuming the remainder of the container.
+      recordUnclosed(context.report, marker, node, collected.blockedBy)
+      output.push(node)
+      continue
+    }
+
+    if (enclosing && !context.registry.canContain(enclosing, marker.definition.name)) {
+      context.report.nestingViolations.push({
+        inner: marker.definition.name,
+        outer: enclosing,
+        position: node.position,
+      })
+      output.push(...input.slice(index, collected.end + 1))
+    } else {
+      mergeReport(context.report, collected.report)
+      output.push(collected.node)
+    }
+    index = collected.end
+  }
+
+  parent.children = restoreParagraphs(output, context)
+  descend(parent.children, enclosing, context)
+}
+
+function descend(nodes, enclosing, context) {
+  for (const node of nodes) {
+    const name = context.directiveNodes.get(node)
+    if (name) {
+      descend(node.children, name, context)
+    } else if (BLOCK_CONTAINER_TYPES.has(node.type)) {
+      scanContainer(node, enclosing, context)
+    }
+  }
+}
+
+/**
+ * Turn the directives in `tree` into semantic container nodes, in place.
+ *
+ * @param {object} tree mdast root (or any block container)
+ * @param {import('./directives.js').DirectiveRegistry} registry
+ * @returns {{
+ *   directives: Array<{ name: string, attributes: object, position?: object, closed: boolean, node: object | null }>,
+ *   orphanedEndMarkers: Array<{ marker: string, position?: object }>,
+ *   nestingViolations: Array<{ inner: string, outer: string, position?: object }>,
+ *   unknownDirectives: Array<{ name: string, position?: object }>,
+ * }} every directive found (`closed` is false when its end marker is missing,
+ *   or for a self-closing directive written without one) and the problems met
+ */
+export function transformDirectiveStructure(tree, registry) {
+  const context = {
+    registry,
+    markers: new WeakMap(),
+    pieces: new WeakMap(),
+    directiveNodes: new WeakMap(),
+    report: createReport(),
+  }
+  scanContainer(tree, null, context)
+  return context.report
+}
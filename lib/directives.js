@@ -0,0 +1,193 @@
+/**
+ * MDD Directive Registry
+ * Single source of truth for the directives understood by the document-structure
+ * plugin and the validator, including user-registered (custom) directives.
+ */
+
+/** Directive names are lowercase kebab-case, as in `::signature-block`. */
+const DIRECTIVE_NAME = /^[a-z][a-z0-9-]*$/u
+
+/**
+ * Match a directive opener line: `::name`, optionally followed by an attribute
+ * block and, for the inline form, the `::` terminator.
+ * Groups: name, attribute block (with braces), inline terminator.
+ */
+export const DIRECTIVE_OPENER = /^::([a-z][a-z0-9-]*)[ \t]*(\{[^{}\n]*\})?[ \t]*(::)?$/u
+
+/**
+ * Match the section-break opener (`::: section-break`, optionally with an
+ * attribute block and the inline `:::` terminator).
+ * Groups: attribute block (with braces), inline terminator.
+ */
+export const SECTION_BREAK_OPENER = /^:::[ \t]*section-break[ \t]*(\{[^{}\n]*\})?[ \t]*(:::)?$/u
+
+const ALIGN = { type: 'string', enum: ['left', 'center', 'right'] }
+const VARIANT = { type: 'string', pattern: '^[a-z][a-z0-9-]*$' }
+
+/**
+ * Built-in MDD directives.
+ *
+ * `className` is the CSS class of the rendered semantic container; it differs
+ * from the directive name for historical reasons on two entries
+ * (`signature-block` → `signature`, `contact-info` → `contactinfo`).
+ *
+ * `attributes` maps each accepted `key=value` attribute to a JSON Schema for
+ * its (string) value. `#id` and `.class` are accepted on every directive.
+ */
+export const BUILTIN_DIRECTIVES = [
+  {
+    name: 'letterhead',
+    className: 'letterhead',
+    attributes: { align: ALIGN, logo: { type: 'string', minLength: 1 }, variant: VARIANT },
+  },
+  { name: 'header', className: 'header', attributes: { align: ALIGN, variant: VARIANT } },
+  { name: 'footer', className: 'footer', attributes: { align: ALIGN, variant: VARIANT } },
+  { name: 'contact-info', className: 'contactinfo', attributes: { variant: VARIANT } },
+  { name: 'signature-block', className: 'signature', attributes: { variant: VARIANT } },
+  {
+    name: 'page-break',
+    className: 'page-break',
+    selfClosing: true,
+    attributes: { variant: VARIANT },
+  },
+  { name: 'section-break', className: 'section-break', selfClosing: true, attributes: {} },
+  { name: 'definitions', className: 'definitions', selfClosing: true, attributes: {} },
+  { name: 'endnotes', className: 'endnotes', selfClosing: true, attributes: {} },
+  {
+    name: 'toc',
+    className: 'toc',
+    selfClosing: true,
+    attributes: {
+      depth: { type: 'string', pattern: '^[1-6]$' },
+      title: { type: 'string', minLength: 1 },
+    },
+  },
+]
+
+/**
+ * Normalize and check one directive definition.
+ *
+ * @param {string} name
+ * @param {object} definition
+ * @returns {{ name: string, className: string, selfClosing: boolean, allowedChildren: string[], maxOccurrences: number | null, attributes: Record<string, object> | null }}
+ * @throws {TypeError} when the definition is malformed
+ */
+function normalizeDefinition(name, definition) {
+  if (typeof name !== 'string' || !DIRECTIVE_NAME.test(name)) {
+    throw new TypeError(
+      `Invalid directive name ${JSON.stringify(name)}: use lowercase kebab-case, e.g. "cover-page"`,
+    )
+  }
+
+  const className = definition.className ?? name
+  if (typeof className !== 'string' || className.trim() === '') {
+    throw new TypeError(`Directive ::${name} must have a non-empty string className`)
+  }
+
+  const allowedChildren = definition.allowedChildren ?? []
+  if (!Array.isArray(allowedChildren) || allowedChildren.some((c) => typeof c !== 'string')) {
+    throw new TypeError(`Directive ::${name} allowedChildren must be an array of directive names`)
+  }
+
+  const maxOccurrences = definition.maxOccurrences ?? null
+  if (maxOccurrences !== null && (!Number.isInteger(maxOccurrences) || maxOccurrences < 1)) {
+    throw new TypeError(`Directive ::${name} maxOccurrences must be a positive integer`)
+  }
+
+  // `null` means the directive accepts any attribute without checking it.
+  const attributes = definition.attributes ?? null
+  if (attributes !== null && (typeof attributes !== 'object' || Array.isArray(attributes))) {
+    throw new TypeError(
+      `Directive ::${name} attributes must map attribute names to JSON Schemas for their values`,
+    )
+  }
+
+  return {
+    name,
+    className,
+    selfClosing: definition.selfClosing === true,
+    allowedChildren: [...allowedChildren],
+    maxOccurrences,
+    attributes,
+  }
+}
+
+/**
+ * Registry of directive definitions. Lookups are by directive name.
+ */
+export class DirectiveRegistry {
+  constructor(definitions = []) {
+    this.definitions = new Map()
+    for (const definition of definitions) {
+      this.define(definition)
+    }
+  }
+
+  /**
+   * Add a directive, or override fields of an already registered one.
+   */
+  define(definition) {
+    const existing = this.definitions.get(definition?.name) ?? {}
+    const normalized = normalizeDefinition(definition?.name, { ...existing, ...definition })
+    this.definitions.set(normalized.name, normalized)
+    return normalized
+  }
+
+  get(name) {
+    return this.definitions.get(name) ?? null
+  }
+
+  has(name) {
+    return this.definitions.has(name)
+  }
+
+  names() {
+    return [...this.definitions.keys()]
+  }
+
+  /**
+   * Whether `child` may appear directly inside an open `parent` directive.
+   */
+  canContain(parent, child) {
+    return this.get(parent)?.allowedChildren.includes(child) ?? false
+  }
+
+  [Symbol.iterator]() {
+    return this.definitions.values()
+  }
+}
+
+/**
+ * Build a registry of the built-in directives extended with `customDirectives`.
+ *
+ * `customDirectives` may be an array of definitions, a record keyed by
+ * directive name, or an existing registry (returned unchanged so the plugin and
+ * the validator can share one instance). Custom entries that reuse a built-in
+ * name override that built-in's fields.
+ *
+ * @param {DirectiveRegistry | Array<object> | Record<string, object>} [customDirectives]
+ * @returns {DirectiveRegistry}
+ */
+export function createDirectiveRegistry(customDirectives) {
+  if (customDirectives instanceof DirectiveRegistry) {
+    return customDirectives
+  }
+
+  const registry = new DirectiveRegistry(BUILTIN_DIRECTIVES)
+  if (Array.isArray(customDirectives)) {
+    for (const definition of customDirectives) {
+      registry.define(definition)
+    }
+    return registry
+  }
+
+  for (const [name, definition] of Object.entries(customDirectives ?? {})) {
+    registry.define({ ...definition, name })
+  }
+  return registry
+}
+
+/**
+ * Registry containing only the built-in directives.
+ */
+export const defaultDirectiveRegistry = createDirectiveRegistry()
@@ -0,0 +1,236 @@
+/**
+ * MDD Running Headers and Footers
+ * Field placeholders in `::header` and `::footer` (`{page}`, `{pages}`,
+ * `{title}`, `{date}`, `{reference-number}` and any other scalar frontmatter
+ * key), and the lifting of those directives into running page elements.
+ *
+ * Frontmatter fields resolve to text that keeps the placeholder as its
+ * `data.mddSource`. `{page}` and `{pages}` become `mddField` nodes: CSS Paged
+ * Media counters in HTML (see {@link PAGED_MEDIA_CSS}), and `\thepage` /
+ * `\pageref{LastPage}` or Word `PAGE` / `NUMPAGES` fields for pandoc.
+ */
+
+/** Directives whose content repeats on every printed page. */
+export const RUNNING_DIRECTIVES = ['header', 'footer']
+
+// Not the inside of a body placeholder (`{{title}}`, see `interpolation.js`).
+const FIELD_PLACEHOLDER = /(?<!\{)\{(?<name>[a-z][a-z\d-]*)\}(?!\})/gu
+
+/** Output of each page field: HTML class, CSS counter and pandoc raw markers. */
+export const PAGE_FIELDS = {
+  page: {
+    className: 'page-number',
+    counter: 'counter(page)',
+    latex: String.raw`\thepage`,
+    openxml: '<w:fldSimple w:instr="PAGE"><w:r><w:t>1</w:t></w:r></w:fldSimple>',
+  },
+  pages: {
+    className: 'page-count',
+    counter: 'counter(pages)',
+    latex: String.raw`\pageref{LastPage}`,
+    openxml: '<w:fldSimple w:instr="NUMPAGES"><w:r><w:t>1</w:t></w:r></w:fldSimple>',
+  },
+}
+
+/**
+ * Stylesheet for paged HTML output (Paged.js, WeasyPrint, Prince): places the
+ * running header and footer in the page margins and fills the page fields
+ * with the page counters.
+ */
+export const PAGED_MEDIA_CSS = `[data-running="mdd-header"] { position: running(mdd-header); }
+[data-running="mdd-footer"] { position: running(mdd-footer); }
+@page {
+  @top-center { content: element(mdd-header); }
+  @bottom-center { content: element(mdd-footer); }
+}
+.${PAGE_FIELDS.page.className}::after { content: ${PAGE_FIELDS.page.counter}; }
+.${PAGE_FIELDS.pages.className}::after { content: ${PAGE_FIELDS.pages.counter}; }
+`
+
+/**
+ * Write a page field for pandoc: raw LaTeX and raw OpenXML inlines side by
+ * side, of which pandoc keeps the one for the output format.
+ *
+ * @param {'page' | 'pages'} name
+ */
+export function pandocPageField(name) {
+  const { latex, openxml } = PAGE_FIELDS[name]
+  return `\`${latex}\`{=latex}\`${openxml}\`{=openxml}`
+}
+
+/**
+ * Text for a frontmatter value, or `null` when it cannot fill a placeholder.
+ *
+ * @param {unknown} value
+ */
+export function fieldText(value) {
+  if (Array.isArray(value)) {
+    return value.every((item) => typeof item !== 'object') ? value.join(', ') : null
+  }
+  if (value === null || value === undefined || typeof value === 'object') {
+    return null
+  }
+  return String(value)
+}
+
+/**
+ * Create the node for a page field placeholder.
+ *
+ * @param {'page' | 'pages'} name
+ * @param {{ pandoc?: boolean }} [options] serialize as pandoc markers instead of `{page}`
+ * @returns {import('../types/mdd').MDDField}
+ */
+export function createPageField(name, options = {}) {
+  const field = PAGE_FIELDS[name]
+  const node = {
+    type: 'mddField',
+    name,
+    data: {
+      hName: 'span',
+      hProperties: { className: [field.className], 'data-field': name },
+    },
+  }
+  if (options.pandoc) {
+    node.data.mddMarkdown = pandocPageField(name)
+  }
+  return node
+}
+
+/**
+ * Split one text node at its placeholders. Unknown placeholders stay text and
+ * their names are added to `unresolved`.
+ *
+ * @returns {Array<object> | null} replacement nodes, or `null` when unchanged
+ */
+function splitPlaceholders(node, frontmatter, options, unresolved) {
+  const nodes = []
+  let last = 0
+  let changed = false
+
+  for (const match of node.value.matchAll(FIELD_PLACEHOLDER)) {
+    const { name } = match.groups
+    const replacement = Object.hasOwn(PAGE_FIELDS, name)
+      ? createPageField(name, options)
+      : resolvedText(match[0], frontmatter?.[name], options)
+    if (!replacement) {
+      unresolved.push(name)
+      continue
+    }
+    if (match.index > last) {
+      nodes.push({ type: 'text', value: node.value.slice(last, match.index) })
+    }
+    nodes.push(replacement)
+    last = match.index + match[0].length
+    changed = true
+  }
+
+  if (!changed) {
+    return null
+  }
+  if (last < node.value.length) {
+    nodes.push({ type: 'text', value: node.value.slice(last) })
+  }
+  return nodes
+}
+
+/** Resolved text keeps its placeholder as source, except for pandoc, which needs the value. */
+function resolvedText(placeholder, value, options) {
+  const text = fieldText(value)
+  if (text === null) {
+    return null
+  }
+  return options.pandoc
+    ? { type: 'text', value: text }
+    : { type: 'text', value: text, data: { mddSource: placeholder } }
+}
+
+/**
+ * Resolve the field placeholders of a header or footer in place.
+ *
+ * @param {import('mdast').Parent} node
+ * @param {Record<string, unknown> | null} frontmatter
+ * @param {{ pandoc?: boolean }} [options] serialize for pandoc: page fields as
+ *   LaTeX/OpenXML markers and frontmatter fields as their values
+ * @returns {string[]} names of the placeholders left unresolved
+ */
+export function resolveFieldPlaceholders(node, frontmatter, options = {}) {
+  const unresolved = []
+
+  const visitParent = (parent) => {
+    const children = []
+    for (const child of parent.children) {
+      if (child.type === 'text' && !child.data?.mddSource) {
+        const replacement = splitPlaceholders(child, frontmatter, options, unresolved)
+        children.push(...(replacement ?? [child]))
+        continue
+      }
+      if ('children' in child) {
+        visitParent(child)
+      }
+      children.push(child)
+    }
+    parent.children = children
+  }
+
+  visitParent(node)
+  return unresolved
+}
+
+/**
+ * Mark root-level headers and footers as running elements
+ * (`data-running="mdd-header"`), which {@link PAGED_MEDIA_CSS} places in the
+ * page margins. They stay where they are in the document.
+ *
+ * @param {Array<import('../types/mdd').MDDDirective>} nodes root-level running directives
+ */
+export function markRunningElements(nodes) {
+  for (const node of nodes) {
+    node.data.hProperties['data-running'] = `mdd-${node.name}`
+  }
+}
+
+/**
+ * Move root-level running elements to the start of the document (after any
+ * `yaml` frontmatter node), so paged output repeats them from the first page
+ * on. Their original index is kept in `data.mddRunningIndex`, which the MDD
+ * serializer uses to write them back in place.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {Array<import('../types/mdd').MDDDirective>} nodes root-level running directives
+ */
+export function liftRunningElements(tree, nodes) {
+  const lifted = []
+  tree.children.forEach((child, index) => {
+    if (nodes.includes(child)) {
+      child.data.mddRunningIndex = index
+      lifted.push(child)
+    }
+  })
+  if (lifted.length === 0) {
+    return
+  }
+
+  const rest = tree.children.filter((child) => !lifted.includes(child))
+  const start = rest[0]?.type === 'yaml' ? 1 : 0
+  rest.splice(start, 0, ...lifted)
+  tree.children = rest
+}
+
+/**
+ * Put lifted running elements back at their original index, for
+ * serialization.
+ *
+ * @param {Array<object>} children root children
+ * @returns {Array<object>}
+ */
+export function restoreRunningElements(children) {
+  const lifted = children.filter((child) => child.data?.mddRunningIndex !== undefined)
+  if (lifted.length === 0) {
+    return children
+  }
+  const restored = children.filter((child) => !lifted.includes(child))
+  for (const child of lifted.toSorted((a, b) => a.data.mddRunningIndex - b.data.mddRunningIndex)) {
+    restored.splice(child.data.mddRunningIndex, 0, child)
+  }
+  return restored
+}
@@ -0,0 +1,92 @@
+/**
+ * MDD Frontmatter
+ * YAML frontmatter parsing shared by the validator and the plugins.
+ */
+
+import { JSON_SCHEMA, load as loadYaml } from 'js-yaml'
+
+/**
+ * Match the YAML frontmatter block at the very start of a document.
+ * Tolerant of CRLF line endings and an end-of-file closing fence (no trailing
+ * newline). The capture group is the raw YAML body between the `---` fences.
+ */
+export const FRONTMATTER_BLOCK = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/
+
+/**
+ * Parse the document frontmatter using a real YAML parser.
+ *
+ * Returns a structured result so callers can distinguish:
+ * - no frontmatter block present (`present: false`)
+ * - malformed YAML (`yamlError` set)
+ * - a valid mapping (`frontmatter` populated)
+ *
+ * The JSON_SCHEMA is used so values are restricted to JSON-compatible types:
+ * dates such as `2024-12-15` stay strings (we validate the ISO format
+ * ourselves) rather than being coerced to `Date` objects, while genuine
+ * booleans and YAML block/flow sequences (`parties`, `cc`, `keywords`, `tags`)
+ * parse correctly.
+ *
+ * @param {string} content
+ * @returns {{ present: boolean, frontmatter: Record<string, unknown> | null, yamlError: string | null }}
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER_BLOCK)
+  if (!match) {
+    return { present: false, frontmatter: null, yamlError: null }
+  }
+
+  try {
+    const parsed = loadYaml(match[1], { schema: JSON_SCHEMA })
+
+    if (parsed === null || parsed === undefined) {
+      return { present: true, frontmatter: {}, yamlError: null }
+    }
+
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return {
+        present: true,
+        frontmatter: {},
+        yamlError: 'Frontmatter must be a YAML mapping of key/value pairs',
+      }
+    }
+
+    return { present: true, frontmatter: parsed, yamlError: null }
+  } catch (err) {
+    return {
+      present: true,
+      frontmatter: null,
+      yamlError: err instanceof Error ? err.message : String(err),
+    }
+  }
+}
+
+/**
+ * Extract frontmatter metadata from document content.
+ *
+ * Backwards-compatible wrapper around {@link parseFrontmatter}: returns the
+ * parsed mapping, or `null` when no frontmatter block is present or the YAML
+ * is malformed.
+ *
+ * @param {string} content
+ * @returns {Record<string, unknown> | null}
+ */
+export function extractFrontmatter(content) {
+  return parseFrontmatter(content).frontmatter
+}
+
+/**
+ * Read the frontmatter of a document inside a unified transformer: from a
+ * `yaml` node when `remark-frontmatter` is used, otherwise from the file
+ * contents. `null` when there is none or it is malformed.
+ *
+ * @returns {Record<string, unknown> | null}
+ */
+export function readFrontmatter(tree, file) {
+  const first = tree?.children?.[0]
+  if (first?.type === 'yaml') {
+    return parseFrontmatter(`---\n${first.value}\n---\n`).frontmatter
+  }
+
+  const value = typeof file?.value === 'string' ? file.value : String(file?.value ?? '')
+  return FRONTMATTER_BLOCK.test(value) ? parseFrontmatter(value).frontmatter : null
+}
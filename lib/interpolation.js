@@ -0,0 +1,322 @@
+/**
+ * MDD Frontmatter Interpolation
+ * `{{field}}` placeholders in the document body, shared by the
+ * text-formatting plugin (which fills them with frontmatter values) and the
+ * validator (which reports placeholders that cannot be filled).
+ *
+ * A placeholder names a frontmatter field by a dotted path (`{{recipient}}`,
+ * `{{client.name}}`, `{{parties.0}}`) and may pipe its value through
+ * formatters, each with an optional argument after a colon:
+ *
+ * - `date[:full|long|medium|short]`: an ISO date (`2026-03-28`) in the
+ *   document language, `long` by default (`March 28, 2026`)
+ * - `currency[:CODE]`: an amount (`1234.5`, `USD 1,234.50`, `1.234,50 EUR`,
+ *   read like the line-item amounts) in the currency of the argument, else
+ *   the amount's own code, else the frontmatter `currency` (`$1,234.50`)
+ * - `number[:digits]`: a number with grouping, and that many decimals
+ * - `upper`, `lower`: the text in upper or lower case
+ *
+ * Placeholders are filled in text and in link URLs and titles. A filled
+ * placeholder is a text node that keeps `{{...}}` as its `data.mddSource`,
+ * and a link keeps its template `url` and `title` in `data.mddTemplate`, so
+ * the document serializes back to its template.
+ */
+
+import { visit } from 'unist-util-visit'
+
+import { fieldText } from './fields.js'
+import { formatDecimal, parseDecimal } from './line-items.js'
+import { decimalSeparator, intlLocale } from './locale.js'
+
+export { intlLocale } from './locale.js'
+
+/** A `{{...}}` placeholder in text. */
+const PLACEHOLDER = /\{\{([^{}\n]*)\}\}/gu
+
+/** A dotted path of frontmatter keys (`client.name`, `parties.0`). */
+const FIELD_PATH = /^[\p{L}\p{N}_-]+(?:\.[\p{L}\p{N}_-]+)*$/u
+
+/** An amount with an optional ISO currency code before or after it. */
+const AMOUNT = /^(?:([A-Z]{3})\s*)?(-?\d[\d.,]*)(?:\s*([A-Z]{3}))?$/u
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/u
+
+/**
+ * Formatters by name: the arguments each accepts, and `format`, which returns
+ * the text of a value or `null` when the value cannot be formatted.
+ */
+export const FORMATTERS = {
+  date: {
+    argument: /^(?:full|long|medium|short)$/u,
+    expects: 'an ISO date',
+    format(value, argument = 'long', { language }) {
+      const match = typeof value === 'string' ? value.match(ISO_DATE) : null
+      if (!match) {
+        return null
+      }
+      const [, year, month, day] = match.map(Number)
+      const date = new Date(Date.UTC(year, month - 1, day))
+      if (date.getUTCMonth() !== month - 1) {
+        return null
+      }
+      return new Intl.DateTimeFormat(intlLocale(language), {
+        dateStyle: argument,
+        timeZone: 'UTC',
+      }).format(date)
+    },
+  },
+  currency: {
+    argument: /^[A-Z]{3}$/u,
+    expects: 'an amount with a currency code',
+    format(value, argument, { language, frontmatter }) {
+      const match = String(value).trim().match(AMOUNT)
+      const amount = match && parseDecimal(match[2], decimalSeparator(language))
+      const currency = argument ?? match?.[1] ?? match?.[3] ?? frontmatter?.currency
+      if (!amount || typeof currency !== 'string' || !/^[A-Z]{3}$/u.test(currency)) {
+        return null
+      }
+      // The amount's digits as a string, so no float rounds them.
+      return new Intl.NumberFormat(intlLocale(language), { style: 'currency', currency }).format(
+        formatDecimal(amount),
+      )
+    },
+  },
+  number: {
+    argument: /^\d{1,2}$/u,
+    expects: 'a number',
+    format(value, argument, { language }) {
+      const number = typeof value === 'number' ? value : Number(String(value).replaceAll(',', ''))
+      if (typeof value === 'boolean' || value === '' || !Number.isFinite(number)) {
+        return null
+      }
+      const digits = Number(argument)
+      return new Intl.NumberFormat(
+        intlLocale(language),
+        argument === undefined
+          ? {}
+          : { minimumFractionDigits: digits, maximumFractionDigits: digits },
+      ).format(number)
+    },
+  },
+  upper: {
+    expects: 'text',
+    format: (value, argument, { language }) =>
+      fieldText(value)?.toLocaleUpperCase(intlLocale(language)) ?? null,
+  },
+  lower: {
+    expects: 'text',
+    format: (value, argument, { language }) =>
+      fieldText(value)?.toLocaleLowerCase(intlLocale(language)) ?? null,
+  },
+}
+
+/**
+ * Parse the inside of a placeholder: `path | formatter:argument | ...`.
+ *
+ * @param {string} body
+ * @returns {{ path: string[], formatters: Array<{ name: string, argument?: string }> } | { error: string }}
+ */
+export function parsePlaceholder(body) {
+  const [path, ...pipes] = body.split('|').map((part) => part.trim())
+  if (!FIELD_PATH.test(path)) {
+    return { error: 'does not name a field' }
+  }
+
+  const formatters = []
+  for (const pipe of pipes) {
+    const [name, argument] = pipe.split(/\s*:\s*/u, 2)
+    const formatter = Object.hasOwn(FORMATTERS, name) ? FORMATTERS[name] : null
+    if (!formatter) {
+      return {
+        error: `uses unknown formatter "${name}" (expected ${Object.keys(FORMATTERS).join(', ')})`,
+      }
+    }
+    if (argument !== undefined && !formatter.argument?.test(argument)) {
+      return { error: `passes invalid argument "${argument}" to ${name}` }
+    }
+    formatters.push(argument === undefined ? { name } : { name, argument })
+  }
+  return { path: path.split('.'), formatters }
+}
+
+/**
+ * The frontmatter value at a path, or `undefined` when a key is missing.
+ *
+ * @param {Record<string, unknown> | null | undefined} frontmatter
+ * @param {string[]} path
+ */
+export function lookupField(frontmatter, path) {
+  let value = frontmatter
+  for (const key of path) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      return undefined
+    }
+    value = value[key]
+  }
+  return value
+}
+
+/**
+ * Fill a placeholder. A problem is `invalid-placeholder` (malformed, or an
+ * unknown formatter), `undefined-field` (no such frontmatter field), or
+ * `unresolved-field` (the field is empty, or its value cannot be formatted).
+ *
+ * @param {string} body the inside of `{{...}}`
+ * @param {Record<string, unknown> | null | undefined} frontmatter
+ * @param {string} [language] language of dates and numbers
+ * @returns {{ text: string } | { problem: 'invalid-placeholder' | 'undefined-field' | 'unresolved-field', reason: string }}
+ */
+export function resolvePlaceholder(body, frontmatter, language) {
+  const parsed = parsePlaceholder(body)
+  if ('error' in parsed) {
+    return { problem: 'invalid-placeholder', reason: parsed.error }
+  }
+
+  let value = lookupField(frontmatter, parsed.path)
+  if (value === undefined) {
+    return { problem: 'undefined-field', reason: 'names no frontmatter field' }
+  }
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return { problem: 'unresolved-field', reason: 'has an empty value' }
+  }
+  for (const { name, argument } of parsed.formatters) {
+    const { format, expects } = FORMATTERS[name]
+    const text = format(value, argument, { language, frontmatter })
+    if (text === null) {
+      return { problem: 'unresolved-field', reason: `does not hold ${expects} (${name} formatter)` }
+    }
+    value = text
+  }
+
+  const text = fieldText(value)
+  return text === null ? { problem: 'unresolved-field', reason: 'does not hold text' } : { text }
+}
+
+/**
+ * Fill the placeholders of a string, as `interpolateFields` fills those of a
+ * tree. Placeholders that cannot be filled stay as written.
+ *
+ * @param {string} text
+ * @param {Record<string, unknown> | null | undefined} frontmatter
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function fillPlaceholders(text, frontmatter, language) {
+  return text.replace(PLACEHOLDER, (placeholder, body) => {
+    const result = resolvePlaceholder(body, frontmatter, language)
+    return 'text' in result ? result.text : placeholder
+  })
+}
+
+/** The URL and title of a link, where placeholders are filled too. */
+function linkTemplate(node) {
+  return { url: node.url, title: node.title }
+}
+
+/**
+ * Find the placeholders in the text and link URLs and titles of a tree, with
+ * their line.
+ *
+ * @param {import('mdast').Root} tree
+ * @returns {Array<{ placeholder: string, body: string, line: number | undefined }>}
+ */
+export function findPlaceholders(tree) {
+  const placeholders = []
+  visit(tree, ['text', 'link'], (node) => {
+    if (node.data?.mddSource) {
+      return
+    }
+    const line = node.position?.start.line
+    const values = node.type === 'link' ? Object.values(linkTemplate(node)) : [node.value]
+    for (const value of values.filter((entry) => typeof entry === 'string')) {
+      for (const match of value.matchAll(PLACEHOLDER)) {
+        placeholders.push({
+          placeholder: match[0],
+          body: match[1],
+          line:
+            line === undefined || node.type === 'link'
+              ? line
+              : line + (value.slice(0, match.index).match(/\n/gu)?.length ?? 0),
+        })
+      }
+    }
+  })
+  return placeholders
+}
+
+/**
+ * Fill the placeholders of a link's URL and title, keeping the template ones
+ * in `data.mddTemplate`, and add those that cannot be filled to `unresolved`.
+ */
+function fillLink(node, frontmatter, language, unresolved) {
+  const template = linkTemplate(node)
+  const fill = (value) =>
+    typeof value === 'string'
+      ? value.replace(PLACEHOLDER, (placeholder, body) => {
+          const result = resolvePlaceholder(body, frontmatter, language)
+          if ('text' in result) {
+            return result.text
+          }
+          unresolved.push({ placeholder, ...result, node })
+          return placeholder
+        })
+      : value
+  node.url = fill(template.url)
+  node.title = fill(template.title)
+  if (node.url !== template.url || node.title !== template.title) {
+    node.data = { ...node.data, mddTemplate: template }
+  }
+}
+
+/**
+ * Fill the placeholders of a tree in place. Placeholders that cannot be
+ * filled stay text.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {Record<string, unknown> | null | undefined} frontmatter
+ * @param {{ language?: string, skipUntilLine?: number }} [options] `skipUntilLine`
+ *   leaves the frontmatter alone when it was parsed as Markdown
+ * @returns {Array<{ placeholder: string, problem: string, reason: string, node: import('mdast').Text | import('mdast').Link }>}
+ *   the placeholders left unfilled
+ */
+export function interpolateFields(tree, frontmatter, { language, skipUntilLine = 0 } = {}) {
+  const unresolved = []
+
+  visit(tree, ['text', 'link'], (node, index, parent) => {
+    if (node.data?.mddSource || (node.position?.start.line ?? Infinity) <= skipUntilLine) {
+      return undefined
+    }
+    if (node.type === 'link') {
+      fillLink(node, frontmatter, language, unresolved)
+      return undefined
+    }
+    if (!parent || !node.value.includes('{{')) {
+      return undefined
+    }
+
+    const nodes = []
+    let last = 0
+    for (const match of node.value.matchAll(PLACEHOLDER)) {
+      const result = resolvePlaceholder(match[1], frontmatter, language)
+      if (!('text' in result)) {
+        unresolved.push({ placeholder: match[0], ...result, node })
+        continue
+      }
+      if (match.index > last) {
+        nodes.push({ type: 'text', value: node.value.slice(last, match.index) })
+      }
+      nodes.push({ type: 'text', value: result.text, data: { mddSource: match[0] } })
+      last = match.index + match[0].length
+    }
+    if (nodes.length === 0) {
+      return undefined
+    }
+    if (last < node.value.length) {
+      nodes.push({ type: 'text', value: node.value.slice(last) })
+    }
+    parent.children.splice(index, 1, ...nodes)
+    return index + nodes.length
+  })
+
+  return unresolved
+}
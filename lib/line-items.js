@@ -0,0 +1,534 @@
+/**
+ * MDD Invoice Line Items
+ * Line-item tables, shared by the text-formatting plugin (which gives their
+ * cells semantic classes and can fill in computed amounts) and the validator
+ * (which reports wrong amounts).
+ *
+ * A line-item table is a GFM table whose caption has the `line-items` class
+ * (`Table: Services {.line-items}`). Its columns are found by their header:
+ * the description (`Description`, `Item`, ...), the quantity (`Qty`,
+ * `Hours`, ...), the unit price (`Unit price`, `Rate`, ...) and the amount
+ * (`Amount`, `Total`, ...), in English, German, French, Spanish, Italian or
+ * Dutch. Rows labelled `Subtotal`, `Tax` / `VAT` (with an optional rate,
+ * `VAT 20%`) or `Total` hold the summary; the other rows are items.
+ *
+ * Amounts are computed in exact decimal arithmetic: an item is its quantity
+ * times its unit price, the subtotal the sum of the items, a tax the subtotal
+ * times its rate, and the total the subtotal plus the taxes, each rounded half
+ * away from zero to the currency's minor unit. Each is checked against the
+ * correct amounts above it, so a subtotal or total carried over from a wrong
+ * item amount is reported too. An amount that cannot be computed (an item
+ * without a quantity or price, a tax without a rate) counts as written.
+ */
+
+import { toString } from 'mdast-util-to-string'
+
+import { parseAttributeBlock } from './attributes.js'
+import { findCaptions } from './captions.js'
+import { decimalSeparator, intlLocale } from './locale.js'
+
+/** The class that marks a table caption as the caption of line items. */
+export const LINE_ITEMS_CLASS = 'line-items'
+
+/** Header words of each column, in lowercase. */
+const COLUMN_HEADERS = {
+  description: new Set([
+    'description',
+    'item',
+    'items',
+    'service',
+    'services',
+    'product',
+    'details',
+    'beschreibung',
+    'bezeichnung',
+    'leistung',
+    'artikel',
+    'désignation',
+    'descripción',
+    'concepto',
+    'descrizione',
+    'omschrijving',
+  ]),
+  quantity: new Set([
+    'qty',
+    'quantity',
+    'hours',
+    'hrs',
+    'units',
+    'menge',
+    'anzahl',
+    'stunden',
+    'quantité',
+    'qté',
+    'cantidad',
+    'quantità',
+    'aantal',
+  ]),
+  price: new Set([
+    'price',
+    'unit price',
+    'rate',
+    'unit cost',
+    'preis',
+    'einzelpreis',
+    'prix',
+    'prix unitaire',
+    'precio',
+    'precio unitario',
+    'prezzo',
+    'prezzo unitario',
+    'prijs',
+    'stukprijs',
+    'tarief',
+  ]),
+  amount: new Set([
+    'amount',
+    'total',
+    'line total',
+    'betrag',
+    'gesamt',
+    'montant',
+    'importe',
+    'importo',
+    'bedrag',
+    'totaal',
+  ]),
+}
+
+/** Labels of the summary rows, in lowercase. */
+const SUMMARY_LABELS = {
+  subtotal: new Set(['subtotal', 'sub-total', 'zwischensumme', 'sous-total', 'subtotale']),
+  tax: new Set([
+    'tax',
+    'sales tax',
+    'vat',
+    'gst',
+    'mwst',
+    'ust',
+    'umsatzsteuer',
+    'tva',
+    'iva',
+    'btw',
+  ]),
+  total: new Set([
+    'total',
+    'grand total',
+    'total due',
+    'amount due',
+    'gesamtbetrag',
+    'summe',
+    'total ttc',
+    'totale',
+    'totaal',
+  ]),
+}
+
+/** A summary label with an optional rate: `Tax (8.25%)`, `MwSt. 19 %`, `Total:`. */
+const SUMMARY_ROW = /^(.*?)[\s.:]*(?:\(?\s*(\d+(?:[.,]\d+)?)\s*%\s*\)?)?[\s:]*$/u
+
+/** Semantic class of the cells of each column, and of each summary amount. */
+const CELL_CLASSES = {
+  description: 'item-description',
+  quantity: 'item-quantity',
+  price: 'item-price',
+  amount: 'total',
+  subtotal: 'subtotal',
+  tax: 'tax',
+  total: 'total-amount',
+}
+
+/** A header or label as it is looked up: lowercase, without a trailing colon or `(USD)`. */
+function normalizeLabel(text) {
+  return text
+    .toLowerCase()
+    .replace(/\s*\([^)]*\)\s*$/u, '')
+    .replace(/[\s.:]+$/u, '')
+    .replaceAll(/\s+/gu, ' ')
+}
+
+/**
+ * A decimal as `units` of `10 ** -scale`, so amounts add and multiply
+ * exactly.
+ *
+ * @typedef {{ units: bigint, scale: number }} Decimal
+ */
+
+/** Digits grouped by a separator: one to three, then threes. */
+function validGroups(whole, separator) {
+  const [first, ...groups] = whole.split(separator)
+  return /^-?\d{1,3}$/u.test(first) && groups.every((group) => /^\d{3}$/u.test(group))
+}
+
+/**
+ * Read an amount or quantity, ignoring currency codes, symbols, units and
+ * group separators (`USD 1,234.50`, `1.234,50 €`, `3 h`). Which of `.` and
+ * `,` is the decimal separator is read from the number itself: the last of
+ * the two when it has both, the one that repeats is a group separator, and
+ * one not followed by exactly three digits is the decimal separator. Only a
+ * single separator before three digits (`1.000`, `1,000`) is read with the
+ * decimal separator of the document language. Groups other than threes make
+ * the text no number.
+ *
+ * @param {string} text
+ * @param {string} [separator] the decimal separator of the document language
+ * @returns {Decimal | null}
+ */
+export function parseDecimal(text, separator = '.') {
+  const cleaned = text.replaceAll(/[A-Z]{3}/gu, '').replaceAll(/[^\d.,-]/gu, '')
+  const points = cleaned.split('.').length - 1
+  const commas = cleaned.split(',').length - 1
+  let decimal = null
+  if (points > 0 && commas > 0) {
+    decimal = cleaned.lastIndexOf('.') > cleaned.lastIndexOf(',') ? '.' : ','
+  } else if (points + commas === 1) {
+    const mark = points ? '.' : ','
+    decimal = /^\d{3}$/u.test(cleaned.slice(cleaned.indexOf(mark) + 1)) ? separator : mark
+  }
+  const [whole, fraction = '', ...rest] = decimal ? cleaned.split(decimal) : [cleaned]
+  const group = decimal === ',' ? '.' : ','
+  if (
+    rest.length > 0 ||
+    /[.,]/u.test(fraction) ||
+    (whole.includes(group) && !validGroups(whole, group)) ||
+    (!decimal && points + commas > 0 && !validGroups(whole, points ? '.' : ','))
+  ) {
+    return null
+  }
+  const match = `${whole.replaceAll(/[.,]/gu, '')}${fraction ? `.${fraction}` : ''}`.match(
+    /^(-?)(\d+)(?:\.(\d+))?$/u,
+  )
+  if (!match) {
+    return null
+  }
+  const [, sign, digits, decimals = ''] = match
+  return { units: BigInt(`${sign}${digits}${decimals}`), scale: decimals.length }
+}
+
+function rescale(decimal, scale) {
+  return decimal.units * 10n ** BigInt(scale - decimal.scale)
+}
+
+function add(a, b) {
+  const scale = Math.max(a.scale, b.scale)
+  return { units: rescale(a, scale) + rescale(b, scale), scale }
+}
+
+function multiply(a, b) {
+  return { units: a.units * b.units, scale: a.scale + b.scale }
+}
+
+/** Round half away from zero to `digits` decimals. */
+function round(decimal, digits) {
+  if (decimal.scale <= digits) {
+    return { units: rescale(decimal, digits), scale: digits }
+  }
+  const divisor = 10n ** BigInt(decimal.scale - digits)
+  const remainder = decimal.units % divisor
+  let units = decimal.units / divisor
+  if ((remainder < 0n ? -remainder : remainder) * 2n >= divisor) {
+    units += decimal.units < 0n ? -1n : 1n
+  }
+  return { units, scale: digits }
+}
+
+/**
+ * The plain text of a decimal (`1234.50`).
+ *
+ * @param {Decimal} decimal
+ */
+export function formatDecimal(decimal) {
+  const negative = decimal.units < 0n
+  const digits = (negative ? -decimal.units : decimal.units)
+    .toString()
+    .padStart(decimal.scale + 1, '0')
+  const whole = digits.slice(0, digits.length - decimal.scale)
+  const fraction = digits.slice(digits.length - decimal.scale)
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`
+}
+
+function sameAmount(a, b, digits) {
+  return round(a, digits).units === round(b, digits).units
+}
+
+/** The decimals of a currency's minor unit: 2 for USD, 0 for JPY. */
+function minorDigits(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions()
+      .maximumFractionDigits
+  } catch {
+    return 2
+  }
+}
+
+/**
+ * The currency of a document: its frontmatter `currency`, else the code of
+ * its `total-amount` (`USD 1,234.56`).
+ *
+ * @param {Record<string, unknown> | null | undefined} frontmatter
+ * @returns {string | undefined}
+ */
+export function documentCurrency(frontmatter) {
+  const { currency } = frontmatter ?? {}
+  if (typeof currency === 'string' && /^[A-Z]{3}$/u.test(currency)) {
+    return currency
+  }
+  const total = frontmatter?.['total-amount']
+  return typeof total === 'string' ? total.trim().match(/^([A-Z]{3})\b/u)?.[1] : undefined
+}
+
+/** Whether a caption paragraph has the `line-items` class, before or after the plugin moved it. */
+function isLineItemsCaption(paragraph) {
+  const block = paragraph.children.at(-1)
+  const annotation =
+    paragraph.data?.mddClassAnnotation ?? (block?.type === 'mddAttributes' ? block.value : null)
+  return Boolean(annotation) && parseAttributeBlock(annotation).classes.includes(LINE_ITEMS_CLASS)
+}
+
+/**
+ * Find the line-item tables of a tree, with their caption paragraph. `table`
+ * is `null` when the tree has no table node for the caption, as when the
+ * document was parsed without GFM.
+ *
+ * @param {import('mdast').Root} tree
+ * @returns {Array<{ table: import('mdast').Table | null, caption: import('mdast').Paragraph }>}
+ */
+export function findLineItemTables(tree) {
+  return findCaptions(tree)
+    .filter((record) => record.kind === 'table' && isLineItemsCaption(record.node))
+    .map((record) => ({ table: record.table, caption: record.node }))
+}
+
+/** The column index of each kind of column, or `-1`. */
+function findColumns(header) {
+  const labels = header.children.map((cell) => normalizeLabel(toString(cell).trim()))
+  return Object.fromEntries(
+    Object.entries(COLUMN_HEADERS).map(([kind, words]) => [
+      kind,
+      labels.findIndex((label) => words.has(label)),
+    ]),
+  )
+}
+
+/** The summary kind and rate of a row, or `null` for an item. */
+function summaryRow(cells, columns) {
+  const label = cells.find((text, index) => index !== columns.amount && text !== '')
+  const [, name, rate] = label?.match(SUMMARY_ROW) ?? []
+  const normalized = normalizeLabel(name ?? '')
+  for (const [kind, labels] of Object.entries(SUMMARY_LABELS)) {
+    if (labels.has(normalized)) {
+      return { kind, rate: rate ? parseDecimal(rate.replace(',', '.')) : null }
+    }
+  }
+  return null
+}
+
+/** `rate` percent of an amount. */
+function percent(amount, rate) {
+  return { units: amount.units * rate.units, scale: amount.scale + rate.scale + 2 }
+}
+
+/**
+ * Compute the amounts of a line-item table and compare them with the ones
+ * written in it. A problem names the amount (`Line item 2`, `Subtotal`,
+ * `Tax`, `Total`), what is written and what it should be; an empty amount
+ * cell is no problem, and is listed in `fill` with its computed amount.
+ * Does not change the table.
+ *
+ * @param {import('mdast').Table} table
+ * @param {{ language?: string, currency?: string }} [options]
+ * @returns {import('../types/mdd').LineItemTable}
+ */
+export function computeLineItems(table, { language, currency } = {}) {
+  const separator = decimalSeparator(language)
+  const digits = currency ? minorDigits(currency) : 2
+  const [header, ...rows] = table.children
+  const columns = findColumns(header)
+  const result = {
+    table,
+    columns,
+    digits,
+    rows: [],
+    subtotal: null,
+    total: null,
+    problems: [],
+    fill: [],
+  }
+  if (columns.amount === -1) {
+    return result
+  }
+
+  const read = (row, column) =>
+    column === -1 || !row.children[column] ? '' : toString(row.children[column]).trim()
+  const check = (row, subject, computed, detail) => {
+    const written = read(row, columns.amount)
+    const amount = parseDecimal(written, separator)
+    if (!written && computed && row.children[columns.amount]) {
+      result.fill.push({ cell: row.children[columns.amount], amount: computed })
+    } else if (amount && computed && !sameAmount(amount, computed, digits)) {
+      result.problems.push({
+        subject,
+        written,
+        expected: formatDecimal(computed),
+        detail,
+        node: row,
+        line: row.position?.start.line,
+      })
+    }
+    return computed ?? amount
+  }
+
+  let items = 0
+  let sum = { units: 0n, scale: 0 }
+  let complete = true
+  let subtotal = null
+  let taxes = null
+  let taxesComplete = true
+
+  for (const row of rows) {
+    const cells = row.children.map((cell) => toString(cell).trim())
+    if (cells.every((text) => text === '')) {
+      continue
+    }
+    const summary = summaryRow(cells, columns)
+    const base = subtotal ?? (complete ? round(sum, digits) : null)
+    result.rows.push({ node: row, kind: summary?.kind ?? 'item' })
+
+    if (!summary) {
+      items++
+      const quantity = parseDecimal(read(row, columns.quantity), separator)
+      const price = parseDecimal(read(row, columns.price), separator)
+      const computed = quantity && price ? round(multiply(quantity, price), digits) : null
+      const amount = check(
+        row,
+        `Line item ${items}`,
+        computed,
+        computed && `${formatDecimal(quantity)} × ${formatDecimal(price)}`,
+      )
+      if (amount) {
+        sum = add(sum, amount)
+      } else {
+        complete = false
+      }
+    } else if (summary.kind === 'subtotal') {
+      subtotal = check(
+        row,
+        'Subtotal',
+        complete ? round(sum, digits) : null,
+        `sum of ${items} line items`,
+      )
+    } else if (summary.kind === 'tax') {
+      const computed = base && summary.rate ? round(percent(base, summary.rate), digits) : null
+      const tax = check(
+        row,
+        'Tax',
+        computed,
+        computed && `${formatDecimal(summary.rate)}% of ${formatDecimal(base)}`,
+      )
+      if (tax) {
+        taxes = add(taxes ?? { units: 0n, scale: 0 }, tax)
+      } else {
+        taxesComplete = false
+      }
+    } else {
+      const computed = base && taxesComplete ? round(taxes ? add(base, taxes) : base, digits) : null
+      result.total = check(
+        row,
+        'Total',
+        computed,
+        computed &&
+          (taxes
+            ? `${formatDecimal(base)} + ${formatDecimal(round(taxes, digits))} tax`
+            : `sum of ${items} line items`),
+      )
+    }
+  }
+
+  result.subtotal = subtotal ?? (complete && items > 0 ? round(sum, digits) : null)
+  return result
+}
+
+function addClass(node, className) {
+  node.data ??= {}
+  node.data.hProperties ??= {}
+  const existing = [node.data.hProperties.className ?? []].flat()
+  node.data.hProperties.className = [...new Set([...existing, className])]
+}
+
+/**
+ * Give the line-item tables of a tree and their cells semantic classes: the
+ * table `line-items`, the item cells `item-description`, `item-quantity`,
+ * `item-price` and `total` (the amount), and the summary amounts `subtotal`,
+ * `tax` and `total-amount`. With `fill`, empty amount cells get their
+ * computed amount in the document language, which is left out when the tree
+ * is serialized.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {{ language?: string, currency?: string, fill?: boolean }} [options]
+ * @returns {Array<import('../types/mdd').LineItemTable>}
+ */
+export function annotateLineItems(tree, { language, currency, fill = false } = {}) {
+  const tables = findLineItemTables(tree)
+    .filter(({ table }) => table)
+    .map(({ table }) => computeLineItems(table, { language, currency }))
+
+  for (const result of tables) {
+    addClass(result.table, LINE_ITEMS_CLASS)
+    const { columns } = result
+    for (const { node, kind } of result.rows) {
+      const targets =
+        kind === 'item'
+          ? ['description', 'quantity', 'price', 'amount'].map((column) => [
+              columns[column],
+              CELL_CLASSES[column],
+            ])
+          : [[columns.amount, CELL_CLASSES[kind]]]
+      for (const [column, className] of targets) {
+        if (column !== -1 && node.children[column]) {
+          addClass(node.children[column], className)
+        }
+      }
+    }
+    if (!fill) {
+      continue
+    }
+    const format = new Intl.NumberFormat(intlLocale(language), {
+      minimumFractionDigits: result.digits,
+      maximumFractionDigits: result.digits,
+    })
+    for (const { cell, amount } of result.fill) {
+      cell.children = [
+        { type: 'text', value: format.format(formatDecimal(amount)), data: { mddGenerated: true } },
+      ]
+    }
+  }
+
+  return tables
+}
+
+/**
+ * Compare the frontmatter `total-amount` with the total of the last
+ * line-item table, when both are known.
+ *
+ * @param {Array<import('../types/mdd').LineItemTable>} tables
+ * @param {Record<string, unknown> | null | undefined} frontmatter
+ * @returns {{ written: string, expected: string } | null} the disagreement, if
+ *   any, with the total written like the frontmatter value
+ */
+export function checkTotalAmount(tables, frontmatter) {
+  const written = frontmatter?.['total-amount']
+  const last = tables.at(-1)
+  if (typeof written !== 'string' || !last?.total) {
+    return null
+  }
+  const amount = parseDecimal(written, '.')
+  if (!amount || sameAmount(amount, last.total, last.digits)) {
+    return null
+  }
+  // Written like the frontmatter value: `USD 1,234.56`.
+  const expected = new Intl.NumberFormat('en', {
+    minimumFractionDigits: last.digits,
+    maximumFractionDigits: last.digits,
+  }).format(formatDecimal(round(last.total, last.digits)))
+  return { written, expected: written.trim().replace(/-?[\d,]*\.?\d+/u, expected) }
+}
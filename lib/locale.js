@@ -0,0 +1,31 @@
+/**
+ * MDD Locales
+ * The `Intl` locale of a document language, shared by the placeholder
+ * formatters and the line-item amounts.
+ */
+
+/**
+ * A locale `Intl` accepts, else English.
+ *
+ * @param {string} [language]
+ */
+export function intlLocale(language) {
+  try {
+    return Intl.getCanonicalLocales(language ?? 'en')[0] ?? 'en'
+  } catch {
+    return 'en'
+  }
+}
+
+/**
+ * The decimal separator of a language (`.` or `,`).
+ *
+ * @param {string} [language]
+ */
+export function decimalSeparator(language) {
+  return (
+    new Intl.NumberFormat(intlLocale(language))
+      .formatToParts(1.5)
+      .find((part) => part.type === 'decimal')?.value ?? '.'
+  )
+}
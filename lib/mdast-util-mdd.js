@@ -0,0 +1,615 @@
+/**
+ * MDD mdast utilities
+ * Handlers for the `mddDirective`, `mddSpan`, `mddField`, `superscript` and
+ * `subscript` nodes:
+ * `mdast-util-from-markdown` (the nodes of the MDD syntax in
+ * `micromark-extension-mdd.js`), `mdast-util-to-hast` (as used by
+ * `remark-rehype`) and `mdast-util-to-markdown` (as used by
+ * `remark-stringify`), plus the serializers that write transformed MDD trees
+ * back as MDD source.
+ *
+ * Source preservation: nodes the MDD plugins derive from source tokens carry
+ * the token in `data.mddSource` (`^2^` for a superscript node, `@section-1`
+ * for a reference link, `"..."` for curly-quoted text); text the plugins add,
+ * such as heading numbers, is marked `data.mddGenerated`; class annotations
+ * removed from headings and paragraphs are kept in `data.mddClassAnnotation`;
+ * running headers and footers lifted to the top keep their original index in
+ * `data.mddRunningIndex`; links whose `{{field}}` placeholders were filled keep
+ * their template `url` and `title` in `data.mddTemplate`. Text that would parse as MDD syntax is escaped,
+ * except in trees `unravelMddSyntax` marked `data.mddUnraveled`: documents
+ * that are not MDD stringify as plain Markdown.
+ */
+
+import { defaultHandlers } from 'mdast-util-to-markdown'
+
+import { stringifyAttributeBlock } from './attributes.js'
+import { detectFromFrontmatter } from './detect.js'
+import { restoreRunningElements } from './fields.js'
+import { readFrontmatter } from './frontmatter.js'
+import { mddSyntax } from './micromark-extension-mdd.js'
+
+function enterScript(type) {
+  return function (token) {
+    this.enter(
+      { type, children: [], data: { hName: type === 'superscript' ? 'sup' : 'sub' } },
+      token,
+    )
+  }
+}
+
+/** Close a script node; an escaped space inside (`^a\ b^`) is a space. */
+function exitScript(token) {
+  const node = this.stack.at(-1)
+  for (const child of node.children) {
+    if (child.type === 'text') {
+      child.value = child.value.replaceAll('\\ ', ' ')
+    }
+  }
+  this.exit(token)
+}
+
+function enterReference(token) {
+  this.enter({ type: 'mddReference', identifier: '' }, token)
+}
+
+function exitReferenceIdentifier(token) {
+  this.stack.at(-1).identifier = this.sliceSerialize(token)
+}
+
+function exitReference(token) {
+  this.exit(token)
+}
+
+function enterAttributes(token) {
+  this.enter({ type: 'mddAttributes', value: '' }, token)
+}
+
+function exitAttributes(token) {
+  this.stack.at(-1).value = this.sliceSerialize(token)
+  this.exit(token)
+}
+
+const mddFromMarkdownExtension = {
+  enter: {
+    mddSuperscript: enterScript('superscript'),
+    mddSubscript: enterScript('subscript'),
+    mddReference: enterReference,
+    mddAttributes: enterAttributes,
+  },
+  exit: {
+    mddSuperscript: exitScript,
+    mddSubscript: exitScript,
+    mddReferenceIdentifier: exitReferenceIdentifier,
+    mddReference: exitReference,
+    mddAttributes: exitAttributes,
+  },
+}
+
+/**
+ * `mdast-util-from-markdown` extension for the MDD syntax: `^2^` and `~2~`
+ * become `superscript` and `subscript` nodes, `@section-2` an `mddReference`
+ * with the `identifier` `section-2`, and a trailing `{#id .class}` an
+ * `mddAttributes` node holding the block as `value`. The MDD plugins turn
+ * references into links and attributes into properties of their heading or
+ * paragraph.
+ *
+ * @returns {import('mdast-util-from-markdown').Extension}
+ */
+export function mddFromMarkdown() {
+  return mddFromMarkdownExtension
+}
+
+/**
+ * Register the MDD syntax with a unified processor's remark-parse: each
+ * construct in `features` once, however many MDD plugins ask for it, plus
+ * {@link mddFromMarkdown}. With `isMdd`, the plugin's detector, a file that
+ * no registered detector takes for MDD is parsed without the MDD syntax, as
+ * plain Markdown.
+ *
+ * @param {import('unified').Processor | undefined} processor
+ * @param {{ superscript?: boolean, subscript?: boolean, references?: boolean, attributes?: boolean }} features
+ * @param {(tree: object | undefined, file: import('vfile').VFile) => boolean} [isMdd]
+ */
+export function registerMddSyntax(processor, features, isMdd) {
+  const data = processor?.data()
+  if (!data) {
+    return
+  }
+  if (isMdd) {
+    parseMddSyntaxIn(processor, isMdd)
+  }
+  data.mddSyntaxFeatures ??= new Set()
+  const added = Object.keys(features).filter(
+    (feature) => features[feature] && !data.mddSyntaxFeatures.has(feature),
+  )
+  if (added.length === 0) {
+    return
+  }
+  const options = { superscript: false, subscript: false, references: false, attributes: false }
+  for (const feature of added) {
+    options[feature] = true
+    data.mddSyntaxFeatures.add(feature)
+  }
+  data.micromarkExtensions ??= []
+  data.micromarkExtensions.push(mddSyntax(options))
+  data.fromMarkdownExtensions ??= []
+  if (!data.fromMarkdownExtensions.includes(mddFromMarkdownExtension)) {
+    data.fromMarkdownExtensions.push(mddFromMarkdownExtension)
+  }
+}
+
+/** Names of the constructs `mddSyntax` adds. */
+const MDD_CONSTRUCTS = new Set(['mddSuperscript', 'mddSubscript', 'mddReference', 'mddAttributes'])
+
+function isMddExtension(extension) {
+  return (
+    extension?.enter?.mddReference === enterReference ||
+    Object.values(extension?.text ?? {})
+      .flat()
+      .some((construct) => MDD_CONSTRUCTS.has(construct?.name))
+  )
+}
+
+/**
+ * Wrap the processor's parser (set by remark-parse) so that a file the MDD
+ * detectors reject is parsed without the MDD extensions. A file with neither
+ * a path nor frontmatter that decides is parsed with them: it may still be
+ * run as an MDD file, and the plugins unravel the syntax otherwise.
+ */
+function parseMddSyntaxIn(processor, isMdd) {
+  const parse = processor.parser
+  if (!parse) {
+    return
+  }
+  if (parse.mddDetectors) {
+    parse.mddDetectors.push(isMdd)
+    return
+  }
+
+  const detectors = [isMdd]
+  function parser(document, file) {
+    const decided =
+      file?.path !== undefined || detectFromFrontmatter(readFrontmatter(undefined, file)) !== null
+    if (!decided || detectors.some((detector) => detector(undefined, file))) {
+      return parse(document, file)
+    }
+    const data = processor.data()
+    const { micromarkExtensions = [], fromMarkdownExtensions = [] } = data
+    data.micromarkExtensions = micromarkExtensions.filter((extension) => !isMddExtension(extension))
+    data.fromMarkdownExtensions = fromMarkdownExtensions.filter(
+      (extension) => !isMddExtension(extension),
+    )
+    try {
+      return parse(document, file)
+    } finally {
+      data.micromarkExtensions = micromarkExtensions
+      data.fromMarkdownExtensions = fromMarkdownExtensions
+    }
+  }
+  parser.mddDetectors = detectors
+  processor.parser = parser
+}
+
+/**
+ * Whether a processor parses GFM strikethrough, which reads a single-tilde
+ * `~text~` as deleted text where MDD reads a subscript.
+ *
+ * @param {import('unified').Processor | undefined} processor
+ */
+export function parsesStrikethrough(processor) {
+  return (processor?.data('micromarkExtensions') ?? []).flat(Infinity).some((extension) =>
+    // The constructs of `~` (126).
+    [extension?.text?.[126]].flat().some((construct) => construct?.name === 'strikethrough'),
+  )
+}
+
+/**
+ * Turn the MDD syntax nodes of a tree back into the text they were parsed
+ * from, for documents the MDD plugins leave alone: scripts keep their
+ * children between literal markers. With `strikethrough`, subscripts become
+ * the deleted text GFM reads them as.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {{ strikethrough?: boolean }} [options]
+ */
+export function unravelMddSyntax(tree, options = {}) {
+  unravel(tree, options)
+  tree.data = { ...tree.data, mddUnraveled: true }
+}
+
+function unravel(node, options) {
+  if (!Array.isArray(node.children)) {
+    return
+  }
+  const children = []
+  for (const child of node.children) {
+    unravel(child, options)
+    const replacement = unraveled(child, options)
+    for (const item of replacement) {
+      const previous = children.at(-1)
+      if (item.type === 'text' && previous?.type === 'text' && !previous.data && !item.data) {
+        previous.value += item.value
+        if (previous.position && item.position) {
+          previous.position = { start: previous.position.start, end: item.position.end }
+        }
+      } else {
+        children.push(item)
+      }
+    }
+  }
+  node.children = children
+}
+
+function unraveled(node, options) {
+  const text = (value, position) => ({ type: 'text', value, ...(position && { position }) })
+  switch (node.type) {
+    case 'subscript':
+      if (options.strikethrough) {
+        return [{ type: 'delete', children: node.children, position: node.position }]
+      }
+    // falls through
+    case 'superscript': {
+      const marker = node.type === 'superscript' ? '^' : '~'
+      return [text(marker), ...node.children, text(marker)]
+    }
+    case 'mddReference':
+      return [text(`@${node.identifier}`, node.position)]
+    case 'mddAttributes':
+      return [text(node.value, node.position)]
+    default:
+      return [node]
+  }
+}
+
+/**
+ * Turn an `mddDirective` into a `<div>` (an `<hr>` for section breaks, a
+ * `<nav>` for tables of contents, a `<dl>` for glossaries, a `<section>` for
+ * endnotes) carrying
+ * the directive class, `data-mdd-directive` and the attribute block.
+ *
+ * @param {import('mdast-util-to-hast').State} state
+ * @param {import('../types/mdd').MDDDirective} node
+ * @returns {import('hast').Element}
+ */
+export function mddDirectiveToHast(state, node) {
+  const result = {
+    type: 'element',
+    tagName: 'div',
+    properties: {},
+    children: node.children.length > 0 ? state.wrap(state.all(node), true) : [],
+  }
+  state.patch(node, result)
+  return state.applyData(node, result)
+}
+
+/**
+ * Turn an `mddSpan` into a `<span>` carrying its `data.hProperties`.
+ *
+ * @param {import('mdast-util-to-hast').State} state
+ * @param {import('../types/mdd').MDDSpan} node
+ * @returns {import('hast').Element}
+ */
+export function mddSpanToHast(state, node) {
+  const result = { type: 'element', tagName: 'span', properties: {}, children: state.all(node) }
+  state.patch(node, result)
+  return state.applyData(node, result)
+}
+
+/**
+ * Turn an `mddField` (`{page}`, `{pages}`) into an empty `<span>` whose class
+ * the paged-media stylesheet fills with the page counter.
+ *
+ * @param {import('mdast-util-to-hast').State} state
+ * @param {import('../types/mdd').MDDField} node
+ * @returns {import('hast').Element}
+ */
+export function mddFieldToHast(state, node) {
+  const result = { type: 'element', tagName: 'span', properties: {}, children: [] }
+  state.patch(node, result)
+  return state.applyData(node, result)
+}
+
+/**
+ * Turn a `superscript` node into `<sup>` around its children.
+ *
+ * @param {import('mdast-util-to-hast').State} state
+ * @param {import('../types/mdd').Superscript} node
+ * @returns {import('hast').Element}
+ */
+export function superscriptToHast(state, node) {
+  const result = { type: 'element', tagName: 'sup', properties: {}, children: state.all(node) }
+  state.patch(node, result)
+  return state.applyData(node, result)
+}
+
+/**
+ * Turn a `subscript` node into `<sub>` around its children.
+ *
+ * @param {import('mdast-util-to-hast').State} state
+ * @param {import('../types/mdd').Subscript} node
+ * @returns {import('hast').Element}
+ */
+export function subscriptToHast(state, node) {
+  const result = { type: 'element', tagName: 'sub', properties: {}, children: state.all(node) }
+  state.patch(node, result)
+  return state.applyData(node, result)
+}
+
+/**
+ * Render MDD syntax the plugins did not take up, such as a class annotation
+ * at the end of a table cell, as its source text.
+ *
+ * @param {import('mdast-util-to-hast').State} state
+ * @param {import('../types/mdd').MDDReference | import('../types/mdd').MDDAttributes} node
+ * @returns {import('hast').Text}
+ */
+export function mddSyntaxToHast(state, node) {
+  const result = {
+    type: 'text',
+    value: node.type === 'mddReference' ? `@${node.identifier}` : node.value,
+  }
+  state.patch(node, result)
+  return result
+}
+
+/**
+ * Handlers for `mdast-util-to-hast`; pass as `handlers` to `remark-rehype`.
+ */
+export const mddHastHandlers = {
+  mddDirective: mddDirectiveToHast,
+  mddSpan: mddSpanToHast,
+  mddField: mddFieldToHast,
+  superscript: superscriptToHast,
+  subscript: subscriptToHast,
+  mddReference: mddSyntaxToHast,
+  mddAttributes: mddSyntaxToHast,
+}
+
+/**
+ * Serialize an `mddDirective` back to `::name{attributes}` ... `::`, leaving
+ * out generated content (a table of contents). Empty and self-closing
+ * directives use the inline form (`::page-break ::`, `::: section-break :::`).
+ */
+function mddDirectiveToMarkdown(node, _, state, info) {
+  const attributes = stringifyAttributeBlock(node.attributes)
+  if (node.name === 'section-break') {
+    return `::: section-break${attributes} :::`
+  }
+
+  const opener = `::${node.name}${attributes}`
+  const children = node.children.filter((child) => !child.data?.mddGenerated)
+  if (children.length === 0) {
+    return `${opener} ::`
+  }
+
+  const exit = state.enter('mddDirective')
+  const value = state.containerFlow({ ...node, children }, info)
+  exit()
+  // A `::` right below a paragraph is a marker line of that paragraph; below
+  // anything else (a list, a quote, HTML) it could be swallowed as a lazy
+  // continuation, so it gets a blank line.
+  const separator = children.at(-1).type === 'paragraph' ? '\n' : '\n\n'
+  return `${opener}\n${value}${separator}::`
+}
+
+/**
+ * `mddSpan` only marks up its children, so it serializes as them, or as the
+ * source token it was derived from. Generated spans (figure captions) are
+ * left out.
+ */
+function mddSpan(node, _, state, info) {
+  if (node.data?.mddGenerated) {
+    return ''
+  }
+  return node.data?.mddSource ?? state.containerPhrasing(node, info)
+}
+
+/** `{page}` / `{pages}`, or the pandoc markers chosen by the plugin. */
+function mddField(node) {
+  return node.data?.mddMarkdown ?? `{${node.name}}`
+}
+
+/**
+ * `^text^` / `~text~`, the superscript and subscript syntax pandoc reads into
+ * `\textsuperscript` in LaTeX and raised or lowered runs in DOCX. Pandoc does
+ * not allow plain spaces inside, so they are escaped (`^a\ b^`).
+ */
+function script(marker) {
+  return (node, _, state, info) => {
+    if (node.data?.mddSource) {
+      return node.data.mddSource
+    }
+    const exit = state.enter(node.type)
+    const value = state.containerPhrasing(node, { ...info, before: marker, after: marker })
+    exit()
+    return `${marker}${value.replaceAll(' ', '\\ ')}${marker}`
+  }
+}
+
+function mddReference(node) {
+  return `@${node.identifier}`
+}
+
+function mddAttributes(node) {
+  return node.value
+}
+
+/**
+ * Write lifted running headers and footers back where they were, and leave
+ * out generated blocks (endnotes appended to the document).
+ */
+function root(node, parent, state, info) {
+  if (node.data?.mddUnraveled) {
+    unraveledStates.add(state)
+  }
+  const children = restoreRunningElements(node.children).filter(
+    (child) => !child.data?.mddGenerated,
+  )
+  const restored = { ...node, children }
+  return defaultHandlers.root(restored, parent, state, info)
+}
+
+function text(node, parent, state, info) {
+  if (node.data?.mddGenerated) {
+    return ''
+  }
+  if (node.data?.mddSource) {
+    return node.data.mddSource
+  }
+  const value = defaultHandlers.text(node, parent, state, info)
+  return unraveledStates.has(state) ? value : escapeMddSyntax(value, info)
+}
+
+/** Serializations of trees that are not MDD, which need no MDD escapes. */
+const unraveledStates = new WeakSet()
+
+/** A reference as the tokenizer reads it; the lookahead makes the number atomic. */
+const REFERENCE_START = /^@(?:[a-z]+-(?=(\d+(?:-\d+)*))\1(?![A-Za-z_])|sec:[A-Za-z])/u
+const TRAILING_ATTRIBUTES = /^\{[#.][^{}\r\n]*\}[\t ]*$/u
+
+/**
+ * Escape the markers in serialized text that would parse as MDD syntax (see
+ * `micromark-extension-mdd.js`): a `^` or `~` that opens a script, an `@`
+ * that starts a reference and a `{` that starts a trailing class annotation.
+ * `before` and `after` are the characters around the text; where the syntax
+ * could continue past the text, the marker is escaped.
+ *
+ * @param {string} value
+ * @param {{ before?: string, after?: string }} info
+ */
+function escapeMddSyntax(value, { before = '', after = '' }) {
+  let result = ''
+  for (let index = 0; index < value.length; index++) {
+    const character = value[index]
+    if (character === '\\') {
+      result += value.slice(index, index + 2)
+      index++
+      continue
+    }
+    const previous = index === 0 ? before : value[index - 1]
+    if (
+      ((character === '^' || character === '~') && opensScript(value, index, previous, after)) ||
+      (character === '@' &&
+        !/[\dA-Za-z_]/u.test(previous) &&
+        REFERENCE_START.test(value.slice(index) + after)) ||
+      (character === '{' && TRAILING_ATTRIBUTES.test(value.slice(index)) && !/[^\s|]/u.test(after))
+    ) {
+      result += '\\'
+    }
+    result += character
+  }
+  return result
+}
+
+/**
+ * Whether the `^` or `~` at `index` opens a script: it follows no whitespace
+ * (the start of the text may be the start of a line) and a closing marker
+ * follows with no whitespace in between.
+ */
+function opensScript(value, index, previous, after) {
+  const marker = value[index]
+  const next = value[index + 1] ?? after
+  if (
+    previous === marker ||
+    next === marker ||
+    !next ||
+    /\s/u.test(next) ||
+    (index > 0 && /\s/u.test(previous))
+  ) {
+    return false
+  }
+  for (let end = index + 1; end < value.length; end++) {
+    const character = value[end]
+    if (/\s/u.test(character)) {
+      return false
+    }
+    if (character === '\\') {
+      end++
+    } else if (character === marker) {
+      return (value[end + 1] ?? after) !== marker
+    }
+  }
+  // The closing marker may be in the next node.
+  return Boolean(after) && !/\s/u.test(after)
+}
+
+function html(node, parent, state, info) {
+  return node.data?.mddSource ?? defaultHandlers.html(node, parent, state, info)
+}
+html.peek = defaultHandlers.html.peek
+
+function link(node, parent, state, info) {
+  const template = node.data?.mddTemplate
+  return (
+    node.data?.mddSource ??
+    defaultHandlers.link(template ? { ...node, ...template } : node, parent, state, info)
+  )
+}
+link.peek = (node, parent, state) =>
+  node.data?.mddSource
+    ? node.data.mddSource.charAt(0)
+    : defaultHandlers.link.peek(node, parent, state)
+
+function heading(node, parent, state, info) {
+  return withClassAnnotation(node, defaultHandlers.heading(node, parent, state, info))
+}
+
+function paragraph(node, parent, state, info) {
+  return withClassAnnotation(node, defaultHandlers.paragraph(node, parent, state, info))
+}
+
+function withClassAnnotation(node, value) {
+  const annotation = node.data?.mddClassAnnotation
+  return annotation ? `${value} ${annotation}` : value
+}
+
+/** Shared so each MDD plugin can register it once per processor. */
+const mddToMarkdownExtension = {
+  unsafe: [
+    { character: '^', inConstruct: 'superscript' },
+    { character: '~', inConstruct: 'subscript' },
+  ],
+  handlers: {
+    mddDirective: mddDirectiveToMarkdown,
+    mddSpan,
+    mddField,
+    superscript: script('^'),
+    subscript: script('~'),
+    mddReference,
+    mddAttributes,
+    root,
+    text,
+    html,
+    link,
+    heading,
+    paragraph,
+  },
+}
+
+/**
+ * `mdast-util-to-markdown` extension for MDD trees: serializes `mddDirective`
+ * nodes and restores source tokens (see the module comment), so parse →
+ * transform → stringify reproduces canonical MDD.
+ *
+ * @returns {import('mdast-util-to-markdown').Options}
+ */
+export function mddToMarkdown() {
+  return mddToMarkdownExtension
+}
+
+/**
+ * Register {@link mddToMarkdown} with a unified processor's remark-stringify,
+ * once however many MDD plugins are used.
+ *
+ * @param {import('unified').Processor | undefined} processor
+ */
+export function registerMddToMarkdown(processor) {
+  const data = processor?.data()
+  if (!data) {
+    return
+  }
+  data.toMarkdownExtensions ??= []
+  if (!data.toMarkdownExtensions.includes(mddToMarkdownExtension)) {
+    data.toMarkdownExtensions.push(mddToMarkdownExtension)
+  }
+}
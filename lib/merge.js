@@ -0,0 +1,266 @@
+/**
+ * MDD Mail Merge
+ * Render one MDD template against a dataset: one document per record, with
+ * the record's fields merged over the template frontmatter and filled into
+ * its `{{field}}` placeholders (see `interpolation.js`), each validated with
+ * `validateDocument`.
+ *
+ * Records are local data: an array of objects, a JSON array, or CSV text with
+ * a header row. A dotted key or CSV column (`client.name`) sets a nested
+ * field; empty CSV cells keep the template's value.
+ */
+
+import { dump as dumpYaml } from 'js-yaml'
+import { fromMarkdown } from 'mdast-util-from-markdown'
+import { visit } from 'unist-util-visit'
+
+import { FRONTMATTER_BLOCK, parseFrontmatter } from './frontmatter.js'
+import { resolvePlaceholder } from './interpolation.js'
+import { mddFromMarkdown } from './mdast-util-mdd.js'
+import { mddSyntax } from './micromark-extension-mdd.js'
+import { validateDocument } from './validator.js'
+
+const PLACEHOLDER = /\{\{([^{}\n]*)\}\}/gu
+
+/**
+ * Characters a filled-in value escapes, so it reads as text in Markdown (`|`
+ * would split a table cell).
+ */
+const MARKDOWN_SPECIAL = /[\\`*_[\]<>~^{}|]/gu
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, `""` for a quote, CRLF or LF) into
+ * records keyed by the header row.
+ *
+ * @param {string} text
+ * @returns {Array<Record<string, string>>}
+ * @throws {TypeError} for an unterminated quoted field
+ */
+export function parseCsv(text) {
+  const rows = [[]]
+  let field = ''
+  let quoted = false
+  let index = 0
+
+  while (index < text.length) {
+    const char = text[index]
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"'
+        index++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === ',') {
+      rows.at(-1).push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      rows.at(-1).push(field)
+      field = ''
+      rows.push([])
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++
+      }
+    } else {
+      field += char
+    }
+    index++
+  }
+  if (quoted) {
+    throw new TypeError('CSV records end inside a quoted field')
+  }
+  rows.at(-1).push(field)
+
+  const [header, ...body] = rows.filter((row) => row.some((cell) => cell.trim() !== ''))
+  if (!header) {
+    return []
+  }
+  const columns = header.map((name) => name.trim())
+  return body.map((row) =>
+    Object.fromEntries(
+      columns.flatMap((name, column) =>
+        name && row[column] !== undefined && row[column] !== '' ? [[name, row[column]]] : [],
+      ),
+    ),
+  )
+}
+
+/**
+ * Read records from an array of objects, a JSON array or CSV text.
+ *
+ * @param {Array<Record<string, unknown>> | string} records
+ * @returns {Array<Record<string, unknown>>}
+ * @throws {TypeError} for malformed JSON or CSV, or records that are not objects
+ */
+export function readRecords(records) {
+  let list = records
+  if (typeof records === 'string') {
+    if (/^\s*\[/u.test(records)) {
+      try {
+        list = JSON.parse(records)
+      } catch (err) {
+        throw new TypeError(`Records are not valid JSON: ${err.message}`)
+      }
+    } else {
+      list = parseCsv(records)
+    }
+  }
+
+  if (
+    !Array.isArray(list) ||
+    !list.every((record) => typeof record === 'object' && record !== null && !Array.isArray(record))
+  ) {
+    throw new TypeError('Records must be an array of objects, a JSON array or CSV text')
+  }
+  return list
+}
+
+/** Keys that would reach an object's prototype instead of setting a field. */
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype'])
+
+function checkKey(key) {
+  if (UNSAFE_KEYS.has(key)) {
+    throw new TypeError(`Record field "${key}" is not allowed`)
+  }
+}
+
+/** Check the keys of a record value, down through its mappings and lists. */
+function checkFields(value) {
+  if (Array.isArray(value)) {
+    value.forEach(checkFields)
+  } else if (typeof value === 'object' && value !== null) {
+    for (const [key, item] of Object.entries(value)) {
+      checkKey(key)
+      checkFields(item)
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/** Turn dotted keys (`client.name`) into nested objects. */
+function expandDottedKeys(record) {
+  const expanded = {}
+  for (const [key, value] of Object.entries(record)) {
+    const path = key.split('.')
+    path.forEach(checkKey)
+    checkFields(value)
+    let target = expanded
+    for (const segment of path.slice(0, -1)) {
+      if (!isPlainObject(target[segment])) {
+        target[segment] = {}
+      }
+      target = target[segment]
+    }
+    const last = path.at(-1)
+    target[last] =
+      isPlainObject(value) && isPlainObject(target[last]) ? mergeFields(target[last], value) : value
+  }
+  return expanded
+}
+
+/** Merge `overrides` over `base`: mappings field by field, anything else replaced. */
+function mergeFields(base, overrides) {
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key]) ? mergeFields(merged[key], value) : value
+  }
+  return merged
+}
+
+/** Fill the placeholders of frontmatter strings (`title: "NDA with {{client.name}}"`). */
+function fillFrontmatter(value, frontmatter) {
+  if (typeof value === 'string') {
+    return value.replaceAll(PLACEHOLDER, (placeholder, body) => {
+      const result = resolvePlaceholder(body, frontmatter, frontmatter.language)
+      return 'text' in result ? result.text : placeholder
+    })
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => fillFrontmatter(item, frontmatter))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fillFrontmatter(item, frontmatter)]),
+    )
+  }
+  return value
+}
+
+/**
+ * Fill the placeholders of a Markdown body. Only placeholders in text are
+ * filled, not those in code; values are escaped so they stay text, and
+ * placeholders that cannot be filled stay as written.
+ */
+function fillBody(body, frontmatter) {
+  const tree = fromMarkdown(body, {
+    extensions: [mddSyntax()],
+    mdastExtensions: [mddFromMarkdown()],
+  })
+  const replacements = []
+  visit(tree, 'text', (node) => {
+    const start = node.position?.start.offset
+    const end = node.position?.end.offset
+    if (start === undefined || end === undefined) {
+      return
+    }
+    for (const match of body.slice(start, end).matchAll(PLACEHOLDER)) {
+      const result = resolvePlaceholder(match[1], frontmatter, frontmatter.language)
+      if ('text' in result) {
+        replacements.push({
+          start: start + match.index,
+          end: start + match.index + match[0].length,
+          text: result.text.replaceAll(MARKDOWN_SPECIAL, String.raw`\$&`),
+        })
+      }
+    }
+  })
+
+  let filled = body
+  for (const { start, end, text } of replacements.toSorted((a, b) => b.start - a.start)) {
+    filled = filled.slice(0, start) + text + filled.slice(end)
+  }
+  return filled
+}
+
+/**
+ * Render a template against each record.
+ *
+ * @param {string} template an MDD document with `{{field}}` placeholders
+ * @param {Array<Record<string, unknown>> | string} records an array of objects, a JSON array or CSV text
+ * @param {import('../types/mdd').MergeOptions} [options]
+ * @returns {Array<import('../types/mdd').MergedDocument>}
+ * @throws {TypeError} for malformed records or template frontmatter, or a
+ *   record field named `__proto__`, `constructor` or `prototype`
+ */
+export function mergeDocuments(template, records, options = {}) {
+  if (typeof template !== 'string') {
+    throw new TypeError('The template must be an MDD document string')
+  }
+  const { frontmatter: base, yamlError } = parseFrontmatter(template)
+  if (yamlError) {
+    throw new TypeError(`The template frontmatter is not valid YAML: ${yamlError}`)
+  }
+  const body = template.replace(FRONTMATTER_BLOCK, '')
+  const validation = options.validation ?? {}
+
+  return readRecords(records).map((record, index) => {
+    const merged = mergeFields(base ?? {}, expandDottedKeys(record))
+    const frontmatter = fillFrontmatter(merged, merged)
+    const content = `---\n${dumpYaml(frontmatter, { lineWidth: -1 })}---\n${fillBody(body, frontmatter)}`
+    return {
+      index,
+      record,
+      frontmatter,
+      content,
+      validation: validation === false ? null : validateDocument(content, validation),
+    }
+  })
+}
@@ -0,0 +1,440 @@
+/**
+ * MDD micromark syntax
+ * Tokenizes the inline MDD syntax while Markdown is parsed, so it gets the
+ * escapes, positions and precedence of the rest of the Markdown grammar
+ * instead of being matched in text afterwards:
+ *
+ * - Superscript `^2^` and subscript `H~2~O`: a single marker right after a
+ *   word (or at the start of the text), closed by the next marker of the same
+ *   kind with no whitespace in between (`^a\ b^` escapes a space). Content may
+ *   hold emphasis, code and links (`^*a*^`). A marker that can neither open
+ *   nor close a script is left to other constructs, so `~~` and `a ~b~ c`
+ *   stay GFM strikethrough
+ * - References `@section-2`, `@section-2-1`, `@table-1`, `@sec:payment-terms`:
+ *   not right after a letter or digit, so `jane@acme-2` in an email stays text
+ * - Class annotations `{#id .class}` at the end of a heading or paragraph
+ *
+ * A backslash escapes each of them (`\^`, `\@`, `\{`). `mddFromMarkdown` in
+ * `mdast-util-mdd.js` turns the tokens into `superscript`, `subscript`,
+ * `mddReference` and `mddAttributes` nodes.
+ */
+
+import {
+  asciiAlpha,
+  asciiAlphanumeric,
+  asciiDigit,
+  markdownLineEnding,
+  markdownLineEndingOrSpace,
+  markdownSpace,
+} from 'micromark-util-character'
+import { splice } from 'micromark-util-chunked'
+import { resolveAll } from 'micromark-util-resolve-all'
+
+const CARET = 94
+const TILDE = 126
+const AT_SIGN = 64
+const LEFT_BRACE = 123
+const RIGHT_BRACE = 125
+const NUMBER_SIGN = 35
+const DOT = 46
+const DASH = 45
+const UNDERSCORE = 95
+const COLON = 58
+const BACKSLASH = 92
+
+const SCRIPT_TYPES = {
+  [CARET]: 'mddSuperscript',
+  [TILDE]: 'mddSubscript',
+}
+
+/**
+ * Create the micromark extension for MDD inline syntax. Every construct is
+ * on unless switched off.
+ *
+ * @param {{ superscript?: boolean, subscript?: boolean, references?: boolean, attributes?: boolean }} [options]
+ * @returns {import('micromark-util-types').Extension}
+ */
+export function mddSyntax(options = {}) {
+  const text = {}
+  const markers = []
+  const insideSpan = []
+
+  for (const [marker, option] of [
+    [CARET, 'superscript'],
+    [TILDE, 'subscript'],
+  ]) {
+    if (options[option] !== false) {
+      const construct = {
+        name: SCRIPT_TYPES[marker],
+        tokenize: createScriptTokenizer(marker),
+        resolveAll: resolveAllScripts,
+        // Before GFM strikethrough, which would read `~2~` as deleted text;
+        // the tokenizer declines the markers strikethrough should have.
+        add: 'before',
+      }
+      text[marker] = construct
+      markers.push(marker)
+      insideSpan.push(construct)
+    }
+  }
+  if (options.references !== false) {
+    text[AT_SIGN] = { name: 'mddReference', tokenize: tokenizeReference }
+  }
+  if (options.attributes !== false) {
+    text[LEFT_BRACE] = { name: 'mddAttributes', tokenize: tokenizeAttributes }
+  }
+
+  return {
+    text,
+    insideSpan: { null: insideSpan },
+    attentionMarkers: { null: markers },
+  }
+}
+
+/**
+ * A single `^` or `~`, kept as a temporary sequence until `resolveAllScripts`
+ * pairs it with another one. Only a marker that closes an opener taken
+ * before it, or opens a script whose closing marker follows, is taken.
+ */
+function createScriptTokenizer(marker) {
+  const closingMarkerAhead = { tokenize: createClosingMarkerTokenizer(marker), partial: true }
+
+  return function tokenizeScript(effects, ok, nok) {
+    const { previous, events } = this
+    let token
+    return start
+
+    function start(code) {
+      // The second marker of `~~` or `^^`.
+      if (previous === marker && events.at(-1)[1].type !== 'characterEscape') {
+        return nok(code)
+      }
+      effects.enter('mddScriptSequenceTemporary')
+      effects.consume(code)
+      token = effects.exit('mddScriptSequenceTemporary')
+      return after
+    }
+
+    function after(code) {
+      if (code === marker) {
+        return nok(code)
+      }
+      token._marker = marker
+      token._open = !markdownLineEndingOrSpace(previous) && !markdownLineEndingOrSpace(code)
+      token._close = previous !== null && !markdownLineEndingOrSpace(previous)
+      if (token._close && openerBefore(events, token)) {
+        return ok(code)
+      }
+      if (!token._open) {
+        return nok(code)
+      }
+      return effects.check(closingMarkerAhead, opened, nok)(code)
+    }
+
+    function opened(code) {
+      token._opener = true
+      return ok(code)
+    }
+  }
+}
+
+/** Whether the script sequence of the same marker before `sequence` was taken as an opener. */
+function openerBefore(events, sequence) {
+  for (let index = events.length - 1; index >= 0; index--) {
+    const [kind, token] = events[index]
+    if (
+      kind === 'enter' &&
+      token !== sequence &&
+      token.type === 'mddScriptSequenceTemporary' &&
+      token._marker === sequence._marker
+    ) {
+      return token._opener === true
+    }
+  }
+  return false
+}
+
+/**
+ * Script content up to a closing `marker`: at least one character, no
+ * unescaped whitespace, and a single marker at the end.
+ */
+function createClosingMarkerTokenizer(marker) {
+  return function tokenizeClosingMarker(effects, ok, nok) {
+    let empty = true
+    return start
+
+    function start(code) {
+      effects.enter('mddScriptContentAhead')
+      return content(code)
+    }
+
+    function content(code) {
+      if (code === null || markdownLineEndingOrSpace(code)) {
+        return nok(code)
+      }
+      if (code === marker) {
+        if (empty) {
+          return nok(code)
+        }
+        effects.consume(code)
+        return closed
+      }
+      empty = false
+      effects.consume(code)
+      return code === BACKSLASH ? escaped : content
+    }
+
+    function escaped(code) {
+      if (code === null || markdownLineEnding(code)) {
+        return nok(code)
+      }
+      effects.consume(code)
+      return content
+    }
+
+    function closed(code) {
+      if (code === marker) {
+        return nok(code)
+      }
+      effects.exit('mddScriptContentAhead')
+      return ok(code)
+    }
+  }
+}
+
+/**
+ * Pair script sequences: each closer takes the nearest opener of its marker
+ * when the content between them is not empty, has no unescaped whitespace
+ * and does not cross the edge of another span. Unpaired sequences are text.
+ */
+function resolveAllScripts(events, context) {
+  let index = -1
+
+  while (++index < events.length) {
+    const closer = events[index][1]
+    if (events[index][0] !== 'enter' || closer.type !== 'mddScriptSequenceTemporary') {
+      continue
+    }
+    if (!closer._close) {
+      continue
+    }
+
+    let open = index
+    while (open--) {
+      const opener = events[open][1]
+      if (
+        events[open][0] !== 'exit' ||
+        opener.type !== 'mddScriptSequenceTemporary' ||
+        opener._marker !== closer._marker
+      ) {
+        continue
+      }
+      if (!opener._open || !isScriptContent(events, open + 1, index, context)) {
+        break
+      }
+
+      const type = SCRIPT_TYPES[closer._marker]
+      opener.type = `${type}Sequence`
+      closer.type = `${type}Sequence`
+      const script = { type, start: { ...opener.start }, end: { ...closer.end } }
+      const content = { type: `${type}Text`, start: { ...opener.end }, end: { ...closer.start } }
+      const nextEvents = [
+        ['enter', script, context],
+        ['enter', opener, context],
+        ['exit', opener, context],
+        ['enter', content, context],
+      ]
+      const insideSpan = context.parser.constructs.insideSpan.null
+      splice(
+        nextEvents,
+        nextEvents.length,
+        0,
+        insideSpan ? resolveAll(insideSpan, events.slice(open + 1, index), context) : [],
+      )
+      splice(nextEvents, nextEvents.length, 0, [
+        ['exit', content, context],
+        ['enter', closer, context],
+        ['exit', closer, context],
+        ['exit', script, context],
+      ])
+      splice(events, open - 1, index - open + 3, nextEvents)
+      index = open + nextEvents.length - 2
+      break
+    }
+  }
+
+  for (const [, token] of events) {
+    if (token.type === 'mddScriptSequenceTemporary') {
+      token.type = 'data'
+    }
+  }
+  return events
+}
+
+/** Whether events `from` to `to` are script content (see `resolveAllScripts`). */
+function isScriptContent(events, from, to, context) {
+  if (from >= to) {
+    return false
+  }
+  let depth = 0
+  for (let index = from; index < to; index++) {
+    depth += events[index][0] === 'enter' ? 1 : -1
+    if (depth < 0) {
+      return false
+    }
+  }
+  if (depth !== 0) {
+    return false
+  }
+  const source = context.sliceSerialize({
+    start: events[from][1].start,
+    end: events[to - 1][1].end,
+  })
+  return !/(?<!\\)\s/u.test(source)
+}
+
+/** A `-` followed by a digit: the next part of a section number (`@section-2-1`). */
+const numberPartAhead = { tokenize: tokenizeNumberPart, partial: true }
+
+function tokenizeNumberPart(effects, ok, nok) {
+  return (code) => {
+    effects.enter('mddReferenceNumberPart')
+    effects.consume(code)
+    return (next) => {
+      effects.exit('mddReferenceNumberPart')
+      return asciiDigit(next) ? ok(next) : nok(next)
+    }
+  }
+}
+
+/**
+ * `@type-N` (`N` may have several parts, `@section-2-1`) or `@sec:name`,
+ * where a name starts with a letter, ends with a letter or digit and holds
+ * letters, digits, `-` and `_`.
+ */
+function tokenizeReference(effects, ok, nok) {
+  const { previous } = this
+  let type = ''
+  let last = null
+  return start
+
+  function start(code) {
+    if (asciiAlphanumeric(previous) || previous === UNDERSCORE) {
+      return nok(code)
+    }
+    effects.enter('mddReference')
+    effects.enter('mddReferenceMarker')
+    effects.consume(code)
+    effects.exit('mddReferenceMarker')
+    effects.enter('mddReferenceIdentifier')
+    return referenceType
+  }
+
+  function referenceType(code) {
+    if (code !== null && code >= 97 && code <= 122) {
+      type += String.fromCodePoint(code)
+      effects.consume(code)
+      return referenceType
+    }
+    if (type && code === DASH) {
+      effects.consume(code)
+      return numberStart
+    }
+    if (type === 'sec' && code === COLON) {
+      effects.consume(code)
+      return nameStart
+    }
+    return nok(code)
+  }
+
+  function numberStart(code) {
+    return asciiDigit(code) ? number(code) : nok(code)
+  }
+
+  function number(code) {
+    if (asciiDigit(code)) {
+      effects.consume(code)
+      return number
+    }
+    if (code === DASH) {
+      return effects.check(numberPartAhead, numberPart, end)(code)
+    }
+    return asciiAlpha(code) || code === UNDERSCORE ? nok(code) : end(code)
+  }
+
+  function numberPart(code) {
+    effects.consume(code)
+    return numberStart
+  }
+
+  function nameStart(code) {
+    return asciiAlpha(code) ? name(code) : nok(code)
+  }
+
+  function name(code) {
+    if (asciiAlphanumeric(code) || code === DASH || code === UNDERSCORE) {
+      last = code
+      effects.consume(code)
+      return name
+    }
+    return asciiAlphanumeric(last) ? end(code) : nok(code)
+  }
+
+  function end(code) {
+    effects.exit('mddReferenceIdentifier')
+    effects.exit('mddReference')
+    return ok(code)
+  }
+}
+
+/**
+ * `{#id .class key=value}` followed by nothing but spaces: the class
+ * annotation of a heading or paragraph. Anywhere else a brace is text.
+ */
+function tokenizeAttributes(effects, ok, nok) {
+  return start
+
+  function start(code) {
+    effects.enter('mddAttributes')
+    effects.consume(code)
+    return first
+  }
+
+  function first(code) {
+    if (code !== NUMBER_SIGN && code !== DOT) {
+      return nok(code)
+    }
+    effects.consume(code)
+    return inside
+  }
+
+  function inside(code) {
+    if (code === RIGHT_BRACE) {
+      effects.consume(code)
+      effects.exit('mddAttributes')
+      return trailing
+    }
+    if (code === null || code === LEFT_BRACE || markdownLineEnding(code)) {
+      return nok(code)
+    }
+    effects.consume(code)
+    return inside
+  }
+
+  function trailing(code) {
+    if (markdownSpace(code)) {
+      effects.enter('mddAttributesSpace')
+      return space(code)
+    }
+    return code === null ? ok(code) : nok(code)
+  }
+
+  function space(code) {
+    if (markdownSpace(code)) {
+      effects.consume(code)
+      return space
+    }
+    effects.exit('mddAttributesSpace')
+    return code === null ? ok(code) : nok(code)
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * MDD Footnotes and Endnotes
+ * Document-wide note numbering on top of GFM footnotes (`[^id]` references
+ * and `[^id]: ...` definitions, parsed by remark-gfm), shared by the
+ * text-formatting plugin (which numbers and places the notes) and the
+ * validator (which reports missing and unreferenced notes).
+ *
+ * Notes are numbered in the order of their first reference, in a style:
+ * `decimal`, `symbols` (`*`, `†`, `‡`, `§`, `‖`, `¶`, then doubled),
+ * `lower-roman`, `upper-roman`, `lower-alpha` or `upper-alpha`. They are
+ * placed as page footnotes (a `<span class="footnote">` at the reference,
+ * floated to the page foot by the paged-media stylesheet) or as endnotes (a
+ * list at each `::endnotes` directive, holding the notes referenced since the
+ * previous one, or at the end of the document). A document with an
+ * `::endnotes` directive always has endnotes.
+ */
+
+import { toString } from 'mdast-util-to-string'
+import { SKIP, visit } from 'unist-util-visit'
+
+import { formatCounter } from './numbering.js'
+import { getDocumentTypeRequirements } from './requirements.js'
+
+export const NOTE_PLACEMENTS = ['footnotes', 'endnotes']
+
+export const NOTE_STYLES = [
+  'decimal',
+  'symbols',
+  'lower-roman',
+  'upper-roman',
+  'lower-alpha',
+  'upper-alpha',
+]
+
+const NOTE_SYMBOLS = ['*', '†', '‡', '§', '‖', '¶']
+
+export const DEFAULT_NOTE_OPTIONS = { placement: 'footnotes', style: 'decimal' }
+
+/**
+ * The label of the `value`th note in a style.
+ *
+ * @param {number} value
+ * @param {import('../types/mdd').NoteStyle} [style]
+ */
+export function formatNoteLabel(value, style = 'decimal') {
+  if (style !== 'symbols') {
+    return formatCounter(value, style)
+  }
+  const symbol = NOTE_SYMBOLS[(value - 1) % NOTE_SYMBOLS.length]
+  return symbol.repeat(Math.ceil(value / NOTE_SYMBOLS.length))
+}
+
+/**
+ * Check `{ placement, style }` note options.
+ *
+ * @param {unknown} options
+ * @returns {Partial<import('../types/mdd').NoteOptions>}
+ * @throws {TypeError} for an unknown placement or style
+ */
+export function resolveNoteOptions(options) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new TypeError('Note options must be an object of { placement, style }')
+  }
+  const { placement, style } = options
+  if (placement !== undefined && !NOTE_PLACEMENTS.includes(placement)) {
+    throw new TypeError(
+      `Unknown note placement "${placement}" (expected ${NOTE_PLACEMENTS.join(', ')})`,
+    )
+  }
+  if (style !== undefined && !NOTE_STYLES.includes(style)) {
+    throw new TypeError(`Unknown note style "${style}" (expected ${NOTE_STYLES.join(', ')})`)
+  }
+  return { ...(placement && { placement }), ...(style && { style }) }
+}
+
+/**
+ * The note options of a document: its frontmatter `notes`, else the `notes`
+ * option, else its document type's, field by field.
+ *
+ * @param {Record<string, unknown> | null | undefined} frontmatter
+ * @param {Partial<import('../types/mdd').NoteOptions>} [option]
+ * @returns {import('../types/mdd').NoteOptions}
+ * @throws {TypeError} for malformed frontmatter `notes`
+ */
+export function selectNoteOptions(frontmatter, option = {}) {
+  const typeNotes = getDocumentTypeRequirements(frontmatter?.['document-type'])?.notes
+  return {
+    ...DEFAULT_NOTE_OPTIONS,
+    ...typeNotes,
+    ...option,
+    ...(frontmatter?.notes === undefined ? {} : resolveNoteOptions(frontmatter.notes)),
+  }
+}
+
+/** Anchor-safe form of a note identifier. */
+function noteSlug(identifier) {
+  return identifier.toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, '-')
+}
+
+/** A GFM footnote reference the micromark extension did not resolve. */
+const LITERAL_REFERENCE = /\[\^([^\]\s]+)\]/gu
+
+/**
+ * Find the notes of a tree and their references without changing it. With
+ * GFM they are `footnoteDefinition` and `footnoteReference` nodes; without
+ * it, `[^id]: ...` parses as a `definition` with an identifier starting with
+ * `^` (or stays text when it does not look like a link definition), and a
+ * reference as a `linkReference` to it. Any other `[^id]` left as text
+ * refers to a note that is not defined.
+ *
+ * @param {import('mdast').Root} tree
+ * @returns {{ definitions: Array<{ identifier: string, line: number | undefined }>, references: Array<{ identifier: string, line: number | undefined }> }}
+ */
+export function findNotes(tree) {
+  const definitions = []
+  const references = []
+
+  visit(tree, (node) => {
+    if (node.type === 'code' || node.type === 'inlineCode') {
+      return SKIP
+    }
+    const line = node.position?.start.line
+    if (node.type === 'footnoteDefinition') {
+      definitions.push({ identifier: node.identifier, line })
+    } else if (node.type === 'definition' && node.identifier.startsWith('^')) {
+      definitions.push({ identifier: node.identifier.slice(1), line })
+    } else if (node.type === 'footnoteReference') {
+      references.push({ identifier: node.identifier, line })
+    } else if (node.type === 'linkReference' && node.identifier.startsWith('^')) {
+      references.push({ identifier: node.identifier.slice(1), line })
+      return SKIP
+    } else if (node.type === 'text') {
+      for (const match of node.value.matchAll(LITERAL_REFERENCE)) {
+        const before = node.value.slice(0, match.index)
+        const entry = {
+          identifier: match[1].toLowerCase(),
+          line: line === undefined ? undefined : line + (before.match(/\n/gu)?.length ?? 0),
+        }
+        // `[^id]: ...` that did not parse as a definition still defines a note.
+        const defines =
+          /(?:^|\n)$/u.test(before) && node.value[match.index + match[0].length] === ':'
+        ;(defines ? definitions : references).push(entry)
+      }
+    }
+    return undefined
+  })
+
+  return { definitions, references }
+}
+
+/** The phrasing content of a note, for a footnote at its reference. */
+function notePhrasing(definition) {
+  return definition.children.flatMap((child, index) => {
+    const separator = index > 0 ? [{ type: 'text', value: ' ' }] : []
+    return child.type === 'paragraph'
+      ? [...separator, ...structuredClone(child.children)]
+      : [...separator, { type: 'text', value: toString(child) }]
+  })
+}
+
+/** An endnote: the note's blocks, its label first and links back to its references. */
+function endnoteItem(note) {
+  const children = structuredClone(note.definition.children)
+  if (children[0]?.type !== 'paragraph') {
+    children.unshift({ type: 'paragraph', children: [] })
+  }
+  children[0].children.unshift(
+    {
+      type: 'mddSpan',
+      children: [{ type: 'text', value: note.label }],
+      data: { hName: 'span', hProperties: { className: ['note-label'] } },
+    },
+    { type: 'text', value: ' ' },
+  )
+  const last = children.findLast((child) => child.type === 'paragraph')
+  for (const [index, id] of note.referenceIds.entries()) {
+    last.children.push(
+      { type: 'text', value: ' ' },
+      {
+        type: 'link',
+        url: `#${id}`,
+        title: null,
+        children: [{ type: 'text', value: index === 0 ? '↩' : `↩${index + 1}` }],
+        data: { hProperties: { className: ['note-backref'] } },
+      },
+    )
+  }
+  return {
+    type: 'listItem',
+    spread: children.length > 1,
+    checked: null,
+    children,
+    data: { hProperties: { id: note.id } },
+  }
+}
+
+function endnoteList(notes) {
+  return {
+    type: 'list',
+    ordered: false,
+    start: null,
+    spread: false,
+    children: notes.map((note) => endnoteItem(note)),
+    data: { hProperties: { className: ['notes'] }, mddGenerated: true },
+  }
+}
+
+/**
+ * Number the GFM footnotes of a tree and place them. Each reference becomes
+ * a `superscript` linking to its note (keeping `[^id]` as its source, so the
+ * tree stringifies back); definitions stay where they are, and the notes are
+ * rendered as footnotes or endnotes (see the module comment). Definitions
+ * nobody refers to are not rendered.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {import('../types/mdd').NoteOptions} options
+ * @returns {Array<{ identifier: string, id: string, label: string, definition: object, referenceIds: string[] }>}
+ *   the notes in order, with the ids of their references
+ */
+export function placeNotes(tree, { placement, style } = DEFAULT_NOTE_OPTIONS) {
+  const definitions = new Map()
+  let hasEndnotesDirective = false
+  visit(tree, (node) => {
+    if (node.type === 'footnoteDefinition' && !definitions.has(node.identifier)) {
+      definitions.set(node.identifier, node)
+    } else if (node.type === 'mddDirective' && node.name === 'endnotes') {
+      hasEndnotesDirective = true
+    }
+  })
+  const endnotes = hasEndnotesDirective || placement === 'endnotes'
+
+  const notes = new Map()
+  const placements = []
+  let pending = []
+  visit(tree, (node, index, parent) => {
+    if (node.type === 'mddDirective' && node.name === 'endnotes') {
+      placements.push({ directive: node, notes: pending })
+      pending = []
+      return SKIP
+    }
+    if (node.type !== 'footnoteReference' || !parent) {
+      return undefined
+    }
+
+    const definition = definitions.get(node.identifier)
+    if (!definition) {
+      return undefined
+    }
+    let note = notes.get(node.identifier)
+    if (!note) {
+      note = {
+        identifier: node.identifier,
+        id: `fn-${noteSlug(node.identifier)}`,
+        label: formatNoteLabel(notes.size + 1, style),
+        definition,
+        referenceIds: [],
+      }
+      notes.set(node.identifier, note)
+      if (endnotes) {
+        pending.push(note)
+      }
+    }
+    const referenceId = `fnref-${noteSlug(node.identifier)}${note.referenceIds.length > 0 ? `-${note.referenceIds.length + 1}` : ''}`
+    note.referenceIds.push(referenceId)
+
+    const replacement = [
+      {
+        type: 'superscript',
+        children: [
+          {
+            type: 'link',
+            url: `#${note.id}`,
+            title: null,
+            children: [{ type: 'text', value: note.label }],
+          },
+        ],
+        data: {
+          hName: 'sup',
+          hProperties: { id: referenceId, className: ['note-ref'] },
+          mddSource: `[^${node.label ?? node.identifier}]`,
+        },
+        position: node.position,
+      },
+    ]
+    if (!endnotes && note.referenceIds.length === 1) {
+      replacement.push({
+        type: 'mddSpan',
+        children: notePhrasing(definition),
+        data: {
+          hName: 'span',
+          hProperties: { id: note.id, className: ['footnote'] },
+          mddGenerated: true,
+        },
+      })
+    }
+    parent.children.splice(index, 1, ...replacement)
+    return [SKIP, index + replacement.length]
+  })
+
+  if (pending.length > 0) {
+    const directive = {
+      type: 'mddDirective',
+      name: 'endnotes',
+      attributes: {},
+      children: [],
+      data: {
+        hName: 'section',
+        hProperties: { className: ['endnotes'], 'data-mdd-directive': 'endnotes' },
+        mddGenerated: true,
+      },
+    }
+    tree.children.push(directive)
+    placements.push({ directive, notes: pending })
+  }
+  // Filled last, so each endnote links back to every reference.
+  for (const { directive, notes: placed } of placements) {
+    directive.children = [
+      ...(placed.length > 0 ? [endnoteList(placed)] : []),
+      ...directive.children.filter((child) => !child.data?.mddGenerated),
+    ]
+  }
+
+  return [...notes.values()]
+}
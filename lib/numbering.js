@@ -0,0 +1,229 @@
+/**
+ * MDD Section Numbering
+ * Numbering schemes for headings, shared by the text-formatting plugin (which
+ * prefixes headings with their number) and the validator (which computes the
+ * same heading anchors to check `@section-N` references).
+ *
+ * A scheme lists one entry per heading level, starting at H1; levels past
+ * the end of the list (or `null` entries) are not numbered. An entry is a
+ * counter style or `{ style, pad, template }`:
+ *
+ * - `style`: `decimal`, `upper-roman`, `lower-roman`, `upper-alpha` or
+ *   `lower-alpha`
+ * - `pad`: minimum width of a decimal number, padded with zeros (`01`)
+ * - `template`: the label, where `{n}` is this level's number and `{1}` to
+ *   `{6}` the decimal counter of that level (`Section {1}.{n}`). Without a
+ *   template the label is hierarchical: the numbers of every level down to
+ *   this one joined by dots (`1.2.3`, `I.A`).
+ *
+ * Anchors do not depend on the scheme: the heading with counters 1, 2 is
+ * always `section-1-2`, so references keep working when the scheme changes.
+ */
+
+import { getDocumentTypeRequirements } from './requirements.js'
+
+export const NUMBERING_STYLES = [
+  'decimal',
+  'upper-roman',
+  'lower-roman',
+  'upper-alpha',
+  'lower-alpha',
+]
+
+/** Built-in schemes, selectable by name. */
+export const NUMBERING_SCHEMES = {
+  // 1 / 1.1 / 1.1.1
+  decimal: ['decimal', 'decimal', 'decimal'],
+  // Article I / Section 1.01 / (a) / (i)
+  legal: [
+    { style: 'upper-roman', template: 'Article {n}' },
+    { style: 'decimal', pad: 2, template: 'Section {1}.{n}' },
+    { style: 'lower-alpha', template: '({n})' },
+    { style: 'lower-roman', template: '({n})' },
+  ],
+  // I. / A. / 1. / a. / i.
+  outline: [
+    { style: 'upper-roman', template: '{n}.' },
+    { style: 'upper-alpha', template: '{n}.' },
+    { style: 'decimal', template: '{n}.' },
+    { style: 'lower-alpha', template: '{n}.' },
+    { style: 'lower-roman', template: '{n}.' },
+  ],
+  // § 1 / § 1.1
+  section: [
+    { style: 'decimal', template: '§ {n}' },
+    { style: 'decimal', template: '§ {1}.{n}' },
+  ],
+  none: [],
+}
+
+const ROMAN_NUMERALS = [
+  [1000, 'M'],
+  [900, 'CM'],
+  [500, 'D'],
+  [400, 'CD'],
+  [100, 'C'],
+  [90, 'XC'],
+  [50, 'L'],
+  [40, 'XL'],
+  [10, 'X'],
+  [9, 'IX'],
+  [5, 'V'],
+  [4, 'IV'],
+  [1, 'I'],
+]
+
+function toRoman(value) {
+  let rest = value
+  let result = ''
+  for (const [amount, numeral] of ROMAN_NUMERALS) {
+    while (rest >= amount) {
+      result += numeral
+      rest -= amount
+    }
+  }
+  return result
+}
+
+/** 1 → A, 26 → Z, 27 → AA */
+function toAlpha(value) {
+  let rest = value
+  let result = ''
+  while (rest > 0) {
+    rest--
+    result = String.fromCodePoint(65 + (rest % 26)) + result
+    rest = Math.floor(rest / 26)
+  }
+  return result
+}
+
+/**
+ * Format a counter value in a numbering style.
+ *
+ * @param {number} value
+ * @param {import('../types/mdd').NumberingStyle} [style]
+ * @param {number} [pad] minimum width of a decimal number
+ */
+export function formatCounter(value, style = 'decimal', pad = 0) {
+  switch (style) {
+    case 'upper-roman':
+      return toRoman(value)
+    case 'lower-roman':
+      return toRoman(value).toLowerCase()
+    case 'upper-alpha':
+      return toAlpha(value)
+    case 'lower-alpha':
+      return toAlpha(value).toLowerCase()
+    default:
+      return String(value).padStart(pad, '0')
+  }
+}
+
+function normalizeLevel(level, index) {
+  if (level === null) {
+    return null
+  }
+  const {
+    style = 'decimal',
+    pad = 0,
+    template,
+  } = typeof level === 'string' ? { style: level } : level
+  if (
+    !NUMBERING_STYLES.includes(style) ||
+    !Number.isInteger(pad) ||
+    pad < 0 ||
+    (template !== undefined && typeof template !== 'string')
+  ) {
+    throw new TypeError(
+      `Numbering level ${index + 1} must be a style (${NUMBERING_STYLES.join(', ')}) or { style, pad, template }`,
+    )
+  }
+  return { style, pad, template }
+}
+
+/**
+ * Resolve a scheme name or level list to a list of normalized levels.
+ *
+ * @param {import('../types/mdd').NumberingScheme} scheme
+ * @returns {Array<{style: string, pad: number, template?: string} | null>}
+ * @throws {TypeError} for an unknown scheme name or a malformed level
+ */
+export function resolveNumberingScheme(scheme) {
+  if (typeof scheme === 'string') {
+    if (!Object.hasOwn(NUMBERING_SCHEMES, scheme)) {
+      throw new TypeError(
+        `Unknown numbering scheme "${scheme}" (expected ${Object.keys(NUMBERING_SCHEMES).join(', ')})`,
+      )
+    }
+    return resolveNumberingScheme(NUMBERING_SCHEMES[scheme])
+  }
+  if (!Array.isArray(scheme) || scheme.length > 6) {
+    throw new TypeError('A numbering scheme must be a scheme name or a list of up to 6 levels')
+  }
+  return scheme.map((level, index) => normalizeLevel(level, index))
+}
+
+/**
+ * Pick the numbering scheme of a document: its frontmatter `numbering`, else
+ * the `numbering` plugin option, else the `numbering` of its document type in
+ * `document-type-requirements.json`, else `decimal`.
+ *
+ * @param {Record<string, unknown> | null} frontmatter
+ * @param {import('../types/mdd').NumberingScheme} [option]
+ * @returns {import('../types/mdd').NumberingScheme}
+ */
+export function selectNumberingScheme(frontmatter, option) {
+  return (
+    frontmatter?.numbering ??
+    option ??
+    getDocumentTypeRequirements(frontmatter?.['document-type'])?.numbering ??
+    'decimal'
+  )
+}
+
+/**
+ * Heading counters for H1–H6. `advance(level)` counts a heading and resets
+ * the deeper levels; `label(level)` and `id(level)` describe the heading
+ * counted last.
+ *
+ * @param {import('../types/mdd').NumberingScheme} [scheme]
+ */
+export function createSectionNumbering(scheme = 'decimal') {
+  const levels = resolveNumberingScheme(scheme)
+  const counters = [0, 0, 0, 0, 0, 0]
+
+  return {
+    advance(level) {
+      counters[level - 1]++
+      counters.fill(0, level)
+    },
+
+    /** The heading's number in the scheme, or `''` when its level is not numbered. */
+    label(level) {
+      const own = levels[level - 1]
+      if (!own || counters[level - 1] === 0) {
+        return ''
+      }
+      const number = formatCounter(counters[level - 1], own.style, own.pad)
+      if (own.template !== undefined) {
+        return own.template.replaceAll(/\{([n1-6])\}/gu, (_, token) =>
+          token === 'n' ? number : String(counters[Number(token) - 1]),
+        )
+      }
+      const parts = []
+      for (let index = 0; index < level; index++) {
+        if (counters[index] > 0) {
+          const { style, pad } = levels[index] ?? { style: 'decimal', pad: 0 }
+          parts.push(formatCounter(counters[index], style, pad))
+        }
+      }
+      return parts.join('.')
+    },
+
+    /** The heading's anchor: `section-` and its non-zero counters (`section-1-2`). */
+    id(level) {
+      const numbers = counters.slice(0, level).filter((value) => value > 0)
+      return numbers.length > 0 ? `section-${numbers.join('-')}` : ''
+    },
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * MDD Paragraph Classification
+ * Rules that give paragraphs semantic classes (`legal-clause`, `recital`,
+ * `long-paragraph`, ...), used by the text-formatting plugin.
+ *
+ * A rule is `{ match, className }`: `match` is a RegExp tested against the
+ * paragraph's text, or a function of the text and the paragraph node, and
+ * `className` the class or classes a matching paragraph gets. Every matching
+ * rule adds its classes to the ones the paragraph already has (such as a
+ * `{.class}` annotation), so rules compose.
+ *
+ * Rules come in named packs. A pack is a list of rules, or lists keyed by
+ * language (the document language's, else English). Document types select
+ * packs with `paragraphRules` in `document-type-requirements.json`; other
+ * documents use `general` and `contract`.
+ */
+
+import { toString } from 'mdast-util-to-string'
+import { visit } from 'unist-util-visit'
+
+import { getDocumentTypeRequirements } from './requirements.js'
+
+/** Paragraphs longer than this many characters are `long-paragraph`. */
+export const LONG_PARAGRAPH_LENGTH = 200
+
+/** Packs of documents whose type selects none. */
+export const DEFAULT_PARAGRAPH_RULES = ['general', 'contract']
+
+/** Case-insensitive match of any of `phrases` at the start of a paragraph. */
+function leading(phrases) {
+  return new RegExp(`^(?:${phrases.join('|')})(?![\\p{L}\\p{N}])`, 'iu')
+}
+
+/**
+ * The rules of a contract pack: recitals (`WHEREAS`), operative and
+ * qualifying clauses (`NOW, THEREFORE`, `PROVIDED`) and the testimonium
+ * (`IN WITNESS WHEREOF`).
+ */
+function contractRules({ recitals, clauses, testimonium }) {
+  return [
+    { match: leading(recitals), className: ['legal-clause', 'recital'] },
+    { match: leading(clauses), className: 'legal-clause' },
+    { match: leading(testimonium), className: ['legal-clause', 'testimonium'] },
+  ]
+}
+
+/** Built-in rule packs, selectable by name. */
+export const PARAGRAPH_RULE_PACKS = {
+  general: [
+    {
+      match: (text) => text.length > LONG_PARAGRAPH_LENGTH,
+      className: 'long-paragraph',
+    },
+    { match: /^\d+\.\s/u, className: 'numbered-item' },
+  ],
+  contract: {
+    en: contractRules({
+      recitals: ['WHEREAS'],
+      clauses: [String.raw`(?:NOW,?\s+)?THEREFORE`, 'PROVIDED', String.raw`SUBJECT\s+TO`],
+      testimonium: [String.raw`IN\s+WITNESS\s+WHEREOF`],
+    }),
+    de: contractRules({
+      recitals: [String.raw`IN\s+ANBETRACHT`, String.raw`IN\s+ERWÄGUNG`],
+      clauses: [String.raw`DIES\s+VORAUSGESCHICKT`, 'VORAUSGESETZT', 'VORBEHALTLICH'],
+      testimonium: [String.raw`ZU\s+URKUND\s+DESSEN`],
+    }),
+    fr: contractRules({
+      recitals: [String.raw`ATTENDU\s+QUE`, String.raw`CONSIDÉRANT\s+QUE`],
+      clauses: [
+        String.raw`EN\s+CONSÉQUENCE`,
+        String.raw`IL\s+A\s+ÉTÉ\s+CONVENU`,
+        String.raw`SOUS\s+RÉSERVE`,
+      ],
+      testimonium: [String.raw`EN\s+FOI\s+DE\s+QUOI`],
+    }),
+    es: contractRules({
+      recitals: ['CONSIDERANDO'],
+      clauses: [String.raw`EN\s+CONSECUENCIA`, String.raw`POR\s+TANTO`, String.raw`SUJETO\s+A`],
+      testimonium: [
+        String.raw`EN\s+TESTIMONIO\s+DE\s+LO\s+CUAL`,
+        String.raw`Y\s+EN\s+PRUEBA\s+DE\s+CONFORMIDAD`,
+      ],
+    }),
+    it: contractRules({
+      recitals: [String.raw`PREMESSO\s+CHE`, String.raw`CONSIDERATO\s+CHE`],
+      clauses: [String.raw`TUTTO\s+CIÒ\s+PREMESSO`, String.raw`FERMO\s+RESTANDO`],
+      testimonium: [String.raw`IN\s+FEDE`],
+    }),
+    nl: contractRules({
+      recitals: ['OVERWEGENDE', String.raw`IN\s+AANMERKING\s+NEMENDE`],
+      clauses: [String.raw`KOMEN\s+OVEREEN`, String.raw`MET\s+INACHTNEMING\s+VAN`],
+      testimonium: [String.raw`ALDUS\s+OVEREENGEKOMEN`],
+    }),
+  },
+  // Court filings: the introduction and the prayer for relief.
+  pleading: [
+    {
+      match: leading([String.raw`COMES\s+NOW`, String.raw`NOW\s+COMES`]),
+      className: 'legal-clause',
+    },
+    { match: leading(['WHEREFORE']), className: 'legal-clause' },
+  ],
+}
+
+/** A pack's rules in a language: its language's, else English. */
+function packRules(pack, language) {
+  if (Array.isArray(pack)) {
+    return pack
+  }
+  const primary = String(language ?? '')
+    .toLowerCase()
+    .split(/[-_]/u)[0]
+  return Object.hasOwn(pack, primary) ? pack[primary] : pack.en
+}
+
+/** Check a rule and give it a non-global pattern and a class list. */
+function normalizeRule(rule, index) {
+  const { match, className } = rule ?? {}
+  const classes = [className].flat()
+  if (
+    !(match instanceof RegExp || typeof match === 'function') ||
+    classes.length === 0 ||
+    !classes.every((name) => typeof name === 'string' && name)
+  ) {
+    throw new TypeError(
+      `paragraphRules[${index}] must be a pack name or { match: RegExp | (text, node) => boolean, className: string | string[] }`,
+    )
+  }
+  return {
+    // A global or sticky pattern would carry `lastIndex` from one paragraph to the next.
+    match:
+      match instanceof RegExp ? new RegExp(match.source, match.flags.replace(/[gy]/gu, '')) : match,
+    className: classes,
+  }
+}
+
+/**
+ * Resolve pack names and rules to one list of rules.
+ *
+ * @param {Array<string | import('../types/mdd').ParagraphRule>} entries
+ * @param {string} [language] picks the rules of language-keyed packs
+ * @returns {Array<{ match: RegExp | ((text: string, node: import('mdast').Paragraph) => boolean), className: string[] }>}
+ * @throws {TypeError} for an unknown pack name or a malformed rule
+ */
+export function resolveParagraphRules(entries, language) {
+  if (!Array.isArray(entries)) {
+    throw new TypeError('paragraphRules must be a list of pack names and rules')
+  }
+  return entries.flatMap((entry, index) => {
+    if (typeof entry !== 'string') {
+      return [normalizeRule(entry, index)]
+    }
+    if (!Object.hasOwn(PARAGRAPH_RULE_PACKS, entry)) {
+      throw new TypeError(
+        `Unknown paragraph rule pack "${entry}" (expected ${Object.keys(PARAGRAPH_RULE_PACKS).join(', ')})`,
+      )
+    }
+    return packRules(PARAGRAPH_RULE_PACKS[entry], language).map((rule) =>
+      normalizeRule(rule, index),
+    )
+  })
+}
+
+/**
+ * The paragraph rules of a document: the `paragraphRules` option, else the
+ * packs of its document type, else {@link DEFAULT_PARAGRAPH_RULES}.
+ *
+ * @param {Record<string, unknown> | null | undefined} frontmatter
+ * @param {Array<string | import('../types/mdd').ParagraphRule>} [option]
+ * @param {string} [language]
+ */
+export function selectParagraphRules(frontmatter, option, language) {
+  return resolveParagraphRules(
+    option ??
+      getDocumentTypeRequirements(frontmatter?.['document-type'])?.paragraphRules ??
+      DEFAULT_PARAGRAPH_RULES,
+    language,
+  )
+}
+
+/**
+ * The classes the rules give a paragraph, in rule order and without
+ * duplicates.
+ *
+ * @param {import('mdast').Paragraph} node
+ * @param {ReturnType<typeof resolveParagraphRules>} rules
+ * @returns {string[]}
+ */
+export function classifyParagraph(node, rules) {
+  const text = toString(node)
+  const classes = new Set()
+  for (const { match, className } of rules) {
+    if (match instanceof RegExp ? match.test(text) : match(text, node)) {
+      for (const name of className) {
+        classes.add(name)
+      }
+    }
+  }
+  return [...classes]
+}
+
+/**
+ * Add the classes of every paragraph in `tree` to its `hProperties`, after
+ * the classes it already has.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {ReturnType<typeof resolveParagraphRules>} rules
+ */
+export function classifyParagraphs(tree, rules) {
+  if (rules.length === 0) {
+    return
+  }
+  visit(tree, 'paragraph', (node) => {
+    if (node.children.length === 0) {
+      return
+    }
+    node.data ??= {}
+    node.data.hProperties ??= {}
+    const classes = classifyParagraph(node, rules)
+    if (classes.length > 0) {
+      const existing = [node.data.hProperties.className ?? []].flat()
+      node.data.hProperties.className = [...new Set([...existing, ...classes])]
+    }
+  })
+}
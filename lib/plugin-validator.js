@@ -4,6 +4,8 @@
  * @version 0.1.0
  */
 
+import { defaultDirectiveRegistry } from './directives.js'
+
 /**
  * Validation error class
  */
@@ -45,21 +47,16 @@ export function validateDirectiveContent(directiveType, content, node, file) {
 }
 
 /**
- * Validate directive nesting
+ * Validate directive nesting against the registry's `allowedChildren` rules
  */
-export function validateDirectiveNesting(currentDirective, parentDirective, node, file) {
-  // Define allowed nesting rules
-  const nestingRules = {
-    letterhead: [], // Letterhead cannot contain other directives
-    header: [],
-    footer: [],
-    'contact-info': [],
-    'signature-block': [],
-  }
-
-  const allowed = nestingRules[parentDirective] ?? []
-
-  if (parentDirective && !allowed.includes(currentDirective)) {
+export function validateDirectiveNesting(
+  currentDirective,
+  parentDirective,
+  node,
+  file,
+  registry = defaultDirectiveRegistry,
+) {
+  if (parentDirective && !registry.canContain(parentDirective, currentDirective)) {
     const message = `Directive ::${currentDirective} cannot be nested inside ::${parentDirective}`
     if (file && file.message) {
       file.message(message, node, 'mdd:invalid-nesting')
@@ -73,17 +70,83 @@ export function validateDirectiveNesting(currentDirective, parentDirective, node
 /**
  * Validate directive occurrence count
  */
-export function validateDirectiveOccurrence(directiveType, count, maxAllowed, file) {
+export function validateDirectiveOccurrence(directiveType, count, maxAllowed, file, node = null) {
   if (maxAllowed && count > maxAllowed) {
     const message = `Directive ::${directiveType} appears ${count} times (maximum ${maxAllowed} allowed)`
     if (file && file.message) {
-      file.message(message, null, 'mdd:duplicate-directive')
+      file.message(message, node, 'mdd:duplicate-directive')
     }
     return false
   }
   return true
 }
 
+/**
+ * Validate that an end marker closes an open directive
+ */
+export function validateOrphanedEndMarker(marker, node, file) {
+  const message = `End marker ${marker} does not match an open directive`
+  if (file && file.message) {
+    file.message(message, node, 'mdd:orphaned-end-marker')
+  }
+  return false
+}
+
+/**
+ * Report a directive marker whose name is not registered
+ */
+export function validateUnknownDirective(name, node, file) {
+  const message = `Unknown directive ::${name}`
+  if (file && file.message) {
+    file.message(message, node, 'mdd:unknown-directive')
+  }
+  return false
+}
+
+/**
+ * Report a header/footer field placeholder with no frontmatter value
+ */
+export function validateFieldPlaceholder(name, directive, node, file) {
+  const message = `Field placeholder {${name}} in ::${directive} has no frontmatter value`
+  if (file && file.message) {
+    file.message(message, node, 'mdd:unresolved-field')
+  }
+  return false
+}
+
+/**
+ * Report a body `{{field}}` placeholder that cannot be filled
+ */
+export function validateInterpolatedField(placeholder, reason, node, file) {
+  const message = `Placeholder ${placeholder} ${reason}`
+  if (file && file.message) {
+    file.message(message, node, 'mdd:unresolved-field')
+  }
+  return false
+}
+
+/**
+ * Report a line-item amount that does not match the computed one
+ */
+export function validateLineItemAmount(problem, file) {
+  const message = `${problem.subject} ${problem.written} should be ${problem.expected} (${problem.detail})`
+  if (file && file.message) {
+    file.message(message, problem.node, 'mdd:line-item-mismatch')
+  }
+  return false
+}
+
+/**
+ * Report a frontmatter `total-amount` that disagrees with the line items
+ */
+export function validateTotalAmount(mismatch, node, file) {
+  const message = `Frontmatter total-amount "${mismatch.written}" does not match the line-item total ${mismatch.expected}`
+  if (file && file.message) {
+    file.message(message, node, 'mdd:total-amount-mismatch')
+  }
+  return false
+}
+
 /**
  * Validate semantic class
  */
@@ -95,6 +158,8 @@ export function validateSemanticClass(className, node, file) {
     'numbered-section',
     'long-paragraph',
     'legal-clause',
+    'recital',
+    'testimonium',
     'numbered-item',
     'document-section',
     'subsection',
@@ -113,6 +178,7 @@ export function validateSemanticClass(className, node, file) {
     'expiration-date',
     'payment-terms',
     'total-amount',
+    'line-items',
     'item-description',
     'item-quantity',
     'item-price',
@@ -187,7 +253,7 @@ export function validateInternalReference(refType, refNumber, node, file, sectio
   const targetId = `${refType}-${refNumber}`
 
   if (sectionTracker && !sectionTracker[targetId]) {
-    const message = `Reference @${targetId} points to non-existent section`
+    const message = `Reference @${targetId} points to non-existent ${refType}`
     if (file && file.message) {
       file.message(message, node, 'mdd:broken-reference')
     }
@@ -197,6 +263,51 @@ export function validateInternalReference(refType, refNumber, node, file, sectio
   return true
 }
 
+/**
+ * Validate a named `@sec:name` reference against the headings it matches
+ */
+export function validateNamedReference(name, matches, node, file) {
+  if (matches.length === 0) {
+    const message = `Reference @sec:${name} points to no heading id or title`
+    if (file && file.message) {
+      file.message(message, node, 'mdd:broken-reference')
+    }
+    return false
+  }
+
+  if (matches.length > 1 && !matches[0].explicitId) {
+    const message = `Reference @sec:${name} matches ${matches.length} headings; give the target an explicit {#id}`
+    if (file && file.message) {
+      file.message(message, node, 'mdd:ambiguous-reference')
+    }
+    return false
+  }
+
+  return true
+}
+
+/**
+ * Validate that no two nodes share an `id`
+ */
+export function validateUniqueIds(nodes, file) {
+  const seen = new Set()
+  let valid = true
+
+  for (const node of nodes) {
+    const { id } = node.data.hProperties
+    if (seen.has(id)) {
+      const message = `Duplicate id "#${id}"`
+      if (file && file.message) {
+        file.message(message, node, 'mdd:duplicate-id')
+      }
+      valid = false
+    }
+    seen.add(id)
+  }
+
+  return valid
+}
+
 /**
  * Track directive occurrences for validation
  */
@@ -224,7 +335,9 @@ export class DirectiveTracker {
 
   validate(directiveType, maxAllowed, file) {
     const count = this.getCount(directiveType)
-    return validateDirectiveOccurrence(directiveType, count, maxAllowed, file)
+    // Point at the first occurrence over the limit.
+    const node = this.getLocations(directiveType)[maxAllowed] ?? null
+    return validateDirectiveOccurrence(directiveType, count, maxAllowed, file, node)
   }
 }
 
@@ -281,6 +394,65 @@ export function collectValidationMessages(file) {
   return { errors, warnings }
 }
 
+/** Message severities, from least to most severe. `off` drops the message. */
+export const MESSAGE_SEVERITIES = ['off', 'info', 'warning', 'error', 'fatal']
+
+/**
+ * Normalize a `severity` option: one level for every rule, or a record keyed
+ * by rule id (the part of a helper's origin after `mdd:`, e.g.
+ * `missing-end-marker`) with an optional `default`.
+ *
+ * @param {string | Record<string, string>} [severity]
+ * @returns {Record<string, string>}
+ * @throws {TypeError} when a level is not one of {@link MESSAGE_SEVERITIES}
+ */
+export function normalizeSeverity(severity = 'warning') {
+  const levels = typeof severity === 'string' ? { default: severity } : { ...severity }
+  for (const [rule, level] of Object.entries(levels)) {
+    if (!MESSAGE_SEVERITIES.includes(level)) {
+      throw new TypeError(
+        `Invalid severity ${JSON.stringify(level)} for ${rule}: use one of ${MESSAGE_SEVERITIES.join(', ')}`,
+      )
+    }
+  }
+  return levels
+}
+
+/**
+ * Wrap `file` so the helpers above report with a configurable severity (see
+ * {@link normalizeSeverity}). `info`, `warning` and `error` set the vfile
+ * `fatal` flag to `undefined`, `false` and `true`; `fatal` also makes `finish`
+ * throw the first such message, which fails the unified run.
+ *
+ * @param {import('vfile').VFile} file
+ * @param {string | Record<string, string>} [severity]
+ * @returns {{ message: Function, finish: () => void }}
+ */
+export function createMessageReporter(file, severity) {
+  const levels = normalizeSeverity(severity)
+  const fatalMessages = []
+  return {
+    message(reason, place, origin) {
+      const rule = origin?.replace(/^mdd:/u, '')
+      const level = levels[rule] ?? levels.default ?? 'warning'
+      if (level === 'off' || !file?.message) {
+        return undefined
+      }
+      const message = file.message(reason, place, origin)
+      message.fatal = level === 'info' ? undefined : level !== 'warning'
+      if (level === 'fatal') {
+        fatalMessages.push(message)
+      }
+      return message
+    },
+    finish() {
+      if (fatalMessages.length > 0) {
+        throw fatalMessages[0]
+      }
+    },
+  }
+}
+
 /**
  * Enhanced file message with location info
  */
@@ -0,0 +1,201 @@
+/**
+ * MDD Cross-references
+ * `@sec:name` references to headings, shared by the text-formatting plugin
+ * (which links them) and the validator (which checks them), and the link
+ * text of every internal reference.
+ *
+ * A name is a heading's explicit id (`## Payment Terms {#payment-terms}`) or,
+ * for any heading, the slug of its title (`payment-terms`). Explicit ids win;
+ * a slug shared by several headings is ambiguous and resolves to the first.
+ * Unlike `@section-3`, a named reference survives inserting sections above
+ * its target.
+ */
+
+/**
+ * Slug of a heading title: lowercase, punctuation removed, whitespace runs
+ * as single hyphens.
+ *
+ * @param {string} text
+ */
+export function headingSlug(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s-]/gu, '')
+    .trim()
+    .replace(/\s+/gu, '-')
+    .replace(/^-+|-+$/gu, '')
+}
+
+/**
+ * Find the heading a name refers to. `matches` lists every heading with that
+ * explicit id or, when there is none, that slug.
+ *
+ * @template {{ explicitId?: string | null, slug: string }} Heading
+ * @param {Heading[]} headings
+ * @param {string} name
+ * @returns {{ target: Heading | null, matches: Heading[] }}
+ */
+export function resolveNamedReference(headings, name) {
+  const explicit = headings.filter((heading) => heading.explicitId === name)
+  const matches =
+    explicit.length > 0 ? explicit : headings.filter((heading) => heading.slug === name)
+  return { target: matches[0] ?? null, matches }
+}
+
+/**
+ * Words of reference links per language: the label of each reference type
+ * and the link title, where `{text}` is the link text. Other reference types
+ * (`@appendix-2`) use their capitalized name. `contents` titles a table of
+ * contents.
+ */
+export const REFERENCE_LOCALES = {
+  en: {
+    section: 'Section',
+    table: 'Table',
+    figure: 'Figure',
+    title: 'Reference to {text}',
+    contents: 'Contents',
+  },
+  de: {
+    section: 'Abschnitt',
+    table: 'Tabelle',
+    figure: 'Abbildung',
+    title: 'Verweis auf {text}',
+    contents: 'Inhalt',
+  },
+  fr: {
+    section: 'Section',
+    table: 'Tableau',
+    figure: 'Figure',
+    title: 'Renvoi à {text}',
+    contents: 'Table des matières',
+  },
+  es: {
+    section: 'Sección',
+    table: 'Tabla',
+    figure: 'Figura',
+    title: 'Referencia a {text}',
+    contents: 'Índice',
+  },
+  it: {
+    section: 'Sezione',
+    table: 'Tabella',
+    figure: 'Figura',
+    title: 'Riferimento a {text}',
+    contents: 'Indice',
+  },
+  nl: {
+    section: 'Sectie',
+    table: 'Tabel',
+    figure: 'Figuur',
+    title: 'Verwijzing naar {text}',
+    contents: 'Inhoud',
+  },
+  el: {
+    section: 'Ενότητα',
+    table: 'Πίνακας',
+    figure: 'Σχήμα',
+    title: 'Παραπομπή σε {text}',
+    contents: 'Περιεχόμενα',
+  },
+}
+
+/**
+ * Link text of each reference type: `section` for `@section-N` and
+ * `@sec:name`, `table` and `figure` for captions. Other types use `{label}`.
+ */
+export const DEFAULT_REFERENCE_FORMATS = {
+  section: '{label}',
+  table: '{label}: {title}',
+  figure: '{label}: {title}',
+}
+
+const FORMAT_TOKEN = /\{(label|kind|number|title)\}/gu
+
+function isFormat(format) {
+  return typeof format === 'string' || typeof format === 'function'
+}
+
+/**
+ * Resolve `referenceFormat` to a format per reference type. A string or
+ * function applies to every type; an object overrides the defaults per type.
+ *
+ * @param {import('../types/mdd').ReferenceFormatOption} [format]
+ * @returns {Record<string, import('../types/mdd').ReferenceFormat>}
+ * @throws {TypeError} for a format that is not a template or function
+ */
+export function resolveReferenceFormats(format) {
+  if (format === undefined) {
+    return { ...DEFAULT_REFERENCE_FORMATS }
+  }
+  if (isFormat(format)) {
+    return { default: format }
+  }
+  if (
+    typeof format !== 'object' ||
+    format === null ||
+    !Object.values(format).every((entry) => isFormat(entry))
+  ) {
+    throw new TypeError(
+      'referenceFormat must be a template, a function or an object of them keyed by reference type',
+    )
+  }
+  return { ...DEFAULT_REFERENCE_FORMATS, ...format }
+}
+
+/**
+ * Reference words for a language (`de-CH` uses `de`), falling back to
+ * English, with `overrides` on top.
+ *
+ * @param {string} [language]
+ * @param {Record<string, string>} [overrides]
+ */
+export function referenceLocale(language, overrides = {}) {
+  const primary = String(language ?? '')
+    .toLowerCase()
+    .split(/[-_]/u)[0]
+  return {
+    ...REFERENCE_LOCALES.en,
+    ...(Object.hasOwn(REFERENCE_LOCALES, primary) ? REFERENCE_LOCALES[primary] : {}),
+    ...overrides,
+  }
+}
+
+/**
+ * Build the function that writes the link text and title of a resolved
+ * reference. A target has its reference `type`, `number` (the heading's label
+ * in its numbering scheme, such as `2.1` or `Article II`, or the caption
+ * number; empty for an unnumbered heading) and `title`. Templates fill in
+ * `{kind}` (the type's word, `Section`), `{number}`, `{title}` and `{label}`:
+ * the kind and number (`Section 2.1`), or a number that names itself
+ * (`Article II`, `§ 2.1`). Whatever the format, a reference to an unnumbered
+ * heading reads as its title, and one to a target without a title (such as a
+ * missing one) as its label.
+ *
+ * @param {Record<string, import('../types/mdd').ReferenceFormat>} formats from `resolveReferenceFormats`
+ * @param {Record<string, string>} words from `referenceLocale`
+ * @returns {(target: import('../types/mdd').ReferenceTarget) => { text: string, title: string }}
+ */
+export function createReferenceFormatter(formats, words) {
+  return (target) => {
+    const kind =
+      target.type !== 'title' && Object.hasOwn(words, target.type)
+        ? words[target.type]
+        : target.type.charAt(0).toUpperCase() + target.type.slice(1)
+    const label = /^\d/u.test(target.number) ? `${kind} ${target.number}` : target.number
+    const format = formats[target.type] ?? formats.default ?? '{label}'
+    const values = { ...target, kind, label }
+
+    let text
+    if (!target.title) {
+      text = label
+    } else if (!target.number) {
+      text = target.title
+    } else if (typeof format === 'function') {
+      text = format(values)
+    } else {
+      text = format.replaceAll(FORMAT_TOKEN, (_, token) => values[token] ?? '')
+    }
+    return { text, title: words.title.replaceAll('{text}', text) }
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * MDD Document Type Requirements
+ * Lookup of the per-document-type entries of
+ * `schema/document-type-requirements.json`, shared by the validator and the
+ * plugins.
+ */
+
+// Static JSON import (import attributes) so the module stays browser/bundler-safe.
+import documentTypeRequirements from '../schema/document-type-requirements.json' with { type: 'json' }
+
+const DOCUMENT_TYPE_ALIASES = {
+  'business-proposal': 'proposal',
+}
+
+/**
+ * The requirements of a document type, following aliases. `null` for a
+ * missing or unknown type.
+ *
+ * @param {unknown} documentType frontmatter `document-type`
+ * @returns {import('../types/mdd').DocumentTypeRequirements | null}
+ */
+export function getDocumentTypeRequirements(documentType) {
+  if (typeof documentType !== 'string') {
+    return null
+  }
+  const { documentTypes } = documentTypeRequirements
+  const key = [documentType, DOCUMENT_TYPE_ALIASES[documentType]].find(
+    (candidate) => candidate && Object.hasOwn(documentTypes, candidate),
+  )
+  return key ? documentTypes[key] : null
+}
@@ -0,0 +1,228 @@
+/**
+ * MDD Signature Blocks
+ * Parses the paragraphs of a `::signature-block` into signer records, shared
+ * by the document-structure plugin (which renders them) and the validator
+ * (which checks them against the frontmatter `parties`).
+ *
+ * A signer starts at a signature line (`______`, `By: ______`,
+ * `Witness: ______`, `/s/ Jane Doe`) or a `Name:` / `By:` line. Unlabeled lines
+ * after it are the name, title and organization, in that order; an unlabeled
+ * line right above it is the organization (`ACME CORPORATION`).
+ * `Title:`, `Its:`, `Organization:`, `Company:` and `Date:` lines set that
+ * field. Paragraphs without a signer are prose and are left alone.
+ */
+
+import { joinLines, paragraphLines } from './block-lines.js'
+
+export const SIGNER_ROLES = ['signer', 'witness', 'notary']
+
+/** Class added to each kind of line when a signature block is rendered. */
+export const SIGNATURE_LINE_CLASSES = {
+  signatureLine: { signer: 'signature-line', witness: 'witness-line', notary: 'notary-line' },
+  name: 'party-name',
+  title: 'party-title',
+  organization: 'party-organization',
+  dateLine: 'date-line',
+}
+
+const SIGNATURE_LINE = /^(?:(?<label>[\p{L} .]+?)\s*:\s*)?_{3,}$/u
+const ELECTRONIC_SIGNATURE = /^\/s\/\s*(?<name>.+)$/u
+const FIELD_LINE = /^(?<label>name|by|title|its|organi[sz]ation|company|date)\s*:\s*(?<value>.*)$/iu
+const ROLE_LINE = /^(?:(?<witness>witness)|(?<notary>notary(?: public)?))$/iu
+const BLANK_VALUE = /^_*$/u
+
+const FIELD_LABELS = {
+  name: 'name',
+  by: 'name',
+  title: 'title',
+  its: 'title',
+  organization: 'organization',
+  organisation: 'organization',
+  company: 'organization',
+}
+
+function roleFromLabel(label = '') {
+  if (/witness/iu.test(label)) {
+    return 'witness'
+  }
+  return /notary/iu.test(label) ? 'notary' : 'signer'
+}
+
+function createSigner(role = 'signer') {
+  return {
+    role,
+    name: null,
+    title: null,
+    organization: null,
+    date: null,
+    dateLine: null,
+    signatureLine: null,
+  }
+}
+
+/**
+ * Flatten a signature block into one stream of lines. A line of underscores
+ * on its own parses as a thematic break, so breaks count as signature lines
+ * and do not separate the paragraphs around them; any other boundary between
+ * blocks ends the current signer.
+ */
+function blockLines(node) {
+  const lines = []
+  const paragraphs = []
+  let previous = null
+
+  for (const child of node.children ?? []) {
+    if (child.type === 'thematicBreak') {
+      lines.push({ nodes: [], text: '___', rule: child })
+    } else {
+      if (previous && previous.type !== 'thematicBreak') {
+        lines.push({ boundary: true })
+      }
+      if (child.type === 'paragraph') {
+        const own = paragraphLines(child)
+        paragraphs.push({ paragraph: child, lines: own })
+        lines.push(...own)
+      }
+    }
+    previous = child
+  }
+
+  return { lines, paragraphs }
+}
+
+/**
+ * Read the signers from a stream of lines, recording for each line which
+ * signer field it holds (`line.signer` / `line.field`).
+ */
+function readSigners(lines) {
+  const signers = []
+  let current = null
+  let heading = null
+
+  const start = (role) => {
+    current = createSigner(role)
+    current.organization = heading?.text.replace(/:$/u, '') ?? null
+    if (heading) {
+      Object.assign(heading, { signer: current, field: 'organization' })
+      heading = null
+    }
+    signers.push(current)
+    return current
+  }
+
+  for (const line of lines) {
+    if (line.boundary) {
+      current = null
+      heading = null
+      continue
+    }
+
+    const field = line.text.match(FIELD_LINE)
+    // `By: ______` is a signature line; `Date: ______` and `Name: ______` are
+    // blank fields.
+    const signature =
+      field && !(field.groups.label.toLowerCase() === 'by' && BLANK_VALUE.test(field.groups.value))
+        ? null
+        : (line.text.match(SIGNATURE_LINE) ?? line.text.match(ELECTRONIC_SIGNATURE))
+
+    if (signature) {
+      const { label } = signature.groups
+      const signer = current && !current.signatureLine ? current : start(roleFromLabel(label))
+      signer.signatureLine = line.text
+      signer.role = label ? roleFromLabel(label) : signer.role
+      signer.name ??= signature.groups.name?.trim() ?? null
+      Object.assign(line, { signer, field: 'signatureLine' })
+    } else if (field) {
+      const label = field.groups.label.toLowerCase()
+      const value = BLANK_VALUE.test(field.groups.value) ? null : field.groups.value.trim()
+      if (label === 'date') {
+        if (current) {
+          Object.assign(current, { date: value, dateLine: line.text })
+          Object.assign(line, { signer: current, field: 'dateLine' })
+        }
+        continue
+      }
+      const key = FIELD_LABELS[label]
+      const signer = current && current[key] === null ? current : start()
+      signer[key] = value
+      Object.assign(line, { signer, field: key })
+    } else if (line.text && current) {
+      const role = line.text.match(ROLE_LINE)
+      if (role) {
+        current.role = role.groups.witness ? 'witness' : 'notary'
+        current.title ??= line.text
+        Object.assign(line, { signer: current, field: 'title' })
+        continue
+      }
+      const key = ['name', 'title', 'organization'].find((name) => current[name] === null)
+      if (key) {
+        current[key] = line.text
+        Object.assign(line, { signer: current, field: key })
+      }
+    } else if (line.text) {
+      heading = line
+    }
+  }
+
+  return signers
+}
+
+/**
+ * Parse the signers of a `signature-block` directive node without changing it.
+ *
+ * @param {import('../types/mdd').MDDDirective} node
+ * @returns {import('../types/mdd').SignerRecord[]}
+ */
+export function parseSignatureBlock(node) {
+  return readSigners(blockLines(node).lines)
+}
+
+function lineClass(line) {
+  const className = SIGNATURE_LINE_CLASSES[line.field]
+  return typeof className === 'string' ? className : className[line.signer.role]
+}
+
+function addClass(node, className) {
+  node.data = { ...node.data }
+  node.data.hProperties = { ...node.data.hProperties, className: [className] }
+}
+
+/**
+ * Parse the signers of a `signature-block` directive node, store them in
+ * `node.data.signers` and give each signer line a class: text becomes a
+ * `<span>`, other inline nodes and underscore rules get the class directly.
+ * Line text is split but not changed, so the block serializes back to the
+ * same source.
+ *
+ * @param {import('../types/mdd').MDDDirective} node
+ * @returns {import('../types/mdd').SignerRecord[]}
+ */
+export function annotateSignatureBlock(node) {
+  const { lines, paragraphs } = blockLines(node)
+  const signers = readSigners(lines)
+
+  for (const line of lines) {
+    if (line.rule && line.field) {
+      addClass(line.rule, lineClass(line))
+    }
+  }
+
+  for (const { paragraph, lines: own } of paragraphs) {
+    if (!own.some((line) => line.field)) {
+      continue
+    }
+    for (const line of own) {
+      for (const inline of line.field ? line.nodes : []) {
+        addClass(inline, lineClass(line))
+        if (inline.type === 'text') {
+          inline.data.hName = 'span'
+        }
+      }
+    }
+    paragraph.children = joinLines(own)
+  }
+
+  node.data ??= {}
+  node.data.signers = signers
+  return signers
+}
@@ -0,0 +1,107 @@
+/**
+ * MDD Table of Contents
+ * Fills `::toc` directives with a nested list of the document's headings,
+ * numbered and linked to their ids. The text-formatting plugin calls it once
+ * headings are numbered; the list is generated, so serializing the tree
+ * writes the directive back as `::toc ::`.
+ */
+
+import { toString } from 'mdast-util-to-string'
+import { visit } from 'unist-util-visit'
+
+/** Heading levels listed when `::toc` has no `depth` attribute. */
+export const DEFAULT_TOC_DEPTH = 3
+
+function createList() {
+  return { type: 'list', ordered: false, start: null, spread: false, children: [] }
+}
+
+/**
+ * Build the nested list of `headings` up to level `depth`. A heading nests in
+ * the list of the closest shallower heading before it, so skipped levels do
+ * not leave empty items.
+ *
+ * @param {Array<{ node: import('mdast').Heading, id: string }>} headings
+ * @param {number} [depth]
+ * @returns {import('mdast').List | null} `null` when no heading is listed
+ */
+export function buildTableOfContents(headings, depth = DEFAULT_TOC_DEPTH) {
+  const root = createList()
+  const open = []
+
+  for (const heading of headings) {
+    const level = heading.node.depth
+    if (level > depth) {
+      continue
+    }
+    while (open.length > 0 && open.at(-1).level >= level) {
+      open.pop()
+    }
+
+    const parent = open.at(-1)?.item
+    let list = parent ? parent.children[1] : root
+    if (!list) {
+      list = createList()
+      parent.children.push(list)
+    }
+
+    const item = {
+      type: 'listItem',
+      spread: false,
+      checked: null,
+      children: [
+        {
+          type: 'paragraph',
+          children: [
+            {
+              type: 'link',
+              url: `#${heading.id}`,
+              title: null,
+              // Includes the generated number, which the heading carries.
+              children: [{ type: 'text', value: toString(heading.node).trim() }],
+            },
+          ],
+        },
+      ],
+    }
+    list.children.push(item)
+    open.push({ level, item })
+  }
+
+  return root.children.length > 0 ? root : null
+}
+
+/**
+ * Fill every `::toc` directive in `tree` with its title (the `title`
+ * attribute, else `words.contents`) and the list of `headings` down to its
+ * `depth` attribute. Content written inside the directive stays after the
+ * list.
+ *
+ * @param {import('mdast').Root} tree
+ * @param {Array<{ node: import('mdast').Heading, id: string }>} headings
+ * @param {Record<string, string>} [words] from `referenceLocale`
+ */
+export function renderTablesOfContents(tree, headings, words = {}) {
+  visit(tree, 'mddDirective', (node) => {
+    if (node.name !== 'toc') {
+      return
+    }
+
+    const depth = Number.parseInt(node.attributes.depth, 10) || DEFAULT_TOC_DEPTH
+    const title = node.attributes.title ?? words.contents ?? 'Contents'
+    const list = buildTableOfContents(headings, depth)
+    const generated = [
+      {
+        type: 'paragraph',
+        children: [{ type: 'text', value: title }],
+        data: { hProperties: { className: ['toc-title'] } },
+      },
+      ...(list ? [list] : []),
+    ]
+    for (const child of generated) {
+      child.data = { ...child.data, mddGenerated: true }
+    }
+
+    node.children = [...generated, ...node.children.filter((child) => !child.data?.mddGenerated)]
+  })
+}
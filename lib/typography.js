@@ -0,0 +1,251 @@
+/**
+ * MDD Smart Typography
+ * Locale-aware typographic replacements for the text-formatting plugin, keyed
+ * on the document language (frontmatter `language`, e.g. `de`, `fr-CH`).
+ *
+ * - Quotes: `"text"` and `'text'` in the language's primary and secondary
+ *   quotation marks (English “…” ‘…’, German „…“ ‚…‘, French « … » with narrow
+ *   no-break spaces, Swiss «…» ‹…›, Swedish and Finnish ”…”, Danish »…«, ...),
+ *   and apostrophes (`don't`, `'90s`, `the parties' rights`) as ’
+ * - Dashes and ellipsis: `---` → —, `--` → –, `...` → …
+ * - Non-breaking spaces: before `%` and a currency after a number (`50 %`,
+ *   `100 €`), after a currency before a number (`EUR 100`), and between a
+ *   section sign or reference word and its number (`§ 2`, `Section 3.1`,
+ *   `Article IV`); French also gets a narrow no-break space before `; : ! ?`
+ *
+ * Rules only see text: code, inline code and link targets are other nodes,
+ * and URLs in text are left as they are.
+ */
+
+import { REFERENCE_LOCALES } from './references.js'
+
+const NARROW_NBSP = '\u202F'
+const NBSP = '\u00A0'
+
+/**
+ * Quotation marks per language, as `[open, close, open single, close single]`,
+ * with the space French puts before high punctuation. A region (`de-ch`) takes
+ * precedence over its language (`de`); other languages use English marks.
+ */
+export const QUOTE_STYLES = {
+  en: { quotes: ['“', '”', '‘', '’'] },
+  de: { quotes: ['„', '“', '‚', '‘'] },
+  'de-ch': { quotes: ['«', '»', '‹', '›'] },
+  'de-li': { quotes: ['«', '»', '‹', '›'] },
+  fr: {
+    quotes: [`«${NARROW_NBSP}`, `${NARROW_NBSP}»`, `‹${NARROW_NBSP}`, `${NARROW_NBSP}›`],
+    punctuationSpace: NARROW_NBSP,
+  },
+  'fr-ch': { quotes: ['«', '»', '‹', '›'], punctuationSpace: NARROW_NBSP },
+  it: { quotes: ['«', '»', '“', '”'] },
+  'it-ch': { quotes: ['«', '»', '‹', '›'] },
+  es: { quotes: ['«', '»', '“', '”'] },
+  pt: { quotes: ['«', '»', '“', '”'] },
+  'pt-br': { quotes: ['“', '”', '‘', '’'] },
+  nl: { quotes: ['“', '”', '‘', '’'] },
+  pl: { quotes: ['„', '”', '«', '»'] },
+  cs: { quotes: ['„', '“', '‚', '‘'] },
+  ru: { quotes: ['«', '»', '„', '“'] },
+  uk: { quotes: ['«', '»', '„', '“'] },
+  el: { quotes: ['«', '»', '“', '”'] },
+  sv: { quotes: ['”', '”', '’', '’'] },
+  fi: { quotes: ['”', '”', '’', '’'] },
+  da: { quotes: ['»', '«', '›', '‹'] },
+  nb: { quotes: ['«', '»', '‘', '’'] },
+  nn: { quotes: ['«', '»', '‘', '’'] },
+  no: { quotes: ['«', '»', '‘', '’'] },
+}
+
+/**
+ * Typography of a language tag: its region's entry, else its language's,
+ * else English.
+ *
+ * @param {string} [language]
+ */
+export function quoteStyle(language) {
+  const tag = String(language ?? '')
+    .toLowerCase()
+    .replaceAll('_', '-')
+  const [primary] = tag.split('-')
+  return QUOTE_STYLES[tag] ?? QUOTE_STYLES[primary] ?? QUOTE_STYLES.en
+}
+
+const CURRENCY_SYMBOLS = '€$£¥₹₽'
+const CURRENCY_CODES = '(?<![A-Za-z])(?:EUR|USD|GBP|CHF|JPY|CAD|AUD)(?![A-Za-z])'
+
+function escapeRegExp(text) {
+  return text.replaceAll(/[.*+?^${}()|[\]\\]/gu, String.raw`\$&`)
+}
+
+/** Words followed by a section, table or figure number, in every built-in language. */
+const REFERENCE_WORDS = [
+  ...new Set([
+    ...Object.values(REFERENCE_LOCALES).flatMap(({ section, table, figure }) => [
+      section,
+      table,
+      figure,
+    ]),
+    'Article',
+    'Clause',
+    'Appendix',
+    'Annex',
+    'Schedule',
+    'Exhibit',
+  ]),
+]
+  .map((word) => escapeRegExp(word))
+  .join('|')
+
+/**
+ * Typography rules of a language, in the order they apply. Each has a global
+ * `pattern` and `replace(token, content)` returning the replacement, where
+ * `content` is a quote's inner text; quote rules also have the opening and
+ * closing `marks`.
+ *
+ * @param {string} [language]
+ * @param {{ quotes?: boolean, spacing?: boolean }} [options] `quotes` for
+ *   quotes and apostrophes, `spacing` for dashes, ellipsis and spaces
+ * @returns {Array<{ name: string, pattern: RegExp, replace: (token: string, content?: string) => string, marks?: [string, string] }>}
+ */
+export function typographyRules(language, { quotes = true, spacing = true } = {}) {
+  const style = quoteStyle(language)
+  const [open, close, openSingle, closeSingle] = style.quotes
+  const rules = [
+    // URLs keep their quotes, dashes and dots.
+    {
+      name: 'url',
+      pattern: /\b(?:https?|ftp):\/\/[^\s<>"]+|\bwww\.[^\s<>"]+/gu,
+      replace: (token) => token,
+    },
+  ]
+
+  if (quotes) {
+    rules.push(
+      {
+        name: 'apostrophe',
+        // `don't`, `'90s`, `the parties' rights`, `rock 'n' roll`
+        pattern:
+          /(?<=[\p{L}\d])'(?=\p{L})|(?<![\p{L}\d])'(?=\d\ds\b|n'(?![\p{L}\d]))|(?<=\p{L}s|(?<![\p{L}\d])'n)'(?![\p{L}\d'])/gu,
+        replace: () => '’',
+      },
+      {
+        name: 'double-quotes',
+        pattern: /"([^"\n]+)"/gu,
+        replace: (_, content) => `${open}${typeset(content, rules)}${close}`,
+        marks: [open, close],
+      },
+      {
+        name: 'single-quotes',
+        pattern: /(?<![\p{L}\d])'([^'\n]+?)'(?![\p{L}\d])/gu,
+        replace: (_, content) => `${openSingle}${typeset(content, rules)}${closeSingle}`,
+        marks: [openSingle, closeSingle],
+      },
+    )
+  }
+
+  if (spacing) {
+    rules.push(
+      { name: 'em-dash', pattern: /(?<!-)---(?!-)/gu, replace: () => '—' },
+      { name: 'en-dash', pattern: /(?<!-)--(?!-)/gu, replace: () => '–' },
+      { name: 'ellipsis', pattern: /(?<!\.)\.{3}(?!\.)/gu, replace: () => '…' },
+      {
+        name: 'unit-space',
+        pattern: new RegExp(`(?<=\\d) (?=[%‰${CURRENCY_SYMBOLS}]|${CURRENCY_CODES})`, 'gu'),
+        replace: () => NBSP,
+      },
+      {
+        name: 'currency-space',
+        pattern: new RegExp(`(?<=[${CURRENCY_SYMBOLS}]|${CURRENCY_CODES}) (?=\\d)`, 'gu'),
+        replace: () => NBSP,
+      },
+      {
+        name: 'reference-space',
+        pattern: new RegExp(
+          `(?<=[§¶]|(?<!\\p{L})(?:${REFERENCE_WORDS})) (?=\\d|[IVXLCDM]+(?!\\p{L}))`,
+          'gu',
+        ),
+        replace: () => NBSP,
+      },
+    )
+    if (style.punctuationSpace) {
+      rules.push({
+        name: 'punctuation-space',
+        pattern: /(?<=\S) (?=[;:!?])/gu,
+        replace: () => style.punctuationSpace,
+      })
+    }
+  }
+
+  return rules
+}
+
+/**
+ * The matches of `rules` in `text` that apply: the earliest match of any rule
+ * owns its characters (the first rule on a tie).
+ *
+ * @param {string} text
+ * @param {ReturnType<typeof typographyRules>} rules
+ */
+function applicableMatches(text, rules) {
+  const matches = rules
+    .flatMap((rule) =>
+      [...text.matchAll(rule.pattern)]
+        .filter((match) => match[0])
+        .map((match) => ({ rule, match })),
+    )
+    .sort((a, b) => a.match.index - b.match.index)
+
+  let index = 0
+  return matches.filter(({ match }) => {
+    if (match.index < index) {
+      return false
+    }
+    index = match.index + match[0].length
+    return true
+  })
+}
+
+/**
+ * Apply typography rules to a string as the text-formatting plugin applies
+ * them to text, so a URL inside quotes keeps its dashes and dots.
+ *
+ * @param {string} text
+ * @param {ReturnType<typeof typographyRules>} rules
+ */
+export function typeset(text, rules) {
+  let result = ''
+  let index = 0
+  for (const { rule, match } of applicableMatches(text, rules)) {
+    const content = typeof match[1] === 'string' ? match[1] : undefined
+    result += text.slice(index, match.index) + rule.replace(match[0], content)
+    index = match.index + match[0].length
+  }
+  return result + text.slice(index)
+}
+
+/**
+ * The quotes the quote rules of `rules` pair in `text`, outer before inner,
+ * as `[open, close]` marks with their offset and typographic value.
+ * Apostrophes and URLs are matched too, so they do not open a quote.
+ *
+ * @param {string} text
+ * @param {ReturnType<typeof typographyRules>} rules
+ * @returns {Array<[{ index: number, value: string }, { index: number, value: string }]>}
+ */
+export function pairQuotes(text, rules, offset = 0) {
+  const quoteRules = rules.filter((rule) => rule.marks || ['url', 'apostrophe'].includes(rule.name))
+  const pairs = []
+  for (const { rule, match } of applicableMatches(text, quoteRules)) {
+    if (rule.marks) {
+      const start = offset + match.index
+      pairs.push(
+        [
+          { index: start, value: rule.marks[0] },
+          { index: start + match[0].length - 1, value: rule.marks[1] },
+        ],
+        ...pairQuotes(match[1], quoteRules, start + 1),
+      )
+    }
+  }
+  return pairs
+}
@@ -6,22 +6,42 @@
 
 import Ajv from 'ajv'
 import addFormats from 'ajv-formats'
-import { JSON_SCHEMA, load as loadYaml } from 'js-yaml'
+import { fromMarkdown } from 'mdast-util-from-markdown'
+import { gfmTableFromMarkdown } from 'mdast-util-gfm-table'
+import { toString } from 'mdast-util-to-string'
+import { gfmTable } from 'micromark-extension-gfm-table'
+import { visit } from 'unist-util-visit'
 
 // Static JSON imports (import attributes, Node >=24) rather than `fs.readFileSync` of a path resolved
 // via `fileURLToPath(import.meta.url)`. This keeps the validator browser/bundler-safe: it has no
 // `node:fs`/`node:path`/`node:url` dependency, so it loads and runs in a renderer (e.g. Tauri/Vite)
 // as well as in Node. The schema files still ship in the package (`files: schema/**/*.json`).
-import documentTypeRequirements from '../schema/document-type-requirements.json' with { type: 'json' }
 import mddDocumentSchema from '../schema/mdd-document.schema.json' with { type: 'json' }
-
-const SELF_CLOSING_DIRECTIVES = new Set(['page-break', 'section-break'])
-const DOCUMENT_TYPE_ALIASES = {
-  'business-proposal': 'proposal',
-}
+import { takeTrailingAttributes } from './attributes.js'
+import { findCaptions } from './captions.js'
+import { CONTACT_DIRECTIVES, parseContactBlock } from './contact.js'
+import { countTermUses, findDefinitions, findUndefinedTerms } from './definitions.js'
+import { transformDirectiveStructure } from './directive-structure.js'
+import { createDirectiveRegistry, defaultDirectiveRegistry } from './directives.js'
+import { FRONTMATTER_BLOCK, parseFrontmatter } from './frontmatter.js'
+import { fillPlaceholders, findPlaceholders, resolvePlaceholder } from './interpolation.js'
+import {
+  checkTotalAmount,
+  computeLineItems,
+  documentCurrency,
+  findLineItemTables,
+} from './line-items.js'
+import { mddFromMarkdown } from './mdast-util-mdd.js'
+import { mddSyntax } from './micromark-extension-mdd.js'
+import { findNotes } from './notes.js'
+import { createSectionNumbering, NUMBERING_SCHEMES, resolveNumberingScheme } from './numbering.js'
+import { headingSlug, resolveNamedReference } from './references.js'
+import { getDocumentTypeRequirements } from './requirements.js'
+import { parseSignatureBlock } from './signature.js'
+
+export { extractFrontmatter, parseFrontmatter } from './frontmatter.js'
 
 let schemaCache = null
-let requirementsCache = null
 
 function loadSchema() {
   if (schemaCache) {
@@ -32,18 +52,6 @@ function loadSchema() {
   return schemaCache
 }
 
-/**
- * Load document type requirements from schema
- */
-function loadDocumentTypeRequirements() {
-  if (requirementsCache) {
-    return requirementsCache
-  }
-
-  requirementsCache = documentTypeRequirements
-  return requirementsCache
-}
-
 function loadEnumFromSchema(pathSegments, fallback = []) {
   const schema = loadSchema()
   const definition = pathSegments.reduce((value, segment) => value?.[segment], schema)
@@ -80,8 +88,12 @@ function getFrontmatterSchemaValidator() {
     addFormats(ajv)
     // Validate frontmatter on its own; `required` is reported with richer,
     // field-specific messages by validateFrontmatter, so we skip duplicate
-    // required-keyword errors when mapping AJV output.
-    frontmatterValidatorCache = ajv.compile(frontmatterSchema)
+    // required-keyword errors when mapping AJV output. The definitions come
+    // along so its `$ref`s (numbering schemes) resolve.
+    frontmatterValidatorCache = ajv.compile({
+      ...frontmatterSchema,
+      definitions: schema.definitions,
+    })
     return frontmatterValidatorCache
   } catch {
     frontmatterValidatorCache = false
@@ -103,6 +115,7 @@ export const ERROR_CODES = {
   INVALID_VERSION_FORMAT: 'INVALID_VERSION_FORMAT',
   INVALID_STATUS: 'INVALID_STATUS',
   INVALID_LANGUAGE_CODE: 'INVALID_LANGUAGE_CODE',
+  INVALID_NUMBERING_SCHEME: 'INVALID_NUMBERING_SCHEME',
   INVALID_CURRENCY_FORMAT: 'INVALID_CURRENCY_FORMAT',
   SCHEMA_VIOLATION: 'SCHEMA_VIOLATION',
 
@@ -113,19 +126,47 @@ export const ERROR_CODES = {
   DUPLICATE_DIRECTIVE: 'DUPLICATE_DIRECTIVE',
   UNKNOWN_DIRECTIVE: 'UNKNOWN_DIRECTIVE',
   MISSING_REQUIRED_DIRECTIVE: 'MISSING_REQUIRED_DIRECTIVE',
+  MISSING_PARTY_SIGNER: 'MISSING_PARTY_SIGNER',
   ORPHANED_END_MARKER: 'ORPHANED_END_MARKER',
+  MALFORMED_DIRECTIVE_ATTRIBUTES: 'MALFORMED_DIRECTIVE_ATTRIBUTES',
+  UNKNOWN_DIRECTIVE_ATTRIBUTE: 'UNKNOWN_DIRECTIVE_ATTRIBUTE',
+  INVALID_DIRECTIVE_ATTRIBUTE: 'INVALID_DIRECTIVE_ATTRIBUTE',
 
   // Text formatting errors
   INVALID_REFERENCE: 'INVALID_REFERENCE',
+  UNUSED_DEFINED_TERM: 'UNUSED_DEFINED_TERM',
+  UNDEFINED_TERM: 'UNDEFINED_TERM',
+  DUPLICATE_DEFINED_TERM: 'DUPLICATE_DEFINED_TERM',
+  MISSING_NOTE: 'MISSING_NOTE',
+  UNREFERENCED_NOTE: 'UNREFERENCED_NOTE',
+  AMBIGUOUS_REFERENCE: 'AMBIGUOUS_REFERENCE',
+  DUPLICATE_ID: 'DUPLICATE_ID',
   OVERLAPPING_FORMATTING: 'OVERLAPPING_FORMATTING',
   MALFORMED_PATTERN: 'MALFORMED_PATTERN',
 
+  // Field placeholders
+  INVALID_PLACEHOLDER: 'INVALID_PLACEHOLDER',
+  UNDEFINED_FIELD: 'UNDEFINED_FIELD',
+  UNRESOLVED_PLACEHOLDER: 'UNRESOLVED_PLACEHOLDER',
+
+  // Invoice line items
+  LINE_ITEM_MISMATCH: 'LINE_ITEM_MISMATCH',
+  TOTAL_AMOUNT_MISMATCH: 'TOTAL_AMOUNT_MISMATCH',
+  INVALID_LINE_ITEM_TABLE: 'INVALID_LINE_ITEM_TABLE',
+  UNCHECKED_LINE_ITEMS: 'UNCHECKED_LINE_ITEMS',
+
   // Semantic class errors
   INVALID_SEMANTIC_CLASS: 'INVALID_SEMANTIC_CLASS',
   UNKNOWN_SEMANTIC_CLASS: 'UNKNOWN_SEMANTIC_CLASS',
 
   // Document structure
   INVALID_DIRECTIVE_ORDER: 'INVALID_DIRECTIVE_ORDER',
+  MISSING_TABLE_OF_CONTENTS: 'MISSING_TABLE_OF_CONTENTS',
+
+  // Contact details
+  INVALID_EMAIL: 'INVALID_EMAIL',
+  INVALID_PHONE: 'INVALID_PHONE',
+  INVALID_URL: 'INVALID_URL',
 }
 
 /**
@@ -203,75 +244,6 @@ function validateCurrencyFormat(amount) {
   return /^[A-Z]{3}\s*[0-9,]+\.\d{2}$/.test(amount)
 }
 
-/**
- * Match the YAML frontmatter block at the very start of a document.
- * Tolerant of CRLF line endings and an end-of-file closing fence (no trailing
- * newline). The capture group is the raw YAML body between the `---` fences.
- */
-const FRONTMATTER_BLOCK = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/
-
-/**
- * Parse the document frontmatter using a real YAML parser.
- *
- * Returns a structured result so callers can distinguish:
- * - no frontmatter block present (`present: false`)
- * - malformed YAML (`yamlError` set)
- * - a valid mapping (`frontmatter` populated)
- *
- * The JSON_SCHEMA is used so values are restricted to JSON-compatible types:
- * dates such as `2024-12-15` stay strings (we validate the ISO format
- * ourselves) rather than being coerced to `Date` objects, while genuine
- * booleans and YAML block/flow sequences (`parties`, `cc`, `keywords`, `tags`)
- * parse correctly.
- *
- * @param {string} content
- * @returns {{ present: boolean, frontmatter: Record<string, unknown> | null, yamlError: string | null }}
- */
-export function parseFrontmatter(content) {
-  const match = content.match(FRONTMATTER_BLOCK)
-  if (!match) {
-    return { present: false, frontmatter: null, yamlError: null }
-  }
-
-  try {
-    const parsed = loadYaml(match[1], { schema: JSON_SCHEMA })
-
-    if (parsed === null || parsed === undefined) {
-      return { present: true, frontmatter: {}, yamlError: null }
-    }
-
-    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
-      return {
-        present: true,
-        frontmatter: {},
-        yamlError: 'Frontmatter must be a YAML mapping of key/value pairs',
-      }
-    }
-
-    return { present: true, frontmatter: parsed, yamlError: null }
-  } catch (err) {
-    return {
-      present: true,
-      frontmatter: null,
-      yamlError: err instanceof Error ? err.message : String(err),
-    }
-  }
-}
-
-/**
- * Extract frontmatter metadata from document content.
- *
- * Backwards-compatible wrapper around {@link parseFrontmatter}: returns the
- * parsed mapping, or `null` when no frontmatter block is present or the YAML
- * is malformed.
- *
- * @param {string} content
- * @returns {Record<string, unknown> | null}
- */
-export function extractFrontmatter(content) {
-  return parseFrontmatter(content).frontmatter
-}
-
 /**
  * Coerce a frontmatter value to a trimmed string for presence checks without
  * throwing on non-string scalars (numbers, booleans, dates produced by YAML).
@@ -310,180 +282,127 @@ function describeType(value) {
 
 /**
  * Extract directives from document content
+ *
+ * @param {string} content
+ * @param {{ customDirectives?: import('./directives.js').DirectiveRegistry | Array<object> | Record<string, object>, micromarkExtensions?: Array<object>, mdastExtensions?: Array<object> }} [options]
  */
-export function extractDirectives(content) {
-  return parseDirectiveStructure(content).directives
+export function extractDirectives(content, options = {}) {
+  return parseDirectiveStructure(
+    content,
+    createDirectiveRegistry(options.customDirectives),
+    options,
+  ).directives
 }
 
-const INLINE_DIRECTIVE_PATTERNS = {
-  'page-break': /^::page-break\s*::\s*$/,
-  'section-break': /^:::\s*section-break\s*:::\s*$/,
+/**
+ * Replace the frontmatter block with blank lines so it is not parsed as
+ * Markdown while every later line keeps its line number.
+ */
+function blankFrontmatter(content) {
+  return content.replace(FRONTMATTER_BLOCK, (block) => block.replace(/[^\r\n]/gu, ''))
 }
 
-const BLOCK_DIRECTIVE_PATTERNS = {
-  letterhead: /^::letterhead\s*$/,
-  header: /^::header\s*$/,
-  footer: /^::footer\s*$/,
-  'contact-info': /^::contact-info\s*$/,
-  'signature-block': /^::signature-block\s*$/,
-  'page-break': /^::page-break\s*$/,
-  'section-break': /^:::\s*section-break\s*$/,
+/**
+ * Parse a document into the Markdown tree the MDD plugins see: with the MDD
+ * syntax (superscripts, subscripts, references, class annotations), GFM
+ * tables (which line items and table captions are read from) and the
+ * processor's own syntax extensions.
+ */
+function parseDocument(content, options = {}) {
+  return fromMarkdown(blankFrontmatter(content), {
+    extensions: [...(options.micromarkExtensions ?? []), gfmTable(), mddSyntax()],
+    mdastExtensions: [
+      ...(options.mdastExtensions ?? []),
+      gfmTableFromMarkdown(),
+      mddFromMarkdown(),
+    ],
+  })
 }
 
-function getInlineDirectiveType(line) {
-  for (const [type, pattern] of Object.entries(INLINE_DIRECTIVE_PATTERNS)) {
-    if (pattern.test(line)) {
-      return type
-    }
-  }
-
-  return null
+/**
+ * Parse a document once for every check of `validateDocument`: the tree as
+ * parsed, and a copy with its directives grouped (see
+ * `transformDirectiveStructure`) and the directive report. Checks read these
+ * from their `parsed` option instead of parsing the document again. The
+ * reference check moves class annotations into node data, as the plugin does,
+ * so the semantic-class check runs before it.
+ */
+function parseForValidation(content, registry, options = {}) {
+  const tree = parseDocument(content, options)
+  const grouped = structuredClone(tree)
+  return { tree, grouped, report: transformDirectiveStructure(grouped, registry) }
 }
 
-function getBlockDirectiveType(line) {
-  for (const [type, pattern] of Object.entries(BLOCK_DIRECTIVE_PATTERNS)) {
-    if (pattern.test(line)) {
-      return type
-    }
-  }
-
-  return null
+/** The tree of a document as parsed, from `options.parsed` or a fresh parse. */
+function documentTree(content, options) {
+  return options.parsed?.tree ?? parseDocument(content, options)
 }
 
-function getEndMarkerType(line) {
-  if (/^:::\s*$/.test(line)) {
-    return 'section'
+/** The tree of a document with its directives grouped, and the directive report. */
+function groupedDocument(content, options) {
+  if (options.parsed) {
+    return { tree: options.parsed.grouped, report: options.parsed.report }
   }
-
-  if (/^::\s*$/.test(line)) {
-    return 'directive'
-  }
-
-  return null
-}
-
-function finalizeDirective(currentDirective, directiveContent, hasEndMarker) {
+  const tree = parseDocument(content, options)
   return {
-    type: currentDirective.type,
-    content: directiveContent.join('\n').trim(),
-    line: currentDirective.line,
-    hasEndMarker,
+    tree,
+    report: transformDirectiveStructure(tree, createDirectiveRegistry(options.customDirectives)),
   }
 }
 
-/** Match an opening/closing fenced-code delimiter (``` or ~~~, length >= 3). */
-const CODE_FENCE = /^(`{3,}|~{3,})/
-
-function parseDirectiveStructure(content) {
-  const directives = []
-  const orphanedEndMarkers = []
-  const nestingViolations = []
-  const unknownDirectives = []
-  const lines = content.split(/\r?\n/u)
-
-  let currentDirective = null
-  let directiveContent = []
-  let fenceMarker = null
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i]
-    const trimmedLine = line.trim()
-    const lineNumber = i + 1
-
-    // Track fenced code blocks so directive-looking lines inside ``` fences
-    // (e.g. examples in documentation) are treated as literal content, never
-    // as real directives. This mirrors the remark AST renderer, which never
-    // interprets code-block content as directives.
-    const fenceMatch = trimmedLine.match(CODE_FENCE)
-    if (fenceMatch) {
-      const marker = fenceMatch[1][0]
-      if (fenceMarker === null) {
-        fenceMarker = marker
-      } else if (fenceMarker === marker) {
-        fenceMarker = null
-      }
-      if (currentDirective) {
-        directiveContent.push(line)
-      }
-      continue
-    }
-    if (fenceMarker !== null) {
-      if (currentDirective) {
-        directiveContent.push(line)
-      }
-      continue
-    }
-
-    const inlineDirectiveType = getInlineDirectiveType(trimmedLine)
-    if (inlineDirectiveType) {
-      if (currentDirective) {
-        directives.push(finalizeDirective(currentDirective, directiveContent, false))
-      }
-
-      directives.push({
-        type: inlineDirectiveType,
-        content: '',
-        line: lineNumber,
-        hasEndMarker: true,
-      })
-      currentDirective = null
-      directiveContent = []
-      continue
-    }
-
-    const endMarkerType = getEndMarkerType(trimmedLine)
-    if (endMarkerType) {
-      if (currentDirective && currentDirective.endMarkerType === endMarkerType) {
-        directives.push(finalizeDirective(currentDirective, directiveContent, true))
-        currentDirective = null
-        directiveContent = []
-      } else {
-        orphanedEndMarkers.push({ line: lineNumber, marker: trimmedLine })
-      }
-      continue
-    }
+/**
+ * Find the document's directives with the same scan the document-structure
+ * plugin renders with, over the same Markdown tree, so the validator reports
+ * exactly the directives (and problems) the renderer sees: markers inside
+ * code blocks are ignored, and markers inside blockquotes, list items and MDX
+ * elements are recognized. Pass the processor's syntax extensions (for
+ * example `mdxjs()` and `mdxFromMarkdown()`) as `micromarkExtensions` and
+ * `mdastExtensions` to parse the document the way the processor does.
+ */
+function parseDirectiveStructure(content, registry = defaultDirectiveRegistry, options = {}) {
+  return describeDirectiveStructure(
+    transformDirectiveStructure(parseDocument(content, options), registry),
+  )
+}
 
-    const blockDirectiveType = getBlockDirectiveType(trimmedLine)
-    if (blockDirectiveType) {
-      if (currentDirective) {
-        // A new directive opened before the previous one was closed: the outer
-        // directive is missing its end marker AND a directive cannot be nested
-        // inside another. Record the nesting violation for richer diagnostics.
-        nestingViolations.push({
-          inner: blockDirectiveType,
-          outer: currentDirective.type,
-          line: lineNumber,
-        })
-        directives.push(finalizeDirective(currentDirective, directiveContent, false))
+/** The directives and problems of a directive report, as the validator lists them. */
+function describeDirectiveStructure(report) {
+  const line = (position) => position?.start.line ?? 1
+
+  const directives = report.directives
+    .map((directive) => {
+      const parsed = {
+        type: directive.name,
+        content: (directive.node?.children ?? []).map((child) => toString(child)).join('\n\n'),
+        line: line(directive.position),
+        hasEndMarker: directive.closed,
+        attributes: directive.attributes,
       }
-
-      currentDirective = {
-        type: blockDirectiveType,
-        line: lineNumber,
-        endMarkerType: blockDirectiveType === 'section-break' ? 'section' : 'directive',
+      if (directive.name === 'signature-block' && directive.node) {
+        parsed.signers = parseSignatureBlock(directive.node)
+      } else if (CONTACT_DIRECTIVES.includes(directive.name) && directive.node) {
+        parsed.contact = parseContactBlock(directive.node)
       }
-      directiveContent = []
-      continue
-    }
-
-    const unknownDirectiveMatch =
-      trimmedLine.match(/^::([a-z][a-z0-9-]*)(?:\s*::)?$/u) ??
-      trimmedLine.match(/^:::\s*([a-z][a-z0-9-]*)(?:\s*:::)?$/u)
-    if (unknownDirectiveMatch) {
-      unknownDirectives.push({ type: unknownDirectiveMatch[1], line: lineNumber })
-      continue
-    }
-
-    if (currentDirective) {
-      directiveContent.push(line)
-    }
-  }
+      return parsed
+    })
+    .sort((a, b) => a.line - b.line)
 
-  if (currentDirective) {
-    directives.push(finalizeDirective(currentDirective, directiveContent, false))
+  return {
+    directives,
+    orphanedEndMarkers: report.orphanedEndMarkers.map((marker) => ({
+      line: line(marker.position),
+      marker: marker.marker,
+    })),
+    nestingViolations: report.nestingViolations.map((violation) => ({
+      inner: violation.inner,
+      outer: violation.outer,
+      line: line(violation.position),
+    })),
+    unknownDirectives: report.unknownDirectives.map((unknown) => ({
+      type: unknown.name,
+      line: line(unknown.position),
+    })),
   }
-
-  return { directives, orphanedEndMarkers, nestingViolations, unknownDirectives }
 }
 
 /**
@@ -654,6 +573,23 @@ export function validateFrontmatter(frontmatter, documentType) {
     )
   }
 
+  // Numbering scheme validation
+  if (frontmatter.numbering !== undefined) {
+    try {
+      resolveNumberingScheme(frontmatter.numbering)
+    } catch (err) {
+      errors.push(
+        createError(
+          'error',
+          ERROR_CODES.INVALID_NUMBERING_SCHEME,
+          `Invalid numbering: ${err.message}`,
+          { field: 'numbering' },
+          `Use ${Object.keys(NUMBERING_SCHEMES).join(', ')} or a list of levels such as [upper-roman, { style: decimal, pad: 2, template: "Section {1}.{n}" }]`,
+        ),
+      )
+    }
+  }
+
   // Currency format validation
   if (frontmatter['total-amount'] && !validateCurrencyFormat(frontmatter['total-amount'])) {
     errors.push(
@@ -670,10 +606,104 @@ export function validateFrontmatter(frontmatter, documentType) {
   return { errors, warnings }
 }
 
+const attributeValidatorCache = new WeakMap()
+
+/**
+ * Compile (once per definition) an AJV validator for a directive's attribute
+ * schema. Attribute values are always strings; keys the schema does not list
+ * are rejected via `additionalProperties`.
+ *
+ * @returns {import('ajv').ValidateFunction | null} null when the directive
+ *   accepts any attribute
+ */
+function getAttributeSchemaValidator(definition) {
+  if (!definition?.attributes) {
+    return null
+  }
+  if (!attributeValidatorCache.has(definition)) {
+    const ajv = new Ajv({ allErrors: true, strict: false })
+    attributeValidatorCache.set(
+      definition,
+      ajv.compile({
+        type: 'object',
+        properties: definition.attributes,
+        additionalProperties: false,
+      }),
+    )
+  }
+  return attributeValidatorCache.get(definition)
+}
+
+/**
+ * Validate a directive's attribute block: syntax errors from the parser, then
+ * the `key=value` pairs against the registry's per-directive attribute schema.
+ */
+function validateDirectiveAttributes(directive, definition) {
+  const errors = []
+  const warnings = []
+  const { attributes } = directive
+  if (!attributes) {
+    return { errors, warnings }
+  }
+
+  for (const problem of attributes.errors) {
+    errors.push(
+      createError(
+        'error',
+        ERROR_CODES.MALFORMED_DIRECTIVE_ATTRIBUTES,
+        `Directive ::${directive.type} at line ${directive.line} has a malformed attribute block: ${problem}`,
+        { line: directive.line, directive: directive.type },
+        'Use {#id .class key=value key="quoted value"}',
+      ),
+    )
+  }
+
+  const validate = getAttributeSchemaValidator(definition)
+  if (!validate || validate(attributes.attributes)) {
+    return { errors, warnings }
+  }
+
+  for (const err of validate.errors ?? []) {
+    if (err.keyword === 'additionalProperties') {
+      const key = err.params.additionalProperty
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.UNKNOWN_DIRECTIVE_ATTRIBUTE,
+          `Directive ::${directive.type} at line ${directive.line} does not define attribute "${key}"`,
+          { line: directive.line, directive: directive.type },
+          Object.keys(definition.attributes).length > 0
+            ? `Supported attributes: ${Object.keys(definition.attributes).join(', ')}`
+            : `::${directive.type} only accepts #id and .class`,
+        ),
+      )
+      continue
+    }
+
+    const key = err.instancePath.replace(/^\//u, '')
+    errors.push(
+      createError(
+        'error',
+        ERROR_CODES.INVALID_DIRECTIVE_ATTRIBUTE,
+        `Directive ::${directive.type} at line ${directive.line} attribute "${key}" ${err.message}`,
+        { line: directive.line, directive: directive.type },
+        err.params?.allowedValues
+          ? `Use one of: ${err.params.allowedValues.join(', ')}`
+          : 'Adjust the attribute value to satisfy the directive attribute schema',
+      ),
+    )
+  }
+
+  return { errors, warnings }
+}
+
 /**
  * Validate directives
+ *
+ * @param {Array<object> | object} directives extracted directives or the parsed directive state
+ * @param {import('./directives.js').DirectiveRegistry} [registry]
  */
-export function validateDirectives(directives) {
+export function validateDirectives(directives, registry = defaultDirectiveRegistry) {
   const parsedDirectiveState = Array.isArray(directives)
     ? { directives, orphanedEndMarkers: [] }
     : directives
@@ -710,7 +740,7 @@ export function validateDirectives(directives) {
       createError(
         'error',
         ERROR_CODES.INVALID_DIRECTIVE_NESTING,
-        `Directive ::${violation.inner} at line ${violation.line} starts before ::${violation.outer} was closed; MDD directives cannot be nested`,
+        `Directive ::${violation.inner} at line ${violation.line} starts before ::${violation.outer} was closed; ::${violation.outer} cannot contain ::${violation.inner}`,
         { line: violation.line, directive: violation.inner },
         `Close ::${violation.outer} with :: before opening ::${violation.inner}`,
       ),
@@ -721,8 +751,10 @@ export function validateDirectives(directives) {
     // Track directive occurrences
     directiveCounts[directive.type] = (directiveCounts[directive.type] ?? 0) + 1
 
+    const selfClosing = registry.get(directive.type)?.selfClosing ?? false
+
     // Check for missing end markers
-    if (!directive.hasEndMarker && !SELF_CLOSING_DIRECTIVES.has(directive.type)) {
+    if (!directive.hasEndMarker && !selfClosing) {
       errors.push(
         createError(
           'error',
@@ -734,12 +766,12 @@ export function validateDirectives(directives) {
       )
     }
 
+    const attributeResult = validateDirectiveAttributes(directive, registry.get(directive.type))
+    errors.push(...attributeResult.errors)
+    warnings.push(...attributeResult.warnings)
+
     // Check for empty directives
-    if (
-      directive.hasEndMarker &&
-      !SELF_CLOSING_DIRECTIVES.has(directive.type) &&
-      directive.content.trim().length === 0
-    ) {
+    if (directive.hasEndMarker && !selfClosing && directive.content.trim().length === 0) {
       warnings.push(
         createError(
           'warning',
@@ -752,6 +784,25 @@ export function validateDirectives(directives) {
     }
   }
 
+  // Enforce registry-level occurrence limits (document-type limits are checked
+  // separately, as recommendations, by validateDocumentTypeRequirements).
+  for (const [type, count] of Object.entries(directiveCounts)) {
+    const maxOccurrences = registry.get(type)?.maxOccurrences
+    if (maxOccurrences && count > maxOccurrences) {
+      errors.push(
+        createError(
+          'error',
+          ERROR_CODES.DUPLICATE_DIRECTIVE,
+          `Directive ::${type} appears ${count} times (maximum ${maxOccurrences} allowed)`,
+          { directive: type },
+          maxOccurrences === 1
+            ? `Keep only one ::${type} directive`
+            : `Reduce to ${maxOccurrences} ::${type} directives`,
+        ),
+      )
+    }
+  }
+
   return { errors, warnings, directiveCounts }
 }
 
@@ -767,11 +818,7 @@ export function validateDocumentTypeRequirements(frontmatter, directives, direct
     return { errors, warnings }
   }
 
-  const requirements = loadDocumentTypeRequirements()
-  const requirementKey = [documentType, DOCUMENT_TYPE_ALIASES[documentType]].find(
-    (candidate) => candidate && requirements.documentTypes[candidate],
-  )
-  const typeRequirements = requirementKey ? requirements.documentTypes[requirementKey] : null
+  const typeRequirements = getDocumentTypeRequirements(documentType)
 
   if (!typeRequirements) {
     return { errors, warnings }
@@ -840,6 +887,12 @@ export function validateDocumentTypeRequirements(frontmatter, directives, direct
     }
   }
 
+  // Check that every party signs
+  if (typeRequirements.requirePartySignatures) {
+    const party = validatePartySignatures(frontmatter, directives, documentType)
+    errors.push(...party.errors)
+  }
+
   // Check max directive occurrences
   for (const [directive, maxCount] of Object.entries(
     typeRequirements.maxDirectiveOccurrences ?? {},
@@ -862,71 +915,173 @@ export function validateDocumentTypeRequirements(frontmatter, directives, direct
   return { errors, warnings }
 }
 
+/** Words of prose in a parsed document, leaving out code blocks. */
+function countWords(tree) {
+  let words = 0
+  visit(tree, ['text', 'inlineCode'], (node) => {
+    words += node.value.split(/\s+/u).filter(Boolean).length
+  })
+  return words
+}
+
 /**
- * Split content into lines, marking which lines fall inside fenced code blocks
- * so validators can ignore directive/class/typography syntax shown as examples.
+ * Recommend a `::toc` directive in a document longer than its type's
+ * `tocWordThreshold` (`report`, `manual`, `specification`, ...). The
+ * `tocThreshold` option replaces the threshold: a number for every type that
+ * has one, an object of thresholds by document type, or `false` to turn the
+ * check off.
  *
  * @param {string} content
- * @returns {Array<{ text: string, inFence: boolean, number: number }>}
+ * @param {Record<string, unknown> | null} frontmatter
+ * @param {Record<string, number>} directiveCounts from `validateDirectives`
+ * @param {{ tocThreshold?: number | false | Record<string, number>, micromarkExtensions?: unknown[], mdastExtensions?: unknown[] }} [options]
  */
-function annotateLines(content) {
-  const lines = content.split(/\r?\n/u)
-  const annotated = []
-  let fenceMarker = null
-
-  for (let i = 0; i < lines.length; i++) {
-    const trimmed = lines[i].trim()
-    const fenceMatch = trimmed.match(CODE_FENCE)
-    if (fenceMatch) {
-      const marker = fenceMatch[1][0]
-      const wasInFence = fenceMarker !== null
-      if (fenceMarker === null) {
-        fenceMarker = marker
-      } else if (fenceMarker === marker) {
-        fenceMarker = null
-      }
-      // The fence delimiter line itself is part of the code block.
-      annotated.push({ text: lines[i], inFence: true, number: i + 1, isFence: true, wasInFence })
+export function validateTableOfContents(content, frontmatter, directiveCounts, options = {}) {
+  const errors = []
+  const warnings = []
+
+  const documentType = frontmatter?.['document-type']
+  const { tocThreshold } = options
+  let threshold = getDocumentTypeRequirements(documentType)?.tocWordThreshold
+  if (typeof tocThreshold === 'object' && tocThreshold !== null) {
+    threshold = tocThreshold[documentType] ?? threshold
+  } else if (threshold !== undefined && tocThreshold !== undefined) {
+    threshold = tocThreshold
+  }
+  if (typeof threshold !== 'number' || directiveCounts.toc > 0) {
+    return { errors, warnings }
+  }
+
+  const words = countWords(documentTree(content, options))
+  if (words > threshold) {
+    warnings.push(
+      createError(
+        'warning',
+        ERROR_CODES.MISSING_TABLE_OF_CONTENTS,
+        `Document type "${documentType}" has ${words} words but no table of contents (recommended above ${threshold})`,
+        { directive: 'toc' },
+        'Add a ::toc :: directive after the title',
+      ),
+    )
+  }
+
+  return { errors, warnings }
+}
+
+/** Compare party and signer names ignoring case, punctuation and spacing. */
+function normalizePartyName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+/**
+ * Check that every frontmatter `parties` entry has a signer (not a witness or
+ * notary) in a `::signature-block` whose name or organization matches it.
+ * Documents without a signature block are left to the required-directive
+ * check.
+ */
+function validatePartySignatures(frontmatter, directives, documentType) {
+  const errors = []
+  const blocks = directives.filter((directive) => directive.type === 'signature-block')
+  if (!Array.isArray(frontmatter.parties) || blocks.length === 0) {
+    return { errors }
+  }
+
+  const signed = new Set()
+  for (const signer of blocks.flatMap((block) => block.signers ?? [])) {
+    if (signer.role !== 'signer') {
       continue
     }
-    annotated.push({ text: lines[i], inFence: fenceMarker !== null, number: i + 1, isFence: false })
+    for (const name of [signer.name, signer.organization]) {
+      if (name) {
+        signed.add(normalizePartyName(name))
+      }
+    }
+  }
+
+  for (const party of frontmatter.parties) {
+    if (!signed.has(normalizePartyName(party))) {
+      errors.push(
+        createError(
+          'error',
+          ERROR_CODES.MISSING_PARTY_SIGNER,
+          `Party "${party}" has no signer in the ::signature-block of this ${documentType}`,
+          { field: 'parties', line: blocks[0].line },
+          `Add a signature line for "${party}" with its name or organization`,
+        ),
+      )
+    }
   }
 
-  return annotated
+  return { errors }
+}
+
+/** The line a node starts on. */
+function lineOf(node) {
+  return node.position?.start.line ?? 1
 }
 
 /**
- * Validate semantic classes in content.
+ * Class names of an attribute block body (`.a .b`, `#id .a key=value`). A bare
+ * word continues the class before it, so `{.Not Valid}` reads as one
+ * malformed class rather than a valid one.
+ */
+function blockClasses(body) {
+  const classes = []
+  for (const token of body.trim().split(/\s+/)) {
+    if (token.startsWith('.')) {
+      classes.push(token.slice(1))
+    } else if (!token.startsWith('#') && !token.includes('=') && classes.length > 0) {
+      classes[classes.length - 1] += ` ${token}`
+    }
+  }
+  return classes
+}
+
+/**
+ * Validate semantic classes in content: the class annotations of headings and
+ * paragraphs, as the MDD syntax reads them, and the attribute blocks of
+ * directive openers.
  *
  * Distinguishes syntactically malformed class annotations (INVALID_SEMANTIC_CLASS,
  * e.g. uppercase or spaces) from well-formed-but-unrecognized ones
- * (UNKNOWN_SEMANTIC_CLASS). Class annotations inside fenced code blocks are
- * ignored.
+ * (UNKNOWN_SEMANTIC_CLASS). Annotations in code are not annotations, so they
+ * are ignored.
+ *
+ * @param {string} content
+ * @param {{ micromarkExtensions?: Array<object>, mdastExtensions?: Array<object>, customDirectives?: object }} [options]
  */
-export function validateSemanticClasses(content) {
+export function validateSemanticClasses(content, options = {}) {
   const errors = []
   const warnings = []
-
-  // Broad match so malformed class bodies are still caught.
-  const classPattern = /\{\.([^}]+)\}/g
   const wellFormed = /^[a-z][a-z0-9-]*$/
 
-  for (const { text, inFence, number } of annotateLines(content)) {
-    if (inFence) {
-      continue
+  const { tree, report: structure } = groupedDocument(content, options)
+  const blocks = []
+  visit(tree, 'mddAttributes', (node) => {
+    blocks.push({ body: node.value.slice(1, -1), line: lineOf(node) })
+  })
+  // A directive opener keeps its block (`::letterhead{.formal}`) in its line.
+  const lines = content.split(/\r?\n/u)
+  for (const directive of structure.directives) {
+    const line = directive.position?.start.line ?? 1
+    for (const [, body] of (lines[line - 1] ?? '').matchAll(/\{([#.][^{}]*)\}/g)) {
+      blocks.push({ body, line })
     }
+  }
+  blocks.sort((a, b) => a.line - b.line)
 
-    let match
-    while ((match = classPattern.exec(text)) !== null) {
-      const className = match[1].trim()
-
+  for (const { body, line } of blocks) {
+    for (const className of blockClasses(body)) {
       if (!wellFormed.test(className)) {
         errors.push(
           createError(
             'error',
             ERROR_CODES.INVALID_SEMANTIC_CLASS,
-            `Malformed semantic class: {.${className}} at line ${number}`,
-            { line: number },
+            `Malformed semantic class: {.${className}} at line ${line}`,
+            { line },
             'Class names must be lowercase kebab-case, e.g. {.legal-notice}',
           ),
         )
@@ -938,8 +1093,8 @@ export function validateSemanticClasses(content) {
           createError(
             'warning',
             ERROR_CODES.UNKNOWN_SEMANTIC_CLASS,
-            `Unknown semantic class: {.${className}} at line ${number}`,
-            { line: number },
+            `Unknown semantic class: {.${className}} at line ${line}`,
+            { line },
             `Valid classes: ${VALID_SEMANTIC_CLASSES.slice(0, 5).join(', ')}, ...`,
           ),
         )
@@ -953,162 +1108,475 @@ export function validateSemanticClasses(content) {
 /**
  * Validate professional typography patterns (superscript `^x^`, subscript `~x~`).
  *
- * Emits MALFORMED_PATTERN when a superscript/subscript body contains whitespace
- * (the renderer would not match it), and OVERLAPPING_FORMATTING when a
- * superscript and subscript region overlap on the same line. Patterns inside
- * fenced code blocks are ignored.
+ * Reads the document with the MDD syntax, so code and escaped markers are
+ * left alone. Emits OVERLAPPING_FORMATTING when a superscript holds a
+ * subscript marker or the other way round (`x^a~b^c~`), and
+ * MALFORMED_PATTERN for marker pairs left in the text because their body
+ * contains whitespace (the renderer does not match them).
  *
  * @param {string} content
+ * @param {{ micromarkExtensions?: Array<object>, mdastExtensions?: Array<object> }} [options]
  * @returns {{ errors: Array, warnings: Array }}
  */
-export function validateTextFormatting(content) {
+export function validateTextFormatting(content, options = {}) {
   const errors = []
   const warnings = []
+  const overlapping = (line) =>
+    createError(
+      'warning',
+      ERROR_CODES.OVERLAPPING_FORMATTING,
+      `Overlapping superscript/subscript formatting at line ${line}`,
+      { line },
+      'Separate superscript and subscript spans so they do not overlap',
+    )
 
-  // Superscript bodies exclude `^`; subscript bodies exclude `~` and avoid
-  // GFM strikethrough (`~~...~~`) via negative look-arounds. A body containing
-  // the OTHER marker indicates interleaved/overlapping formatting.
+  // Marker pairs in text did not parse; a body with whitespace or the other
+  // marker says why. Subscripts avoid GFM strikethrough (`~~...~~`).
   const patterns = [
-    { kind: 'superscript', marker: '^', re: /\^([^^]+)\^/g, other: '~' },
-    { kind: 'subscript', marker: '~', re: /(?<!~)~([^~]+)~(?!~)/g, other: '^' },
+    { kind: 'superscript', marker: '^', re: /\^([^^\n]+)\^/g, other: '~' },
+    { kind: 'subscript', marker: '~', re: /(?<!~)~([^~\n]+)~(?!~)/g, other: '^' },
   ]
 
-  for (const { text, inFence, number } of annotateLines(content)) {
-    if (inFence) {
-      continue
+  // Text values have their escapes resolved, so pairs are looked for in the
+  // source of each text node, escaped markers and footnote references
+  // (`[^id]`, text without GFM) blanked out.
+  const source = blankFrontmatter(content)
+  visit(documentTree(content, options), (node) => {
+    if (node.type === 'superscript' || node.type === 'subscript') {
+      if (toString(node).includes(node.type === 'superscript' ? '~' : '^')) {
+        warnings.push(overlapping(lineOf(node)))
+      }
+      return
+    }
+    if (node.type !== 'text') {
+      return
     }
 
+    const { start, end } = node.position ?? {}
+    const text = (start ? source.slice(start.offset, end.offset) : node.value)
+      .replaceAll(/\\[\^~]/gu, '  ')
+      .replaceAll(/\[\^[^\]\s]+\]/gu, (reference) => ' '.repeat(reference.length))
     for (const { kind, marker, re, other } of patterns) {
-      re.lastIndex = 0
-      let match
-      while ((match = re.exec(text)) !== null) {
+      for (const match of text.matchAll(re)) {
         const body = match[1]
-
+        const line = (start?.line ?? 1) + (text.slice(0, match.index).match(/\n/gu)?.length ?? 0)
         if (body.includes(other)) {
-          warnings.push(
-            createError(
-              'warning',
-              ERROR_CODES.OVERLAPPING_FORMATTING,
-              `Overlapping superscript/subscript formatting at line ${number}`,
-              { line: number },
-              'Separate superscript and subscript spans so they do not overlap',
-            ),
-          )
-          continue
-        }
-
-        if (/\s/.test(body)) {
+          warnings.push(overlapping(line))
+        } else if (/\s/.test(body)) {
           warnings.push(
             createError(
               'warning',
               ERROR_CODES.MALFORMED_PATTERN,
-              `${kind} "${marker}${body}${marker}" at line ${number} contains whitespace and will not render`,
-              { line: number },
+              `${kind} "${marker}${body}${marker}" at line ${line} contains whitespace and will not render`,
+              { line },
               `Remove the spaces inside the ${kind}, e.g. text${marker}note${marker}`,
             ),
           )
         }
       }
     }
-  }
+  })
 
   return { errors, warnings }
 }
 
 /**
- * Compute the set of heading anchor ids the text-formatting plugin would
- * generate, so internal references (`@section-1`) can be validated. Mirrors
- * generateSectionNumber/generateHeadingId in remark-mdd-text-formatting.js.
+ * Collect the anchors the text-formatting plugin would generate, so internal
+ * references (`@section-1`, `@table-2`, `@sec:payment-terms`) can be
+ * validated. Walks the same Markdown tree as the plugin (setext headings
+ * count, headings in code do not), numbers headings with the same section
+ * counters, so the anchors are identical whatever numbering scheme the
+ * document uses, and finds the same table and figure captions.
  *
- * @param {string} content
- * @returns {Set<string>}
+ * `ids` holds every generated anchor (`section-N` even for a heading with an
+ * explicit id) and `headings` the targets of named references. `elements`
+ * lists the id each element actually renders with, in document order:
+ * headings, paragraphs and directives with an explicit `{#id}`, and captions.
+ *
+ * @param {import('mdast').Root} tree parsed with `parseDocument`, directives grouped
+ * @param {Record<string, unknown> | null} frontmatter fills `{{field}}`
+ *   placeholders in heading titles before they are slugged, as the plugin does
+ * @returns {{
+ *   ids: Set<string>,
+ *   headings: Array<{ explicitId: string | null, slug: string, line: number }>,
+ *   elements: Array<{ id: string, line: number }>
+ * }}
  */
-function computeHeadingIds(content) {
+function collectAnchors(tree, frontmatter) {
   const ids = new Set()
-  const counters = [0, 0, 0, 0, 0, 0]
-
-  for (const { text, inFence } of annotateLines(content)) {
-    if (inFence) {
-      continue
-    }
-    const heading = text.match(/^(#{1,6})\s+(.*)$/)
-    if (!heading) {
-      continue
-    }
-
-    const level = heading[1].length
-    const title = heading[2].replace(/\s*\{\.[^}]+\}\s*$/, '').trim()
-
-    // Increment this level's counter and reset all deeper levels.
-    for (let i = level - 1; i < counters.length; i++) {
-      if (i === level - 1) {
-        counters[i]++
-      } else {
-        counters[i] = 0
+  const headings = []
+  const elements = []
+  const numbering = createSectionNumbering()
+
+  visit(tree, (node) => {
+    const line = node.position?.start.line ?? 0
+
+    if (node.type === 'heading') {
+      numbering.advance(node.depth)
+      const sectionId = numbering.id(node.depth)
+      const explicitId = takeTrailingAttributes(node)?.id ?? null
+      if (sectionId) {
+        ids.add(sectionId)
+      }
+      const title = fillPlaceholders(toString(node), frontmatter, frontmatter?.language)
+      headings.push({ explicitId, slug: headingSlug(title), line })
+      if (explicitId ?? sectionId) {
+        elements.push({ id: explicitId ?? sectionId, line })
       }
+      return
     }
 
-    const sectionNumber = counters
-      .slice(0, level)
-      .filter((value) => value > 0)
-      .join('.')
-
-    if (sectionNumber) {
-      ids.add(`section-${sectionNumber.replace(/\./g, '-')}`)
+    const explicitId =
+      node.type === 'paragraph'
+        ? takeTrailingAttributes(node)?.id
+        : node.type === 'mddDirective' && node.data?.hProperties?.id
+    if (explicitId) {
+      elements.push({ id: explicitId, line })
     }
+  })
 
-    const slug = title
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/^-+|-+$/g, '')
-    if (slug) {
-      ids.add(slug)
-    }
+  for (const caption of findCaptions(tree)) {
+    ids.add(caption.id)
+    elements.push({ id: caption.id, line: caption.node.position?.start.line ?? 0 })
   }
+  elements.sort((a, b) => a.line - b.line)
+
+  return { ids, headings, elements }
+}
 
-  return ids
+const REFERENCE_SUGGESTIONS = {
+  section: 'Add a heading that resolves to this section number, or fix the reference',
+  table: 'Add a "Table: <caption>" paragraph next to the table, or fix the reference',
+  figure:
+    'Give the image alt text on a line of its own (![caption](image.png)), or fix the reference',
 }
 
 /**
- * Validate internal `@section-N` references against the document's headings.
- * Only `section` references are checked because tables/figures do not produce
- * generated anchors in MDD. References inside fenced code blocks are ignored.
+ * Validate internal `@section-N`, `@table-N` and `@figure-N` references
+ * against the document's headings and captions, and named `@sec:name`
+ * references against its heading ids and title slugs. Other reference types
+ * have no generated anchors and are not checked. References are read with
+ * the MDD syntax, so those in code, escaped (`\@section-1`) or inside an
+ * email address are not references. Also reports element ids used twice
+ * (DUPLICATE_ID), such as an explicit `{#section-2}` on another heading.
  *
  * @param {string} content
+ * @param {{ micromarkExtensions?: Array<object>, mdastExtensions?: Array<object>, customDirectives?: object }} [options]
+ *   syntax extensions and custom directives the document is parsed with
  * @returns {{ errors: Array, warnings: Array }}
  */
-export function validateReferences(content) {
+export function validateReferences(content, options = {}) {
   const errors = []
   const warnings = []
-  const headingIds = computeHeadingIds(content)
-  const referencePattern = /@([a-z]+)-(\d+)/g
-
-  for (const { text, inFence, number } of annotateLines(content)) {
-    if (inFence) {
-      continue
-    }
-    let match
-    while ((match = referencePattern.exec(text)) !== null) {
-      const [, refType, refNumber] = match
-      if (refType !== 'section') {
-        continue
-      }
-      const targetId = `section-${refNumber}`
-      if (!headingIds.has(targetId)) {
+  const { tree } = groupedDocument(content, options)
+  const anchors = collectAnchors(tree, parseFrontmatter(content).frontmatter)
+
+  visit(tree, 'mddReference', (node) => {
+    const number = lineOf(node)
+    const numbered = node.identifier.match(/^([a-z]+)-(\d+(?:-\d+)*)$/u)
+    if (numbered) {
+      const [, refType, refNumber] = numbered
+      if (
+        Object.hasOwn(REFERENCE_SUGGESTIONS, refType) &&
+        !anchors.ids.has(`${refType}-${refNumber}`)
+      ) {
         warnings.push(
           createError(
             'warning',
             ERROR_CODES.INVALID_REFERENCE,
-            `Internal reference @${refType}-${refNumber} at line ${number} points to a non-existent section`,
+            `Internal reference @${refType}-${refNumber} at line ${number} points to a non-existent ${refType}`,
             { line: number },
-            'Add a heading that resolves to this section number, or fix the reference',
+            REFERENCE_SUGGESTIONS[refType],
           ),
         )
       }
+      return
+    }
+
+    const name = node.identifier.replace(/^sec:/u, '')
+    const { matches } = resolveNamedReference(anchors.headings, name)
+    if (matches.length === 0) {
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.INVALID_REFERENCE,
+          `Named reference @sec:${name} at line ${number} points to no heading id or title`,
+          { line: number },
+          `Give the target heading an id ({#${name}}) or fix the reference`,
+        ),
+      )
+    } else if (matches.length > 1 && !matches[0].explicitId) {
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.AMBIGUOUS_REFERENCE,
+          `Named reference @sec:${name} at line ${number} matches ${matches.length} headings (lines ${matches.map((heading) => heading.line).join(', ')})`,
+          { line: number },
+          `Give the intended heading an explicit id ({#${name}})`,
+        ),
+      )
+    }
+  })
+
+  const seen = new Map()
+  for (const { id, line } of anchors.elements) {
+    if (seen.has(id)) {
+      errors.push(
+        createError(
+          'error',
+          ERROR_CODES.DUPLICATE_ID,
+          `Duplicate id "#${id}" at line ${line} (first used at line ${seen.get(id)})`,
+          { line, id },
+          'Element ids must be unique; rename one of them',
+        ),
+      )
+    } else {
+      seen.set(id, line)
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Validate defined terms: each is defined once and used somewhere in the
+ * document (before or after its definition, the uses the plugin links), and
+ * capitalized phrases used like terms (`the Supplier`) are defined.
+ * Documents that define no term are not checked.
+ */
+export function validateDefinedTerms(content, options = {}) {
+  const errors = []
+  const warnings = []
+  const { tree } = groupedDocument(content, options)
+  const definitions = findDefinitions(tree)
+  if (definitions.length === 0) {
+    return { errors, warnings }
+  }
+
+  const defined = new Map()
+  for (const definition of definitions) {
+    const first = defined.get(definition.term)
+    if (!first) {
+      defined.set(definition.term, definition)
+      continue
+    }
+    warnings.push(
+      createError(
+        'warning',
+        ERROR_CODES.DUPLICATE_DEFINED_TERM,
+        `Term "${definition.term}" at line ${definition.line} is already defined at line ${first.line}`,
+        { line: definition.line },
+        'Define each term once and refer to it elsewhere',
+      ),
+    )
+  }
+
+  for (const [term, count] of countTermUses(tree, definitions)) {
+    if (count === 0) {
+      const { line } = defined.get(term)
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.UNUSED_DEFINED_TERM,
+          `Term "${term}" defined at line ${line} is never used`,
+          { line },
+          'Use the term in the document or remove its definition',
+        ),
+      )
     }
   }
 
+  for (const { phrase, line } of findUndefinedTerms(tree, definitions)) {
+    warnings.push(
+      createError(
+        'warning',
+        ERROR_CODES.UNDEFINED_TERM,
+        `Capitalized term "${phrase}" at line ${line} matches no definition`,
+        { line },
+        `Define it, e.g. (the "${phrase}") or "${phrase}" means ..., or write it in lowercase`,
+      ),
+    )
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Validate footnotes: every `[^id]` reference has a `[^id]: ...` note, and
+ * every note is referenced. Pass GFM as `micromarkExtensions` to read notes
+ * exactly as remark-gfm does.
+ */
+export function validateNotes(content, options = {}) {
+  const errors = []
+  const warnings = []
+  const { definitions, references } = findNotes(documentTree(content, options))
+  const defined = new Set(definitions.map((definition) => definition.identifier))
+  const referenced = new Set(references.map((reference) => reference.identifier))
+
+  const reported = new Set()
+  for (const { identifier, line } of references) {
+    if (defined.has(identifier) || reported.has(identifier)) {
+      continue
+    }
+    reported.add(identifier)
+    warnings.push(
+      createError(
+        'warning',
+        ERROR_CODES.MISSING_NOTE,
+        `Note reference [^${identifier}] at line ${line} has no note`,
+        { line },
+        `Add the note: [^${identifier}]: ...`,
+      ),
+    )
+  }
+
+  for (const { identifier, line } of definitions) {
+    if (!referenced.has(identifier)) {
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.UNREFERENCED_NOTE,
+          `Note [^${identifier}] at line ${line} is never referenced`,
+          { line },
+          `Refer to it with [^${identifier}] or remove it`,
+        ),
+      )
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Validate `{{field}}` placeholders: each is well-formed and names a
+ * frontmatter field. In `final` documents, placeholders whose field is empty
+ * or cannot be formatted are reported too; drafts may leave them open.
+ *
+ * @param {string} content
+ * @param {Record<string, unknown> | null} frontmatter
+ * @param {{ micromarkExtensions?: Array<object>, mdastExtensions?: Array<object> }} [options]
+ */
+export function validateFieldPlaceholders(content, frontmatter, options = {}) {
+  const errors = []
+  const warnings = []
+  const final = frontmatter?.status === 'final'
+
+  for (const { placeholder, body, line } of findPlaceholders(documentTree(content, options))) {
+    const result = resolvePlaceholder(body, frontmatter, frontmatter?.language)
+    if ('text' in result) {
+      continue
+    }
+    const message = `Placeholder ${placeholder} at line ${line} ${result.reason}`
+    if (result.problem === 'invalid-placeholder') {
+      errors.push(
+        createError(
+          'error',
+          ERROR_CODES.INVALID_PLACEHOLDER,
+          message,
+          { line },
+          'Write {{field}} or {{field | formatter}} with date, currency, number, upper or lower',
+        ),
+      )
+    } else if (result.problem === 'undefined-field') {
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.UNDEFINED_FIELD,
+          message,
+          { line },
+          'Add the field to the frontmatter or fix its name',
+        ),
+      )
+    } else if (final) {
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.UNRESOLVED_PLACEHOLDER,
+          message,
+          { line },
+          'Fill in the field before the document is final',
+        ),
+      )
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Validate invoice line-item tables: every written item amount, subtotal,
+ * tax and total matches the one computed from the amounts above it, and the
+ * frontmatter `total-amount` matches the total of the last table. A
+ * line-items caption with no table next to it is reported as
+ * `UNCHECKED_LINE_ITEMS`.
+ *
+ * @param {string} content
+ * @param {Record<string, unknown> | null} frontmatter
+ * @param {{ micromarkExtensions?: Array<object>, mdastExtensions?: Array<object> }} [options]
+ */
+export function validateLineItems(content, frontmatter, options = {}) {
+  const errors = []
+  const warnings = []
+  const currency = documentCurrency(frontmatter)
+  const found = findLineItemTables(documentTree(content, options))
+  const tables = found
+    .filter(({ table }) => table)
+    .map(({ table }) => computeLineItems(table, { language: frontmatter?.language, currency }))
+
+  for (const { table, caption } of found) {
+    if (!table) {
+      const line = caption.position?.start.line
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.UNCHECKED_LINE_ITEMS,
+          `Line items captioned at line ${line} were not checked: no table follows the caption`,
+          { line },
+          'Put the line-item table right before or after its caption',
+        ),
+      )
+    }
+  }
+
+  for (const { table, columns, problems } of tables) {
+    const line = table.position?.start.line
+    if (columns.amount === -1) {
+      warnings.push(
+        createError(
+          'warning',
+          ERROR_CODES.INVALID_LINE_ITEM_TABLE,
+          `Line-item table at line ${line} has no amount column`,
+          { line },
+          'Head the column of line amounts Amount or Total',
+        ),
+      )
+    }
+    for (const problem of problems) {
+      errors.push(
+        createError(
+          'error',
+          ERROR_CODES.LINE_ITEM_MISMATCH,
+          `${problem.subject} at line ${problem.line} is ${problem.written}, expected ${problem.expected} (${problem.detail})`,
+          { line: problem.line },
+          `Correct the amount to ${problem.expected}`,
+        ),
+      )
+    }
+  }
+
+  const mismatch = checkTotalAmount(tables, frontmatter)
+  if (mismatch) {
+    errors.push(
+      createError(
+        'error',
+        ERROR_CODES.TOTAL_AMOUNT_MISMATCH,
+        `Frontmatter total-amount "${mismatch.written}" does not match the line-item total ${mismatch.expected}`,
+        { field: 'total-amount' },
+        `Set total-amount to the invoice total, "${mismatch.expected}"`,
+      ),
+    )
+  }
+
   return { errors, warnings }
 }
 
@@ -1143,6 +1611,42 @@ export function validateDirectiveOrder(directives) {
   return { errors, warnings }
 }
 
+const CONTACT_FIELD_ERRORS = {
+  email: [ERROR_CODES.INVALID_EMAIL, 'email address', 'name@example.com'],
+  telephone: [ERROR_CODES.INVALID_PHONE, 'phone number', '+1 555 123 4567'],
+  faxNumber: [ERROR_CODES.INVALID_PHONE, 'fax number', '+1 555 123 4567'],
+  url: [ERROR_CODES.INVALID_URL, 'URL', 'https://example.com'],
+}
+
+/**
+ * Warn about malformed emails, phone and fax numbers and URLs in
+ * ::letterhead and ::contact-info blocks, as parsed by `parseContactBlock`.
+ *
+ * @param {Array<{ type: string, line: number, contact?: import('../types/mdd').ContactRecord }>} directives
+ * @returns {{ errors: Array, warnings: Array }}
+ */
+export function validateContactDetails(directives) {
+  const errors = []
+  const warnings = []
+
+  for (const directive of directives) {
+    for (const invalid of directive.contact?.invalid ?? []) {
+      const [code, label, example] = CONTACT_FIELD_ERRORS[invalid.field]
+      warnings.push(
+        createError(
+          'warning',
+          code,
+          `Malformed ${label} in ::${directive.type}: "${invalid.value}"`,
+          { line: invalid.line ?? directive.line, directive: directive.type },
+          `Use a well-formed ${label}, for example ${example}`,
+        ),
+      )
+    }
+  }
+
+  return { errors, warnings }
+}
+
 /**
  * Validate frontmatter against the JSON Schema (AJV).
  *
@@ -1184,6 +1688,7 @@ export function validateAgainstSchema(frontmatter) {
     'status',
     'language',
     'total-amount',
+    'numbering',
   ])
   const handledKeywords = new Set(['required', 'enum', 'pattern', 'format'])
 
@@ -1192,7 +1697,7 @@ export function validateAgainstSchema(frontmatter) {
       continue
     }
     const field = ((err.instancePath || '').replace(/^\//, '') || err.params?.missingProperty) ?? ''
-    if (field && handledFields.has(field)) {
+    if (field && handledFields.has(field.split('/')[0])) {
       continue
     }
 
@@ -1220,7 +1725,12 @@ export function validateDocument(content, options = {}) {
     validateRequirementsFlag = true,
     validateClassesFlag = true,
     strict = false,
+    customDirectives,
+    tocThreshold,
+    micromarkExtensions,
+    mdastExtensions,
   } = options
+  const registry = createDirectiveRegistry(customDirectives)
 
   const allErrors = []
   const allWarnings = []
@@ -1252,15 +1762,25 @@ export function validateDocument(content, options = {}) {
     allWarnings.push(...schemaResult.warnings)
   }
 
+  // Parse the document once for the checks of its structure and text
+  const parsed =
+    validateDirectivesFlag || validateClassesFlag
+      ? parseForValidation(content, registry, { micromarkExtensions, mdastExtensions })
+      : undefined
+
   // Extract and validate directives
   let directives = []
   let directiveCounts = {}
 
   if (validateDirectivesFlag) {
-    const parsedDirectives = parseDirectiveStructure(content)
+    const parsedDirectives = describeDirectiveStructure(parsed.report)
     const { directives: extractedDirectives } = parsedDirectives
     directives = extractedDirectives
-    const { errors, warnings, directiveCounts: counts } = validateDirectives(parsedDirectives)
+    const {
+      errors,
+      warnings,
+      directiveCounts: counts,
+    } = validateDirectives(parsedDirectives, registry)
     directiveCounts = counts
     allErrors.push(...errors)
     allWarnings.push(...warnings)
@@ -1268,6 +1788,10 @@ export function validateDocument(content, options = {}) {
     const order = validateDirectiveOrder(directives)
     allErrors.push(...order.errors)
     allWarnings.push(...order.warnings)
+
+    const contact = validateContactDetails(directives)
+    allErrors.push(...contact.errors)
+    allWarnings.push(...contact.warnings)
   }
 
   // Validate document type requirements
@@ -1279,23 +1803,52 @@ export function validateDocument(content, options = {}) {
     )
     allErrors.push(...errors)
     allWarnings.push(...warnings)
+
+    // Directive counts tell whether the document has a table of contents.
+    if (validateDirectivesFlag) {
+      const toc = validateTableOfContents(content, frontmatter, directiveCounts, {
+        tocThreshold,
+        parsed,
+      })
+      allWarnings.push(...toc.warnings)
+    }
   }
 
   // Validate semantic classes
   if (validateClassesFlag) {
-    const { errors, warnings } = validateSemanticClasses(content)
+    const { errors, warnings } = validateSemanticClasses(content, { parsed })
     allErrors.push(...errors)
     allWarnings.push(...warnings)
 
     // Validate professional typography patterns (superscript/subscript).
-    const formatting = validateTextFormatting(content)
+    const formatting = validateTextFormatting(content, { parsed })
     allErrors.push(...formatting.errors)
     allWarnings.push(...formatting.warnings)
 
-    // Validate internal section references.
-    const references = validateReferences(content)
+    // Validate internal references and element ids.
+    const references = validateReferences(content, { parsed })
     allErrors.push(...references.errors)
     allWarnings.push(...references.warnings)
+
+    // Validate defined terms.
+    const terms = validateDefinedTerms(content, { parsed })
+    allErrors.push(...terms.errors)
+    allWarnings.push(...terms.warnings)
+
+    // Validate footnotes.
+    const notes = validateNotes(content, { parsed })
+    allErrors.push(...notes.errors)
+    allWarnings.push(...notes.warnings)
+
+    // Validate {{field}} placeholders.
+    const placeholders = validateFieldPlaceholders(content, frontmatter, { parsed })
+    allErrors.push(...placeholders.errors)
+    allWarnings.push(...placeholders.warnings)
+
+    // Validate invoice line items.
+    const lineItems = validateLineItems(content, frontmatter, { parsed })
+    allErrors.push(...lineItems.errors)
+    allWarnings.push(...lineItems.warnings)
   }
 
   const valid = allErrors.length === 0 && (strict ? allWarnings.length === 0 : true)
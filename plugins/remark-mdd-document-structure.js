@@ -3,221 +3,182 @@
  * flattening the Markdown AST contained by each directive.
  */
 
+import { toString } from 'mdast-util-to-string'
 import { visit } from 'unist-util-visit'
 
-const BLOCK_DIRECTIVES = new Map([
-  ['letterhead', 'letterhead'],
-  ['signature-block', 'signature'],
-  ['header', 'header'],
-  ['footer', 'footer'],
-  ['contact-info', 'contactinfo'],
-])
+import { takeTrailingAttributes } from '../lib/attributes.js'
+import { annotateContactBlock, CONTACT_DIRECTIVES } from '../lib/contact.js'
+import { createMddDetector } from '../lib/detect.js'
+import { transformDirectiveStructure } from '../lib/directive-structure.js'
+import { createDirectiveRegistry, defaultDirectiveRegistry } from '../lib/directives.js'
+import {
+  liftRunningElements,
+  markRunningElements,
+  resolveFieldPlaceholders,
+  RUNNING_DIRECTIVES,
+} from '../lib/fields.js'
+import { readFrontmatter } from '../lib/frontmatter.js'
+import {
+  parsesStrikethrough,
+  registerMddSyntax,
+  registerMddToMarkdown,
+  unravelMddSyntax,
+} from '../lib/mdast-util-mdd.js'
+import {
+  createMessageReporter,
+  DirectiveTracker,
+  normalizeSeverity,
+  validateDirectiveContent,
+  validateDirectiveEndMarker,
+  validateDirectiveNesting,
+  validateFieldPlaceholder,
+  validateOrphanedEndMarker,
+  validateUnknownDirective,
+} from '../lib/plugin-validator.js'
+import { annotateSignatureBlock } from '../lib/signature.js'
+
+/** How `{page}` and `{pages}` are serialized: as written, or as pandoc LaTeX/OpenXML markers. */
+const FIELD_MARKERS = ['source', 'pandoc']
+
+/**
+ * @param {import('../types/mdd').MDDDocumentStructureOptions} [options]
+ */
+export default function remarkMddDocumentStructure(options = {}) {
+  const isMdd = createMddDetector(options)
+  const registry = createDirectiveRegistry(options.customDirectives)
+  const severity = normalizeSeverity(options.severity ?? (options.strict ? 'fatal' : 'warning'))
+  const fieldMarkers = options.fieldMarkers ?? 'source'
+  if (!FIELD_MARKERS.includes(fieldMarkers)) {
+    throw new TypeError(
+      `Invalid fieldMarkers ${JSON.stringify(fieldMarkers)}: use one of ${FIELD_MARKERS.join(', ')}`,
+    )
+  }
+
+  // Let remark-parse read class annotations, and remark-stringify serialize
+  // the `mddDirective` nodes this plugin creates.
+  registerMddSyntax(this, { attributes: true }, isMdd)
+  registerMddToMarkdown(this)
+  const processor = this
 
-export default function remarkMddDocumentStructure() {
   return function transformer(tree, file) {
-    if (!file.path?.endsWith('.mdd')) {
+    if (!isMdd(tree, file)) {
+      unravelMddSyntax(tree, { strikethrough: parsesStrikethrough(processor) })
       return
     }
 
-    processDocumentStructure(tree)
+    const structure = transformDirectiveStructure(tree, registry)
+    for (const directive of structure.directives) {
+      if (directive.name === 'signature-block' && directive.node) {
+        annotateSignatureBlock(directive.node)
+      } else if (CONTACT_DIRECTIVES.includes(directive.name) && directive.node) {
+        annotateContactBlock(directive.node)
+      }
+    }
     processSemanticClasses(tree)
-  }
-}
 
-function textLeaves(node, leaves = []) {
-  if (node?.type === 'text') {
-    leaves.push(node)
-  }
-  for (const child of node?.children ?? []) {
-    textLeaves(child, leaves)
+    const reporter = createMessageReporter(file, severity)
+    reportDirectiveStructure(structure, reporter, registry, options)
+    processRunningElements(tree, file, structure, reporter, {
+      mark: options.runningElements !== false,
+      lift: options.runningElements !== false && options.liftRunningElements === true,
+      pandoc: fieldMarkers === 'pandoc',
+    })
+    reporter.finish()
   }
-  return leaves
-}
-
-function nodeText(node) {
-  return textLeaves(node)
-    .map((leaf) => leaf.value)
-    .join('')
 }
 
-function paragraphIsEmpty(node) {
-  return node.type === 'paragraph' && nodeText(node).trim() === ''
-}
-
-function removeEmptyTextLeaves(node) {
-  if (!Array.isArray(node.children)) {
+/**
+ * Resolve the field placeholders of every header and footer, report those
+ * without a frontmatter value, and mark root-level ones as running elements,
+ * lifting them to the start of the document on request.
+ */
+function processRunningElements(tree, file, structure, reporter, { mark, lift, pandoc }) {
+  const running = structure.directives.filter(
+    (directive) => RUNNING_DIRECTIVES.includes(directive.name) && directive.node,
+  )
+  if (running.length === 0) {
     return
   }
-  for (const child of node.children) {
-    removeEmptyTextLeaves(child)
-  }
-  node.children = node.children.filter((child) => child.type !== 'text' || child.value !== '')
-}
-
-function cloneWithoutOpeningMarker(node, directive) {
-  const clone = structuredClone(node)
-  const first = textLeaves(clone)[0]
-  if (first) {
-    first.value = first.value.replace(new RegExp(`^::${directive}(?:\\r?\\n|$)`, 'u'), '')
-  }
-  removeEmptyTextLeaves(clone)
-  return clone
-}
-
-function cloneWithoutEndMarker(node, marker = '::') {
-  const clone = structuredClone(node)
-  const leaves = textLeaves(clone)
-  const last = leaves.at(-1)
-  if (last) {
-    last.value = last.value.replace(new RegExp(`(?:\\r?\\n)?${marker}\\s*$`, 'u'), '')
-  }
-  removeEmptyTextLeaves(clone)
-  return clone
-}
 
-function pushUnlessEmpty(nodes, node) {
-  if (!paragraphIsEmpty(node)) {
-    nodes.push(node)
-  }
-}
-
-function semanticContainer(className, children) {
-  return {
-    type: 'blockquote',
-    children,
-    data: {
-      hName: 'div',
-      hProperties: { className: [className], 'data-mdd-directive': className },
-    },
+  const frontmatter = readFrontmatter(tree, file)
+  for (const directive of running) {
+    for (const name of resolveFieldPlaceholders(directive.node, frontmatter, { pandoc })) {
+      validateFieldPlaceholder(name, directive.name, directive.position, reporter)
+    }
   }
-}
 
-function pageBreakNode() {
-  return {
-    type: 'paragraph',
-    children: [],
-    data: {
-      hName: 'div',
-      hProperties: { className: ['page-break'], 'data-mdd-directive': 'page-break' },
-    },
+  const nodes = running
+    .map((directive) => directive.node)
+    .filter((node) => tree.children.includes(node))
+  if (mark) {
+    markRunningElements(nodes)
   }
-}
-
-function sectionBreakNode() {
-  return {
-    type: 'thematicBreak',
-    data: {
-      hProperties: { className: ['section-break'], 'data-mdd-directive': 'section-break' },
-    },
+  if (lift) {
+    liftRunningElements(tree, nodes)
   }
 }
 
-function processDocumentStructure(tree) {
-  if (!Array.isArray(tree.children)) {
-    return
-  }
-
-  const input = tree.children
-  const output = []
-
-  for (let index = 0; index < input.length; index++) {
-    const node = input[index]
-    if (node.type !== 'paragraph') {
-      output.push(node)
-      continue
-    }
+/**
+ * Report the problems found while grouping directives: missing end markers,
+ * unknown directives, stray end markers, illegal nesting, empty containers and directives used
+ * more often than the registry allows (or more than once with
+ * `allowMultiple: false`; self-closing breaks may always repeat).
+ */
+function reportDirectiveStructure(structure, reporter, registry, options) {
+  const tracker = new DirectiveTracker()
 
-    const text = nodeText(node).trim()
-    if (/^::page-break(?:\s*::)?$/u.test(text)) {
-      output.push(pageBreakNode())
-      if (text === '::page-break' && nodeText(input[index + 1] ?? {}).trim() === '::') {
-        index++
-      }
+  for (const directive of structure.directives) {
+    const definition = registry.get(directive.name)
+    tracker.add(directive.name, directive.position)
+    if (definition.selfClosing) {
       continue
     }
-    if (/^:::\s*section-break(?:\s*:::)?$/u.test(text)) {
-      output.push(sectionBreakNode())
-      if (text === '::: section-break' && nodeText(input[index + 1] ?? {}).trim() === ':::') {
-        index++
-      }
-      continue
+    if (!directive.closed) {
+      validateDirectiveEndMarker(directive.name, directive.position, null, reporter)
+    } else {
+      validateDirectiveContent(
+        directive.name,
+        toString(directive.node),
+        directive.position,
+        reporter,
+      )
     }
+  }
 
-    const firstLine = nodeText(node).split(/\r?\n/u)[0].trim()
-    const opener = firstLine.match(/^::([a-z][a-z0-9-]*)$/u)
-    const className = opener ? BLOCK_DIRECTIVES.get(opener[1]) : null
-    if (!opener || !className) {
-      output.push(node)
-      continue
-    }
+  for (const unknown of structure.unknownDirectives) {
+    validateUnknownDirective(unknown.name, unknown.position, reporter)
+  }
 
-    const directive = opener[1]
-    const children = []
-    const openingContent = cloneWithoutOpeningMarker(node, directive)
-    const opensAndCloses = nodeText(openingContent).trimEnd().endsWith('::')
-    if (opensAndCloses) {
-      pushUnlessEmpty(children, cloneWithoutEndMarker(openingContent))
-      output.push(semanticContainer(className, children))
-      continue
-    }
-    pushUnlessEmpty(children, openingContent)
-
-    let closed = false
-    for (let cursor = index + 1; cursor < input.length; cursor++) {
-      const contentNode = input[cursor]
-      const contentText = nodeText(contentNode).trimEnd()
-      if (contentNode.type === 'paragraph' && contentText.endsWith('::')) {
-        pushUnlessEmpty(children, cloneWithoutEndMarker(contentNode))
-        index = cursor
-        closed = true
-        break
-      }
-      children.push(contentNode)
-    }
+  for (const marker of structure.orphanedEndMarkers) {
+    validateOrphanedEndMarker(marker.marker, marker.position, reporter)
+  }
 
-    if (closed) {
-      output.push(semanticContainer(className, children))
-    } else {
-      // Validation reports the missing terminator. Keep the original source AST
-      // visible rather than consuming the remainder of the document.
-      output.push(node)
+  if (options.validateNesting !== false) {
+    for (const violation of structure.nestingViolations) {
+      validateDirectiveNesting(
+        violation.inner,
+        violation.outer,
+        violation.position,
+        reporter,
+        registry,
+      )
     }
   }
 
-  tree.children = output
+  for (const name of Object.keys(tracker.counts)) {
+    const definition = registry.get(name)
+    const maxOccurrences =
+      options.allowMultiple === false && !definition.selfClosing ? 1 : definition.maxOccurrences
+    tracker.validate(name, maxOccurrences, reporter)
+  }
 }
 
 function processSemanticClasses(tree) {
   visit(tree, ['heading', 'paragraph'], (node) => {
-    const leaves = textLeaves(node)
-    const last = leaves.at(-1)
-    if (!last?.value) {
-      return
-    }
-
-    const classMatch = last.value.match(/^(.*?)\s*\{\.([^}]+)\}\s*$/u)
-    if (!classMatch) {
-      return
-    }
-
-    const [, text, className] = classMatch
-    last.value = text.trimEnd()
-    node.data ??= {}
-    node.data.hProperties ??= {}
-    node.data.hProperties.className = [className]
+    takeTrailingAttributes(node)
   })
 }
 
-export function hasDocumentStructure(tree) {
-  let hasStructure = false
-  visit(tree, 'paragraph', (node) => {
-    const text = nodeText(node).trim()
-    if (/^::(?:letterhead|signature-block|header|footer|contact-info|page-break)\b/u.test(text)) {
-      hasStructure = true
-    }
-    if (/^:::\s*section-break\b/u.test(text)) {
-      hasStructure = true
-    }
-  })
-  return hasStructure
+export function hasDocumentStructure(tree, registry = defaultDirectiveRegistry) {
+  return transformDirectiveStructure(structuredClone(tree), registry).directives.length > 0
 }
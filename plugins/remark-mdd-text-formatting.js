@@ -2,17 +2,34 @@
  * MDD Text Formatting Plugin
  *
  * Handles professional typography and cross-referencing for business documents.
- * Converts markdown-style text patterns into HTML elements for semantic preservation.
+ * Converts markdown-style text patterns into mdast nodes for semantic preservation.
  *
  * Professional typography:
- * - Superscripts: text^super^ → <sup>super</sup> (for footnotes, version numbers, references)
+ * - Superscripts: text^super^ → <sup>super</sup> (for ordinals, exponents, trademarks)
  * - Subscripts: text~sub~ → <sub>sub</sub> (for chemical formulas, mathematical notation)
+ * - Smart typography in the document language: quotes („…“, « … »), apostrophes,
+ *   dashes, ellipses and no-break spaces (50 %, § 2)
+ * - Frontmatter fields: {{due-date | date}} → the due date in the document
+ *   language
+ * - Invoice line items: `Table: Services {.line-items}` → item, subtotal, tax
+ *   and total cells classed and checked, and empty amounts computed
  *
  * Document structure:
  * - Internal references: @section-1 → auto-linked section references
- * - Automatic section numbering: 1, 1.1, 1.1.1 for H1-H3 headings
- * - Legal clause detection: WHEREAS, THEREFORE, etc. with semantic classes
- * - Long paragraph detection: Identifies lengthy text blocks for styling
+ * - Named references: @sec:payment-terms → link to the heading with that id or
+ *   title, labelled with its current number and title
+ * - Table and figure captions: numbered, so @table-2 → "Table 2: <caption>"
+ * - Reference link text in a configurable format and the document language,
+ *   resolved once headings and captions are numbered
+ * - Automatic section numbering: 1, 1.1, 1.1.1 for H1-H3 headings, or another
+ *   numbering scheme (Article I / Section 1.01, § 1, ...)
+ * - Tables of contents: `::toc` directives list the numbered headings
+ * - Defined terms: `(the "Company")` and `"Term" means` definitions are marked,
+ *   their uses link to them and `::definitions` lists them
+ * - Footnotes and endnotes: GFM footnotes numbered document-wide (1, *, i, ...)
+ *   and placed at the page foot or in `::endnotes`
+ * - Paragraph classes from rule packs selected by document type: recitals
+ *   (WHEREAS), legal clauses (NOW, THEREFORE), long paragraphs, ...
  *
  * Philosophy: Professional documents require precise typography. These patterns enable
  * business-quality output while maintaining human-readable source files.
@@ -20,126 +37,397 @@
  * Architecture: Stage 1 of two-stage conversion (text patterns → HTML nodes → final format)
  */
 
-import { visit } from 'unist-util-visit'
+import { fromMarkdown } from 'mdast-util-from-markdown'
+import { toString } from 'mdast-util-to-string'
+import { EXIT, visit } from 'unist-util-visit'
+
+import { takeTrailingAttributes } from '../lib/attributes.js'
+import { createSpan } from '../lib/block-lines.js'
+import { annotateCaptions } from '../lib/captions.js'
+import { linkDefinedTerms, markDefinitions, renderGlossaries } from '../lib/definitions.js'
+import { createMddDetector } from '../lib/detect.js'
+import { FRONTMATTER_BLOCK, readFrontmatter } from '../lib/frontmatter.js'
+import { interpolateFields } from '../lib/interpolation.js'
+import { annotateLineItems, checkTotalAmount, documentCurrency } from '../lib/line-items.js'
+import {
+  mddFromMarkdown,
+  parsesStrikethrough,
+  registerMddSyntax,
+  registerMddToMarkdown,
+  unravelMddSyntax,
+} from '../lib/mdast-util-mdd.js'
+import { mddSyntax } from '../lib/micromark-extension-mdd.js'
+import { placeNotes, resolveNoteOptions, selectNoteOptions } from '../lib/notes.js'
+import {
+  createSectionNumbering,
+  resolveNumberingScheme,
+  selectNumberingScheme,
+} from '../lib/numbering.js'
+import {
+  classifyParagraphs,
+  resolveParagraphRules,
+  selectParagraphRules,
+} from '../lib/paragraphs.js'
+import {
+  SectionTracker,
+  validateInternalReference,
+  validateInterpolatedField,
+  validateLineItemAmount,
+  validateNamedReference,
+  validateTotalAmount,
+  validateUniqueIds,
+} from '../lib/plugin-validator.js'
+import {
+  createReferenceFormatter,
+  headingSlug,
+  referenceLocale,
+  resolveNamedReference,
+  resolveReferenceFormats,
+} from '../lib/references.js'
+import { renderTablesOfContents } from '../lib/toc.js'
+import { pairQuotes, typographyRules } from '../lib/typography.js'
+
+/** Straight double quotes, typeset by the typography stages. */
+const STRAIGHT_QUOTES = /"([^"]+)"/u
 
 /**
- * Text formatting patterns
+ * Inline stages of the document language's typography: `smartQuotes` turns
+ * quotes and apostrophes off, `typography` dashes, ellipses and no-break
+ * spaces.
  */
-const TEXT_PATTERNS = {
-  // Superscript: text^super^
-  superscript: /\^([^^\s]+)\^/g,
-
-  // Subscript: text~sub~
-  subscript: /~([^~\s]+)~/g,
+function typographyStages(options, language) {
+  const quotes = options.smartQuotes !== false
+  const spacing = options.typography !== false
+  if (!quotes && !spacing) {
+    return []
+  }
+  return typographyRules(language, { quotes, spacing }).map((rule) => ({
+    type: 'typography',
+    name: rule.name,
+    pattern: rule.pattern,
+    replace: rule.replace,
+    marks: rule.marks,
+  }))
+}
 
-  // Internal references: @section-1, @table-2, @figure-3
-  internalRef: /@([a-z]+)-(\d+)/g,
+/**
+ * Turn `customPatterns` into inline stages. A value is a RegExp, whose match
+ * becomes a `<span class="name">` around its first group (or the whole
+ * match), or `{ pattern, transform }`, where `transform(match)` returns the
+ * phrasing node to insert.
+ *
+ * @param {import('../types/mdd').MDDTextFormattingOptions['customPatterns']} customPatterns
+ * @throws {TypeError} for a malformed pattern definition
+ */
+function normalizeCustomPatterns(customPatterns = {}) {
+  if (typeof customPatterns !== 'object' || customPatterns === null) {
+    throw new TypeError('customPatterns must be an object of named patterns')
+  }
 
-  // Quote typography: "text" -> proper quotes
-  quotes: /"([^"]+)"/g,
+  return Object.entries(customPatterns).map(([name, definition]) => {
+    const { pattern, transform } =
+      definition instanceof RegExp ? { pattern: definition } : (definition ?? {})
+    if (
+      !(pattern instanceof RegExp) ||
+      (transform !== undefined && typeof transform !== 'function')
+    ) {
+      throw new TypeError(
+        `customPatterns.${name} must be a RegExp or { pattern: RegExp, transform?: (match) => node }`,
+      )
+    }
+    const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`
+    return { type: name, pattern: new RegExp(pattern.source, flags), transform }
+  })
 }
 
 /**
  * MDD text formatting plugin
  *
- * Transforms text patterns into semantic HTML nodes for professional typography.
+ * Transforms text patterns into semantic mdast nodes for professional typography.
  * Preserves formatting across output formats (HTML, PDF via pandoc, DOCX via pandoc).
+ *
+ * @param {import('../types/mdd').MDDTextFormattingOptions} [options]
  */
-export default function remarkMddTextFormatting() {
+export default function remarkMddTextFormatting(options = {}) {
+  const isMdd = createMddDetector(options)
+  const customStages = normalizeCustomPatterns(options.customPatterns)
+  if (options.numbering !== undefined) {
+    resolveNumberingScheme(options.numbering)
+  }
+  const referenceFormats = resolveReferenceFormats(options.referenceFormat)
+  if (options.paragraphRules !== undefined && options.paragraphRules !== false) {
+    resolveParagraphRules(options.paragraphRules)
+  }
+  const noteOptions =
+    options.notes === undefined || options.notes === false ? {} : resolveNoteOptions(options.notes)
+
+  // Let remark-parse read superscripts, subscripts, references and class
+  // annotations, and remark-stringify write typography, references and
+  // numbering back as their MDD source tokens.
+  registerMddSyntax(
+    this,
+    {
+      superscript: options.superscript !== false,
+      subscript: options.subscript !== false,
+      references: options.internalReferences !== false,
+      attributes: true,
+    },
+    isMdd,
+  )
+  registerMddToMarkdown(this)
+  const processor = this
+
   return function transformer(tree, file) {
-    // Only process .mdd files (MDD-specific typography patterns)
-    if (!file.path?.endsWith('.mdd')) {
+    // Only process MDD documents (MDD-specific typography patterns)
+    if (!isMdd(tree, file)) {
+      unravelMddSyntax(tree, { strikethrough: parsesStrikethrough(processor) })
       return
     }
 
-    transformTextNodes(tree)
+    const frontmatter = readFrontmatter(tree, file)
+    const language = options.locale ?? frontmatter?.language
+    const skipUntilLine = frontmatterEndLine(tree, file)
+    // Fill `{{field}}` placeholders before any text is typeset
+    if (options.interpolation !== false) {
+      const unresolved = interpolateFields(tree, frontmatter, {
+        language,
+        skipUntilLine,
+      })
+      for (const { placeholder, reason, node } of unresolved) {
+        validateInterpolatedField(placeholder, reason, node, file)
+      }
+    }
+    // Check invoice line-item amounts, and fill in the empty ones on request
+    if (options.lineItems !== false) {
+      const tables = annotateLineItems(tree, {
+        language,
+        currency: documentCurrency(frontmatter),
+        fill: options.fillLineItems === true,
+      })
+      for (const problem of tables.flatMap((table) => table.problems)) {
+        validateLineItemAmount(problem, file)
+      }
+      const mismatch = checkTotalAmount(tables, frontmatter)
+      if (mismatch) {
+        validateTotalAmount(mismatch, tables.at(-1).table, file)
+      }
+    }
+    // Definitions are found before their quotes are typeset.
+    const definitions =
+      options.definedTerms === false ? [] : markDefinitions(tree, { skipUntilLine })
+
+    const stages = [...typographyStages(options, language), ...customStages]
+    if (stages.some((stage) => stage.marks)) {
+      splitQuotesAcrossNodes(tree, stages)
+    }
+    if (stages.length > 0) {
+      transformTextNodes(tree, stages)
+    }
+    linkReferences(tree)
+    linkDefinedTerms(tree, definitions, { skipUntilLine })
 
     // Process heading structure and numbering
-    processHeadingStructure(tree)
+    const numbering =
+      options.autoNumberSections === false
+        ? createSectionNumbering('none')
+        : documentNumbering(frontmatter, file, options.numbering)
+    const headings = processHeadingStructure(tree, numbering, skipUntilLine)
 
     // Process paragraph structure
-    processParagraphStructure(tree)
+    if (options.paragraphRules !== false) {
+      processParagraphStructure(
+        tree,
+        selectParagraphRules(frontmatter, options.paragraphRules, language),
+        {
+          'long-paragraph': options.detectLongParagraphs !== false,
+          'legal-clause': options.detectLegalClauses !== false,
+          'numbered-item': options.detectNumberedItems !== false,
+        },
+      )
+    }
+
+    // Number table and figure captions
+    const words = referenceLocale(language, options.referenceLabels)
+    const captions = options.captions === false ? [] : annotateCaptions(tree, words)
+
+    // Second pass: label references with the numbers and titles of their targets
+    resolveReferences(tree, headings, captions, createReferenceFormatter(referenceFormats, words))
+
+    // Fill `::toc` directives with the numbered headings and
+    // `::definitions` with the defined terms
+    renderTablesOfContents(tree, headings, words)
+    renderGlossaries(tree, definitions)
+
+    // Number footnotes and place them as footnotes or endnotes
+    if (options.notes !== false) {
+      placeNotes(tree, documentNotes(frontmatter, file, noteOptions))
+    }
+
+    if (options.validateReferences) {
+      reportDanglingReferences(tree, file, headings)
+    }
   }
 }
 
-function transformTextNodes(node) {
+function transformTextNodes(node, stages) {
   if (!Array.isArray(node.children)) {
     return
   }
 
   node.children = node.children.flatMap((child) => {
-    if (child.type !== 'text' || !child.value) {
-      transformTextNodes(child)
+    if (isAutolink(child)) {
       return [child]
     }
-
-    for (const pattern of Object.values(TEXT_PATTERNS)) {
-      pattern.lastIndex = 0
-      if (pattern.test(child.value)) {
-        return processTextFormatting(child.value)
-      }
+    if (
+      child.type !== 'text' ||
+      !child.value ||
+      child.data?.mddSource ||
+      child.data?.mddGenerated
+    ) {
+      transformTextNodes(child, stages)
+      return [child]
     }
-    return [child]
+    return processTextFormatting(child, stages)
   })
 }
 
+/** Inline nodes whose text runs on with the text around them. */
+const PHRASING_PARENTS = new Set([
+  'emphasis',
+  'strong',
+  'delete',
+  'link',
+  'linkReference',
+  'superscript',
+  'subscript',
+  'mddSpan',
+])
+
+/** Stands for an inline node whose text is not typeset (code, references). */
+const OPAQUE_TEXT = '\uFFFC'
+
 /**
- * Process text formatting and return array of nodes
+ * Pair the quotes of each block over its inline text, so `"the *Company*"`
+ * and `"see `code`"` are typeset as one quote. A quotation mark whose partner
+ * is in another text node is cut out into a text node of its own that keeps
+ * the straight quote as its source; quotes within one text node are left to
+ * the typography stages.
  */
-function processTextFormatting(text) {
-  for (const pattern of Object.values(TEXT_PATTERNS)) {
-    pattern.lastIndex = 0
+function splitQuotesAcrossNodes(node, stages) {
+  const segments = []
+  let text = ''
+
+  const collect = (parent) => {
+    for (const child of parent.children) {
+      if (child.type === 'text' && !child.data?.mddSource && !child.data?.mddGenerated) {
+        segments.push({ node: child, parent, start: text.length })
+        text += child.value
+      } else if (child.type === 'break') {
+        text += '\n'
+      } else if (PHRASING_PARENTS.has(child.type) && !isAutolink(child)) {
+        collect(child)
+      } else if (Array.isArray(child.children) && !PHRASING_PARENTS.has(child.type)) {
+        text += '\n'
+        splitQuotesAcrossNodes(child, stages)
+      } else {
+        text += OPAQUE_TEXT
+      }
+    }
+  }
+  if (Array.isArray(node.children)) {
+    collect(node)
   }
-  const nodes = []
-  let currentIndex = 0
-  const workingText = text
-
-  // Process all formatting types
-  const allMatches = []
 
-  // Find superscripts
-  for (const match of workingText.matchAll(TEXT_PATTERNS.superscript)) {
-    allMatches.push({
-      type: 'superscript',
-      match,
-      start: match.index,
-      end: match.index + match[0].length,
-      content: match[1],
+  const segmentAt = (index) => segments.findLast((segment) => segment.start <= index)
+  const cuts = new Map()
+  for (const marks of pairQuotes(text, stages)) {
+    const [open, close] = marks.map((mark) => segmentAt(mark.index))
+    if (open === close) {
+      continue
+    }
+    marks.forEach((mark, index) => {
+      const segment = index === 0 ? open : close
+      cuts.set(segment, [...(cuts.get(segment) ?? []), mark])
     })
   }
 
-  // Find subscripts
-  for (const match of workingText.matchAll(TEXT_PATTERNS.subscript)) {
-    allMatches.push({
-      type: 'subscript',
-      match,
-      start: match.index,
-      end: match.index + match[0].length,
-      content: match[1],
-    })
+  for (const [segment, marks] of cuts) {
+    const { node: textNode, parent, start } = segment
+    const pieces = []
+    let index = 0
+    for (const mark of marks.sort((a, b) => a.index - b.index)) {
+      const offset = mark.index - start
+      if (offset > index) {
+        pieces.push({ type: 'text', value: textNode.value.slice(index, offset) })
+      }
+      const position = pointAt(textNode, offset)
+      pieces.push({
+        type: 'text',
+        value: mark.value,
+        data: { mddSource: textNode.value[offset] },
+        ...(position && { position: { start: position, end: pointAt(textNode, offset + 1) } }),
+      })
+      index = offset + 1
+    }
+    if (index < textNode.value.length) {
+      pieces.push({ type: 'text', value: textNode.value.slice(index) })
+    }
+    parent.children.splice(parent.children.indexOf(textNode), 1, ...pieces)
   }
+}
 
-  // Find internal references
-  for (const match of workingText.matchAll(TEXT_PATTERNS.internalRef)) {
-    allMatches.push({
-      type: 'internalRef',
-      match,
-      start: match.index,
-      end: match.index + match[0].length,
-      refType: match[1],
-      refNumber: match[2],
-    })
+/** An autolink's text is its URL. */
+function isAutolink(node) {
+  return (
+    node.type === 'link' &&
+    toString(node).replace(/^mailto:/u, '') === node.url.replace(/^mailto:/u, '')
+  )
+}
+
+/**
+ * Find where `offset` in a text node's value sits in the source, for
+ * positioned messages about the nodes cut out of it.
+ */
+function pointAt(node, offset) {
+  const start = node.position?.start
+  if (!start) {
+    return undefined
   }
+  const before = node.value.slice(0, offset)
+  const lastBreak = before.lastIndexOf('\n')
+  const line = start.line + (before.match(/\n/gu)?.length ?? 0)
+  const column = lastBreak === -1 ? start.column + offset : offset - lastBreak
+  return { line, column }
+}
 
-  // Find quotes
-  for (const match of workingText.matchAll(TEXT_PATTERNS.quotes)) {
-    allMatches.push({
-      type: 'quote',
-      match,
-      start: match.index,
-      end: match.index + match[0].length,
-      content: match[1],
-    })
+/**
+ * Process text formatting and return array of nodes
+ */
+function processTextFormatting(textNode, stages) {
+  const workingText = textNode.value
+  const nodes = []
+  let currentIndex = 0
+
+  // Collect the matches of every active stage
+  const allMatches = []
+  for (const stage of stages) {
+    for (const match of workingText.matchAll(stage.pattern)) {
+      if (!match[0]) {
+        continue
+      }
+      allMatches.push({
+        type: stage.type,
+        stage,
+        match,
+        start: match.index,
+        end: match.index + match[0].length,
+        content: match[1],
+      })
+    }
+  }
+
+  if (allMatches.length === 0) {
+    return [textNode]
   }
 
   // Sort matches by position
@@ -155,40 +443,31 @@ function processTextFormatting(text) {
     }
     // Add text before the match
     if (formatMatch.start > currentIndex) {
-      const beforeText = workingText.slice(currentIndex, formatMatch.start)
-      if (beforeText) {
-        nodes.push({
-          type: 'text',
-          value: beforeText,
-        })
-      }
+      nodes.push({
+        type: 'text',
+        value: workingText.slice(currentIndex, formatMatch.start),
+      })
     }
 
-    // Add formatted node
-    nodes.push(createFormattedNode(formatMatch))
+    // Add formatted node, remembering the token it replaces so the tree can be
+    // serialized back to MDD source.
+    const formattedNode = createFormattedNode(formatMatch)
+    formattedNode.data = { ...formattedNode.data, mddSource: formatMatch.match[0] }
+    const start = pointAt(textNode, formatMatch.start)
+    if (start) {
+      formattedNode.position = { start, end: pointAt(textNode, formatMatch.end) }
+    }
+    nodes.push(formattedNode)
 
     currentIndex = formatMatch.end
   }
 
   // Add remaining text
   if (currentIndex < workingText.length) {
-    const remainingText = workingText.slice(currentIndex)
-    if (remainingText) {
-      nodes.push({
-        type: 'text',
-        value: remainingText,
-      })
-    }
-  }
-
-  // If no formatting found, return original text
-  if (nodes.length === 0) {
-    return [
-      {
-        type: 'text',
-        value: text,
-      },
-    ]
+    nodes.push({
+      type: 'text',
+      value: workingText.slice(currentIndex),
+    })
   }
 
   return nodes
@@ -199,169 +478,277 @@ function processTextFormatting(text) {
  */
 function createFormattedNode(formatMatch) {
   switch (formatMatch.type) {
-    case 'superscript':
-      return {
-        type: 'html',
-        value: `<sup>${formatMatch.content}</sup>`,
-      }
-
-    case 'subscript':
-      return {
-        type: 'html',
-        value: `<sub>${formatMatch.content}</sub>`,
-      }
-
-    case 'internalRef':
-      const refLabel = formatMatch.refType.charAt(0).toUpperCase() + formatMatch.refType.slice(1)
-      return {
-        type: 'link',
-        url: `#${formatMatch.refType}-${formatMatch.refNumber}`,
-        title: `Reference to ${refLabel} ${formatMatch.refNumber}`,
-        children: [
-          {
-            type: 'text',
-            value: `${refLabel} ${formatMatch.refNumber}`,
-          },
-        ],
-      }
-
-    case 'quote':
-      // Convert straight quotes to professional typographic (curly) quotes.
+    case 'typography':
       return {
         type: 'text',
-        value: `“${formatMatch.content}”`,
+        value: formatMatch.stage.replace(formatMatch.match[0], formatMatch.match[1]),
       }
 
     default:
-      return {
-        type: 'text',
-        value: formatMatch.match[0],
+      // Custom pattern
+      if (formatMatch.stage.transform) {
+        return formatMatch.stage.transform(formatMatch.match)
       }
+      return createSpan([{ type: 'text', value: formatMatch.content ?? formatMatch.match[0] }], {
+        className: [formatMatch.type],
+      })
   }
 }
 
 /**
- * Process heading structure and add proper hierarchy
+ * Turn `mddReference` nodes (`@section-1`, `@sec:payment-terms`) into links
+ * to their anchor. They are labelled once headings and captions are numbered
+ * (see resolveReferences).
  */
-function processHeadingStructure(tree) {
-  const sectionCounters = [0, 0, 0, 0, 0, 0] // For H1-H6
-
-  visit(tree, 'heading', (node) => {
-    const level = node.depth
-
-    // Increment this level's counter and reset all deeper levels.
-    for (let i = level - 1; i < sectionCounters.length; i++) {
-      if (i === level - 1) {
-        sectionCounters[i]++
-      } else {
-        sectionCounters[i] = 0
-      }
-    }
-
-    // Add section numbering to headings (optional)
-    if (node.children?.[0]?.value) {
-      const text = node.children[0].value
-
-      // Check if heading already has numbering
-      if (!/^\d+\./.test(text)) {
-        // Add automatic numbering for formal documents
-        const numberPrefix = generateSectionNumber(sectionCounters, level)
-        if (numberPrefix && level <= 3) {
-          // Only number H1-H3
-          node.children[0].value = `${numberPrefix} ${text}`
-        }
-      }
-
-      // Add ID for internal references
-      const headingId = generateHeadingId(text, level, sectionCounters)
-      node.data ??= {}
-      node.data.hProperties ??= {}
-      node.data.hProperties.id = headingId
+function linkReferences(tree) {
+  visit(tree, 'mddReference', (node, index, parent) => {
+    const source = `@${node.identifier}`
+    parent.children[index] = {
+      type: 'link',
+      url: `#${node.identifier.replace(/^sec:/u, '')}`,
+      title: null,
+      children: [{ type: 'text', value: source }],
+      data: { mddSource: source },
+      position: node.position,
     }
   })
 }
 
 /**
- * Generate section number (1, 1.1, 1.1.1)
+ * Section numbering in the document's scheme. A malformed frontmatter
+ * `numbering` is reported and ignored.
  */
-function generateSectionNumber(counters, level) {
-  const relevantCounters = counters.slice(0, level).filter((c) => c > 0)
-  return relevantCounters.length > 0 ? relevantCounters.join('.') : ''
+function documentNumbering(frontmatter, file, option) {
+  try {
+    return createSectionNumbering(selectNumberingScheme(frontmatter, option))
+  } catch (err) {
+    file.message(
+      `Invalid frontmatter numbering: ${err.message}`,
+      undefined,
+      'mdd:invalid-numbering',
+    )
+    return createSectionNumbering(
+      selectNumberingScheme({ ...frontmatter, numbering: undefined }, option),
+    )
+  }
 }
 
 /**
- * Generate heading ID for internal references
+ * Note numbering and placement of the document. Malformed frontmatter
+ * `notes` are reported and ignored.
  */
-function generateHeadingId(text, level, counters) {
-  // Create ID from text (lowercase, replace spaces with hyphens)
-  const baseId = text
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-') // Replace spaces with hyphens
-    .replace(/^-+|-+$/g, '') // Trim hyphens
-
-  // Add section prefix for formal references
-  const sectionNumber = generateSectionNumber(counters, level)
-  return sectionNumber ? `section-${sectionNumber.replace(/\./g, '-')}` : baseId
+function documentNotes(frontmatter, file, option) {
+  try {
+    return selectNoteOptions(frontmatter, option)
+  } catch (err) {
+    file.message(`Invalid frontmatter notes: ${err.message}`, undefined, 'mdd:invalid-notes')
+    return selectNoteOptions({ ...frontmatter, notes: undefined }, option)
+  }
+}
+
+/** Last line of a frontmatter block parsed as Markdown (no `yaml` node), else 0. */
+function frontmatterEndLine(tree, file) {
+  if (tree.children[0]?.type === 'yaml') {
+    return 0
+  }
+  const match = String(file?.value ?? '').match(FRONTMATTER_BLOCK)
+  return match ? match[0].trimEnd().split(/\r?\n/u).length : 0
 }
 
 /**
- * Process paragraph structure for better document flow
+ * Number headings in the document's numbering scheme and give each its
+ * anchor: the explicit `{#id}` of the heading, else `section-N`. Headings
+ * already starting with a number keep it.
+ *
+ * @returns {Array<{node: object, id: string, sectionId: string, explicitId: string | null, slug: string, label: string, title: string}>}
  */
-function processParagraphStructure(tree) {
-  visit(tree, 'paragraph', (node) => {
-    if (!node.children?.length) return
+function processHeadingStructure(tree, numbering, skipUntilLine) {
+  const headings = []
 
-    // Add proper paragraph spacing classes based on context
+  visit(tree, 'heading', (node) => {
+    // Without remark-frontmatter the frontmatter parses as a setext heading.
+    if ((node.position?.start.line ?? Infinity) <= skipUntilLine) {
+      return
+    }
+
+    const level = node.depth
+    numbering.advance(level)
+
+    const explicitId = takeTrailingAttributes(node)?.id ?? null
+    const label = numbering.label(level)
+    const text = toString(node)
+    if (label && text && !/^\d+\./.test(text) && !text.startsWith(label)) {
+      // The number is a separate text node marked as generated, so
+      // serializing the tree leaves it out.
+      node.children.unshift({
+        type: 'text',
+        value: `${label} `,
+        data: { mddGenerated: true },
+      })
+    }
+
+    // Add ID for internal references
+    const sectionId = numbering.id(level)
     node.data ??= {}
     node.data.hProperties ??= {}
+    node.data.hProperties.id = explicitId ?? sectionId
+    headings.push({
+      node,
+      id: node.data.hProperties.id,
+      sectionId,
+      explicitId,
+      slug: headingSlug(text),
+      label,
+      title: text.trim(),
+    })
+  })
 
-    // Check if paragraph follows a heading
-    const text = node.children
-      .map(
-        (child) =>
-          child.value ?? child.children?.map((grandchild) => grandchild.value ?? '').join('') ?? '',
-      )
-      .join('')
+  return headings
+}
+
+/**
+ * Classify paragraphs, keeping their `{.class}` annotations: the detection
+ * options drop the rules that add their class.
+ */
+function processParagraphStructure(tree, rules, detect) {
+  const dropped = new Set(
+    Object.entries(detect)
+      .filter(([, enabled]) => !enabled)
+      .map(([className]) => className),
+  )
+  const active = rules.filter((rule) => !rule.className.some((name) => dropped.has(name)))
+
+  visit(tree, 'paragraph', (node) => {
+    takeTrailingAttributes(node)
+  })
+  classifyParagraphs(tree, active)
+}
+
+/** A heading as the target of a section reference. */
+function headingTarget(heading) {
+  return {
+    type: 'section',
+    id: heading.id,
+    number: heading.label.replace(/\.$/u, ''),
+    title: heading.title,
+  }
+}
 
-    // Add semantic classes for different paragraph types
-    if (text.length > 200) {
-      node.data.hProperties.className = ['long-paragraph']
+/**
+ * Label internal reference links from their targets: `@section-N` and
+ * `@sec:name` from the numbered heading (and point them at its explicit id,
+ * when it has one), `@table-N` / `@figure-N` from the caption. A reference
+ * to another type, or to a missing target, reads as its type and number; a
+ * named reference to no heading keeps its source text.
+ */
+function resolveReferences(tree, headings, captions, formatReference) {
+  const bySection = new Map(headings.map((heading) => [heading.sectionId, heading]))
+  const byCaption = new Map(captions.map((record) => [record.id, record]))
+
+  visit(tree, 'link', (node) => {
+    const source = node.data?.mddSource ?? ''
+    const named = source.match(/^@sec:(.+)$/u)
+    const numbered = source.match(/^@([a-z]+)-(\d+(?:-\d+)*)$/u)
+    let target = null
+
+    if (named) {
+      const heading = resolveNamedReference(headings, named[1]).target
+      target = heading && headingTarget(heading)
+    } else if (numbered) {
+      const [, type, number] = numbered
+      const id = `${type}-${number}`
+      const heading = type === 'section' ? bySection.get(id) : undefined
+      const caption = byCaption.get(id)
+      target = (heading && headingTarget(heading)) ||
+        (caption && { type, id, number: String(caption.number), title: caption.caption }) || {
+          type,
+          id,
+          number: number.replaceAll('-', '.'),
+          title: '',
+        }
     }
 
-    // Identify legal/formal text patterns
-    if (/^(WHEREAS|THEREFORE|PROVIDED|SUBJECT TO)/i.test(text)) {
-      node.data.hProperties.className = ['legal-clause']
+    if (target) {
+      const { text, title } = formatReference(target)
+      node.url = `#${target.id}`
+      node.title = title
+      node.children = [{ type: 'text', value: text }]
     }
+  })
+}
 
-    if (/^\d+\.\s/.test(text)) {
-      node.data.hProperties.className = ['numbered-item']
+/**
+ * Report internal reference links whose target is not in the document
+ * (headings, captions, directives and any other node with an `id`), named
+ * references that are ambiguous, and ids used by more than one node.
+ */
+function reportDanglingReferences(tree, file, headings) {
+  const targets = new SectionTracker()
+  const nodesWithIds = []
+  visit(tree, (node) => {
+    const id = node.data?.hProperties?.id
+    if (id) {
+      targets.add(id, node)
+      nodesWithIds.push(node)
     }
   })
+  // `@section-N` still finds a heading that has an explicit id.
+  for (const heading of headings) {
+    targets.add(heading.sectionId, heading.node)
+  }
+
+  visit(tree, 'link', (node) => {
+    const source = node.data?.mddSource ?? ''
+    const reference = source.match(/^@([a-z]+)-(\d+(?:-\d+)*)$/u)
+    if (reference) {
+      validateInternalReference(reference[1], reference[2], node, file, targets.sections)
+      return
+    }
+    const named = source.match(/^@sec:(.+)$/u)
+    if (named) {
+      validateNamedReference(
+        named[1],
+        resolveNamedReference(headings, named[1]).matches,
+        node,
+        file,
+      )
+    }
+  })
+
+  validateUniqueIds(nodesWithIds, file)
 }
 
 /**
- * Check if text contains formatting elements
+ * Check if text contains MDD inline syntax (superscripts, subscripts,
+ * references) or straight quotes to typeset
  */
 export function hasTextFormatting(text) {
-  for (const pattern of Object.values(TEXT_PATTERNS)) {
-    if (pattern.test(text)) {
-      return true
-    }
+  if (STRAIGHT_QUOTES.test(text)) {
+    return true
   }
-  return false
+  const tree = fromMarkdown(text, {
+    extensions: [mddSyntax({ attributes: false })],
+    mdastExtensions: [mddFromMarkdown()],
+  })
+  let found = false
+  visit(tree, ['superscript', 'subscript', 'mddReference'], () => {
+    found = true
+    return EXIT
+  })
+  return found
 }
 
 /**
- * Extract all references from document
+ * Extract all `@type-N` references from a document, parsed (`mddReference`
+ * nodes) or transformed (reference links)
  */
 export function extractReferences(tree) {
   const references = []
 
-  visit(tree, 'text', (node) => {
-    if (!node.value) return
-
-    for (const match of node.value.matchAll(TEXT_PATTERNS.internalRef)) {
+  visit(tree, ['mddReference', 'link'], (node) => {
+    const source = node.type === 'mddReference' ? `@${node.identifier}` : node.data?.mddSource
+    const match = source?.match(/^@([a-z]+)-(\d+(?:-\d+)*)$/u)
+    if (match) {
       references.push({
         type: match[1],
         number: match[2],
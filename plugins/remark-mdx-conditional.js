@@ -11,6 +11,8 @@
  * installed (the common case for HTML/PDF/DOCX-only MDD consumers).
  */
 
+import { createMddDetector, hasExtension, normalizeExtensions } from '../lib/detect.js'
+
 let cachedMdxPlugin = null
 let mdxLoadError = null
 
@@ -44,12 +46,20 @@ async function loadRemarkMdx() {
 /**
  * Conditional MDX processor.
  *
+ * MDX processing applies to files whose path ends in one of `mdxExtensions`
+ * (default `.mdx`) unless the shared MDD detection (`mode`, `extensions`,
+ * frontmatter) identifies the file as an MDD document.
+ *
+ * @param {import('../types/mdd').MDXConditionalOptions} [options]
  * @returns {import('unified').Plugin} Remark plugin
  */
-export default function remarkMdxConditional() {
+export default function remarkMdxConditional(options = {}) {
+  const isMdd = createMddDetector(options)
+  const mdxExtensions = normalizeExtensions(options.mdxExtensions ?? ['.mdx'], 'MDX extensions')
+
   return async function transformer(tree, file) {
-    // Only apply MDX processing to .mdx files; skip .mdd (and everything else).
-    if (!file.path?.endsWith('.mdx')) {
+    // Only apply MDX processing to MDX files; skip MDD (and everything else).
+    if (!hasExtension(file.path, mdxExtensions) || isMdd(tree, file)) {
       return
     }
 
@@ -1,13 +1,22 @@
 import assert from 'node:assert/strict'
 import test from 'node:test'
 
+import { toHtml } from 'hast-util-to-html'
+import { toHast } from 'mdast-util-to-hast'
+import { toString } from 'mdast-util-to-string'
 import { remark } from 'remark'
+import remarkGfm from 'remark-gfm'
+import remarkMdx from 'remark-mdx'
+import { visit } from 'unist-util-visit'
 
+import { mddHastHandlers } from '../lib/mdast-util-mdd.js'
+import { validateDocument } from '../lib/validator.js'
 import remarkMddDocumentStructure from '../plugins/remark-mdd-document-structure.js'
 import remarkMddTextFormatting from '../plugins/remark-mdd-text-formatting.js'
+import remarkMdxConditional from '../plugins/remark-mdx-conditional.js'
 
 async function transform(markdown, plugin) {
-  const processor = remark().use(plugin)
+  const processor = remark().use(...[plugin].flat())
   const tree = processor.parse(markdown)
   return processor.run(tree, { path: 'document.mdd' })
 }
@@ -27,9 +36,12 @@ test('document directives preserve rich Markdown block and inline nodes', async
 
   const directive = tree.children[0]
   assert.equal(directive.data.hName, 'div')
-  assert.deepEqual(directive.data.hProperties.className, ['letterhead'])
-  assert.equal(directive.children[0].children[0].type, 'strong')
-  assert.equal(directive.children[0].children[2].type, 'link')
+  assert.deepEqual(directive.data.hProperties.className, ['letterhead', 'h-card'])
+  // The line is the letterhead's organization name, wrapped in one span.
+  const [organization] = directive.children[0].children
+  assert.equal(organization.type, 'mddSpan')
+  assert.equal(organization.children[0].type, 'strong')
+  assert.equal(organization.children[2].type, 'link')
   assert.equal(directive.children[1].type, 'list')
 })
 
@@ -45,9 +57,1491 @@ test('semantic classes retain the original heading element', async () => {
 
 test('standalone typography tokens are transformed', async () => {
   const superscript = await transform('^2^\n', remarkMddTextFormatting)
-  assert.equal(superscript.children[0].children[0].type, 'html')
-  assert.equal(superscript.children[0].children[0].value, '<sup>2</sup>')
+  assert.equal(superscript.children[0].children[0].type, 'superscript')
+  assert.deepEqual(
+    superscript.children[0].children[0].children.map(({ type, value }) => ({ type, value })),
+    [{ type: 'text', value: '2' }],
+  )
 
   const quote = await transform('"hello"\n', remarkMddTextFormatting)
   assert.equal(quote.children[0].children[0].value, '“hello”')
 })
+
+test('superscript and subscript are mdast nodes with phrasing children', async () => {
+  const tree = await transform('Footnote^1^ and H~2~O, x^a&lt;b^.\n', remarkMddTextFormatting)
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+  assert.equal(html, '<p>Footnote<sup>1</sup> and H<sub>2</sub>O, x<sup>a&#x3C;b</sup>.</p>')
+  // Without the MDD handlers `data.hName` still names the element.
+  assert.equal(toHtml(toHast(tree)), html)
+
+  // Nodes built by other plugins nest phrasing content and serialize as
+  // pandoc superscript syntax, spaces escaped.
+  const built = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          { type: 'text', value: 'E = mc' },
+          {
+            type: 'superscript',
+            children: [
+              { type: 'emphasis', children: [{ type: 'text', value: 'two' }] },
+              { type: 'text', value: ' or ^' },
+            ],
+          },
+          {
+            type: 'subscript',
+            children: [{ type: 'link', url: '#n', children: [{ type: 'text', value: 'n' }] }],
+          },
+        ],
+      },
+    ],
+  }
+  assert.equal(
+    toHtml(toHast(built, { handlers: mddHastHandlers })),
+    '<p>E = mc<sup><em>two</em> or ^</sup><sub><a href="#n">n</a></sub></p>',
+  )
+  assert.equal(
+    remark().use(remarkMddTextFormatting).stringify(built),
+    'E = mc^*two*\\ or\\ \\^^~[n](#n)~\n',
+  )
+})
+
+test('single-tilde strikethrough keeps working next to subscripts', async () => {
+  const processor = remark().use(remarkGfm).use(remarkMddTextFormatting)
+  const deleted = async (source, path) => {
+    const tree = await processor.run(processor.parse(source), { path, value: source })
+    const found = []
+    visit(tree, (node) => {
+      if (node.type === 'delete' || node.type === 'subscript') {
+        found.push([node.type, toString(node)])
+      }
+    })
+    return found
+  }
+
+  assert.deepEqual(await deleted('~strike~ and a ~strike~ in H~2~O.\n', 'notes.md'), [
+    ['delete', 'strike'],
+    ['delete', 'strike'],
+    ['delete', '2'],
+  ])
+  assert.deepEqual(await deleted('~strike~ and a ~strike~ in H~2~O.\n', 'notes.mdd'), [
+    ['subscript', 'strike'],
+    ['delete', 'strike'],
+    ['subscript', '2'],
+  ])
+})
+
+test('files that are not MDD parse and stringify as they would without the plugins', async () => {
+  const plain = remark().use(remarkGfm)
+  const processor = remark()
+    .use(remarkGfm)
+    .use(remarkMddDocumentStructure)
+    .use(remarkMddTextFormatting)
+  const strip = (tree) =>
+    JSON.stringify(tree, (key, value) => (key === 'position' ? undefined : value))
+
+  for (const source of ['a^*b^c*\n', 'H~2~O, x^2^ and @section-1 {.note}\n']) {
+    const file = { path: 'notes.md', value: source }
+    const tree = await processor.run(processor.parse(file), file)
+    assert.equal(strip({ ...tree, data: undefined }), strip(plain.parse(source)))
+    assert.equal(String(await processor.process(file)), String(await plain.process(source)))
+  }
+
+  // Parsed before the path is known, the MDD syntax is unraveled again.
+  const source = 'H~2~O\n'
+  const tree = await processor.run(processor.parse(source), { path: 'notes.md', value: source })
+  assert.equal(tree.children[0].children[1].type, 'delete')
+  assert.equal(processor.stringify(tree), 'H~~2~~O\n')
+})
+
+test('MDD inline syntax is tokenized with escapes, positions and precedence', async () => {
+  const source = `# Scope
+
+Mail jane@acme-2 or see @section-1, not \\@section-1. Run \`x^2^\` in cd ~/path~.
+E = mc^2^, x^*a*^, \\^2\\^ and ~~gone~~ H~2~O.
+`
+  const processor = remark().use(remarkGfm).use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd' })
+  const paragraph = tree.children[1]
+  const types = paragraph.children.map((child) => child.type)
+  assert.deepEqual(
+    types.filter((type) => type !== 'text'),
+    ['link', 'inlineCode', 'delete', 'superscript', 'superscript', 'delete', 'subscript'],
+  )
+  const text = toString(paragraph)
+  assert.match(text, /Mail jane@acme-2 or see Section 1, not @section-1\./u)
+  // A tilde after a space opens no subscript, so GFM strikethrough has it.
+  assert.match(text, /in cd \/path\./u)
+  assert.match(text, /\^2\^ and/u)
+  assert.equal(paragraph.children[types.lastIndexOf('superscript')].children[0].type, 'emphasis')
+
+  const link = paragraph.children[types.indexOf('link')]
+  assert.deepEqual(link.position.start, { line: 3, column: 25, offset: 33 })
+
+  // Stringified, escapes keep literal markers literal.
+  const markdown = processor.stringify(tree)
+  const again = await processor.run(processor.parse(markdown), { path: 'document.mdd' })
+  assert.deepEqual(
+    again.children[1].children.map((child) => child.type),
+    types,
+  )
+  assert.equal(toString(again.children[1]), text)
+})
+
+test('only text that would parse as MDD syntax is escaped, and only in MDD documents', async () => {
+  const processor = remark().use(remarkMddTextFormatting, { typography: false })
+  const source = `Mail jane@acme-2 or see \\@section-1, not a@section-1.
+Run cd ~/path~ and a^b c, but keep x\\^2^ and H\\~2~O literal, see \\{.note}
+`
+  const mdd = await processor.process({ path: 'document.mdd', value: source })
+  assert.equal(String(mdd), source)
+
+  const plain = await processor.process({ path: 'notes.md', value: source })
+  assert.equal(
+    String(plain),
+    `Mail jane@acme-2 or see @section-1, not a@section-1.
+Run cd ~/path~ and a^b c, but keep x^2^ and H~2~O literal, see {.note}
+`,
+  )
+  const again = await processor.process({ path: 'notes.md', value: String(plain) })
+  assert.equal(String(again), String(plain))
+})
+
+test('text formatting stages can be switched off', async () => {
+  const source = `# Summary
+
+WHEREAS the parties agree that "quotes" stay ^straight^ and @section-1 stays text.
+`
+  const tree = await transform(source, [
+    remarkMddTextFormatting,
+    {
+      autoNumberSections: false,
+      detectLegalClauses: false,
+      superscript: false,
+      smartQuotes: false,
+      internalReferences: false,
+    },
+  ])
+
+  const [heading, paragraph] = tree.children
+  assert.equal(heading.children.length, 1)
+  assert.equal(heading.children[0].value, 'Summary')
+  assert.equal(heading.data.hProperties.id, 'section-1')
+  assert.equal(paragraph.data.hProperties.className, undefined)
+  assert.equal(paragraph.children.length, 1)
+  assert.match(paragraph.children[0].value, /"quotes" stay \^straight\^ and @section-1/u)
+})
+
+test('custom inline patterns register through customPatterns', async () => {
+  const source = 'Ask ==Jane Doe== to sign by 2024-05-01.\n'
+  const processor = remark().use(remarkMddTextFormatting, {
+    customPatterns: {
+      highlight: /==([^=]+)==/u,
+      date: {
+        pattern: /\d{4}-\d{2}-\d{2}/gu,
+        transform: (match) => ({ type: 'html', value: `<time>${match[0]}</time>` }),
+      },
+    },
+  })
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd' })
+
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers, allowDangerousHtml: true }), {
+    allowDangerousHtml: true,
+  })
+  assert.match(
+    html,
+    /Ask <span class="highlight">Jane Doe<\/span> to sign by <time>2024-05-01<\/time>\./u,
+  )
+  assert.equal(processor.stringify(tree), source)
+
+  assert.throws(
+    () =>
+      remark()
+        .use(remarkMddTextFormatting, { customPatterns: { bad: '==' } })
+        .freeze(),
+    TypeError,
+  )
+})
+
+test('validateReferences reports references to missing sections', async () => {
+  const file = await remark()
+    .use(remarkMddTextFormatting, { validateReferences: true })
+    .process({ path: 'document.mdd', value: '# Scope\n\nSee @section-1 and\nalso @section-4.\n' })
+
+  assert.equal(file.messages.length, 1)
+  const [message] = file.messages
+  assert.equal(message.ruleId, 'broken-reference')
+  assert.equal(message.reason, 'Reference @section-4 points to non-existent section')
+  assert.equal(message.line, 4)
+  assert.equal(message.column, 6)
+})
+
+test('references to subsections take every part of the section number', async () => {
+  const source =
+    '# Scope\n\n## Fees\n\nSee @section-1-1, @section-1-x, @section-1-1a and @section-2-3.\n'
+  const processor = remark().use(remarkMddTextFormatting, { validateReferences: true })
+  const file = await processor.process({ path: 'document.mdd', value: source })
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd' })
+
+  assert.equal(
+    toString(tree.children[2]),
+    'See Section 1.1, Section 1-x, @section-1-1a and Section 2.3.',
+  )
+  assert.equal(String(file), source)
+  assert.deepEqual(
+    file.messages.map((message) => message.reason),
+    ['Reference @section-2-3 points to non-existent section'],
+  )
+})
+
+const NUMBERED_FIXTURE = `---
+title: Supply Agreement
+document-type: contract
+---
+
+# Definitions
+
+## Terms
+
+### Goods
+
+#### Exclusions
+
+Second Article
+==============
+
+## Price
+`
+
+// Without remark-frontmatter the frontmatter parses as a setext heading,
+// which is left alone.
+function headingLabels(tree) {
+  return tree.children
+    .filter((node) => node.type === 'heading' && node.data)
+    .map((node) => [
+      node.children[0].data?.mddGenerated ? node.children[0].value.trim() : '',
+      node.data.hProperties.id,
+    ])
+}
+
+test('headings are numbered in the scheme of the frontmatter, option or document type', async () => {
+  const run = async (value, options) => {
+    const processor = remark().use(remarkMddTextFormatting, options)
+    return processor.run(processor.parse(value), { path: 'document.mdd', value })
+  }
+
+  // Contracts use the legal scheme from document-type-requirements.json.
+  assert.deepEqual(headingLabels(await run(NUMBERED_FIXTURE)), [
+    ['Article I', 'section-1'],
+    ['Section 1.01', 'section-1-1'],
+    ['(a)', 'section-1-1-1'],
+    ['(i)', 'section-1-1-1-1'],
+    ['Article II', 'section-2'],
+    ['Section 2.01', 'section-2-1'],
+  ])
+
+  // The plugin option beats the document type, frontmatter beats both.
+  const decimal = headingLabels(await run(NUMBERED_FIXTURE, { numbering: 'decimal' }))
+  assert.deepEqual(
+    decimal.map(([label]) => label),
+    ['1', '1.1', '1.1.1', '', '2', '2.1'],
+  )
+  const policy = NUMBERED_FIXTURE.replace('contract', 'policy\nnumbering: section')
+  assert.deepEqual(
+    headingLabels(await run(policy, { numbering: 'decimal' })).map(([label]) => label),
+    ['§ 1', '§ 1.1', '', '', '§ 2', '§ 2.1'],
+  )
+
+  const custom = [
+    { style: 'upper-alpha', template: 'Part {n}' },
+    { style: 'decimal', pad: 3 },
+  ]
+  assert.deepEqual(
+    headingLabels(await run(NUMBERED_FIXTURE, { numbering: custom })).map(([label]) => label),
+    ['Part A', 'A.001', '', '', 'Part B', 'B.001'],
+  )
+
+  assert.throws(
+    () => remark().use(remarkMddTextFormatting, { numbering: 'dewey' }).freeze(),
+    TypeError,
+  )
+
+  // A malformed frontmatter scheme is reported and the document type's is used.
+  let tree
+  const file = await remark()
+    .use(remarkMddTextFormatting)
+    .use(() => (transformed) => {
+      tree = transformed
+    })
+    .process({
+      path: 'document.mdd',
+      value: NUMBERED_FIXTURE.replace('contract', 'contract\nnumbering: dewey'),
+    })
+  assert.deepEqual(
+    file.messages.map((message) => message.ruleId),
+    ['invalid-numbering'],
+  )
+  assert.equal(headingLabels(tree)[0][0], 'Article I')
+})
+
+test('table and figure captions are numbered and resolve their references', async () => {
+  const source = `Table: Quarterly totals
+
+| Quarter | Total |
+| ------- | ----- |
+| Q1      | 10    |
+
+![Revenue by region](chart.png)
+
+| Region | Share |
+| ------ | ----- |
+| EMEA   | 40%   |
+
+Table: Regional share
+
+See @table-2, @figure-1 and @table-3.
+`
+  const processor = remark()
+    .use(remarkGfm)
+    .use(remarkMddTextFormatting, { validateReferences: true })
+  const file = { path: 'document.mdd', value: source }
+  const tree = await processor.run(processor.parse(source), file)
+
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers, allowDangerousHtml: true }), {
+    allowDangerousHtml: true,
+  })
+  assert.match(
+    html,
+    /<p class="table-caption">Table 1: Quarterly totals<\/p>\n<table id="table-1">/u,
+  )
+  assert.match(
+    html,
+    /<table id="table-2">[^]*<\/table>\n<p class="table-caption">Table 2: Regional share/u,
+  )
+  assert.match(
+    html,
+    /<figure id="figure-1" class="figure"><img src="chart.png" alt="Revenue by region"><figcaption>Figure 1: Revenue by region<\/figcaption><\/figure>/u,
+  )
+  assert.match(
+    html,
+    /<a href="#table-2" title="Reference to Table 2: Regional share">Table 2: Regional share<\/a>, <a href="#figure-1" title="Reference to Figure 1: Revenue by region">Figure 1: Revenue by region<\/a> and <a href="#table-3" title="Reference to Table 3">Table 3<\/a>/u,
+  )
+
+  assert.equal(processor.stringify(tree), source)
+
+  const checked = await remark()
+    .use(remarkGfm)
+    .use(remarkMddTextFormatting, { validateReferences: true })
+    .process(file)
+  assert.deepEqual(
+    checked.messages.map((message) => [message.reason, message.line]),
+    [['Reference @table-3 points to non-existent table', 15]],
+  )
+})
+
+const NAMED_FIXTURE = `# Definitions
+
+## Payment Terms {#payment-terms .legal-clause}
+
+## Scope
+
+# Scope
+
+See @sec:payment-terms and @section-1, @sec:scope, @sec:nothing.
+
+## Late Fees {#payment-terms}
+`
+
+test('explicit heading ids and named references resolve to the current number', async () => {
+  const processor = remark().use(remarkMddTextFormatting, { validateReferences: true })
+  const tree = await processor.run(processor.parse(NAMED_FIXTURE), { path: 'document.mdd' })
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+
+  assert.match(html, /<h2 id="payment-terms" class="legal-clause">1\.1 Payment Terms<\/h2>/u)
+  assert.match(
+    html,
+    /<a href="#payment-terms" title="Reference to Section 1\.1">Section 1\.1<\/a>/u,
+  )
+  // `@section-N` follows a heading that has an explicit id.
+  assert.match(html, /<a href="#section-1" title="Reference to Section 1">/u)
+  assert.equal(processor.stringify(tree), NAMED_FIXTURE)
+
+  const file = await processor.process({ path: 'document.mdd', value: NAMED_FIXTURE })
+  assert.deepEqual(
+    file.messages.map((message) => [message.ruleId, message.line]),
+    [
+      ['ambiguous-reference', 9],
+      ['broken-reference', 9],
+      ['duplicate-id', 11],
+    ],
+  )
+})
+
+async function referenceLinks(source, options) {
+  const processor = remark().use(remarkMddTextFormatting, options)
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd', value: source })
+  const links = []
+  visit(tree, 'link', (node) => {
+    links.push([toString(node), node.title])
+  })
+  return links
+}
+
+test('logos and signatures in letterheads and signature blocks are not figures', async () => {
+  const source = `::letterhead
+![Acme logo](logo.png)
+
+Acme Corp.
+::
+
+![Revenue by region](chart.png)
+
+See @figure-1 and @figure-2.
+
+::signature-block
+![Signature of Jane Doe](jane.png)
+
+Jane Doe
+::
+`
+  const processor = remark().use(remarkMddDocumentStructure).use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd', value: source })
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+
+  assert.equal(html.match(/<figure /gu)?.length, 1)
+  assert.match(html, /<figure id="figure-1" class="figure"><img src="chart.png"/u)
+  assert.match(
+    html,
+    /See <a href="#figure-1" title="Reference to Figure 1: Revenue by region">Figure 1: Revenue by region<\/a> and <a href="#figure-2" title="Reference to Figure 2">Figure 2<\/a>\./u,
+  )
+  assert.deepEqual(
+    validateDocument(source, { validateFrontmatterFlag: false })
+      .warnings.filter((warning) => warning.code === 'INVALID_REFERENCE')
+      .map((warning) => warning.message),
+    ['Internal reference @figure-2 at line 9 points to a non-existent figure'],
+  )
+})
+
+test('reference link text follows the configured format and document language', async () => {
+  const source = `# Scope
+
+## Payment Terms {#payment-terms}
+
+# Appendix
+
+![Revenue by region](chart.png)
+
+See @section-1, @sec:payment-terms, @figure-1 and @appendix-2.
+`
+  assert.deepEqual(
+    await referenceLinks(source, {
+      referenceFormat: { section: '{label} ({title})', figure: '{kind} {number}' },
+    }),
+    [
+      ['Section 1 (Scope)', 'Reference to Section 1 (Scope)'],
+      ['Section 1.1 (Payment Terms)', 'Reference to Section 1.1 (Payment Terms)'],
+      ['Figure 1', 'Reference to Figure 1'],
+      ['Appendix 2', 'Reference to Appendix 2'],
+    ],
+  )
+
+  assert.deepEqual(
+    (await referenceLinks(source, { referenceFormat: ({ title }) => title })).map(([text]) => text),
+    ['Scope', 'Payment Terms', 'Revenue by region', 'Appendix 2'],
+  )
+
+  assert.deepEqual(
+    await referenceLinks(`---\nlanguage: de-CH\n---\n\n${source}`, {
+      referenceLabels: { appendix: 'Anhang' },
+    }),
+    [
+      ['Abschnitt 1', 'Verweis auf Abschnitt 1'],
+      ['Abschnitt 1.1', 'Verweis auf Abschnitt 1.1'],
+      ['Abbildung 1: Revenue by region', 'Verweis auf Abbildung 1: Revenue by region'],
+      ['Anhang 2', 'Verweis auf Anhang 2'],
+    ],
+  )
+
+  // Labels come from the numbering scheme.
+  assert.deepEqual((await referenceLinks(source, { numbering: 'legal' })).slice(0, 2), [
+    ['Article I', 'Reference to Article I'],
+    ['Section 1.01', 'Reference to Section 1.01'],
+  ])
+
+  assert.throws(
+    () =>
+      remark()
+        .use(remarkMddTextFormatting, { referenceFormat: { section: 1 } })
+        .freeze(),
+    TypeError,
+  )
+})
+
+test('smart typography follows the document language', async () => {
+  const body = `She said "it's 'fine' -- really..." --- see § 2.\n\nFee: 50 % or EUR 100 at https://example.com/a--b, \`"code" --\`. Vraiment ?\n`
+  const typeset = async (language, options = {}) => {
+    const source = `---\nlanguage: ${language}\n---\n\n${body}`
+    const processor = remark().use(remarkMddTextFormatting, options)
+    const tree = await processor.run(processor.parse(source), {
+      path: 'document.mdd',
+      value: source,
+    })
+    // Without remark-frontmatter the frontmatter parses as a break and a heading.
+    const paragraphs = tree.children.slice(2)
+    assert.equal(processor.stringify({ type: 'root', children: paragraphs }), body)
+    return paragraphs.map((paragraph) => toString(paragraph))
+  }
+
+  assert.deepEqual(await typeset('en'), [
+    'She said “it’s ‘fine’ – really…” — see §\u00A02.',
+    'Fee: 50\u00A0% or EUR\u00A0100 at https://example.com/a--b, "code" --. Vraiment ?',
+  ])
+  assert.equal((await typeset('de'))[0], 'She said „it’s ‚fine‘ – really…“ — see §\u00A02.')
+  assert.equal((await typeset('de-CH'))[0], 'She said «it’s ‹fine› – really…» — see §\u00A02.')
+  assert.deepEqual(await typeset('fr'), [
+    'She said «\u202Fit’s ‹\u202Ffine\u202F› – really…\u202F» — see §\u00A02.',
+    'Fee: 50\u00A0% or EUR\u00A0100 at https://example.com/a--b, "code" --. Vraiment\u202F?',
+  ])
+  assert.equal((await typeset('sv'))[0], 'She said ”it’s ’fine’ – really…” — see §\u00A02.')
+  assert.equal(
+    (await typeset('de', { locale: 'en', typography: false }))[0],
+    'She said “it’s ‘fine’ -- really...” --- see § 2.',
+  )
+})
+
+test('URLs inside quotes keep their dashes and dots', async () => {
+  const source = `See "https://example.com/a--b...c" and 'www.example.com/x---y'.\n`
+  const processor = remark().use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd', value: source })
+  assert.equal(toString(tree), 'See “https://example.com/a--b...c” and ‘www.example.com/x---y’.')
+  assert.equal(processor.stringify(tree), source)
+})
+
+test('quotes pair across emphasis, code, links and references', async () => {
+  const source = `She said "the *Company*", "see \`code\`", "[link](u)" and 'quoted @section-1'.\n\nThe parties' rights, rock 'n' roll and the '90s.\n`
+  const processor = remark().use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd', value: source })
+  assert.deepEqual(
+    tree.children.map((paragraph) => toString(paragraph)),
+    [
+      'She said “the Company”, “see code”, “link” and ‘quoted Section 1’.',
+      'The parties’ rights, rock ’n’ roll and the ’90s.',
+    ],
+  )
+  assert.equal(processor.stringify(tree), source)
+})
+
+test('custom directives from the registry render as semantic containers', async () => {
+  const plugin = [
+    remarkMddDocumentStructure,
+    {
+      customDirectives: [
+        { name: 'exhibit', className: 'exhibit', allowedChildren: ['signature-block'] },
+        { name: 'notary', className: 'notary-seal', selfClosing: true },
+      ],
+    },
+  ]
+  const processor = remark().use(...plugin)
+  const tree = await processor.run(
+    processor.parse(`::exhibit
+Exhibit A
+
+::signature-block
+Signed
+::
+
+::
+
+::notary ::
+`),
+    { path: 'document.mdd' },
+  )
+
+  const [exhibit, notary] = tree.children
+  assert.deepEqual(exhibit.data.hProperties.className, ['exhibit'])
+  assert.equal(exhibit.children[0].children[0].value, 'Exhibit A')
+  assert.deepEqual(exhibit.children[1].data.hProperties.className, ['signature'])
+  assert.deepEqual(notary.data.hProperties.className, ['notary-seal'])
+  assert.equal(tree.children.length, 2)
+})
+
+test('a directive opened inside one that may not contain it leaves the outer literal', async () => {
+  const tree = await transform(
+    `::letterhead
+Acme
+
+::signature-block
+Signed
+::
+`,
+    remarkMddDocumentStructure,
+  )
+
+  assert.equal(tree.children[0].type, 'paragraph')
+  assert.deepEqual(tree.children[1].data.hProperties.className, ['signature'])
+})
+
+test('directive attribute blocks become id, classes and data attributes', async () => {
+  const tree = await transform(
+    `::letterhead{#acme .subsidiary align=center logo="./acme logo.svg"}
+ACME Corporation
+::
+
+::page-break{variant=odd} ::
+`,
+    remarkMddDocumentStructure,
+  )
+
+  const [letterhead, pageBreak] = tree.children
+  assert.deepEqual(letterhead.data.hProperties, {
+    id: 'acme',
+    className: ['letterhead', 'subsidiary', 'h-card'],
+    'data-align': 'center',
+    'data-logo': './acme logo.svg',
+    'data-mdd-directive': 'letterhead',
+    itemScope: true,
+    itemType: 'https://schema.org/Organization',
+  })
+  assert.equal(letterhead.children[0].children[0].children[0].value, 'ACME Corporation')
+  assert.equal(pageBreak.data.hProperties['data-variant'], 'odd')
+})
+
+test('directives are recognized inside blockquotes and list items', async () => {
+  const tree = await transform(
+    `> ::signature-block
+> Jane Doe
+> ::
+
+- First
+- ::page-break ::
+- Second
+`,
+    remarkMddDocumentStructure,
+  )
+
+  const [blockquote, list] = tree.children
+  assert.equal(blockquote.type, 'blockquote')
+  assert.deepEqual(blockquote.children[0].data.hProperties.className, ['signature'])
+  assert.equal(blockquote.children[0].children[0].children[0].value, 'Jane Doe')
+  assert.deepEqual(list.children[1].children[0].data.hProperties.className, ['page-break'])
+})
+
+test('a directive inside a container must be allowed by the enclosing directive', async () => {
+  const tree = await transform(
+    `::letterhead
+Acme
+
+> ::signature-block
+> Signed
+> ::
+
+::
+`,
+    remarkMddDocumentStructure,
+  )
+
+  const [letterhead] = tree.children
+  assert.deepEqual(letterhead.data.hProperties.className, ['letterhead', 'h-card'])
+  const quoted = letterhead.children[1].children
+  assert.equal(quoted[0].type, 'paragraph')
+  assert.equal(quoted[0].data, undefined)
+  assert.equal(quoted[0].children[0].value, '::signature-block\nSigned\n::')
+})
+
+test('directives are recognized inside MDX JSX elements', async () => {
+  const processor = remark().use(remarkMdx).use(remarkMddDocumentStructure)
+  const tree = await processor.run(processor.parse('<Cover>\n::letterhead\nAcme\n::\n</Cover>\n'), {
+    path: 'document.mdd',
+  })
+
+  const [element] = tree.children
+  assert.equal(element.type, 'mdxJsxFlowElement')
+  assert.deepEqual(element.children[0].data.hProperties.className, ['letterhead', 'h-card'])
+})
+
+async function diagnose(markdown, options) {
+  const file = await remark()
+    .use(remarkMddDocumentStructure, options)
+    .process({ path: 'document.mdd', value: markdown })
+  return file.messages.map((message) => ({
+    rule: message.ruleId,
+    line: message.line,
+    fatal: message.fatal,
+  }))
+}
+
+test('the plugin reports unclosed, empty, stray and illegally nested directives', async () => {
+  const messages = await diagnose(`::header
+::
+
+::letterhead
+Acme
+
+::signature-block
+Signed
+::
+
+::
+`)
+
+  assert.deepEqual(messages, [
+    { rule: 'empty-directive', line: 1, fatal: false },
+    { rule: 'missing-end-marker', line: 4, fatal: false },
+    { rule: 'orphaned-end-marker', line: 11, fatal: false },
+    { rule: 'invalid-nesting', line: 7, fatal: false },
+  ])
+})
+
+test('the plugin reports unknown directives as the validator does', async () => {
+  const markdown = '::exhibit\nExhibit A\n::\n'
+  assert.deepEqual(await diagnose(markdown), [
+    { rule: 'unknown-directive', line: 1, fatal: false },
+    { rule: 'orphaned-end-marker', line: 3, fatal: false },
+  ])
+  assert.deepEqual(
+    validateDocument(markdown, { validateFrontmatterFlag: false }).errors.map((error) => [
+      error.code,
+      error.location.line,
+    ]),
+    [
+      ['UNKNOWN_DIRECTIVE', 1],
+      ['ORPHANED_END_MARKER', 3],
+    ],
+  )
+})
+
+test('the plugin reports directives used more often than allowed', async () => {
+  const markdown =
+    '::letterhead\nA\n::\n\n::letterhead\nB\n::\n\n::page-break ::\n\n::page-break ::\n'
+  assert.deepEqual(await diagnose(markdown), [])
+  assert.deepEqual(await diagnose(markdown, { allowMultiple: false }), [
+    { rule: 'duplicate-directive', line: 5, fatal: false },
+  ])
+
+  const customDirectives = [{ name: 'exhibit', maxOccurrences: 1 }]
+  assert.deepEqual(await diagnose('::exhibit\nA\n::\n\n::exhibit\nB\n::\n', { customDirectives }), [
+    { rule: 'duplicate-directive', line: 5, fatal: false },
+  ])
+})
+
+test('diagnostic severity is configurable per rule and fatal fails the run', async () => {
+  const markdown = '::header\n::\n\n::footer\nUnclosed\n'
+  assert.deepEqual(
+    await diagnose(markdown, { severity: { 'empty-directive': 'off', default: 'error' } }),
+    [{ rule: 'missing-end-marker', line: 4, fatal: true }],
+  )
+  assert.deepEqual(await diagnose(markdown, { severity: 'info' }), [
+    { rule: 'empty-directive', line: 1, fatal: undefined },
+    { rule: 'missing-end-marker', line: 4, fatal: undefined },
+  ])
+
+  await assert.rejects(diagnose(markdown, { severity: 'fatal' }), /is empty/u)
+  await assert.rejects(diagnose(markdown, { strict: true }), /is empty/u)
+  assert.throws(() => remarkMddDocumentStructure({ severity: 'loud' }), TypeError)
+})
+
+const DIRECTIVE_FIXTURE = `::letterhead{#hq .wide align=center}
+**Acme** Corp
+
+* one
+
+::
+
+::page-break ::
+
+::: section-break :::
+
+::signature-block ::
+
+> ::contact-info
+> Mail
+> ::
+`
+
+test('directives become mddDirective nodes with name, attributes and children', async () => {
+  const tree = await transform(DIRECTIVE_FIXTURE, remarkMddDocumentStructure)
+
+  const [letterhead, pageBreak, sectionBreak] = tree.children
+  assert.equal(letterhead.type, 'mddDirective')
+  assert.equal(letterhead.name, 'letterhead')
+  assert.deepEqual(letterhead.attributes, { id: 'hq', class: 'wide', align: 'center' })
+  assert.deepEqual(
+    letterhead.children.map((child) => child.type),
+    ['paragraph', 'list'],
+  )
+  assert.deepEqual([pageBreak.name, pageBreak.children], ['page-break', []])
+  assert.equal(sectionBreak.name, 'section-break')
+
+  const quotes = []
+  visit(tree, 'blockquote', (node) => {
+    quotes.push(node)
+  })
+  assert.equal(quotes.length, 1, 'only the real blockquote is a blockquote')
+})
+
+test('the mddDirective hast handler renders the same HTML as before', async () => {
+  const tree = await transform(DIRECTIVE_FIXTURE, remarkMddDocumentStructure)
+  assert.equal(
+    toHtml(toHast(tree, { handlers: mddHastHandlers })),
+    [
+      '<div id="hq" class="letterhead wide h-card" data-align="center" data-mdd-directive="letterhead" itemscope itemtype="https://schema.org/Organization">',
+      '<p><span class="p-name p-org" itemprop="name"><strong>Acme</strong> Corp</span></p>',
+      '<ul>',
+      '<li>one</li>',
+      '</ul>',
+      '</div>',
+      '<div class="page-break" data-mdd-directive="page-break"></div>',
+      '<hr class="section-break" data-mdd-directive="section-break">',
+      '<div class="signature" data-mdd-directive="signature"></div>',
+      '<blockquote>',
+      '<div class="contactinfo h-card" data-mdd-directive="contactinfo" itemscope itemtype="https://schema.org/Organization">',
+      '<p><span class="p-name p-org" itemprop="name">Mail</span></p>',
+      '</div>',
+      '</blockquote>',
+    ].join('\n'),
+  )
+})
+
+test('mddDirective nodes serialize back to directive syntax', async () => {
+  const processor = remark().use(remarkMddDocumentStructure)
+  const tree = await processor.run(processor.parse(DIRECTIVE_FIXTURE), { path: 'document.mdd' })
+  const markdown = processor.stringify(tree)
+  assert.equal(markdown, DIRECTIVE_FIXTURE)
+
+  const reparsed = await processor.run(processor.parse(markdown), { path: 'document.mdd' })
+  assert.deepEqual(
+    reparsed.children.map((node) => node.name ?? node.type),
+    ['letterhead', 'page-break', 'section-break', 'signature-block', 'blockquote'],
+  )
+})
+
+test('a processed MDD tree stringifies back to its canonical source', async () => {
+  const source = `::letterhead{align=center}
+ACME Corporation
+::
+
+# Invoice {.invoice-title}
+
+## Terms
+
+Total: $1,234^00^ and H~2~O, see @section-1 for "details".
+
+::signature-block
+Jane Doe
+::
+`
+  const processor = remark().use(remarkMddDocumentStructure).use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd' })
+
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers, allowDangerousHtml: true }), {
+    allowDangerousHtml: true,
+  })
+  assert.match(html, /<h1 class="invoice-title" id="section-1">1 Invoice<\/h1>/u)
+  assert.match(html, /\$1,234<sup>00<\/sup> and H<sub>2<\/sub>O/u)
+  assert.match(html, /<a href="#section-1" title="Reference to Section 1">Section 1<\/a>/u)
+  assert.match(html, /for “details”/u)
+
+  assert.equal(processor.stringify(tree), source)
+
+  // Edits on the transformed tree survive; generated numbering does not leak.
+  tree.children.splice(1, 0, {
+    type: 'heading',
+    depth: 1,
+    children: [{ type: 'text', value: 'Summary' }],
+  })
+  assert.match(processor.stringify(tree), /::\n\n# Summary\n\n# Invoice \{\.invoice-title\}\n/u)
+})
+
+test('MDD detection uses extensions, frontmatter and the mode option', async () => {
+  const body = 'H~2~O\n'
+  const detect = async (options, file) => {
+    const processor = remark().use(remarkMddTextFormatting, options)
+    const tree = await processor.run(processor.parse(file.value), file)
+    return tree.children.at(-1).children.some((node) => node.type === 'subscript')
+  }
+
+  assert.equal(await detect({}, { value: body }), false)
+  assert.equal(await detect({}, { path: 'notes/a.MDD.md', value: body }), true)
+  assert.equal(await detect({ mode: 'always' }, { value: body }), true)
+  assert.equal(await detect({ mode: 'never' }, { path: 'a.mdd', value: body }), false)
+  assert.equal(await detect({ extensions: ['txt'] }, { path: 'a.txt', value: body }), true)
+  assert.equal(await detect({}, { value: `---\ndocument-type: invoice\n---\n\n${body}` }), true)
+  assert.equal(await detect({}, { value: `---\nmdd: 1.0\n---\n\n${body}` }), true)
+  assert.equal(await detect({}, { path: 'a.mdd', value: `---\nmdd: false\n---\n\n${body}` }), false)
+
+  assert.throws(() => remarkMddDocumentStructure({ mode: 'sometimes' }), TypeError)
+})
+
+test('remarkMdxConditional leaves files detected as MDD alone', async () => {
+  const source = '---\nmdd: true\n---\n\n::letterhead\nAcme\n::\n'
+  for (const options of [{}, { mode: 'always' }]) {
+    const processor = remark().use(remarkMdxConditional, options)
+    const tree = processor.parse(source)
+    const before = structuredClone(tree)
+    await processor.run(tree, { path: 'letter.mdx', value: source })
+    assert.deepEqual(tree, before)
+  }
+})
+
+test('signature blocks are parsed into signer records with classed lines', async () => {
+  const source = `::signature-block
+IN WITNESS WHEREOF the parties sign below.
+
+ACME CORPORATION
+
+---
+
+Jane Doe
+Chief Executive Officer
+Date: ______
+
+By: ______
+Its: Director
+Company: **Beta LLC**
+
+Witness: ______
+Bob Smith
+::
+`
+  const processor = remark().use(remarkMddDocumentStructure)
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd' })
+  const [block] = tree.children
+
+  assert.deepEqual(block.data.signers, [
+    {
+      role: 'signer',
+      name: 'Jane Doe',
+      title: 'Chief Executive Officer',
+      organization: 'ACME CORPORATION',
+      date: null,
+      dateLine: 'Date: ______',
+      signatureLine: '___',
+    },
+    {
+      role: 'signer',
+      name: null,
+      title: 'Director',
+      organization: 'Beta LLC',
+      date: null,
+      dateLine: null,
+      signatureLine: 'By: ______',
+    },
+    {
+      role: 'witness',
+      name: 'Bob Smith',
+      title: null,
+      organization: null,
+      date: null,
+      dateLine: null,
+      signatureLine: 'Witness: ______',
+    },
+  ])
+
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+  assert.match(html, /<p>IN WITNESS WHEREOF the parties sign below\.<\/p>/u)
+  assert.match(html, /<hr class="signature-line">/u)
+  assert.match(html, /<span class="party-name">Jane Doe<\/span>/u)
+  assert.match(html, /<span class="date-line">Date: ______<\/span>/u)
+  assert.match(html, /<span class="signature-line">By: ______<\/span>/u)
+  assert.match(html, /<strong class="party-organization">Beta LLC<\/strong>/u)
+  assert.match(html, /<span class="witness-line">Witness: ______<\/span>/u)
+
+  const reparsed = await processor.run(processor.parse(processor.stringify(tree)), {
+    path: 'document.mdd',
+  })
+  assert.deepEqual(reparsed.children[0].data.signers, block.data.signers)
+})
+
+test('letterheads and contact blocks become h-card organizations', async () => {
+  const source = `::letterhead
+**ACME Corporation**
+123 Business Avenue
+San Francisco, CA 94102
+United States
+Phone: (555) 123-4567 | Email: info@acme | <https://acme.example>
+::
+
+::contact-info
+Beta GmbH
+10115 Berlin
+Tel: +49 30 1234567 · <mailto:hallo@beta.de>
+::
+`
+  const processor = remark().use(remarkMddDocumentStructure)
+  const tree = await processor.run(processor.parse(source), { path: 'document.mdd' })
+  const [letterhead, contactInfo] = tree.children
+
+  assert.deepEqual(letterhead.data.contact, {
+    organization: 'ACME Corporation',
+    address: {
+      streetAddress: '123 Business Avenue',
+      locality: 'San Francisco',
+      region: 'CA',
+      postalCode: '94102',
+      country: 'United States',
+    },
+    telephone: ['(555) 123-4567'],
+    faxNumber: [],
+    email: ['info@acme'],
+    url: ['https://acme.example'],
+    invalid: [{ field: 'email', value: 'info@acme', line: 6 }],
+  })
+  assert.equal(contactInfo.data.contact.address.postalCode, '10115')
+  assert.deepEqual(contactInfo.data.contact.email, ['hallo@beta.de'])
+
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+  assert.match(
+    html,
+    /<div class="letterhead h-card" data-mdd-directive="letterhead" itemscope itemtype="https:\/\/schema.org\/Organization">/u,
+  )
+  assert.match(html, /<span class="p-name p-org" itemprop="name"><strong>ACME Corporation/u)
+  assert.match(
+    html,
+    /<span class="p-adr h-adr" itemprop="address" itemscope itemtype="https:\/\/schema.org\/PostalAddress"><span class="p-street-address" itemprop="streetAddress">123 Business Avenue<\/span>/u,
+  )
+  assert.match(html, /<span class="p-region" itemprop="addressRegion">CA<\/span>/u)
+  assert.match(html, /Phone: <span class="p-tel" itemprop="telephone">\(555\) 123-4567<\/span>/u)
+  assert.match(html, /<span class="u-url" itemprop="url"><a href="https:\/\/acme.example">/u)
+  assert.match(html, /<span class="u-email" itemprop="email"><a href="mailto:hallo@beta.de">/u)
+
+  assert.equal(processor.stringify(tree), source)
+})
+
+const RUNNING_FIXTURE = `---
+title: Master Services Agreement
+date: 2026-03-28
+reference-number: MSA-042
+---
+
+# Terms
+
+::footer
+{title} · {reference-number} · Page {page} of {pages} · {missing}
+::
+`
+
+test('header and footer placeholders resolve from frontmatter and page counters', async () => {
+  const processor = remark().use(remarkMddDocumentStructure)
+  const file = { path: 'document.mdd', value: RUNNING_FIXTURE }
+  const tree = await processor.run(processor.parse(RUNNING_FIXTURE), file)
+
+  // Running elements stay in document order unless lifting is asked for.
+  const footer = tree.children.at(-1)
+  assert.equal(footer.name, 'footer')
+  assert.equal(footer.data.mddRunningIndex, undefined)
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+  assert.ok(html.indexOf('<h1>Terms</h1>') < html.indexOf('<div class="footer"'))
+
+  const lifting = remark().use(remarkMddDocumentStructure, { liftRunningElements: true })
+  const lifted = await lifting.run(lifting.parse(RUNNING_FIXTURE), file)
+  assert.equal(lifted.children[0].name, 'footer')
+  assert.equal(lifted.children[0].data.mddRunningIndex, 3)
+  assert.equal(lifting.stringify(lifted), processor.stringify(tree))
+
+  assert.equal(
+    toHtml(toHast(footer, { handlers: mddHastHandlers })),
+    [
+      '<div class="footer" data-mdd-directive="footer" data-running="mdd-footer">',
+      '<p>Master Services Agreement · MSA-042 · Page <span class="page-number" data-field="page"></span> of <span class="page-count" data-field="pages"></span> · {missing}</p>',
+      '</div>',
+    ].join('\n'),
+  )
+  assert.match(processor.stringify(tree), /# Terms\n\n::footer\n\{title\} · \{reference-number\}/u)
+
+  const diagnostics = await remark()
+    .use(remarkMddDocumentStructure)
+    .process({ path: 'document.mdd', value: RUNNING_FIXTURE })
+  assert.deepEqual(
+    diagnostics.messages.map((message) => [message.ruleId, message.reason]),
+    [['unresolved-field', 'Field placeholder {missing} in ::footer has no frontmatter value']],
+  )
+})
+
+test('page fields serialize as pandoc LaTeX and OpenXML markers on request', async () => {
+  const processor = remark().use(remarkMddDocumentStructure, {
+    fieldMarkers: 'pandoc',
+    runningElements: false,
+  })
+  const file = { path: 'document.mdd', value: RUNNING_FIXTURE }
+  const tree = await processor.run(processor.parse(RUNNING_FIXTURE), file)
+
+  assert.equal(tree.children.at(-1).name, 'footer')
+  assert.equal(tree.children.at(-1).data.hProperties['data-running'], undefined)
+  assert.match(
+    processor.stringify(tree),
+    /Master Services Agreement · MSA-042 · Page `\\thepage`\{=latex\}`<w:fldSimple w:instr="PAGE">.*`\{=openxml\} of `\\pageref\{LastPage\}`\{=latex\}/u,
+  )
+  assert.throws(
+    () => remark().use(remarkMddDocumentStructure, { fieldMarkers: 'latex' }).freeze(),
+    TypeError,
+  )
+})
+
+test('::toc lists the numbered headings down to its depth', async () => {
+  const source = `---
+title: Service Manual
+language: de
+---
+
+::toc{depth=2} ::
+
+# Scope
+
+### Background
+
+## Audience
+
+# Terms {#terms}
+`
+  const processor = remark().use(remarkMddDocumentStructure).use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(source), { path: 'manual.mdd', value: source })
+  const toc = tree.children.find((node) => node.name === 'toc')
+
+  assert.equal(
+    toHtml(toHast(toc, { handlers: mddHastHandlers })),
+    [
+      '<nav class="toc" data-depth="2" data-mdd-directive="toc">',
+      '<p class="toc-title">Inhalt</p>',
+      '<ul>',
+      '<li><a href="#section-1">1 Scope</a>',
+      '<ul>',
+      '<li><a href="#section-1-1">1.1 Audience</a></li>',
+      '</ul>',
+      '</li>',
+      '<li><a href="#terms">2 Terms</a></li>',
+      '</ul>',
+      '</nav>',
+    ].join('\n'),
+  )
+  assert.match(processor.stringify(tree), /^::toc\{depth=2\} ::$/mu)
+
+  const titled = await processor.run(processor.parse('::toc{title="Overview"} ::\n\n# Scope\n'), {
+    path: 'document.mdd',
+  })
+  assert.deepEqual(
+    titled.children[0].children.map((node) => toString(node)),
+    ['Overview', '1 Scope'],
+  )
+})
+
+test('defined terms are marked, linked from their uses and listed in ::definitions', async () => {
+  const source = `# Parties
+
+This Agreement is made between Acme Corp. (the "Company") and Jane Doe (the **"Contractor"**).
+
+"Effective Date" means the date on which the Company signs.
+
+The Contractor's duties start on the Effective Date, not "Company" time.
+
+::definitions ::
+`
+  const processor = remark().use(remarkMddDocumentStructure).use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(source), { path: 'agreement.mdd' })
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+
+  assert.match(html, /\(the <dfn class="defined-term" id="term-company">“Company”<\/dfn>\)/u)
+  assert.match(html, /<strong class="defined-term" id="term-contractor">“Contractor”<\/strong>/u)
+  assert.match(
+    html,
+    /<p>The <a href="#term-contractor" class="term">Contractor<\/a>’s duties start on the <a href="#term-effective-date" class="term">Effective Date<\/a>, not “Company” time.<\/p>/u,
+  )
+  assert.match(
+    html,
+    /<dl class="definitions" data-mdd-directive="definitions">\n<dt><a href="#term-company">Company<\/a><\/dt>\n<dd>Acme Corp. \(the “Company”\)<\/dd>\n<dt><a href="#term-contractor">Contractor<\/a><\/dt>\n<dd>Jane Doe \(the “Contractor”\)<\/dd>/u,
+  )
+  assert.match(html, /<dd>“Effective Date” means the date on which the Company signs.<\/dd>/u)
+  assert.equal(processor.stringify(tree), source)
+
+  const plain = await transform(source, [remarkMddTextFormatting, { definedTerms: false }])
+  assert.doesNotMatch(toHtml(toHast(plain, { handlers: mddHastHandlers })), /term-/u)
+})
+
+test('defined terms leave a frontmatter parsed as Markdown alone', async () => {
+  const source = `---
+title: "Services Agreement"
+signatories:
+  - the Company
+---
+
+Acme Corp., a Delaware corporation (the "Company"), hires Jane Doe; the Company pays.
+
+::definitions ::
+`
+  const processor = remark().use(remarkMddDocumentStructure).use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(source), {
+    path: 'agreement.mdd',
+    value: source,
+  })
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+
+  assert.match(html, /<li>the Company<\/li>/u)
+  assert.match(html, /; the <a href="#term-company" class="term">Company<\/a> pays/u)
+  assert.match(html, /<dd>Acme Corp., a Delaware corporation \(the “Company”\)<\/dd>/u)
+})
+
+test('footnotes are numbered document-wide and placed as footnotes or endnotes', async () => {
+  const source = `# Fees
+
+The fee is due monthly[^fee] and late fees apply.[^late] Fees are in EUR.[^fee]
+
+[^fee]: Payable by transfer.
+
+[^late]: At 1% per month.
+`
+  const processor = remark()
+    .use(remarkGfm)
+    .use(remarkMddDocumentStructure)
+    .use(remarkMddTextFormatting)
+  const render = async (markdown) => {
+    const tree = await processor.run(processor.parse(markdown), {
+      path: 'document.mdd',
+      value: markdown,
+    })
+    return { tree, html: toHtml(toHast(tree, { handlers: mddHastHandlers })) }
+  }
+
+  const footnotes = await render(source)
+  assert.match(
+    footnotes.html,
+    /monthly<sup id="fnref-fee" class="note-ref"><a href="#fn-fee">1<\/a><\/sup><span id="fn-fee" class="footnote">Payable by transfer.<\/span> and late fees apply.<sup id="fnref-late" class="note-ref"><a href="#fn-late">2<\/a><\/sup>/u,
+  )
+  assert.match(
+    footnotes.html,
+    /<sup id="fnref-fee-2" class="note-ref"><a href="#fn-fee">1<\/a><\/sup><\/p>/u,
+  )
+  assert.equal(processor.stringify(footnotes.tree), source)
+
+  const endnotes = await render(
+    `---\nnotes: { placement: endnotes, style: symbols }\n---\n\n${source.replace('# Fees', '# Fees\n\nSee the fee.[^late]\n\n::endnotes ::')}`,
+  )
+  assert.match(
+    endnotes.html,
+    /<section class="endnotes" data-mdd-directive="endnotes">\n<ul class="notes">\n<li id="fn-late"><span class="note-label">\*<\/span> At 1% per month. <a href="#fnref-late" class="note-backref">↩<\/a> <a href="#fnref-late-2" class="note-backref">↩2<\/a><\/li>\n<\/ul>\n<\/section>/u,
+  )
+  assert.match(
+    endnotes.html,
+    /<section class="endnotes" data-mdd-directive="endnotes">\n<ul class="notes">\n<li id="fn-fee"><span class="note-label">†<\/span> Payable by transfer.[^<]*<a href="#fnref-fee" class="note-backref">↩<\/a> <a href="#fnref-fee-2" class="note-backref">↩2<\/a><\/li>\n<\/ul>\n<\/section>$/u,
+  )
+  assert.doesNotMatch(endnotes.html, /class="footnote"/u)
+  assert.match(processor.stringify(endnotes.tree), /^::endnotes ::$/mu)
+  assert.doesNotMatch(processor.stringify(endnotes.tree), /::endnotes ::\n*$/u)
+})
+
+test('paragraph rules add classes from the packs of the document type', async () => {
+  const document = (type, language = 'en') => `---
+title: "Agreement"
+document-type: "${type}"
+language: "${language}"
+---
+
+WHEREAS the Supplier ${'makes and sells widgets, '.repeat(10)}and more. {.important}
+
+NOW, THEREFORE, the parties agree as follows.
+
+IN WITNESS WHEREOF the parties sign.
+
+CONSIDÉRANT QUE le fournisseur vend des produits.
+
+WHEREFORE the plaintiff asks for relief.
+`
+  const classes = async (markdown, options) => {
+    const processor = remark().use(remarkMddTextFormatting, options)
+    const tree = await processor.run(processor.parse(markdown), {
+      path: 'document.mdd',
+      value: markdown,
+    })
+    return tree.children
+      .filter((node) => node.type === 'paragraph')
+      .map((node) => node.data.hProperties.className?.join(' ') ?? '')
+  }
+
+  assert.deepEqual(await classes(document('contract')), [
+    'important long-paragraph legal-clause recital',
+    'legal-clause',
+    'legal-clause testimonium',
+    '',
+    '',
+  ])
+  assert.deepEqual(await classes(document('contract', 'fr-CA')), [
+    'important long-paragraph',
+    '',
+    '',
+    'legal-clause recital',
+    '',
+  ])
+  assert.deepEqual(await classes(document('invoice')), ['important long-paragraph', '', '', '', ''])
+  assert.deepEqual(await classes(document('motion')), [
+    'important long-paragraph',
+    '',
+    '',
+    '',
+    'legal-clause',
+  ])
+  assert.deepEqual(
+    await classes(document('contract'), {
+      detectLegalClauses: false,
+      detectLongParagraphs: false,
+    }),
+    ['important', '', '', '', ''],
+  )
+  assert.deepEqual(
+    await classes(document('invoice'), {
+      paragraphRules: [
+        'contract',
+        { match: /plaintiff/gu, className: 'prayer' },
+        { match: (text, node) => node.children.length > 1, className: ['formatted'] },
+      ],
+    }),
+    ['important legal-clause recital', 'legal-clause', 'legal-clause testimonium', '', 'prayer'],
+  )
+
+  assert.throws(
+    () =>
+      remark()
+        .use(remarkMddTextFormatting, { paragraphRules: ['nope'] })
+        .freeze(),
+    {
+      name: 'TypeError',
+      message: /Unknown paragraph rule pack "nope"/u,
+    },
+  )
+  assert.throws(
+    () =>
+      remark()
+        .use(remarkMddTextFormatting, { paragraphRules: [{ match: 'WHEREAS' }] })
+        .freeze(),
+    TypeError,
+  )
+})
+
+test('{{field}} placeholders are filled with formatted frontmatter values', async () => {
+  const frontmatter = `---
+title: "Invoice"
+document-type: "invoice"
+language: "de"
+invoice-number: "INV-2026-014"
+due-date: "2026-04-30"
+total-amount: "EUR 1,234.50"
+hours: 12.5
+client:
+  name: "Jane Doe"
+  company: "Acme GmbH"
+---
+
+`
+  const body = `Dear {{client.name}} of {{ client.company | upper }},
+
+invoice {{invoice-number}} over {{total-amount | currency}} for {{hours | number:2}} hours is due on {{due-date | date}} ({{due-date | date:short}}), see {{terms}}.
+
+Write \`{{invoice-number}}\` to refer to it.
+`
+  const source = frontmatter + body
+  const processor = remark().use(remarkMddTextFormatting)
+  const file = await processor.process({ path: 'invoice.mdd', value: source })
+  const tree = await processor.run(processor.parse(source), { path: 'invoice.mdd', value: source })
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+
+  assert.match(html, /<p>Dear Jane Doe of ACME GMBH,<\/p>/u)
+  assert.match(
+    html,
+    /invoice INV-2026-014 over 1\.234,50 € for 12,50 hours is due on 30\. April 2026 \(30\.04\.26\), see \{\{terms\}\}\./u,
+  )
+  assert.match(html, /<code>\{\{invoice-number\}\}<\/code>/u)
+  assert.deepEqual(
+    file.messages.map((message) => [message.ruleId, message.reason]),
+    [['unresolved-field', 'Placeholder {{terms}} names no frontmatter field']],
+  )
+  assert.ok(String(file).endsWith(body))
+
+  const plain = await transform(source, [remarkMddTextFormatting, { interpolation: false }])
+  assert.match(toString(plain), /Dear \{\{client\.name\}\}/u)
+})
+
+test('{{field}} placeholders are filled in link URLs and titles and exact amounts', async () => {
+  const frontmatter = `---
+title: "Rechnung"
+document-type: "invoice"
+language: "de"
+website: "https://acme.example"
+client: "Beta AG"
+fee: "1.234,50"
+budget: "12.345.678.901.234.567,89 EUR"
+---
+
+`
+  const body = `See [our terms]({{website}}/terms "Terms for {{client}}") and [more]({{portal}}).
+
+The fee is {{fee | currency:EUR}} of {{budget | currency}}.
+`
+  const source = frontmatter + body
+  const processor = remark().use(remarkMddTextFormatting)
+  const file = await processor.process({ path: 'invoice.mdd', value: source })
+  const tree = await processor.run(processor.parse(source), { path: 'invoice.mdd', value: source })
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+
+  assert.match(
+    html,
+    /<a href="https:\/\/acme\.example\/terms" title="Terms for Beta AG">our terms<\/a>/u,
+  )
+  assert.match(html, /The fee is 1\.234,50\u00A0€ of 12\.345\.678\.901\.234\.567,89\u00A0€\./u)
+  assert.deepEqual(
+    file.messages.map((message) => [message.reason, message.line]),
+    [['Placeholder {{portal}} names no frontmatter field', 11]],
+  )
+  assert.ok(String(file).endsWith(body))
+})
+
+test('line-item tables are classed, checked and filled in the document language', async () => {
+  const frontmatter = `---
+title: "Rechnung"
+document-type: "invoice"
+language: "de"
+total-amount: "EUR 1,190.00"
+---
+
+`
+  const body = `Table: Leistungen {.line-items}
+
+| Beschreibung | Menge |      Einzelpreis |   Betrag |
+| ------------ | ----: | ---------------: | -------: |
+| Beratung     |   7,5 |           120,00 |   900,00 |
+| Lizenz       |     3 |            33,33 |   100,00 |
+|              |       |    Zwischensumme |          |
+|              |       |     MwSt. (19 %) |   190,00 |
+|              |       | **Gesamtbetrag** | 1.190,00 |
+`
+  const source = frontmatter + body
+  const processor = remark().use(remarkGfm).use(remarkMddTextFormatting, { fillLineItems: true })
+  const file = await processor.process({ path: 'invoice.mdd', value: source })
+  const tree = await processor.run(processor.parse(source), { path: 'invoice.mdd', value: source })
+  const html = toHtml(toHast(tree, { handlers: mddHastHandlers }))
+
+  assert.match(html, /<table class="line-items" id="table-1">/u)
+  assert.match(
+    html,
+    /<td class="item-description">Beratung<\/td>\n<td align="right" class="item-quantity">7,5<\/td>\n<td align="right" class="item-price">120,00<\/td>\n<td align="right" class="total">900,00<\/td>/u,
+  )
+  assert.match(html, /<td align="right" class="subtotal">999,99<\/td>/u)
+  assert.match(html, /<td align="right" class="tax">190,00<\/td>/u)
+  assert.match(html, /<td align="right" class="total-amount">1\.190,00<\/td>/u)
+  assert.deepEqual(
+    file.messages.map((message) => [message.ruleId, message.reason]),
+    [
+      ['line-item-mismatch', 'Line item 2 100,00 should be 99.99 (3 × 33.33)'],
+      ['line-item-mismatch', 'Total 1.190,00 should be 1189.99 (999.99 + 190.00 tax)'],
+      [
+        'total-amount-mismatch',
+        'Frontmatter total-amount "EUR 1,190.00" does not match the line-item total EUR 1,189.99',
+      ],
+    ],
+  )
+  assert.ok(String(file).endsWith(body))
+
+  const plainProcessor = remark().use(remarkGfm).use(remarkMddTextFormatting, { lineItems: false })
+  const plain = await plainProcessor.run(plainProcessor.parse(source), { path: 'invoice.mdd' })
+  const plainHtml = toHtml(toHast(plain, { handlers: mddHastHandlers }))
+  assert.match(plainHtml, /<table id="table-1">/u)
+  assert.ok(!plainHtml.includes('item-description'))
+})
@@ -59,7 +59,15 @@ parties:
 ---
 
 ::signature-block
-Signed
+By: ______
+Jane Doe
+Chief Executive Officer
+Acme Corp
+
+By: ______
+John Roe
+Managing Director
+Beta LLC
 ::
 `
   const fm = extractFrontmatter(doc)
@@ -1,7 +1,16 @@
 import assert from 'node:assert/strict'
 import test from 'node:test'
 
+import { mdxFromMarkdown } from 'mdast-util-mdx'
+import { mdxjs } from 'micromark-extension-mdxjs'
+import { remark } from 'remark'
+import remarkGfm from 'remark-gfm'
+import { visit } from 'unist-util-visit'
+
+import { createDirectiveRegistry } from '../lib/directives.js'
+import { mergeDocuments } from '../lib/merge.js'
 import { extractDirectives, validateDirectives, validateDocument } from '../lib/validator.js'
+import remarkMddTextFormatting from '../plugins/remark-mdd-text-formatting.js'
 
 test('extractDirectives accepts both inline and block page-break syntax', () => {
   const inlineDirectives = extractDirectives('::page-break ::\n')
@@ -91,6 +100,72 @@ date: "2026-03-28"
   assert.ok(result.errors.some((error) => error.location?.field === 'effective-date'))
 })
 
+test('every party of a contract needs a matching signer', () => {
+  const contract = (parties) => `---
+title: "Services Agreement"
+document-type: "contract"
+date: "2026-03-28"
+effective-date: "2026-04-01"
+parties: ${JSON.stringify(parties)}
+---
+
+::letterhead
+Acme Corp.
+::
+
+::signature-block
+ACME CORP.
+By: ______
+Jane Doe
+
+Witness: ______
+Beta LLC
+::
+`
+  const signerErrors = (parties) =>
+    validateDocument(contract(parties)).errors.filter(
+      (error) => error.code === 'MISSING_PARTY_SIGNER',
+    )
+
+  assert.deepEqual(signerErrors(['Acme Corp', 'Jane Doe']), [])
+
+  const [missing, ...rest] = signerErrors(['Acme Corp', 'Beta LLC'])
+  assert.equal(rest.length, 0)
+  assert.match(missing.message, /Party "Beta LLC" has no signer/u)
+  assert.deepEqual(missing.location, { field: 'parties', line: 13 })
+})
+
+test('malformed contact details in letterheads and contact blocks are reported', () => {
+  const result = validateDocument(`---
+title: "Letter"
+document-type: "business-letter"
+date: "2026-03-28"
+---
+
+::letterhead
+Acme Corp
+Phone: 12 | Email: info@acme | Web: htp:/acme
+::
+
+::contact-info
+Jane Doe
+Tel: +1 555 123 4567 · jane@acme.example · www.acme.example
+::
+`)
+
+  assert.deepEqual(
+    result.warnings
+      .filter((warning) => warning.location?.directive === 'letterhead')
+      .map((warning) => [warning.code, warning.location.line]),
+    [
+      ['INVALID_PHONE', 9],
+      ['INVALID_EMAIL', 9],
+      ['INVALID_URL', 9],
+    ],
+  )
+  assert.ok(!result.warnings.some((warning) => warning.location?.directive === 'contact-info'))
+})
+
 test('validator accepts CRLF frontmatter delimiters', () => {
   const lfDocument = `---
 title: "Letter"
@@ -111,3 +186,732 @@ Signed
   const result = validateDocument(crlfDocument)
   assert.equal(result.valid, true)
 })
+
+test('custom directives are recognized and enforce registry nesting and occurrence rules', () => {
+  const customDirectives = {
+    exhibit: { allowedChildren: ['signature-block'], maxOccurrences: 1 },
+    'cover-page': { className: 'cover', selfClosing: true },
+  }
+  const content = `---
+title: "Exhibits"
+document-type: "report"
+date: "2026-03-28"
+---
+
+::cover-page ::
+
+::exhibit
+Exhibit A
+
+::signature-block
+Signed
+::
+
+::
+
+::exhibit
+Exhibit B
+::
+`
+
+  const result = validateDocument(content, { customDirectives })
+  assert.ok(!result.errors.some((error) => error.code === 'UNKNOWN_DIRECTIVE'))
+  assert.ok(!result.errors.some((error) => error.code === 'INVALID_DIRECTIVE_NESTING'))
+  assert.deepEqual(result.directiveCounts, { 'cover-page': 1, exhibit: 2, 'signature-block': 1 })
+  assert.ok(
+    result.errors.some(
+      (error) => error.code === 'DUPLICATE_DIRECTIVE' && error.location.directive === 'exhibit',
+    ),
+  )
+
+  const withoutRegistry = validateDocument(content)
+  assert.ok(withoutRegistry.errors.some((error) => error.code === 'UNKNOWN_DIRECTIVE'))
+})
+
+test('createDirectiveRegistry rejects malformed definitions', () => {
+  assert.throws(() => createDirectiveRegistry([{ name: 'Bad Name' }]), TypeError)
+  assert.throws(() => createDirectiveRegistry({ exhibit: { maxOccurrences: 0 } }), TypeError)
+})
+
+test('directive attributes are checked against the per-directive attribute schema', () => {
+  const base = `---
+title: "Letter"
+document-type: "report"
+date: "2026-03-28"
+---
+`
+  const valid = validateDocument(`${base}
+::letterhead{#hq .wide align=center logo=./acme.svg}
+Acme Corp
+::
+`)
+  assert.equal(valid.valid, true, JSON.stringify(valid.errors))
+  assert.equal(valid.directives[0].attributes.attributes.logo, './acme.svg')
+
+  const invalid = validateDocument(`${base}
+::letterhead{align=middle colour=red}
+Acme Corp
+::
+
+::footer{align="left}
+Page
+::
+`)
+  assert.ok(invalid.errors.some((error) => error.code === 'INVALID_DIRECTIVE_ATTRIBUTE'))
+  assert.ok(invalid.warnings.some((error) => error.code === 'UNKNOWN_DIRECTIVE_ATTRIBUTE'))
+  assert.ok(invalid.errors.some((error) => error.code === 'MALFORMED_DIRECTIVE_ATTRIBUTES'))
+  assert.ok(!invalid.errors.some((error) => error.code === 'UNKNOWN_DIRECTIVE'))
+})
+
+test('custom directive attribute schemas come from the registry', () => {
+  const customDirectives = {
+    exhibit: { attributes: { label: { type: 'string', pattern: '^[A-Z]$' } } },
+  }
+  const result = validateDirectives(
+    extractDirectives('::exhibit{label=AA}\nExhibit\n::\n', { customDirectives }),
+    createDirectiveRegistry(customDirectives),
+  )
+  assert.ok(result.errors.some((error) => error.code === 'INVALID_DIRECTIVE_ATTRIBUTE'))
+})
+
+test('the validator finds exactly the directives the plugin renders', () => {
+  const content = `> ::signature-block
+> Jane Doe
+> ::
+
+- ::page-break ::
+
+\`\`\`markdown
+::letterhead
+\`\`\`
+
+::letterhead
+Acme
+::header
+Page
+::
+`
+
+  const directives = extractDirectives(content)
+  assert.deepEqual(
+    directives.map(({ type, line, hasEndMarker }) => ({ type, line, hasEndMarker })),
+    [
+      { type: 'signature-block', line: 1, hasEndMarker: true },
+      { type: 'page-break', line: 5, hasEndMarker: true },
+      { type: 'letterhead', line: 11, hasEndMarker: false },
+      { type: 'header', line: 13, hasEndMarker: true },
+    ],
+  )
+
+  const result = validateDocument(content, { validateFrontmatterFlag: false })
+  const nesting = result.errors.find((error) => error.code === 'INVALID_DIRECTIVE_NESTING')
+  assert.equal(nesting.location.line, 13)
+  assert.ok(!result.errors.some((error) => error.code === 'ORPHANED_END_MARKER'))
+})
+
+test('directives nested through a container follow the enclosing directive rules', () => {
+  const content = `::letterhead
+Acme
+
+> ::signature-block
+> Signed
+> ::
+
+::
+`
+
+  const result = validateDocument(content, { validateFrontmatterFlag: false })
+  assert.deepEqual(Object.keys(result.directiveCounts), ['letterhead'])
+  assert.ok(
+    result.errors.some(
+      (error) => error.code === 'INVALID_DIRECTIVE_NESTING' && error.location.line === 4,
+    ),
+  )
+})
+
+test('MDX syntax extensions let the validator see directives inside JSX elements', () => {
+  const content = '<Cover>\n::letterhead\nAcme\n::\n</Cover>\n'
+  const directives = extractDirectives(content, {
+    micromarkExtensions: [mdxjs()],
+    mdastExtensions: [mdxFromMarkdown()],
+  })
+
+  assert.deepEqual(
+    directives.map((directive) => [directive.type, directive.line, directive.content]),
+    [['letterhead', 2, 'Acme']],
+  )
+})
+
+test('section anchors match the plugin for every numbering scheme', () => {
+  const content = `---
+title: Supply Agreement
+document-type: contract
+numbering: [upper-roman, { style: decimal, pad: 2, template: "Section {1}.{n}" }]
+date: 2024-01-01
+---
+
+# Definitions
+
+Second Article
+==============
+
+See @section-2 and @section-3.
+`
+  const result = validateDocument(content)
+  const references = result.warnings.filter((warning) => warning.code === 'INVALID_REFERENCE')
+  assert.deepEqual(
+    references.map((warning) => warning.location.line),
+    [13],
+  )
+  assert.match(references[0].message, /@section-3/u)
+  assert.equal(
+    result.errors.some((error) => error.code === 'INVALID_NUMBERING_SCHEME'),
+    false,
+  )
+
+  const invalid = validateDocument(content.replace('pad: 2', 'pad: two'))
+  const numbering = invalid.errors.filter((error) => error.location.field?.startsWith('numbering'))
+  assert.deepEqual(
+    numbering.map((error) => error.code),
+    ['INVALID_NUMBERING_SCHEME'],
+  )
+})
+
+test('table and figure references must point to a caption', () => {
+  const content = `---
+title: Quarterly Report
+document-type: report
+date: 2024-01-01
+---
+
+Table: Quarterly totals
+
+| Quarter | Total |
+| ------- | ----- |
+
+![Revenue by region](chart.png)
+
+![](decoration.png)
+
+See @table-1, @figure-1, @figure-2 and @table-2.
+`
+  const references = validateDocument(content).warnings.filter(
+    (warning) => warning.code === 'INVALID_REFERENCE',
+  )
+  assert.deepEqual(
+    references.map((warning) => warning.message),
+    [
+      'Internal reference @figure-2 at line 16 points to a non-existent figure',
+      'Internal reference @table-2 at line 16 points to a non-existent table',
+    ],
+  )
+})
+
+test('named references and element ids are checked against the headings', () => {
+  const content = `---
+title: Services Agreement
+document-type: contract
+date: 2024-01-01
+---
+
+# Definitions
+
+## Payment Terms {#payment-terms .legal-clause}
+
+## Scope
+
+# Scope
+
+See @sec:payment-terms, @sec:definitions, @sec:scope and @sec:nothing.
+`
+  const result = validateDocument(content)
+  assert.deepEqual(
+    result.warnings
+      .filter((warning) => warning.code.endsWith('_REFERENCE'))
+      .map((warning) => [warning.code, warning.message]),
+    [
+      [
+        'AMBIGUOUS_REFERENCE',
+        'Named reference @sec:scope at line 15 matches 2 headings (lines 11, 13)',
+      ],
+      [
+        'INVALID_REFERENCE',
+        'Named reference @sec:nothing at line 15 points to no heading id or title',
+      ],
+    ],
+  )
+  assert.equal(
+    result.errors.some((error) => ['DUPLICATE_ID', 'INVALID_SEMANTIC_CLASS'].includes(error.code)),
+    false,
+  )
+
+  // An explicit id may not take the generated anchor of another heading.
+  const duplicate = validateDocument(content.replace('\n# Scope\n', '\n# Scope {#section-1-2}\n'))
+  assert.deepEqual(
+    duplicate.errors.filter((error) => error.code === 'DUPLICATE_ID').map((error) => error.message),
+    ['Duplicate id "#section-1-2" at line 13 (first used at line 11)'],
+  )
+})
+
+test('named references slug heading titles with their placeholders filled', async () => {
+  const content = `---
+title: "Rechnung"
+document-type: "invoice"
+date: "2026-03-28"
+invoice-number: "INV-42"
+---
+
+# Rechnung {{invoice-number}}
+
+Siehe @sec:rechnung-inv-42.
+`
+  const result = validateDocument(content)
+  assert.deepEqual(
+    result.warnings.filter((warning) => warning.code.endsWith('_REFERENCE')),
+    [],
+  )
+
+  const processor = remark().use(remarkMddTextFormatting, { validateReferences: true })
+  const file = await processor.process({ path: 'invoice.mdd', value: content })
+  assert.deepEqual(file.messages, [])
+})
+
+test('the validator reads references, scripts and classes with the MDD syntax', () => {
+  const content = `# Scope {.legal-notice}
+
+Mail jane@acme-2, not \\@section-7, and \`@section-8\` are not references; @section-9 is.
+Neither are \\^a b\\^ nor \`~a b~\`, but x^a b^ is malformed.
+
+::letterhead{.Bad}
+
+Acme
+
+::
+`
+  const result = validateDocument(content)
+  assert.deepEqual(
+    result.warnings
+      .filter((warning) => ['INVALID_REFERENCE', 'MALFORMED_PATTERN'].includes(warning.code))
+      .map((warning) => warning.message),
+    [
+      'superscript "^a b^" at line 4 contains whitespace and will not render',
+      'Internal reference @section-9 at line 3 points to a non-existent section',
+    ],
+  )
+  assert.deepEqual(
+    result.errors
+      .filter((error) => error.code === 'INVALID_SEMANTIC_CLASS')
+      .map((error) => error.message),
+    ['Malformed semantic class: {.Bad} at line 6'],
+  )
+})
+
+test('references to subsections are checked with every part of the section number', () => {
+  const result = validateDocument('# Scope\n\n## Fees\n\nSee @section-1-1 and @section-2-3.\n')
+  assert.deepEqual(
+    result.warnings
+      .filter((warning) => warning.code === 'INVALID_REFERENCE')
+      .map((warning) => warning.message),
+    ['Internal reference @section-2-3 at line 5 points to a non-existent section'],
+  )
+})
+
+test('long reports, manuals and specifications should have a table of contents', () => {
+  const document = (type, toc = '') => `---
+title: "Operations"
+document-type: "${type}"
+date: "2026-03-28"
+version: "1.0.0"
+---
+
+${toc}
+
+# Operations
+
+${'Routine maintenance keeps the plant running. '.repeat(300)}
+`
+  const tocWarnings = (content, options) =>
+    validateDocument(content, options)
+      .warnings.filter((warning) => warning.code === 'MISSING_TABLE_OF_CONTENTS')
+      .map((warning) => warning.message)
+
+  assert.deepEqual(tocWarnings(document('manual')), [
+    'Document type "manual" has 1801 words but no table of contents (recommended above 1500)',
+  ])
+  assert.deepEqual(tocWarnings(document('manual', '::toc{depth=2} ::')), [])
+  assert.deepEqual(tocWarnings(document('manual'), { tocThreshold: 2000 }), [])
+  assert.deepEqual(tocWarnings(document('manual'), { tocThreshold: false }), [])
+  // Types without a threshold only get one from the option.
+  assert.deepEqual(tocWarnings(document('guide')), [])
+  assert.equal(tocWarnings(document('guide'), { tocThreshold: { guide: 800 } }).length, 1)
+
+  const invalid = validateDocument(document('report', '::toc{depth=9} ::'))
+  assert.ok(invalid.errors.some((error) => error.code === 'INVALID_DIRECTIVE_ATTRIBUTE'))
+})
+
+test('defined terms are used, defined once, and capitalized terms are defined', () => {
+  const result = validateDocument(`---
+title: "Services Agreement"
+document-type: "service-agreement"
+date: "2026-03-28"
+---
+
+# Parties
+
+This Agreement is made between Acme Corp. (the "Company") and Jane Doe (the **"Contractor"**).
+
+"Services" means the consulting work described below.
+
+The Contractor reports to the Supplier. This Agreement binds the Company ("Company").
+`)
+
+  assert.deepEqual(
+    result.warnings
+      .filter((warning) => /TERM/u.test(warning.code))
+      .map((warning) => [warning.code, warning.message]),
+    [
+      ['DUPLICATE_DEFINED_TERM', 'Term "Company" at line 13 is already defined at line 9'],
+      ['UNUSED_DEFINED_TERM', 'Term "Services" defined at line 11 is never used'],
+      ['UNDEFINED_TERM', 'Capitalized term "Agreement" at line 9 matches no definition'],
+      ['UNDEFINED_TERM', 'Capitalized term "Supplier" at line 13 matches no definition'],
+    ],
+  )
+
+  // Without definitions, capitalized phrases are not terms.
+  const plain = validateDocument('# Notes\n\nThe Board met in the United States.\n')
+  assert.ok(!plain.warnings.some((warning) => /TERM/u.test(warning.code)))
+})
+
+test('the plugin links the term uses the validator counts, before or after the definition', async () => {
+  const content = `---
+title: "Supply Agreement"
+document-type: "contract"
+date: "2026-03-28"
+---
+
+# Supply
+
+The Supplier ships the Goods.
+
+Acme Ltd. (the "Supplier") sells goods (the "Goods") and services (the "Services").
+
+Title to the Goods passes on delivery.
+`
+  const unused = validateDocument(content)
+    .warnings.filter((warning) => warning.code === 'UNUSED_DEFINED_TERM')
+    .map((warning) => warning.message)
+  assert.deepEqual(unused, ['Term "Services" defined at line 11 is never used'])
+
+  const processor = remark().use(remarkMddTextFormatting)
+  const tree = await processor.run(processor.parse(content), { path: 'supply.mdd', value: content })
+  const links = []
+  visit(tree, 'link', (node) => {
+    links.push([node.url, node.children[0].value])
+  })
+  assert.deepEqual(links, [
+    ['#term-supplier', 'Supplier'],
+    ['#term-goods', 'Goods'],
+    ['#term-goods', 'Goods'],
+  ])
+})
+
+test('note references have notes and notes are referenced', () => {
+  const result = validateDocument(`# Terms
+
+The fee is due monthly[^fee] and late fees apply.[^late] See also[^gone].
+
+[^fee]: Payable in EUR.
+
+[^late]: At 1% per month.
+
+[^unused]: Never used.
+`)
+
+  assert.deepEqual(
+    result.warnings
+      .filter((warning) => /NOTE/u.test(warning.code))
+      .map((warning) => [warning.code, warning.message]),
+    [
+      ['MISSING_NOTE', 'Note reference [^gone] at line 3 has no note'],
+      ['UNREFERENCED_NOTE', 'Note [^unused] at line 9 is never referenced'],
+    ],
+  )
+  assert.ok(!result.warnings.some((warning) => warning.code === 'MALFORMED_PATTERN'))
+})
+
+test('{{field}} placeholders name frontmatter fields, and final documents fill them', () => {
+  const document = (status) => `---
+title: "Invoice"
+document-type: "memo"
+date: "2026-03-28"
+status: "${status}"
+due-date: "2026-04-30"
+reference-number: ""
+---
+
+# Payment
+
+Due on {{due-date | date}}, ref. {{reference-number}}, amount {{due-date | currency}}.
+Pay {{payee}} by {{due-date | weekday}}.
+`
+  const placeholderWarnings = (result) =>
+    [...result.errors, ...result.warnings]
+      .filter((problem) => /PLACEHOLDER|UNDEFINED_FIELD/u.test(problem.code))
+      .map((problem) => [problem.code, problem.message])
+
+  assert.deepEqual(placeholderWarnings(validateDocument(document('draft'))), [
+    [
+      'INVALID_PLACEHOLDER',
+      'Placeholder {{due-date | weekday}} at line 13 uses unknown formatter "weekday" (expected date, currency, number, upper, lower)',
+    ],
+    ['UNDEFINED_FIELD', 'Placeholder {{payee}} at line 13 names no frontmatter field'],
+  ])
+  assert.deepEqual(placeholderWarnings(validateDocument(document('final'))).slice(1), [
+    ['UNRESOLVED_PLACEHOLDER', 'Placeholder {{reference-number}} at line 12 has an empty value'],
+    [
+      'UNRESOLVED_PLACEHOLDER',
+      'Placeholder {{due-date | currency}} at line 12 does not hold an amount with a currency code (currency formatter)',
+    ],
+    ['UNDEFINED_FIELD', 'Placeholder {{payee}} at line 13 names no frontmatter field'],
+  ])
+})
+
+test('{{field}} placeholders in link URLs and titles are checked too', () => {
+  const result = validateDocument(`---
+title: "Invoice"
+document-type: "memo"
+date: "2026-03-28"
+website: "https://acme.example"
+---
+
+# Links
+
+See [our terms]({{website}}/terms "Terms of {{client}}") and [the portal]({{portal}}).
+`)
+  assert.deepEqual(
+    result.warnings
+      .filter((warning) => warning.code === 'UNDEFINED_FIELD')
+      .map((warning) => warning.message),
+    [
+      'Placeholder {{client}} at line 10 names no frontmatter field',
+      'Placeholder {{portal}} at line 10 names no frontmatter field',
+    ],
+  )
+})
+
+test('mergeDocuments renders and validates one document per record', () => {
+  const template = `---
+title: "Letter to {{client.company}}"
+document-type: "memo"
+date: "2026-03-28"
+status: "final"
+fee: "USD 1,200.00"
+---
+
+# Fees
+
+Dear {{client.name}} of {{client.company}}, your fee of {{fee | currency}} is due on {{due-date | date}}.
+
+Write \`{{client.name}}\` to address the client.
+`
+  const csv = `client.name,client.company,due-date,fee\r
+"Doe, Jane",Acme *Corp*,2026-04-30,\r
+Bob Roe,"Beta ""B"" Ltd",,EUR 99.50\r
+`
+  const [first, second] = mergeDocuments(template, csv)
+
+  assert.deepEqual(first.record, {
+    'client.name': 'Doe, Jane',
+    'client.company': 'Acme *Corp*',
+    'due-date': '2026-04-30',
+  })
+  assert.deepEqual(first.frontmatter.client, { name: 'Doe, Jane', company: 'Acme *Corp*' })
+  assert.equal(first.frontmatter.title, 'Letter to Acme *Corp*')
+  assert.match(
+    first.content,
+    /^Dear Doe, Jane of Acme \\\*Corp\\\*, your fee of \$1,200\.00 is due on April 30, 2026\.$/mu,
+  )
+  assert.match(first.content, /^Write `\{\{client\.name\}\}` to address the client\.$/mu)
+  assert.ok(first.validation.valid)
+  assert.ok(
+    !first.validation.warnings.some((warning) =>
+      /^(?:UNDEFINED_FIELD|\w+_PLACEHOLDER)$/u.test(warning.code),
+    ),
+  )
+
+  assert.equal(second.frontmatter.fee, 'EUR 99.50')
+  assert.match(second.content, /your fee of €99\.50 is due on \{\{due-date \| date\}\}\./u)
+  assert.deepEqual(
+    second.validation.warnings
+      .filter((warning) => warning.code === 'UNDEFINED_FIELD')
+      .map((warning) => warning.message),
+    ['Placeholder {{due-date | date}} at line 14 names no frontmatter field'],
+  )
+
+  const [fromJson] = mergeDocuments(template, '[{ "client": { "name": "Ann" } }]', {
+    validation: false,
+  })
+  assert.equal(fromJson.validation, null)
+  assert.equal(fromJson.frontmatter.title, 'Letter to {{client.company}}')
+
+  assert.throws(() => mergeDocuments(template, '[{'), { name: 'TypeError', message: /JSON/u })
+  assert.throws(() => mergeDocuments(template, 'a,b\n"open'), TypeError)
+  assert.throws(() => mergeDocuments(template, [1, 2]), TypeError)
+  assert.throws(() => mergeDocuments(template, 'client.name,__proto__.polluted\nJane,yes\n'), {
+    name: 'TypeError',
+    message: /__proto__/u,
+  })
+  assert.throws(
+    () => mergeDocuments(template, '[{ "client": { "constructor": { "prototype": {} } } }]'),
+    TypeError,
+  )
+  assert.equal({}.polluted, undefined)
+
+  const [row] = mergeDocuments(
+    '---\ntitle: "Fees"\n---\n\n| Client | Fee |\n| --- | --- |\n| {{client}} | 1 |\n',
+    [{ client: 'a | b' }],
+    { validation: false },
+  )
+  assert.match(row.content, /^\| a \\\| b \| 1 \|$/mu)
+})
+
+test('line-item amounts add up and match the frontmatter total-amount', () => {
+  const gfm = remark().use(remarkGfm).freeze()
+  const options = {
+    micromarkExtensions: gfm.data('micromarkExtensions'),
+    mdastExtensions: gfm.data('fromMarkdownExtensions'),
+  }
+  const document = (totalAmount, hostingAmount) => `---
+title: "Invoice"
+document-type: "invoice"
+date: "2026-03-28"
+currency: "USD"
+total-amount: "${totalAmount}"
+---
+
+# Services
+
+Table: Services {.line-items}
+
+| Description | Qty | Unit price | Amount |
+| --- | --: | --: | --: |
+| Design | 12.5 | 80.00 | 1,000.00 |
+| Hosting | 3 | 19.99 | ${hostingAmount} |
+| Setup | | | 150.00 |
+| | | Subtotal | 1,209.97 |
+| | | Tax (8.25%) | 99.82 |
+| | | **Total** | 1,309.79 |
+`
+  const lineItemProblems = (result) =>
+    result.errors
+      .filter((error) => /^(?:LINE_ITEM|TOTAL_AMOUNT)_MISMATCH$/u.test(error.code))
+      .map((error) => [error.code, error.message])
+
+  const valid = validateDocument(document('USD 1,309.79', '59.97'), options)
+  assert.deepEqual(lineItemProblems(valid), [])
+  assert.ok(!valid.warnings.some((warning) => warning.code === 'UNKNOWN_SEMANTIC_CLASS'))
+
+  assert.deepEqual(lineItemProblems(validateDocument(document('USD 1,310.00', '59.99'), options)), [
+    ['LINE_ITEM_MISMATCH', 'Line item 2 at line 16 is 59.99, expected 59.97 (3 × 19.99)'],
+    [
+      'TOTAL_AMOUNT_MISMATCH',
+      'Frontmatter total-amount "USD 1,310.00" does not match the line-item total USD 1,309.79',
+    ],
+  ])
+
+  // Tables are parsed without GFM options too.
+  assert.deepEqual(lineItemProblems(validateDocument(document('USD 1,310.00', '59.99'))), [
+    ['LINE_ITEM_MISMATCH', 'Line item 2 at line 16 is 59.99, expected 59.97 (3 × 19.99)'],
+    [
+      'TOTAL_AMOUNT_MISMATCH',
+      'Frontmatter total-amount "USD 1,310.00" does not match the line-item total USD 1,309.79',
+    ],
+  ])
+
+  // Only a caption with no table next to it goes unchecked.
+  const tableless = validateDocument(
+    document('USD 1,309.79', '59.97').replace(/\n\|[^]*$/u, '\n\nThe items follow.\n'),
+  )
+  assert.deepEqual(
+    tableless.warnings
+      .filter((warning) => warning.code === 'UNCHECKED_LINE_ITEMS')
+      .map((warning) => warning.message),
+    ['Line items captioned at line 11 were not checked: no table follows the caption'],
+  )
+})
+
+test('line-item amounts are read with the decimal mark they are written in', () => {
+  const gfm = remark().use(remarkGfm).freeze()
+  const options = {
+    micromarkExtensions: gfm.data('micromarkExtensions'),
+    mdastExtensions: gfm.data('fromMarkdownExtensions'),
+  }
+  const result = validateDocument(
+    `---
+title: "Rechnung"
+document-type: "invoice"
+date: "2026-03-28"
+language: "de"
+currency: "EUR"
+total-amount: "EUR 1,309.79"
+---
+
+# Leistungen
+
+Table: Leistungen {.line-items}
+
+| Beschreibung | Menge | Einzelpreis | Betrag |
+| --- | --: | --: | --: |
+| Beratung | 12.5 | 80.00 | 1.000,00 |
+| Hosting | 3 | 19,99 | 59.97 |
+| Einrichtung | | | 150 |
+| | | Zwischensumme | 1,209.97 |
+| | | MwSt. (8,25 %) | 99,82 |
+| | | **Gesamtbetrag** | 1.309,79 |
+`,
+    options,
+  )
+  assert.deepEqual(
+    result.errors.filter((error) => error.code.endsWith('_MISMATCH')),
+    [],
+  )
+})
+
+test('validateDocument parses the document once for all of its checks', () => {
+  let parses = 0
+  const result = validateDocument(
+    `---
+title: "Invoice"
+document-type: "invoice"
+date: "2026-03-28"
+---
+
+::letterhead
+**Acme Corp**
+::
+
+# Services
+
+See @sec:services and the fee[^fee] of {{total-amount}}.
+
+[^fee]: Payable monthly.
+`,
+    {
+      mdastExtensions: [
+        {
+          transforms: [
+            () => {
+              parses++
+            },
+          ],
+        },
+      ],
+    },
+  )
+
+  assert.equal(parses, 1)
+  assert.deepEqual(
+    result.directives.map((directive) => directive.type),
+    ['letterhead'],
+  )
+})
@@ -4,7 +4,20 @@
  * @see https://github.com/mdd-spec/mdd
  */
 
-import type { Root, Content, Heading, Paragraph, Text } from 'mdast'
+import type {
+  BlockContent,
+  Root,
+  Content,
+  Emphasis,
+  Heading,
+  Paragraph,
+  PhrasingContent,
+  Strong,
+  Table,
+  TableCell,
+  TableRow,
+  Text,
+} from 'mdast'
 import type { Node, Parent, Literal } from 'unist'
 
 /**
@@ -18,6 +31,9 @@ export type DirectiveType =
   | 'signature-block'
   | 'page-break'
   | 'section-break'
+  | 'toc'
+  | 'definitions'
+  | 'endnotes'
 
 /**
  * Valid MDD document types
@@ -93,6 +109,8 @@ export type SemanticClass =
   | 'numbered-section'
   | 'long-paragraph'
   | 'legal-clause'
+  | 'recital'
+  | 'testimonium'
   | 'numbered-item'
   | 'document-section'
   | 'subsection'
@@ -111,6 +129,7 @@ export type SemanticClass =
   | 'expiration-date'
   | 'payment-terms'
   | 'total-amount'
+  | 'line-items'
   | 'item-description'
   | 'item-quantity'
   | 'item-price'
@@ -209,10 +228,78 @@ export interface MDDFrontmatter {
   /** Document tags */
   tags?: string[]
 
+  /** Heading numbering scheme (overrides the document type's scheme) */
+  numbering?: NumberingScheme
+
+  /** Footnote numbering and placement (overrides the document type's) */
+  notes?: Partial<NoteOptions>
+
   /** Allow additional custom properties */
-  [key: string]: string | string[] | boolean | undefined
+  [key: string]: string | string[] | boolean | NumberingScheme | Partial<NoteOptions> | undefined
+}
+
+/**
+ * Counter style of a numbered heading level
+ */
+export type NumberingStyle =
+  | 'decimal'
+  | 'upper-roman'
+  | 'lower-roman'
+  | 'upper-alpha'
+  | 'lower-alpha'
+
+/**
+ * One heading level of a numbering scheme
+ */
+export interface NumberingLevel {
+  /** Counter style (default `decimal`) */
+  style?: NumberingStyle
+
+  /** Minimum width of a decimal number, padded with zeros */
+  pad?: number
+
+  /**
+   * Label template: `{n}` is this level's number, `{1}`-`{6}` the decimal
+   * counter of that level (`Section {1}.{n}`). Without one the label joins
+   * the numbers of every level down to this one with dots.
+   */
+  template?: string
+}
+
+/**
+ * Label style of footnotes: `1, 2`, `*, †, ‡`, `i, ii`, `I, II`, `a, b`, `A, B`
+ */
+export type NoteStyle =
+  | 'decimal'
+  | 'symbols'
+  | 'lower-roman'
+  | 'upper-roman'
+  | 'lower-alpha'
+  | 'upper-alpha'
+
+/**
+ * Footnote numbering and placement
+ */
+export interface NoteOptions {
+  /** Notes at the foot of their page, or endnotes at `::endnotes` / the end of the document */
+  placement: 'footnotes' | 'endnotes'
+
+  /** Label style */
+  style: NoteStyle
 }
 
+/**
+ * Heading numbering scheme: a built-in scheme name, or one entry per heading
+ * level from H1 (`null` leaves a level unnumbered)
+ */
+export type NumberingScheme =
+  | 'decimal'
+  | 'legal'
+  | 'outline'
+  | 'section'
+  | 'none'
+  | Array<NumberingStyle | NumberingLevel | null>
+
 /**
  * Text formatting pattern types
  */
@@ -295,6 +382,170 @@ export interface DirectiveOccurrence {
 
   /** Column number where directive starts (1-indexed) */
   column?: number
+
+  /** Parsed attribute block of the opener line */
+  attributes?: DirectiveAttributes
+
+  /** Signers parsed from a `signature-block` */
+  signers?: SignerRecord[]
+
+  /** Organization record parsed from a `letterhead` or `contact-info` */
+  contact?: ContactRecord
+}
+
+/**
+ * Role of a signature line: `Witness:` and `Notary:` labels (or a `Witness` /
+ * `Notary Public` line) mark witnesses and notaries
+ */
+export type SignerRole = 'signer' | 'witness' | 'notary'
+
+/**
+ * A numbered table caption (`Table: ...` paragraph) or figure (image with alt
+ * text alone in a paragraph)
+ */
+export interface CaptionRecord {
+  kind: 'table' | 'figure'
+
+  /** 1-based, counted per kind in document order */
+  number: number
+
+  /** `table-N` or `figure-N` */
+  id: string
+
+  /** Caption text (a figure's alt text) */
+  caption: string
+
+  /** The caption paragraph (for figures, the paragraph holding the image) */
+  node: Paragraph
+
+  /** The captioned table, when the tree has one (GFM) */
+  table?: BlockContent | null
+}
+
+/**
+ * An item amount, subtotal, tax or total of a line-item table that does not
+ * match the computed one
+ */
+export interface LineItemProblem {
+  /** `Line item N`, `Subtotal`, `Tax` or `Total` */
+  subject: string
+
+  /** The amount as written */
+  written: string
+
+  /** The computed amount (`1234.50`) */
+  expected: string
+
+  /** How it is computed (`3 × 19.99`, `20% of 1209.99`) */
+  detail: string
+
+  /** The table row */
+  node: TableRow
+
+  line?: number
+}
+
+/**
+ * The computed amounts of a line-item table (`Table: ... {.line-items}`);
+ * amounts are exact decimals of `units` × 10^-`scale`
+ */
+export interface LineItemTable {
+  table: Table
+
+  /** Index of each column, or `-1` when the table has none */
+  columns: Record<'description' | 'quantity' | 'price' | 'amount', number>
+
+  /** Decimals of the currency's minor unit */
+  digits: number
+
+  /** The items and summary rows, in order */
+  rows: Array<{ node: TableRow; kind: 'item' | 'subtotal' | 'tax' | 'total' }>
+
+  /** The subtotal: the sum of the items, else the written one */
+  subtotal: { units: bigint; scale: number } | null
+
+  /** The total, computed or else as written, when the table has a total row */
+  total: { units: bigint; scale: number } | null
+
+  problems: LineItemProblem[]
+
+  /** Empty amount cells and their computed amounts */
+  fill: Array<{ cell: TableCell; amount: { units: bigint; scale: number } }>
+}
+
+/**
+ * A defined term: a quoted, capitalized term in parentheses
+ * (`(the "Company")`) or followed by `means`
+ */
+export interface DefinedTerm {
+  /** The term without its quotes */
+  term: string
+
+  /** `term-<slug>`, the anchor of its first definition */
+  id: string
+
+  /** 1-based source line of the definition */
+  line?: number
+
+  /** The text node holding the quoted term, or the bold or emphasized term */
+  node: Text | Strong | Emphasis
+
+  /** Offsets of the quoted term in a text `node` */
+  start?: number
+  end?: number
+
+  /** The paragraph (or table cell) holding the definition */
+  paragraph: Paragraph | TableCell
+}
+
+/**
+ * One signer parsed from a `::signature-block`; fields not found are `null`
+ */
+export interface SignerRecord {
+  role: SignerRole
+  name: string | null
+  title: string | null
+  organization: string | null
+
+  /** Filled-in date, `null` for a blank `Date: ______` line */
+  date: string | null
+
+  /** The `Date:` line as written */
+  dateLine: string | null
+
+  /** The signature line as written (`By: ______`, `/s/ Jane Doe`, `___` for a rule) */
+  signatureLine: string | null
+}
+
+/**
+ * Postal address parsed from a contact block; parts not found are `null`
+ */
+export interface PostalAddressRecord {
+  /** Street lines, joined with `, ` */
+  streetAddress: string | null
+  locality: string | null
+  region: string | null
+  postalCode: string | null
+  country: string | null
+}
+
+/**
+ * Organization record parsed from a `::letterhead` or `::contact-info`
+ */
+export interface ContactRecord {
+  organization: string | null
+  address: PostalAddressRecord | null
+  telephone: string[]
+  faxNumber: string[]
+  email: string[]
+  url: string[]
+
+  /** Malformed values, with their 1-indexed source line */
+  invalid: Array<{
+    field: 'telephone' | 'faxNumber' | 'email' | 'url'
+    value: string
+    line?: number
+  }>
 }
 
 /**
@@ -341,6 +592,21 @@ export interface DocumentTypeRequirements {
 
   /** Maximum allowed occurrences per directive type */
   maxDirectiveOccurrences: Partial<Record<DirectiveType, number>>
+
+  /** Every frontmatter party MUST have a signer in a signature block */
+  requirePartySignatures?: boolean
+
+  /** Heading numbering scheme of this document type */
+  numbering?: NumberingScheme
+
+  /** Footnote numbering and placement of this document type */
+  notes?: Partial<NoteOptions>
+
+  /** Paragraph rule packs of this document type (default `['general', 'contract']`) */
+  paragraphRules?: ParagraphRulePack[]
+
+  /** Word count above which a `::toc` directive SHOULD be present */
+  tocWordThreshold?: number
 }
 
 /**
@@ -363,38 +629,273 @@ export interface MDDDocument {
   ast?: Root
 }
 
+/**
+ * Directive definition held by the directive registry (`lib/directives.js`)
+ */
+export interface DirectiveDefinition {
+  /** Directive name as written after `::` (lowercase kebab-case) */
+  name: string
+
+  /** CSS class of the rendered semantic container (defaults to `name`) */
+  className?: string
+
+  /** Whether the directive takes no content (`::page-break ::`) */
+  selfClosing?: boolean
+
+  /** Directives that may appear directly inside this one */
+  allowedChildren?: string[]
+
+  /** Maximum number of occurrences per document (unlimited when omitted) */
+  maxOccurrences?: number
+
+  /**
+   * JSON Schema for each accepted `key=value` attribute value. When omitted, any
+   * attribute is accepted; `#id` and `.class` are always accepted.
+   */
+  attributes?: Record<string, Record<string, unknown>>
+}
+
+/**
+ * Parsed pandoc-style attribute block (`{#id .class key=value}`)
+ */
+export interface DirectiveAttributes {
+  /** `#id`, if present */
+  id: string | null
+
+  /** `.class` names in source order */
+  classes: string[]
+
+  /** `key=value` pairs */
+  attributes: Record<string, string>
+
+  /** Syntax problems found while parsing */
+  errors: string[]
+}
+
+/**
+ * Custom directives, as an array of definitions or a record keyed by name.
+ * Entries that reuse a built-in name override that built-in's fields.
+ */
+export type CustomDirectives =
+  | DirectiveDefinition[]
+  | Record<string, Omit<DirectiveDefinition, 'name'>>
+
 /**
  * Plugin options for remark-mdd-document-structure
  */
-export interface MDDDocumentStructureOptions {
-  /** Whether to validate directive nesting */
+/**
+ * How the plugins decide whether a file is an MDD document
+ */
+export interface MDDDetectionOptions {
+  /**
+   * `auto` (default): by file extension or frontmatter (`mdd:` or
+   * `document-type` key; `mdd: false` opts out). `always`/`never` force it.
+   */
+  mode?: 'auto' | 'always' | 'never'
+
+  /** File extensions treated as MDD in `auto` mode (default `['.mdd', '.mdd.md']`) */
+  extensions?: string[]
+}
+
+/**
+ * Plugin options for remark-mdx-conditional
+ */
+export interface MDXConditionalOptions extends MDDDetectionOptions {
+  /** File extensions processed as MDX unless detected as MDD (default `['.mdx']`) */
+  mdxExtensions?: string[]
+}
+
+export interface MDDDocumentStructureOptions extends MDDDetectionOptions {
+  /** Whether to report illegally nested directives (default `true`) */
   validateNesting?: boolean
 
-  /** Whether to allow multiple occurrences of directives */
+  /**
+   * Whether container directives may occur more than once (default `true`;
+   * registry `maxOccurrences` limits always apply)
+   */
   allowMultiple?: boolean
 
-  /** Custom directive patterns */
-  customDirectives?: Record<string, RegExp>
+  /** Directives to register in addition to the built-in ones */
+  customDirectives?: CustomDirectives
+
+  /**
+   * Severity of the plugin's diagnostics: one level for every rule, or levels
+   * keyed by rule id (`missing-end-marker`, `empty-directive`,
+   * `unknown-directive`, `orphaned-end-marker`, `invalid-nesting`, `duplicate-directive`,
+   * `unresolved-field`) with an optional `default`
+   */
+  severity?: MessageSeverity | Record<string, MessageSeverity>
 
-  /** Strict mode - fail on warnings */
+  /** Strict mode - fail on warnings (default severity becomes `fatal`) */
   strict?: boolean
+
+  /**
+   * Whether root-level `::header` and `::footer` become running elements,
+   * marked `data-running` in document order (default `true`)
+   */
+  runningElements?: boolean
+
+  /**
+   * Whether running elements are moved to the start of the document, so
+   * paged output repeats them from the first page on (default `false`)
+   */
+  liftRunningElements?: boolean
+
+  /**
+   * How header/footer placeholders are serialized: `source` keeps `{page}`
+   * and `{title}` (default); `pandoc` writes raw LaTeX/OpenXML page fields and
+   * resolved frontmatter values
+   */
+  fieldMarkers?: 'source' | 'pandoc'
 }
 
+/**
+ * Severity of a plugin diagnostic. `off` drops it; `fatal` fails the run.
+ */
+export type MessageSeverity = 'off' | 'info' | 'warning' | 'error' | 'fatal'
+
 /**
  * Plugin options for remark-mdd-text-formatting
  */
-export interface MDDTextFormattingOptions {
-  /** Whether to auto-number sections */
+export interface MDDTextFormattingOptions extends MDDDetectionOptions {
+  /** Whether to prefix headings with their section number (default `true`; ids are always set) */
   autoNumberSections?: boolean
 
-  /** Whether to detect legal clauses */
+  /**
+   * Numbering scheme of documents whose frontmatter sets no `numbering`
+   * (default: the document type's scheme, else `decimal`)
+   */
+  numbering?: NumberingScheme
+
+  /**
+   * Paragraph rule packs and rules (default: the document type's packs, else
+   * `['general', 'contract']`); `false` leaves paragraphs unclassified
+   */
+  paragraphRules?: Array<ParagraphRulePack | ParagraphRule> | false
+
+  /** Whether to add the `legal-clause` class to WHEREAS/THEREFORE/... paragraphs (default `true`) */
   detectLegalClauses?: boolean
 
-  /** Whether to validate cross-references */
+  /** Whether to add the `long-paragraph` class to paragraphs over 200 characters (default `true`) */
+  detectLongParagraphs?: boolean
+
+  /** Whether to add the `numbered-item` class to paragraphs starting with `1. ` (default `true`) */
+  detectNumberedItems?: boolean
+
+  /** Whether to turn `^text^` into `superscript` nodes (default `true`) */
+  superscript?: boolean
+
+  /** Whether to turn `~text~` into `subscript` nodes (default `true`) */
+  subscript?: boolean
+
+  /** Whether to turn `"text"`, `'text'` and apostrophes into the quotation marks of the document language (default `true`) */
+  smartQuotes?: boolean
+
+  /** Whether to turn `--`, `---` and `...` into dashes and ellipses and add no-break spaces (`50 %`, `§ 2`) (default `true`) */
+  typography?: boolean
+
+  /** Whether to turn `@section-N` and `@sec:name` references into links (default `true`) */
+  internalReferences?: boolean
+
+  /** Whether to number table and figure captions and label `@table-N` / `@figure-N` links with them (default `true`) */
+  captions?: boolean
+
+  /** Whether to mark defined terms, link their uses and fill `::definitions` glossaries (default `true`) */
+  definedTerms?: boolean
+
+  /** Whether to fill `{{field}}` placeholders with frontmatter values (default `true`) */
+  interpolation?: boolean
+
+  /** Whether to class and check the cells of `{.line-items}` tables, reporting `mdd:line-item-mismatch` and `mdd:total-amount-mismatch` messages (default `true`) */
+  lineItems?: boolean
+
+  /** Whether to fill the empty amount cells of line-item tables with their computed amounts (default `false`) */
+  fillLineItems?: boolean
+
+  /**
+   * Footnote numbering and placement of documents whose frontmatter sets no
+   * `notes` (default: the document type's, else decimal page footnotes);
+   * `false` leaves GFM footnotes alone
+   */
+  notes?: Partial<NoteOptions> | false
+
+  /** Whether to report broken and ambiguous references and duplicate ids as `mdd:broken-reference`, `mdd:ambiguous-reference` and `mdd:duplicate-id` messages (default `false`) */
   validateReferences?: boolean
 
-  /** Custom formatting patterns */
-  customPatterns?: Record<string, RegExp>
+  /** Custom inline patterns, run after the built-in ones, keyed by name */
+  customPatterns?: Record<string, RegExp | MDDCustomPattern>
+
+  /** Link text of internal references: one format for every type, or formats by reference type (`section`, `table`, `figure`, ...) */
+  referenceFormat?: ReferenceFormatOption
+
+  /** Language of typography and of reference and caption labels (default: the frontmatter `language`, else `en`) */
+  locale?: string
+
+  /** Overrides of the reference words (`section`, `table`, `figure`, any other type, and the link `title` template with `{text}`) */
+  referenceLabels?: Record<string, string>
+}
+
+/**
+ * Target of an internal reference, as seen by a reference format
+ */
+export interface ReferenceTarget {
+  /** Reference type: `section` (`@section-N` and `@sec:name`), `table`, `figure`, ... */
+  type: string
+
+  /** Anchor the reference links to */
+  id: string
+
+  /** Number in the document's scheme (`2.1`, `Article II`), or `''` for an unnumbered heading */
+  number: string
+
+  /** Heading title or caption text, `''` for a missing target */
+  title: string
+
+  /** Localized word of the type (`Section`) */
+  kind: string
+
+  /** Kind and number (`Section 2.1`), or a number that names itself (`Article II`) */
+  label: string
+}
+
+/**
+ * Template with `{label}`, `{kind}`, `{number}` and `{title}`, or a function
+ * returning the link text
+ */
+export type ReferenceFormat = string | ((target: ReferenceTarget) => string)
+
+export type ReferenceFormatOption = ReferenceFormat | Record<string, ReferenceFormat>
+
+/**
+ * Custom inline pattern of the text formatting plugin. Without `transform`, a
+ * match becomes a `<span>` with the pattern's name as class around its first
+ * capture group (or the whole match).
+ */
+export interface MDDCustomPattern {
+  /** Pattern to match in text; the `g` flag is added when missing */
+  pattern: RegExp
+
+  /** Build the phrasing node that replaces a match */
+  transform?: (match: RegExpMatchArray) => PhrasingContent
+}
+
+/**
+ * Built-in paragraph rule pack: `general` (long paragraphs, numbered items),
+ * `contract` (recitals, legal clauses and the testimonium, in the document
+ * language) or `pleading` (court filings)
+ */
+export type ParagraphRulePack = 'general' | 'contract' | 'pleading'
+
+/**
+ * Paragraph classification rule: paragraphs it matches get its classes, in
+ * addition to the ones they have
+ */
+export interface ParagraphRule {
+  /** Pattern tested against the paragraph text, or a test of the text and the node */
+  match: RegExp | ((text: string, node: Paragraph) => boolean)
+
+  /** Class or classes to add */
+  className: string | string[]
 }
 
 /**
@@ -426,6 +927,144 @@ export interface LaTeXMarker extends Literal {
   }
 }
 
+/**
+ * A directive block (`::name{attributes}` ... `::`) produced by
+ * remark-mdd-document-structure. Self-closing and empty directives have no
+ * children.
+ */
+export interface MDDDirective extends Parent {
+  type: 'mddDirective'
+
+  /** Directive name, e.g. `letterhead` or a custom directive */
+  name: string
+
+  /** Attribute block: `id`, space-separated `class`, and `key=value` pairs */
+  attributes: Record<string, string>
+
+  children: BlockContent[]
+
+  data?: {
+    hName?: 'div' | 'hr' | 'nav' | 'dl' | 'section'
+    hProperties?: Record<string, unknown>
+    /** Signers of a `signature-block`, set by the document-structure plugin */
+    signers?: SignerRecord[]
+    /** Organization of a `letterhead` or `contact-info`, set by the document-structure plugin */
+    contact?: ContactRecord
+    /** Original root index of a header or footer lifted into a running element */
+    mddRunningIndex?: number
+  }
+}
+
+/**
+ * `{page}` / `{pages}` field of a running header or footer, rendered as an
+ * empty `<span class="page-number">` / `<span class="page-count">` filled by
+ * CSS Paged Media counters
+ */
+export interface MDDField extends Node {
+  type: 'mddField'
+  name: 'page' | 'pages'
+  data?: {
+    hName?: 'span'
+    hProperties?: Record<string, unknown>
+    /** Markdown written instead of `{page}`, e.g. pandoc raw markers */
+    mddMarkdown?: string
+  }
+}
+
+/**
+ * Transparent phrasing wrapper rendered as a `<span>`: marks up fields of
+ * contact blocks and serializes as its children
+ */
+export interface MDDSpan extends Parent {
+  type: 'mddSpan'
+  children: PhrasingContent[]
+  data?: {
+    hName?: 'span'
+    hProperties?: Record<string, unknown>
+  }
+}
+
+/**
+ * `^text^` superscript, rendered as `<sup>` and serialized as pandoc
+ * superscript syntax
+ */
+export interface Superscript extends Parent {
+  type: 'superscript'
+  children: PhrasingContent[]
+  data?: {
+    hName?: 'sup'
+    /** Source token this node replaced (`^2^`), written back on stringify */
+    mddSource?: string
+  }
+}
+
+/**
+ * `~text~` subscript, rendered as `<sub>` and serialized as pandoc subscript
+ * syntax
+ */
+export interface Subscript extends Parent {
+  type: 'subscript'
+  children: PhrasingContent[]
+  data?: {
+    hName?: 'sub'
+    /** Source token this node replaced (`~2~`), written back on stringify */
+    mddSource?: string
+  }
+}
+
+/**
+ * `@section-2`, `@table-1` or `@sec:payment-terms` as parsed by the MDD
+ * syntax; the text-formatting plugin turns it into a link
+ */
+export interface MDDReference extends Node {
+  type: 'mddReference'
+  /** The reference without its `@` (`section-2`, `sec:payment-terms`) */
+  identifier: string
+}
+
+/**
+ * Trailing `{#id .class}` of a heading or paragraph as parsed by the MDD
+ * syntax; the MDD plugins move it into `data.mddClassAnnotation`
+ */
+export interface MDDAttributes extends Literal {
+  type: 'mddAttributes'
+  /** The block with its braces */
+  value: string
+}
+
+/** Constructs of the MDD micromark syntax (`mddSyntax`), all on by default */
+export interface MDDSyntaxOptions {
+  superscript?: boolean
+  subscript?: boolean
+  references?: boolean
+  attributes?: boolean
+}
+
+declare module 'mdast' {
+  interface BlockContentMap {
+    mddDirective: MDDDirective
+  }
+
+  interface RootContentMap {
+    mddDirective: MDDDirective
+    mddSpan: MDDSpan
+    mddField: MDDField
+    superscript: Superscript
+    subscript: Subscript
+    mddReference: MDDReference
+    mddAttributes: MDDAttributes
+  }
+
+  interface PhrasingContentMap {
+    mddSpan: MDDSpan
+    mddField: MDDField
+    superscript: Superscript
+    subscript: Subscript
+    mddReference: MDDReference
+    mddAttributes: MDDAttributes
+  }
+}
+
 /**
  * Extended mdast nodes with MDD-specific data
  */
@@ -436,6 +1075,8 @@ export interface MDDHeading extends Heading {
       id?: string
     }
     sectionNumber?: string
+    /** `{.class}` annotation removed from the source, restored on stringify */
+    mddClassAnnotation?: string
   }
 }
 
@@ -445,6 +1086,8 @@ export interface MDDParagraph extends Paragraph {
       className?: string[]
     }
     directive?: DirectiveType
+    /** `{.class}` annotation removed from the source, restored on stringify */
+    mddClassAnnotation?: string
   }
 }
 
@@ -452,6 +1095,10 @@ export interface MDDText extends Text {
   data?: {
     formatted?: boolean
     formattingType?: TextFormattingType
+    /** Source token this node replaced (e.g. `"quoted"`), written back on stringify */
+    mddSource?: string
+    /** Text added by a plugin (e.g. a heading number), left out on stringify */
+    mddGenerated?: boolean
   }
 }
 
@@ -513,6 +1160,53 @@ export interface MDDValidationOptions {
 
   /** Include informational messages */
   includeInfo?: boolean
+
+  /** Directives to register in addition to the built-in ones */
+  customDirectives?: CustomDirectives
+
+  /**
+   * Word count above which a document without `::toc` gets
+   * `MISSING_TABLE_OF_CONTENTS`: one number for every document type with a
+   * `tocWordThreshold`, thresholds by document type, or `false` for no check
+   */
+  tocThreshold?: number | false | Partial<Record<DocumentType, number>>
+
+  /**
+   * micromark syntax extensions used to parse the document, matching the
+   * processor's (e.g. `mdxjs()` for MDX)
+   */
+  micromarkExtensions?: unknown[]
+
+  /** mdast-util-from-markdown extensions matching `micromarkExtensions` */
+  mdastExtensions?: unknown[]
+}
+
+/**
+ * Mail-merge options
+ */
+export interface MergeOptions {
+  /** `validateDocument` options for each merged document, or `false` not to validate */
+  validation?: MDDValidationOptions | false
+}
+
+/**
+ * One document rendered by `mergeDocuments`
+ */
+export interface MergedDocument {
+  /** Index of the record in the dataset */
+  index: number
+
+  /** The record, as read from the dataset */
+  record: Record<string, unknown>
+
+  /** Template frontmatter with the record merged over it */
+  frontmatter: MDDFrontmatter
+
+  /** The MDD document */
+  content: string
+
+  /** Diagnostics of the document (`null` with `validation: false`) */
+  validation: ValidationResult | null
 }
 
 /**